@@ -1,4 +1,11 @@
 module.exports = {
   root: true,
   extends: '@react-native',
+  overrides: [
+    {
+      // The Express backend runs on Node.
+      files: ['backend/**/*.js'],
+      env: { node: true },
+    },
+  ],
 };
@@ -0,0 +1,214 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+function request(server, method, urlPath, { body, token, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: {
+          ...(payload ? { 'content-type': 'application/json' } : {}),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+      },
+      response => {
+        let text = '';
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () =>
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: text ? JSON.parse(text) : null,
+          }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+describe('API contract', () => {
+  let dataDir;
+  let server;
+  let app;
+  let apiSchema;
+  let validation;
+  let storage;
+
+  beforeEach(done => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-contract-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.SESSION_SECRET = 'test-session-secret';
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      apiSchema = require('../backend/apiSchema');
+      validation = require('../backend/validation');
+      storage = require('../backend/storage');
+      app = require('../backend/server');
+    });
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.ADMIN_EMAILS;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  // Calls a route and checks the response against the schema documented for
+  // its status.
+  async function call(method, routePath, urlPath, options) {
+    const response = await request(server, method.toUpperCase(), urlPath, options);
+    const check = validation.getResponseValidator(method, routePath, response.status);
+    if (check === undefined) {
+      throw new Error(`${method.toUpperCase()} ${urlPath} ${response.status} is not documented`);
+    }
+    if (check && !check(response.body)) {
+      throw new Error(
+        `${method.toUpperCase()} ${urlPath} ${response.status}: ${JSON.stringify(check.errors)}`,
+      );
+    }
+    return response;
+  }
+
+  it('describes and validates every route the server registers', () => {
+    const registered = app._router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer =>
+        Object.keys(layer.route.methods).map(method => ({
+          key: `${method} ${layer.route.path}`,
+          validated: layer.route.stack.some(({ handle }) => handle === validation.validate),
+        })),
+      );
+
+    expect(registered.map(({ key }) => key).sort()).toEqual(
+      apiSchema.ROUTES.map(route => `${route.method} ${route.path}`).sort(),
+    );
+    expect(registered.filter(({ validated }) => !validated)).toEqual([]);
+  });
+
+  it('answers with the documented bodies, errors included', async () => {
+    const signup = await call('post', '/auth/signup', '/auth/signup', {
+      body: { name: 'Abri', email: 'admin@example.com', password: 'pw123456', age_group: '25-34' },
+    });
+    const { token } = signup.body;
+
+    const invalid = await call('post', '/auth/signup', '/auth/signup', {
+      body: { name: 'Kid', email: 'kid', password: 'pw123456', age_group: '10-12' },
+    });
+    expect(invalid.body).toMatchObject({ code: 'validation_failed' });
+    expect(invalid.body.details.map(detail => detail.path)).toEqual(['/email', '/age_group']);
+
+    await call('post', '/auth/login', '/auth/login', {
+      body: { email: 'admin@example.com', password: 'pw123456' },
+    });
+    await call('get', '/capacity', '/capacity', { token });
+    await call('get', '/catalog/shapes', '/catalog/shapes');
+    await call('get', '/delivery-methods', '/delivery-methods');
+
+    const nailSets = [{ shapeId: 'almond', quantity: 1, description: 'Red tips' }];
+    const created = await call('post', '/orders', '/orders', {
+      token,
+      body: { nailSets, fulfillment: { method: 'pickup', speed: 'rush' } },
+    });
+    expect(created.status).toBe(201);
+    const orderId = created.body.order.id;
+
+    const unknownSpeed = await call('post', '/orders', '/orders', {
+      token,
+      body: { nailSets, fulfillment: { method: 'pickup', speed: 'teleport' } },
+    });
+    expect(unknownSpeed.body.details).toEqual([
+      { in: 'body', path: '/fulfillment/speed', message: 'must be one of standard, priority, rush' },
+    ]);
+
+    await call('get', '/orders', '/orders?limit=5&status=draft', { token });
+    expect((await call('get', '/orders', '/orders?limit=none', { token })).status).toBe(400);
+    await call('get', '/orders/:orderId', `/orders/${orderId}`, { token });
+    await call('get', '/orders/:orderId', '/orders/missing', { token });
+    await call('get', '/orders/:orderId/events', `/orders/${orderId}/events`, { token });
+    await call('patch', '/orders/:orderId', `/orders/${orderId}`, {
+      token,
+      body: { adminNotes: 'Check the shape' },
+    });
+    const batch = await call('patch', '/orders', '/orders', {
+      token,
+      body: {
+        updates: [
+          { orderId, adminNote: 'Busy week', trackingNumber: '1Z999' },
+          { orderId: 'missing', status: 'Completed' },
+        ],
+      },
+    });
+    expect(batch.body).toMatchObject({ updated: 1, failed: 1 });
+    expect(batch.body.results[0].order).toMatchObject({
+      adminNotes: 'Check the shape\nBusy week',
+      trackingNumber: '1Z999',
+    });
+    expect(batch.body.results[1]).toMatchObject({ ok: false, code: 'not_found' });
+    // Still a draft, so there is nothing to invoice yet.
+    const draftInvoice = await call('post', '/orders/:orderId/invoice/email', `/orders/${orderId}/invoice/email`, {
+      token,
+    });
+    expect(draftInvoice.body).toMatchObject({ code: 'conflict' });
+    const draftStage = await call(
+      'patch',
+      '/orders/:orderId/production-jobs/:jobId',
+      `/orders/${orderId}/production-jobs/${orderId}_set`,
+      { token, body: { stage: 'painting' } },
+    );
+    expect(draftStage.body).toMatchObject({ code: 'conflict' });
+    const impossibleWeek = await call('get', '/production/documents', '/production/documents?week=2024-13-45', {
+      token,
+    });
+    expect(impossibleWeek.body).toMatchObject({ code: 'validation_failed' });
+    await call('post', '/promo-codes/validate', '/promo-codes/validate', {
+      token,
+      body: { promoCode: 'NOPE', nailSets },
+    });
+
+    const unauthenticated = await call('get', '/orders', '/orders');
+    expect(unauthenticated.body).toMatchObject({ code: 'unauthorized' });
+  });
+
+  it('reports health and tags every response with a request id', async () => {
+    const live = await call('get', '/healthz', '/healthz', {
+      headers: { 'x-request-id': 'probe-1' },
+    });
+    expect(live.headers['x-request-id']).toBe('probe-1');
+
+    // No Stripe key in tests, so the backend is up but not ready.
+    const ready = await call('get', '/readyz', '/readyz');
+    expect(ready.status).toBe(503);
+    expect(ready.body.checks).toMatchObject({ storage: { ok: true }, stripe: { ok: false } });
+    expect(ready.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('serves the OpenAPI document', async () => {
+    const { body } = await call('get', '/openapi.json', '/openapi.json');
+    expect(body.openapi).toBe('3.1.0');
+    expect(body.paths['/orders/{orderId}'].patch.security).toEqual([{ bearerAuth: [] }]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+
+const { Buffer } = require('buffer');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+function request(server, method, urlPath, { body, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: {
+          ...(payload ? { 'content-type': 'application/json' } : {}),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+      },
+      response => {
+        let text = '';
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () =>
+          resolve({ status: response.statusCode, body: text ? JSON.parse(text) : null }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+describe('backend auth', () => {
+  let dataDir;
+  let server;
+  let storage;
+
+  beforeEach(done => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-auth-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.SESSION_SECRET = 'test-session-secret';
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage = require('../backend/storage');
+      app = require('../backend/server');
+    });
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.ADMIN_EMAILS;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  async function signup(email) {
+    const response = await request(server, 'POST', '/auth/signup', {
+      body: { name: 'Abri', email, password: 'pw123456', age_group: '25-34' },
+    });
+    return response.body;
+  }
+
+  async function createOrder(token) {
+    const response = await request(server, 'POST', '/orders', {
+      token,
+      body: {
+        nailSets: [{ shapeId: 'almond', quantity: 1, description: 'Red tips' }],
+        fulfillment: { method: 'pickup', speed: 'standard' },
+      },
+    });
+    return response.body.order.id;
+  }
+
+  it('answers 401 without a valid session token', async () => {
+    const { token, user } = await signup('abri@example.com');
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url').toString()), sub: 'someone-else' }),
+    ).toString('base64url');
+
+    for (const badToken of [undefined, 'not-a-token', `${forged}.${signature}`]) {
+      const response = await request(server, 'GET', '/orders', { token: badToken });
+      expect(response).toMatchObject({ status: 401, body: { code: 'unauthorized' } });
+    }
+    expect((await request(server, 'GET', '/orders', { token })).status).toBe(200);
+
+    // Bumping the session version signs the account out everywhere.
+    storage.transaction(state => {
+      state.users.find(item => item.id === user.id).sessionVersion = 1;
+    });
+    expect((await request(server, 'GET', '/orders', { token })).status).toBe(401);
+  });
+
+  it('keeps admin routes to admins', async () => {
+    const customer = await signup('abri@example.com');
+    const admin = await signup('admin@example.com');
+    const orderId = await createOrder(customer.token);
+
+    const routes = [
+      ['PATCH', `/orders/${orderId}`, { status: 'Approved & In Progress' }],
+      ['GET', '/auth/consent/logs'],
+      ['PATCH', '/capacity', { weeklyCapacity: 3 }],
+    ];
+    for (const [method, urlPath, body] of routes) {
+      const asCustomer = await request(server, method, urlPath, { token: customer.token, body });
+      expect(asCustomer).toMatchObject({ status: 403, body: { code: 'forbidden' } });
+    }
+    expect(storage.readRecord('orders', orderId).status).not.toBe('Approved & In Progress');
+
+    const asAdmin = await request(server, 'GET', '/auth/consent/logs', { token: admin.token });
+    expect(asAdmin.status).toBe(200);
+  });
+
+  it("hides other customers' orders", async () => {
+    const owner = await signup('abri@example.com');
+    const other = await signup('sam@example.com');
+    const admin = await signup('admin@example.com');
+    const orderId = await createOrder(owner.token);
+
+    for (const urlPath of [`/orders/${orderId}`, `/orders/${orderId}/events`, `/orders/${orderId}/invoice`]) {
+      const response = await request(server, 'GET', urlPath, { token: other.token });
+      expect(response).toMatchObject({ status: 404, body: { code: 'not_found' } });
+    }
+    const overwrite = await request(server, 'POST', '/orders', {
+      token: other.token,
+      body: {
+        id: orderId,
+        nailSets: [{ shapeId: 'square', quantity: 3, description: 'Mine now' }],
+        fulfillment: { method: 'pickup', speed: 'standard' },
+      },
+    });
+    expect(overwrite.status).toBe(404);
+    expect(storage.readRecord('orders', orderId).nailSets).toMatchObject([{ shapeId: 'almond' }]);
+
+    const listed = await request(server, 'GET', '/orders', { token: other.token });
+    expect(listed.body.orders).toEqual([]);
+    expect((await request(server, 'GET', `/orders/${orderId}`, { token: owner.token })).status).toBe(200);
+    expect((await request(server, 'GET', `/orders/${orderId}`, { token: admin.token })).status).toBe(200);
+  });
+});
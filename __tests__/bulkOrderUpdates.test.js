@@ -0,0 +1,172 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+function request(server, method, urlPath, { body, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: {
+          ...(payload ? { 'content-type': 'application/json' } : {}),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+      },
+      response => {
+        let text = '';
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () =>
+          resolve({ status: response.statusCode, body: text ? JSON.parse(text) : null }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+describe('PATCH /orders', () => {
+  let dataDir;
+  let server;
+  let storage;
+  let customer;
+  let admin;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-bulk-orders-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.SESSION_SECRET = 'test-session-secret';
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage = require('../backend/storage');
+      app = require('../backend/server');
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    customer = await signup('abri@example.com');
+    admin = await signup('admin@example.com');
+    const capacity = await request(server, 'PATCH', '/capacity', {
+      token: admin.token,
+      body: { weeklyCapacity: 1 },
+    });
+    expect(capacity.status).toBe(200);
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.ADMIN_EMAILS;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  async function signup(email) {
+    const response = await request(server, 'POST', '/auth/signup', {
+      body: { name: 'Abri', email, password: 'pw123456', age_group: '25-34' },
+    });
+    return response.body;
+  }
+
+  async function createDraft() {
+    const response = await request(server, 'POST', '/orders', {
+      token: customer.token,
+      body: {
+        nailSets: [{ shapeId: 'almond', quantity: 1, description: 'Red tips' }],
+        fulfillment: { method: 'pickup', speed: 'standard' },
+      },
+    });
+    expect(response.body.order.status).toBe('Draft');
+    return response.body.order.id;
+  }
+
+  function updateOrders(updates) {
+    return request(server, 'PATCH', '/orders', { token: admin.token, body: { updates } });
+  }
+
+  const outcomes = response =>
+    response.body.results.map(result => [result.orderId, result.ok ? 'ok' : result.code]);
+
+  it('reports a failed order without holding back the rest', async () => {
+    const [first, second] = [await createDraft(), await createDraft()];
+
+    const response = await updateOrders([
+      { orderId: 'missing-order', status: 'Submitted' },
+      { orderId: first, status: 'Shipped' },
+      { orderId: second, adminNote: 'Customer asked for extra glue' },
+      { orderId: first, trackingNumber: '1Z999' },
+    ]);
+    expect(response.status).toBe(200);
+    expect(outcomes(response)).toEqual([
+      ['missing-order', 'not_found'],
+      [first, 'conflict'],
+      [second, 'ok'],
+      [first, 'ok'],
+    ]);
+    expect(response.body).toMatchObject({ updated: 2, failed: 2 });
+    expect(response.body.results[1]).toMatchObject({ status: 409, error: expect.any(String) });
+
+    // The illegal move left the order as it was; the later change to it still landed.
+    expect(storage.readRecord('orders', first)).toMatchObject({ status: 'Draft', trackingNumber: '1Z999' });
+    expect(storage.readRecord('orders', second).adminNotes).toBe('Customer asked for extra glue');
+  });
+
+  it('checks each submission against the capacity left by the orders before it', async () => {
+    const [first, second, third] = [await createDraft(), await createDraft(), await createDraft()];
+
+    const full = await updateOrders([
+      { orderId: first, status: 'Submitted' },
+      { orderId: second, status: 'Submitted' },
+      { orderId: third, adminNote: 'Still waiting on photos' },
+    ]);
+    expect(outcomes(full)).toEqual([
+      [first, 'ok'],
+      [second, 'capacity_full'],
+      [third, 'ok'],
+    ]);
+    expect(full.body.results[1]).toMatchObject({ status: 409, nextOpening: expect.any(String) });
+    expect(storage.readRecord('orders', second).status).toBe('Draft');
+
+    // Cancelling first frees the slot for the submission that follows it...
+    const swapped = await updateOrders([
+      { orderId: first, status: 'Cancelled' },
+      { orderId: second, status: 'Submitted' },
+    ]);
+    expect(outcomes(swapped)).toEqual([
+      [first, 'ok'],
+      [second, 'ok'],
+    ]);
+
+    // ...but not for one that comes before it.
+    const late = await updateOrders([
+      { orderId: third, status: 'Submitted' },
+      { orderId: second, status: 'Cancelled' },
+    ]);
+    expect(outcomes(late)).toEqual([
+      [third, 'capacity_full'],
+      [second, 'ok'],
+    ]);
+
+    const capacity = await request(server, 'GET', '/capacity', { token: admin.token });
+    expect(capacity.body.capacity).toMatchObject({ ordersCount: 0, remaining: 1 });
+  });
+});
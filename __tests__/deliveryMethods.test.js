@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  DeliveryMethodError,
+  buildDeliveryMethod,
+  buildDeliveryTier,
+  saveDeliveryTier,
+  toPricingDeliveryMethods,
+} = require('../backend/deliveryMethods');
+const { DEFAULT_DELIVERY_METHODS } = require('../shared/pricing');
+
+function createState() {
+  const method = buildDeliveryMethod({ name: 'courier', display_name: 'Courier' });
+  const state = { deliveryMethods: [method], deliveryTiers: [] };
+  saveDeliveryTier(
+    state,
+    buildDeliveryTier({ name: 'standard', display_name: 'Standard', price: 6, days: 7, is_default: true }, method),
+  );
+  saveDeliveryTier(
+    state,
+    buildDeliveryTier({ name: 'express', display_name: 'Express', price: 18.5, days: 1, is_visible: false }, method),
+  );
+  return { state, method };
+}
+
+describe('delivery methods', () => {
+  it('validates methods and tiers', () => {
+    expect(() => buildDeliveryMethod({ name: 'Local Delivery' })).toThrow(DeliveryMethodError);
+    const method = buildDeliveryMethod({ name: 'courier' });
+    expect(method).toMatchObject({ display_name: 'courier', is_visible: true, display_order: 0 });
+    expect(() => buildDeliveryMethod({ name: 'other' }, method)).toThrow('name cannot be changed');
+    expect(() => buildDeliveryTier({ name: 'rush', price: 5.555, days: 1 }, method)).toThrow(
+      'fractions of a cent',
+    );
+    expect(() => buildDeliveryTier({ name: 'rush', price: 5, days: 1.5 }, method)).toThrow(
+      'whole number',
+    );
+  });
+
+  it('keeps one default tier and unique tier names', () => {
+    const { state, method } = createState();
+    const [standard, express] = state.deliveryTiers;
+    saveDeliveryTier(state, buildDeliveryTier({ is_default: true }, method, express));
+
+    expect(standard.is_default).toBe(false);
+    expect(() =>
+      saveDeliveryTier(state, buildDeliveryTier({ name: 'standard', price: 1, days: 1 }, method)),
+    ).toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  it('prices hidden tiers but only offers visible ones', () => {
+    const { state } = createState();
+
+    const pricing = toPricingDeliveryMethods(state);
+    expect(pricing.courier.speedOptions.express).toMatchObject({ fee: 18.5, days: 1 });
+    expect(pricing.courier.defaultSpeed).toBe('standard');
+
+    const visible = toPricingDeliveryMethods(state, { includeHidden: false });
+    expect(Object.keys(visible.courier.speedOptions)).toEqual(['standard']);
+  });
+
+  it('falls back to the bundled catalog when nothing is stored', () => {
+    expect(toPricingDeliveryMethods({ deliveryMethods: [], deliveryTiers: [] })).toBe(
+      DEFAULT_DELIVERY_METHODS,
+    );
+  });
+});
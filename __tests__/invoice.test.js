@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+
+const { calculatePricing } = require('../shared/pricing');
+const {
+  InvoiceError,
+  buildInvoice,
+  buildInvoiceMessage,
+  buildInvoicePdf,
+} = require('../backend/invoice');
+
+const BUSINESS = {
+  name: 'Nails by Abri',
+  addressLines: ['12 Polish Lane'],
+  email: 'hello@example.com',
+  phone: '',
+  website: '',
+};
+const CUSTOMER = { name: 'Client', email: 'client@example.com' };
+
+function pricedOrder(overrides = {}) {
+  const nailSets = [{ name: 'Red (tips)', shapeId: 'almond', quantity: 2 }];
+  return {
+    id: 'a1b2c3d4-order',
+    userId: 'user-1',
+    status: 'submitted',
+    createdAt: '2026-03-04T10:00:00.000Z',
+    fulfillment: { method: 'pickup', speed: 'standard', address: null },
+    nailSets,
+    pricing: calculatePricing({
+      nailSets,
+      fulfillment: { method: 'pickup', speed: 'standard' },
+      adminDiscount: 5,
+    }),
+    ...overrides,
+  };
+}
+
+describe('invoices', () => {
+  it('prints the stored line items and the same PDF every time', () => {
+    const order = pricedOrder();
+    const invoice = buildInvoice(order, CUSTOMER, BUSINESS);
+
+    expect(invoice).toMatchObject({ kind: 'invoice', number: 'A1B2C3D4', fileName: 'invoice-A1B2C3D4.pdf' });
+    expect(invoice.lineItems.map(item => item.label)).toEqual(
+      order.pricing.lineItems.map(item => item.label),
+    );
+
+    const first = buildInvoicePdf(order, CUSTOMER, BUSINESS);
+    const second = buildInvoicePdf(order, CUSTOMER, BUSINESS);
+    expect(first.mimeType).toBe('application/pdf');
+    expect(second.data).toEqual(first.data);
+
+    const text = first.data.toString('latin1');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('(Red \\(tips\\) \\(2 sets\\))');
+    expect(text).toContain('(Discount)');
+    expect(text).toContain('(-$5.00)');
+    expect(text).toContain(`($${order.pricing.total.toFixed(2)})`);
+    expect(text).toContain('(Payment due)');
+  });
+
+  it('turns into a receipt once paid and lists refunds after the total', () => {
+    const order = pricedOrder({ paidAt: '2026-03-05T09:00:00.000Z', paymentIntentId: 'pi_1' });
+    order.pricing.lineItems.push({ id: 'refund_1', type: 'refund', label: 'Refund', amount: -10 });
+    order.pricing.netTotal = order.pricing.total - 10;
+
+    const invoice = buildInvoice(order, CUSTOMER, BUSINESS);
+    expect(invoice).toMatchObject({ kind: 'receipt', paymentMethod: 'card', netTotal: order.pricing.netTotal });
+    expect(invoice.refunds).toEqual([{ label: 'Refund', amount: -10 }]);
+    expect(invoice.lineItems.some(item => item.type === 'refund')).toBe(false);
+
+    const file = buildInvoicePdf(order, CUSTOMER, BUSINESS);
+    const message = buildInvoiceMessage(order, CUSTOMER, file, BUSINESS);
+    expect(message).toMatchObject({ to: 'client@example.com', subject: 'Your Nails by Abri receipt for order #A1B2C3D4' });
+    expect(message.attachments[0].content).toBe(file.data.toString('base64'));
+  });
+
+  it('refuses drafts', () => {
+    expect(() => buildInvoice(pricedOrder({ status: 'draft' }), CUSTOMER, BUSINESS)).toThrow(InvoiceError);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+
+const { createLogger, redact } = require('../backend/logger');
+
+describe('logger', () => {
+  it('writes one JSON line per entry at or above its level', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: line => lines.push(line) });
+    logger.debug('hidden');
+    logger.child({ orderId: 'order-1' }).warn('Capacity low', { remaining: 1 });
+
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      level: 'warn',
+      msg: 'Capacity low',
+      orderId: 'order-1',
+      remaining: 1,
+    });
+  });
+
+  it('redacts secrets and image payloads', () => {
+    const image = `data:image/png;base64,${'A'.repeat(400)}`;
+    const redacted = redact({
+      body: {
+        email: 'client@example.com',
+        password: 'hunter22',
+        nailSets: [{ designUploads: [{ data: image }, 'B'.repeat(1000)] }],
+      },
+      headers: { authorization: 'Bearer abc' },
+      passwordResetId: 'reset-1',
+      paymentIntentClientSecret: 'pi_secret',
+      error: new Error('boom'),
+    });
+
+    expect(redacted.body).toEqual({
+      email: 'client@example.com',
+      password: '[redacted]',
+      nailSets: [{ designUploads: [{ data: '[base64, 317 bytes]' }, '[base64, 750 bytes]'] }],
+    });
+    expect(redacted.headers.authorization).toBe('[redacted]');
+    expect(redacted.paymentIntentClientSecret).toBe('[redacted]');
+    expect(redacted.passwordResetId).toBe('reset-1');
+    expect(redacted.error).toMatchObject({ name: 'Error', message: 'boom' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  LOGIN_POLICY,
+  LoginThrottleError,
+  beginLoginAttempt,
+  describeLockout,
+  recordLoginSuccess,
+  unlockAccount,
+} = require('../backend/loginThrottle');
+
+const NOW = Date.parse('2026-03-04T18:00:00Z');
+
+function createState() {
+  const user = { id: 'user-1', email: 'client@example.com' };
+  return { state: { users: [user], loginThrottles: [] }, user };
+}
+
+function attempt(state, user, now, ip = '203.0.113.5') {
+  return beginLoginAttempt(state, { email: user.email, ip, user }, now);
+}
+
+function thrown(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('login throttle', () => {
+  it('slows down an email after the free attempts, doubling the wait', () => {
+    const { state } = createState();
+    const stranger = { email: 'nobody@example.com' };
+    for (let i = 0; i < LOGIN_POLICY.email.freeAttempts + 1; i += 1) {
+      beginLoginAttempt(state, { ...stranger, ip: null, user: null }, NOW);
+    }
+
+    const error = thrown(() => beginLoginAttempt(state, { ...stranger, ip: null, user: null }, NOW));
+    expect(error).toBeInstanceOf(LoginThrottleError);
+    expect(error).toMatchObject({ status: 429, code: 'too_many_attempts', retryAfter: 1 });
+
+    beginLoginAttempt(state, { ...stranger, ip: null, user: null }, NOW + 1000);
+    expect(thrown(() => beginLoginAttempt(state, { ...stranger, ip: null, user: null }, NOW + 2000)).retryAfter).toBe(1);
+    expect(thrown(() => beginLoginAttempt(state, { ...stranger, ip: null, user: null }, NOW + 3000))).toBeNull();
+  });
+
+  it('throttles an IP across many emails', () => {
+    const { state } = createState();
+    for (let i = 0; i <= LOGIN_POLICY.ip.freeAttempts; i += 1) {
+      beginLoginAttempt(state, { email: `guess${i}@example.com`, ip: '198.51.100.7', user: null }, NOW);
+    }
+    expect(
+      thrown(() => beginLoginAttempt(state, { email: 'fresh@example.com', ip: '198.51.100.7', user: null }, NOW)),
+    ).toMatchObject({ status: 429 });
+  });
+
+  it('locks the account after repeated failures and unlocks after the cooldown', () => {
+    const { state, user } = createState();
+    // Space the attempts out so only the account lockout applies.
+    for (let i = 0; i < LOGIN_POLICY.maxFailedLogins; i += 1) {
+      attempt(state, user, NOW + i * 60 * 1000, `203.0.113.${i}`);
+    }
+    const lockedAt = NOW + 4 * 60 * 1000;
+    expect(describeLockout(user, lockedAt)).toMatchObject({ locked: true, failedLoginCount: 5 });
+
+    const error = thrown(() => attempt(state, user, lockedAt + 5 * 60 * 1000, '192.0.2.1'));
+    expect(error).toMatchObject({ status: 423, code: 'account_locked', lockedUntil: user.lockedUntil });
+
+    const afterCooldown = lockedAt + (LOGIN_POLICY.lockoutMinutes + 61) * 60 * 1000;
+    expect(thrown(() => attempt(state, user, afterCooldown, '192.0.2.1'))).toBeNull();
+    expect(describeLockout(user, afterCooldown)).toMatchObject({ locked: false, failedLoginCount: 1 });
+  });
+
+  it('takes the attempt back on a correct password and on admin unlock', () => {
+    const { state, user } = createState();
+    attempt(state, user, NOW);
+    attempt(state, user, NOW);
+    recordLoginSuccess(state, { email: user.email, ip: '203.0.113.5', user }, NOW);
+
+    expect(user.failedLoginCount).toBe(0);
+    expect(state.loginThrottles).toEqual([expect.objectContaining({ key: 'ip:203.0.113.5', failures: 1 })]);
+
+    user.lockedUntil = new Date(NOW + 60 * 1000).toISOString();
+    unlockAccount(state, user);
+    expect(describeLockout(user, NOW).locked).toBe(false);
+  });
+});
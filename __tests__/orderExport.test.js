@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+
+const { strFromU8, unzipSync } = require('fflate');
+const { calculatePricing } = require('../shared/pricing');
+const { buildOrderExport, buildOrderExportRows, filterOrdersForExport } = require('../shared/orderExport');
+
+function pricedOrder(overrides = {}) {
+  const nailSets = [
+    { name: '=Red tips', shapeId: 'almond', quantity: 2 },
+    { shapeId: 'square', quantity: 1 },
+  ];
+  return {
+    id: 'a1b2c3d4-order',
+    status: 'paid',
+    createdAt: '2026-03-04T10:00:00.000Z',
+    paidAt: '2026-03-04T10:05:00.000Z',
+    paymentIntentId: 'pi_1',
+    customer: { name: 'Abri, "A"', email: 'abri@example.com' },
+    fulfillment: { method: 'pickup', speed: 'standard' },
+    nailSets,
+    pricing: calculatePricing({
+      nailSets,
+      fulfillment: { method: 'pickup', speed: 'standard' },
+      adminDiscount: 5,
+    }),
+    ...overrides,
+  };
+}
+
+describe('order export', () => {
+  it('writes one CSV row per set with order amounts on the first row only', () => {
+    const order = pricedOrder();
+    const { fileName, mimeType, data } = buildOrderExport([order], {
+      from: '2026-03-01',
+      to: '2026-03-31',
+    });
+    const [header, first, second] = data.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    expect(fileName).toBe('orders-2026-03-01-to-2026-03-31.csv');
+    expect(mimeType).toBe('text/csv');
+    expect(header.split(',')).toContain('Admin discount');
+    expect(first).toBe(
+      'A1B2C3D4,a1b2c3d4-order,2026-03-04T10:00:00.000Z,Submitted,"Abri, ""A""",abri@example.com,' +
+        `'=Red tips,Almond,2,10.00,20.00,pickup / standard,0.00,,,5.00,` +
+        `${order.pricing.tax.toFixed(2)},${order.pricing.total.toFixed(2)},card,2026-03-04T10:05:00.000Z,`,
+    );
+    expect(second).toBe(
+      'A1B2C3D4,a1b2c3d4-order,2026-03-04T10:00:00.000Z,Submitted,"Abri, ""A""",abri@example.com,' +
+        ',Square,1,10.00,10.00,,,,,,,,,,',
+    );
+  });
+
+  it('falls back to the discount an admin set on the order', () => {
+    const order = pricedOrder({
+      pricing: calculatePricing({
+        nailSets: pricedOrder().nailSets,
+        fulfillment: { method: 'pickup', speed: 'standard' },
+      }),
+      discount: 7.5,
+    });
+    const adminDiscount = exported => {
+      const { columns, rows } = buildOrderExportRows([exported]);
+      return rows[0][columns.findIndex(column => column.header === 'Admin discount')];
+    };
+
+    expect(adminDiscount(order)).toBe(7.5);
+    // A discount priced in as a line item wins.
+    expect(adminDiscount(pricedOrder({ discount: 7.5 }))).toBe(5);
+  });
+
+  it('filters by date and status and builds the same workbook every time', () => {
+    const orders = [
+      pricedOrder(),
+      pricedOrder({ id: 'late', createdAt: '2026-04-01T00:00:00.000Z' }),
+      pricedOrder({ id: 'draft', status: 'Draft' }),
+    ];
+    const selected = filterOrdersForExport(orders, {
+      from: '2026-03-01',
+      to: '2026-03-31',
+      statuses: ['Submitted'],
+    });
+    expect(selected.map(order => order.id)).toEqual(['a1b2c3d4-order']);
+
+    const first = buildOrderExport(selected, { format: 'xlsx' });
+    const second = buildOrderExport(selected, { format: 'xlsx' });
+    expect(second.data).toEqual(first.data);
+
+    const sheet = strFromU8(unzipSync(first.data)['xl/worksheets/sheet1.xml']);
+    expect(sheet).toContain('<c r="E2" t="inlineStr"><is><t xml:space="preserve">Abri, &quot;A&quot;</t></is></c>');
+    expect(sheet).toContain('<c r="J2" s="1"><v>10</v></c>');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+
+const { Buffer } = require('buffer');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+function request(server, method, urlPath, { body, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: {
+          ...(payload ? { 'content-type': 'application/json' } : {}),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+      },
+      response => {
+        let text = '';
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () =>
+          resolve({ status: response.statusCode, body: text ? JSON.parse(text) : null }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+describe('GET /orders', () => {
+  let dataDir;
+  let server;
+  let storage;
+  let customer;
+  let other;
+  let admin;
+  let customerOrderIds;
+  let otherOrderId;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-order-list-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.SESSION_SECRET = 'test-session-secret';
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage = require('../backend/storage');
+      app = require('../backend/server');
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    customer = await signup('abri@example.com');
+    other = await signup('sam@example.com');
+    admin = await signup('admin@example.com');
+
+    customerOrderIds = [];
+    for (let index = 0; index < 5; index += 1) {
+      customerOrderIds.push(await createOrder(customer.token));
+    }
+    otherOrderId = await createOrder(other.token);
+
+    // One order a day from March 1st, oldest first; every other one approved.
+    storage.transaction(state => {
+      [...customerOrderIds, otherOrderId].forEach((orderId, index) => {
+        const order = state.orders.find(item => item.id === orderId);
+        order.createdAt = `2026-03-0${index + 1}T12:00:00.000Z`;
+        order.status = index % 2 === 0 ? 'Submitted' : 'Approved & In Progress';
+      });
+    });
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.ADMIN_EMAILS;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  async function signup(email) {
+    const response = await request(server, 'POST', '/auth/signup', {
+      body: { name: 'Abri', email, password: 'pw123456', age_group: '25-34' },
+    });
+    return response.body;
+  }
+
+  async function createOrder(token) {
+    const response = await request(server, 'POST', '/orders', {
+      token,
+      body: {
+        nailSets: [{ shapeId: 'almond', quantity: 1, description: 'Red tips' }],
+        fulfillment: { method: 'pickup', speed: 'standard' },
+      },
+    });
+    return response.body.order.id;
+  }
+
+  function list(token, query = '') {
+    return request(server, 'GET', `/orders${query}`, { token });
+  }
+
+  const ids = response => response.body.orders.map(order => order.id);
+
+  it('filters by status and creation date', async () => {
+    const approved = await list(admin.token, `?status=${encodeURIComponent('Approved & In Progress')}`);
+    expect(ids(approved)).toEqual([otherOrderId, customerOrderIds[3], customerOrderIds[1]]);
+    expect(approved.body.count).toBe(3);
+
+    const several = await list(admin.token, `?status=Submitted,${encodeURIComponent('Approved & In Progress')}`);
+    expect(several.body.count).toBe(6);
+
+    // A bare "to" date covers the whole day.
+    const ranged = await list(admin.token, '?from=2026-03-02&to=2026-03-04');
+    expect(ids(ranged)).toEqual([customerOrderIds[3], customerOrderIds[2], customerOrderIds[1]]);
+
+    const both = await list(admin.token, '?status=Submitted&from=2026-03-02T00:00:00Z');
+    expect(ids(both)).toEqual([customerOrderIds[4], customerOrderIds[2]]);
+
+    expect((await list(admin.token, '?from=2026-03-05&to=2026-03-01')).status).toBe(400);
+    expect((await list(admin.token, '?from=yesterday')).status).toBe(400);
+  });
+
+  it('pages with a cursor that holds its place while orders are added', async () => {
+    const first = await list(admin.token, '?limit=2');
+    expect(ids(first)).toEqual([otherOrderId, customerOrderIds[4]]);
+    expect(first.body.count).toBe(6);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    // A newer order lands at the top without shifting the pages after the cursor.
+    await createOrder(customer.token);
+
+    const second = await list(admin.token, `?limit=2&cursor=${first.body.nextCursor}`);
+    expect(ids(second)).toEqual([customerOrderIds[3], customerOrderIds[2]]);
+
+    const third = await list(admin.token, `?limit=2&cursor=${second.body.nextCursor}`);
+    expect(ids(third)).toEqual([customerOrderIds[1], customerOrderIds[0]]);
+    expect(third.body.nextCursor).toBeNull();
+
+    const ascending = await list(admin.token, '?order=asc&limit=4');
+    const rest = await list(admin.token, `?order=asc&limit=4&cursor=${ascending.body.nextCursor}`);
+    expect([...ids(ascending), ...ids(rest)]).toHaveLength(7);
+    expect(new Set([...ids(ascending), ...ids(rest)]).size).toBe(7);
+  });
+
+  it('answers 400 for a cursor it did not issue', async () => {
+    for (const cursor of ['not-a-cursor', Buffer.from('{"id":1}').toString('base64url')]) {
+      const response = await list(admin.token, `?cursor=${cursor}`);
+      expect(response).toMatchObject({ status: 400, body: { error: 'Invalid cursor' } });
+    }
+  });
+
+  it('limits customers to their own orders', async () => {
+    const own = await list(customer.token);
+    expect(ids(own)).toEqual([...customerOrderIds].reverse());
+    expect(own.body.count).toBe(5);
+
+    const others = await list(other.token);
+    expect(ids(others)).toEqual([otherOrderId]);
+
+    const asking = await list(other.token, `?userId=${customer.user.id}`);
+    expect(asking).toMatchObject({ status: 403, body: { code: 'forbidden' } });
+    expect((await list(customer.token, `?userId=${customer.user.id}`)).body.count).toBe(5);
+
+    const asAdmin = await list(admin.token, `?userId=${customer.user.id}`);
+    expect(asAdmin.body.count).toBe(5);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  ORDER_STATUS,
+  OrderStatusTransitionError,
+  getAllowedTransitions,
+  planStatusTransition,
+} = require('../shared/orderStatus');
+
+describe('order status state machine', () => {
+  it('only offers the ready status matching the fulfillment method', () => {
+    expect(getAllowedTransitions('in_progress', 'shipping')).toEqual([
+      ORDER_STATUS.READY_FOR_SHIPPING,
+      ORDER_STATUS.CANCELLED,
+    ]);
+  });
+
+  it('plans timestamps, notifications and capacity for a legal move', () => {
+    const approval = planStatusTransition('paid', 'approved_in_progress', { orderNumber: 'ABC123' });
+
+    expect(approval).toMatchObject({
+      from: ORDER_STATUS.SUBMITTED,
+      to: ORDER_STATUS.APPROVED_IN_PROGRESS,
+      changed: true,
+      timestamp: 'approvedAt',
+      notification: { systemEventType: 'status_approved' },
+    });
+    expect(planStatusTransition('Approved & In Progress', 'Cancelled').capacity).toBe('release');
+    expect(planStatusTransition('Draft', 'Submitted').capacity).toBe('reserve');
+    expect(planStatusTransition('Ready for Pickup', 'Completed').capacity).toBeNull();
+  });
+
+  it('treats a repeated status as a no-op', () => {
+    expect(planStatusTransition('submitted', 'Submitted')).toMatchObject({
+      changed: false,
+      notification: null,
+    });
+  });
+
+  it('rejects illegal and unknown moves', () => {
+    expect(() => planStatusTransition('Completed', 'Draft')).toThrow(OrderStatusTransitionError);
+    expect(() =>
+      planStatusTransition('Approved & In Progress', 'Ready for Shipping', {
+        fulfillmentMethod: 'pickup',
+      }),
+    ).toThrow('Cannot change order status from Approved & In Progress to Ready for Shipping');
+    expect(() => planStatusTransition('Draft', 'archived')).toThrow(OrderStatusTransitionError);
+  });
+});
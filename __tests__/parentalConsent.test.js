@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  ConsentError,
+  isConsentRestricted,
+  issueConsentRequest,
+  normalizeGuardianContact,
+  resolveConsentRequest,
+} = require('../backend/parentalConsent');
+
+function createState() {
+  const user = { id: 'user_teen', name: 'Teen', email: 'teen@example.com', age_group: '13-17' };
+  return { users: [user], consentLogs: [], user };
+}
+
+describe('parental consent', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  it('requires a usable guardian contact', () => {
+    expect(normalizeGuardianContact({ parentEmail: ' Parent@Example.com ' })).toEqual({
+      channel: 'email',
+      contact: 'parent@example.com',
+    });
+    expect(normalizeGuardianContact({ parentPhone: '+1 (555) 123-4567' })).toEqual({
+      channel: 'sms',
+      contact: '+15551234567',
+    });
+    expect(() => normalizeGuardianContact({})).toThrow(ConsentError);
+    expect(() => normalizeGuardianContact({ parentPhone: '123' })).toThrow('phone number is not valid');
+  });
+
+  it('restricts the account until the guardian approves', () => {
+    const state = createState();
+    const { consentLog, token } = issueConsentRequest(
+      state,
+      state.user,
+      { channel: 'email', contact: 'parent@example.com' },
+      now,
+    );
+
+    expect(isConsentRestricted(state.user)).toBe(true);
+    expect(consentLog.tokenHash).not.toBe(token);
+    expect(JSON.stringify(state)).not.toContain(token);
+
+    resolveConsentRequest(state, token, { decision: 'approve', approverName: 'Parent' }, now);
+
+    expect(isConsentRestricted(state.user)).toBe(false);
+    expect(consentLog).toMatchObject({ status: 'approved', approverName: 'Parent' });
+    expect(() => resolveConsentRequest(state, token, { decision: 'approve' }, now)).toThrow(
+      'Consent request was already approved',
+    );
+  });
+
+  it('keeps denied accounts restricted and expires old links', () => {
+    const state = createState();
+    const first = issueConsentRequest(state, state.user, { channel: 'sms', contact: '5551234567' }, now);
+    const second = issueConsentRequest(state, state.user, { channel: 'sms', contact: '5551234567' }, now);
+
+    expect(() => resolveConsentRequest(state, first.token, { decision: 'approve' }, now)).toThrow(
+      'Consent request was already expired',
+    );
+
+    resolveConsentRequest(state, second.token, { decision: 'deny' }, now);
+    expect(state.user.consentStatus).toBe('denied');
+    expect(isConsentRestricted(state.user)).toBe(true);
+
+    const third = issueConsentRequest(state, state.user, { channel: 'sms', contact: '5551234567' }, now);
+    const later = new Date(now.getTime() + 73 * 60 * 60 * 1000);
+    expect(() => resolveConsentRequest(state, third.token, { decision: 'approve' }, later)).toThrow(
+      expect.objectContaining({ status: 410 }),
+    );
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  PasswordResetError,
+  completePasswordReset,
+  findPasswordReset,
+  issuePasswordReset,
+  validateNewPassword,
+} = require('../backend/passwordReset');
+
+const NOW = new Date('2026-03-04T18:00:00Z');
+
+function createState() {
+  const user = {
+    id: 'user-1',
+    email: 'client@example.com',
+    name: 'Client',
+    passwordHash: 'old-hash',
+    sessionVersion: 2,
+    failedLoginCount: 5,
+    lockedUntil: '2026-03-04T18:10:00.000Z',
+  };
+  return {
+    state: { users: [user], passwordResets: [], loginThrottles: [{ id: 't1', key: 'email:client@example.com' }] },
+    user,
+  };
+}
+
+function statusOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(PasswordResetError);
+    return error.status;
+  }
+  return null;
+}
+
+describe('password reset', () => {
+  it('stores only a hash of the single-use token', () => {
+    const { state, user } = createState();
+    const { reset, token } = issuePasswordReset(state, user, NOW);
+
+    expect(JSON.stringify(state.passwordResets)).not.toContain(token);
+    expect(reset.expiresAt).toBe('2026-03-04T19:00:00.000Z');
+    expect(findPasswordReset(state, token, NOW).user).toBe(user);
+    expect(statusOf(() => findPasswordReset(state, 'not-a-token', NOW))).toBe(404);
+    expect(statusOf(() => findPasswordReset(state, token, new Date('2026-03-04T19:00:00Z')))).toBe(410);
+  });
+
+  it('sets the password, revokes sessions and unlocks the account once', () => {
+    const { state, user } = createState();
+    const { token } = issuePasswordReset(state, user, NOW);
+    completePasswordReset(state, token, 'new-hash', NOW);
+
+    expect(user).toMatchObject({ passwordHash: 'new-hash', sessionVersion: 3, failedLoginCount: 0, lockedUntil: null });
+    expect(state.loginThrottles).toEqual([]);
+    expect(statusOf(() => completePasswordReset(state, token, 'other-hash', NOW))).toBe(409);
+    expect(user.passwordHash).toBe('new-hash');
+  });
+
+  it('replaces earlier links and holds back repeats for a minute', () => {
+    const { state, user } = createState();
+    const first = issuePasswordReset(state, user, NOW);
+    expect(issuePasswordReset(state, user, new Date(NOW.getTime() + 30 * 1000))).toBeNull();
+
+    const second = issuePasswordReset(state, user, new Date(NOW.getTime() + 90 * 1000));
+    expect(statusOf(() => findPasswordReset(state, first.token, new Date(NOW.getTime() + 91 * 1000)))).toBe(410);
+    expect(findPasswordReset(state, second.token, new Date(NOW.getTime() + 91 * 1000)).reset).toBe(second.reset);
+  });
+
+  it('rejects short passwords', () => {
+    expect(statusOf(() => validateNewPassword('12345'))).toBe(400);
+    expect(validateNewPassword('123456')).toBe('123456');
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+function request(server, method, urlPath, { body, token, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: {
+          ...(payload ? { 'content-type': 'application/json' } : {}),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+      },
+      response => {
+        let text = '';
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () =>
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: text ? JSON.parse(text) : null,
+          }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// Just enough of the Stripe client for the payment routes, keeping intents
+// in memory so tests can move them along as the app and Stripe would.
+function createFakeStripe() {
+  const intents = new Map();
+  let nextId = 1;
+  const copy = intent => ({ ...intent, metadata: { ...intent.metadata } });
+  const find = id => {
+    const intent = intents.get(id);
+    if (!intent) {
+      throw new Error(`No such payment_intent: '${id}'`);
+    }
+    return intent;
+  };
+  return {
+    intents,
+    paymentIntents: {
+      create: jest.fn(async ({ amount, metadata }) => {
+        const id = `pi_test_${nextId++}`;
+        const intent = {
+          id,
+          amount,
+          metadata,
+          status: 'requires_payment_method',
+          client_secret: `${id}_secret`,
+        };
+        intents.set(id, intent);
+        return copy(intent);
+      }),
+      retrieve: jest.fn(async id => copy(find(id))),
+      cancel: jest.fn(async id => {
+        const intent = find(id);
+        intent.status = 'canceled';
+        return copy(intent);
+      }),
+    },
+    refunds: {
+      create: jest.fn(async ({ payment_intent: paymentIntent, amount }) => ({
+        id: `re_test_${nextId++}`,
+        payment_intent: paymentIntent,
+        amount,
+        status: 'succeeded',
+      })),
+    },
+  };
+}
+
+const ORDER = {
+  nailSets: [{ id: 'set-1', shapeId: 'almond', quantity: 1, description: 'Red tips' }],
+  fulfillment: { method: 'pickup', speed: 'standard' },
+};
+
+describe('payments', () => {
+  let dataDir;
+  let server;
+  let storage;
+  let validation;
+  let stripe;
+  let token;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-payments-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.SESSION_SECRET = 'test-session-secret';
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    stripe = createFakeStripe();
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.doMock('stripe', () => {
+        const createClient = () => stripe;
+        createClient.webhooks = Stripe.webhooks;
+        return createClient;
+      });
+      storage = require('../backend/storage');
+      validation = require('../backend/validation');
+      app = require('../backend/server');
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    token = (
+      await call('post', '/auth/signup', '/auth/signup', {
+        body: { name: 'Abri', email: 'admin@example.com', password: 'pw123456', age_group: '25-34' },
+      })
+    ).body.token;
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    jest.dontMock('stripe');
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.ADMIN_EMAILS;
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  // Calls a route and checks the response against the schema documented for
+  // its status.
+  async function call(method, routePath, urlPath, options) {
+    const response = await request(server, method.toUpperCase(), urlPath, options);
+    const check = validation.getResponseValidator(method, routePath, response.status);
+    if (check === undefined) {
+      throw new Error(`${method.toUpperCase()} ${urlPath} ${response.status} is not documented`);
+    }
+    if (check && !check(response.body)) {
+      throw new Error(
+        `${method.toUpperCase()} ${urlPath} ${response.status}: ${JSON.stringify(check.errors)}`,
+      );
+    }
+    return response;
+  }
+
+  async function createOrder(body = ORDER) {
+    return (await call('post', '/orders', '/orders', { token, body })).body.order.id;
+  }
+
+  function startPayment(orderId, options = {}) {
+    return call('post', '/orders/:orderId/payment-intent', `/orders/${orderId}/payment-intent`, {
+      token,
+      ...options,
+    });
+  }
+
+  function complete(orderId) {
+    return call('post', '/orders/:orderId/complete', `/orders/${orderId}/complete`, { token, body: {} });
+  }
+
+  function sendStripeEvent(id, type, object) {
+    const body = { id, type, data: { object } };
+    const signature = Stripe.webhooks.generateTestHeaderString({
+      payload: JSON.stringify(body),
+      secret: WEBHOOK_SECRET,
+    });
+    return request(server, 'POST', '/payments/webhook', { body, headers: { 'stripe-signature': signature } });
+  }
+
+  // What the app does: start a payment, have the customer pay it, confirm.
+  async function pay(orderId) {
+    await startPayment(orderId);
+    const { paymentIntentId } = storage.readRecord('orders', orderId);
+    stripe.intents.get(paymentIntentId).status = 'succeeded';
+    return complete(orderId);
+  }
+
+  describe('POST /orders/:orderId/payment-intent', () => {
+    it('replays a retried request and refuses a key reused for another one', async () => {
+      const orderId = await createOrder();
+      const headers = { 'Idempotency-Key': 'pay-1' };
+
+      const first = await startPayment(orderId, { headers });
+      const retried = await startPayment(orderId, { headers });
+      expect(retried.headers['idempotent-replayed']).toBe('true');
+      expect(retried.body).toEqual(first.body);
+      expect(stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+
+      const orderHeaders = { 'Idempotency-Key': 'order-1' };
+      const created = await call('post', '/orders', '/orders', { token, body: ORDER, headers: orderHeaders });
+      const reused = await call('post', '/orders', '/orders', {
+        token,
+        body: { ...ORDER, orderNotes: 'Different order' },
+        headers: orderHeaders,
+      });
+      expect(reused).toMatchObject({ status: 422, body: { code: 'idempotency_key_reused' } });
+      const replayed = await call('post', '/orders', '/orders', { token, body: ORDER, headers: orderHeaders });
+      expect(replayed.body.order.id).toBe(created.body.order.id);
+    });
+
+    it('reuses the open intent while the order total stays the same', async () => {
+      const orderId = await createOrder();
+
+      const first = await startPayment(orderId);
+      const second = await startPayment(orderId);
+
+      expect(second.body.clientSecret).toBe(first.body.clientSecret);
+      expect(stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+      expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    });
+
+    it('replaces the intent when the total changes and ignores its cancellation', async () => {
+      const orderId = await createOrder();
+      const first = await startPayment(orderId);
+      const replacedId = storage.readRecord('orders', orderId).paymentIntentId;
+      await call('post', '/orders', '/orders', {
+        token,
+        body: { ...ORDER, id: orderId, nailSets: [{ ...ORDER.nailSets[0], quantity: 2 }] },
+      });
+
+      // The old intent is only cancelled once the order points at the new one.
+      let storedWhenCancelled;
+      stripe.paymentIntents.cancel.mockImplementationOnce(async id => {
+        storedWhenCancelled = storage.readRecord('orders', orderId).paymentIntentId;
+        stripe.intents.get(id).status = 'canceled';
+        return { ...stripe.intents.get(id) };
+      });
+      const second = await startPayment(orderId);
+
+      expect(second.body.clientSecret).not.toBe(first.body.clientSecret);
+      const order = storage.readRecord('orders', orderId);
+      expect(stripe.intents.get(order.paymentIntentId).amount).toBe(
+        Math.round(order.pricing.total * 100),
+      );
+      expect(stripe.intents.get(replacedId).amount).not.toBe(stripe.intents.get(order.paymentIntentId).amount);
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith(replacedId);
+      expect(storedWhenCancelled).toBe(order.paymentIntentId);
+      expect(order.replacedPaymentIntentIds).toEqual([replacedId]);
+
+      const webhook = await sendStripeEvent('evt_replaced_canceled', 'payment_intent.canceled', {
+        ...stripe.intents.get(replacedId),
+        cancellation_reason: 'requested_by_customer',
+      });
+      expect(webhook.status).toBe(200);
+      const afterWebhook = storage.readRecord('orders', orderId);
+      expect(afterWebhook.status).toBe('Awaiting Submission');
+      expect(afterWebhook.paymentEvents).toMatchObject([
+        { id: 'evt_replaced_canceled', paymentIntentId: replacedId, applied: false },
+      ]);
+    });
+  });
+
+  describe('POST /orders/:orderId/complete', () => {
+    it('only marks the order paid once Stripe says the payment succeeded', async () => {
+      const orderId = await createOrder();
+      const notStarted = await complete(orderId);
+      expect(notStarted.status).toBe(400);
+
+      await startPayment(orderId);
+      const unpaid = await complete(orderId);
+      expect(unpaid).toMatchObject({ status: 409, body: { code: 'conflict' } });
+      expect(storage.readRecord('orders', orderId).paidAt).toBeFalsy();
+
+      const { paymentIntentId } = storage.readRecord('orders', orderId);
+      stripe.intents.get(paymentIntentId).status = 'succeeded';
+      const paid = await complete(orderId);
+      expect(paid.status).toBe(200);
+      expect(paid.body.order).toMatchObject({ status: 'Submitted', paidAt: expect.any(String) });
+    });
+
+    it('turns the order away when its week filled up since checkout', async () => {
+      await call('patch', '/capacity', '/capacity', { token, body: { weeklyCapacity: 1 } });
+      const first = await createOrder();
+      const second = await createOrder();
+      // Both customers start paying while the week still has room.
+      await startPayment(first);
+      await startPayment(second);
+      [first, second].forEach(orderId => {
+        stripe.intents.get(storage.readRecord('orders', orderId).paymentIntentId).status = 'succeeded';
+      });
+
+      expect((await complete(first)).status).toBe(200);
+      const full = await complete(second);
+      expect(full).toMatchObject({ status: 409, body: { code: 'capacity_full' } });
+      expect(full.body).toHaveProperty('nextOpening');
+      expect(storage.readRecord('orders', second)).toMatchObject({ status: 'Awaiting Submission' });
+      expect(storage.readRecord('orders', second).paidAt).toBeFalsy();
+
+      const { capacity } = (await call('get', '/capacity', '/capacity', { token })).body;
+      expect(capacity).toMatchObject({ weeklyCapacity: 1, ordersCount: 1 });
+    });
+
+    it('keeps production progress when payment is confirmed again', async () => {
+      const orderId = await createOrder();
+
+      await pay(orderId);
+      await call('patch', '/orders/:orderId', `/orders/${orderId}`, {
+        token,
+        body: { status: 'Approved & In Progress' },
+      });
+      await call('patch', '/orders/:orderId/production-jobs/:jobId', `/orders/${orderId}/production-jobs/${orderId}_set-1`, {
+        token,
+        body: { stage: 'painting' },
+      });
+      const again = await complete(orderId);
+
+      expect(again.body.order.status).toBe('Approved & In Progress');
+      expect(again.body.order.productionJobs).toMatchObject([{ stage: 'painting', stageHistory: [{ stage: 'painting' }] }]);
+    });
+  });
+
+  it('holds promo usage from payment until the order is cancelled', async () => {
+    await call('post', '/promo-codes', '/promo-codes', {
+      token,
+      body: { code: 'ONCE', type: 'percentage', value: 10, max_uses: 1 },
+    });
+    const order = { ...ORDER, promoCode: 'ONCE' };
+    const usesCount = async () =>
+      (await call('get', '/promo-codes', '/promo-codes', { token })).body.promoCodes.find(
+        promo => promo.code === 'ONCE',
+      ).uses_count;
+
+    const orderId = await createOrder(order);
+    expect(await usesCount()).toBe(0);
+
+    await pay(orderId);
+    expect(await usesCount()).toBe(1);
+
+    const repost = await call('post', '/orders', '/orders', {
+      token,
+      body: { ...order, id: orderId, status: 'draft' },
+    });
+    expect(repost.status).toBe(409);
+    expect(await usesCount()).toBe(1);
+
+    await call('patch', '/orders/:orderId', `/orders/${orderId}`, { token, body: { status: 'Cancelled' } });
+    expect(await usesCount()).toBe(0);
+  });
+
+  describe('refunds', () => {
+    function refund(orderId, body) {
+      return call('post', '/orders/:orderId/refunds', `/orders/${orderId}/refunds`, { token, body });
+    }
+
+    it('refunds part of a line item, refuses more than is left and cancels once fully refunded', async () => {
+      const orderId = await createOrder();
+      await pay(orderId);
+      const paid = storage.readRecord('orders', orderId).pricing;
+      expect(paid.total).toBe(10.78);
+
+      const partial = await refund(orderId, { lineItems: [{ id: 'set_0', amount: 4 }], method: 'manual' });
+      expect(partial.status).toBe(201);
+      expect(partial.body.refund).toMatchObject({ amount: 4, status: 'succeeded', method: 'manual' });
+      const { pricing } = storage.readRecord('orders', orderId);
+      expect(pricing.lineItems[pricing.lineItems.length - 1]).toMatchObject({
+        type: 'refund',
+        label: 'Refund: Almond Set (1 set)',
+        amount: -4,
+      });
+      expect(pricing).toMatchObject({ total: 10.78, refundedTotal: 4, netTotal: 6.78 });
+      expect(storage.readRecord('orders', orderId)).toMatchObject({
+        status: 'Submitted',
+        paymentStatus: 'partially_refunded',
+      });
+
+      const tooMuch = await refund(orderId, { lineItems: [{ id: 'set_0', amount: 7 }], method: 'manual' });
+      expect(tooMuch).toMatchObject({ status: 400, body: { error: 'Refund for set_0 exceeds the 6.00 still refundable' } });
+      const unknownLine = await refund(orderId, { lineItems: [{ id: 'refund_1' }] });
+      expect(unknownLine.status).toBe(400);
+
+      // Without line items the rest is refunded, here through Stripe.
+      const rest = await refund(orderId, { method: 'stripe' });
+      expect(rest.body.refund).toMatchObject({ amount: 6.78, status: 'succeeded' });
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 678 }),
+        expect.anything(),
+      );
+      expect(storage.readRecord('orders', orderId)).toMatchObject({
+        status: 'Cancelled',
+        paymentStatus: 'refunded',
+        refundedAmount: 10.78,
+        pricing: { refundedTotal: 10.78, netTotal: 0 },
+      });
+
+      const again = await refund(orderId, { method: 'manual' });
+      expect(again).toMatchObject({ status: 409, body: { error: 'Order has already been fully refunded' } });
+    });
+
+    it('records refunds made in the Stripe dashboard alongside the ones made here', async () => {
+      const orderId = await createOrder();
+      await pay(orderId);
+      const { paymentIntentId } = storage.readRecord('orders', orderId);
+      await refund(orderId, { lineItems: [{ id: 'set_0', amount: 2 }], method: 'manual' });
+      await refund(orderId, { lineItems: [{ id: 'set_0', amount: 3 }], method: 'stripe' });
+      const charge = amountRefunded => ({
+        id: 'ch_test_1',
+        object: 'charge',
+        amount: 1078,
+        amount_refunded: amountRefunded,
+        refunded: amountRefunded >= 1078,
+        payment_intent: paymentIntentId,
+      });
+
+      // Stripe reporting the refund made here changes nothing.
+      await sendStripeEvent('evt_refund_1', 'charge.refunded', charge(300));
+      expect(storage.readRecord('orders', orderId).refunds).toHaveLength(2);
+
+      await sendStripeEvent('evt_refund_2', 'charge.refunded', charge(800));
+      const order = storage.readRecord('orders', orderId);
+      expect(order.refunds).toHaveLength(3);
+      expect(order.refunds[2]).toMatchObject({
+        method: 'stripe',
+        status: 'succeeded',
+        amount: 5,
+        note: 'Refunded in the Stripe dashboard',
+      });
+      expect(order.pricing.lineItems.filter(item => item.type === 'refund').map(item => item.amount)).toEqual([
+        -2, -3, -5,
+      ]);
+      expect(order).toMatchObject({
+        refundedAmount: 10,
+        paymentStatus: 'partially_refunded',
+        pricing: { refundedTotal: 10, netTotal: 0.78 },
+      });
+      expect(order.paymentEvents.map(event => [event.id, event.applied])).toEqual([
+        ['evt_refund_1', false],
+        ['evt_refund_2', true],
+      ]);
+
+      // An admin refund is now held to what Stripe and the app refunded together.
+      const tooMuch = await refund(orderId, { method: 'manual', lineItems: [{ id: 'set_0', amount: 1 }] });
+      expect(tooMuch).toMatchObject({ status: 400, body: { error: 'Refund exceeds the 0.78 still refundable' } });
+      const rest = await refund(orderId, { method: 'manual' });
+      expect(rest.body.refund.amount).toBe(0.78);
+    });
+  });
+});
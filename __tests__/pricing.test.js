@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { calculatePricing } = require('../shared/pricing');
+const { calculateOrderPricing } = require('../backend/orderPricing');
+const { toPricingDeliveryMethods } = require('../backend/deliveryMethods');
+const shapeCatalog = require('../shared/catalog/shapes.json');
+const { lookupTaxRate, resolveTaxDestination } = require('../shared/pricing/tax');
+const { measurePackage, resolveShippingZone } = require('../shared/pricing/shipping');
+const shippingRates = require('../shared/catalog/shippingRates.json');
+const goldenVectors = require('./fixtures/pricing/goldenVectors.json');
+
+// Completion dates depend on the current day; they are checked separately.
+function withoutCompletionDate(pricing) {
+  const { estimatedCompletionDate, ...rest } = pricing;
+  return rest;
+}
+
+describe('shared pricing golden vectors', () => {
+  let dataDir;
+  let storage;
+
+  // A freshly migrated store holds the catalog the backend serves the app
+  // (GET /catalog/shapes and /delivery-methods) and charges with.
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-pricing-'));
+    process.env.DATA_DIR = dataDir;
+    jest.isolateModules(() => {
+      storage = require('../backend/storage');
+    });
+  });
+
+  afterAll(() => {
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it.each(goldenVectors.map(vector => [vector.name, vector]))('%s', (_name, vector) => {
+    const state = storage.readData();
+    const quote = calculatePricing({
+      ...vector.input,
+      shapes: shapeCatalog,
+      deliveryMethods: toPricingDeliveryMethods(state, { includeHidden: false }),
+    });
+    const charge = calculateOrderPricing({ ...vector.input, deliveryMethods: toPricingDeliveryMethods(state) });
+
+    expect(withoutCompletionDate(quote)).toEqual(vector.expected);
+    expect(withoutCompletionDate(charge)).toEqual(vector.expected);
+  });
+
+  it('dates completion from the start of the reference day', () => {
+    const now = new Date(2026, 0, 15, 18, 30);
+    const pricing = calculatePricing({
+      nailSets: [{ shapeId: 'almond', quantity: 1, description: 'Solid' }],
+      fulfillment: { method: 'pickup', speed: 'priority' },
+      now,
+    });
+
+    expect(pricing.estimatedCompletionDate).toBe(new Date(2026, 0, 20).toISOString());
+  });
+
+  it('rejects shapes missing from the catalog', () => {
+    expect(() =>
+      calculatePricing({ nailSets: [{ shapeId: 'stiletto', name: 'Spiky' }], fulfillment: {} }),
+    ).toThrow('Unknown nail shape selected for set Spiky');
+  });
+});
+
+describe('sales tax', () => {
+  const taxRates = {
+    version: 'test',
+    origin: { state: 'CA', postalCode: '92127' },
+    defaults: { rate: 0, shippingTaxable: false, discountsReduceTaxable: true },
+    states: {
+      CA: { rate: 0.07, zipPrefixes: { 9: 0.08, 921: 0.09 } },
+      NJ: { rate: 0.06625, shippingTaxable: true, discountsReduceTaxable: false },
+    },
+  };
+
+  it('uses the longest matching ZIP prefix and infers a missing state', () => {
+    const destination = resolveTaxDestination(taxRates, {
+      method: 'shipping',
+      address: { postalCode: '92101' },
+    });
+
+    expect(destination).toEqual({ state: 'CA', postalCode: '92101', source: 'address' });
+    expect(lookupTaxRate(taxRates, destination)).toMatchObject({ zipPrefix: '921', rate: 0.09 });
+    expect(lookupTaxRate(taxRates, { state: 'MT', postalCode: '59601' })).toMatchObject({ rate: 0 });
+  });
+
+  it('taxes pickups at the studio whatever address is on file', () => {
+    expect(
+      resolveTaxDestination(taxRates, { method: 'pickup', address: { state: 'NJ', postalCode: '07030' } }),
+    ).toEqual({ state: 'CA', postalCode: '92127', source: 'origin' });
+  });
+
+  it('follows state rules for shipping and discounts', () => {
+    const pricing = calculatePricing({
+      nailSets: [{ shapeId: 'almond', quantity: 2, description: 'Chrome' }],
+      fulfillment: { method: 'shipping', speed: 'standard', address: { state: 'NJ', postalCode: '07030' } },
+      adminDiscount: 5,
+      taxRates,
+      shippingRates: { methods: [] },
+    });
+
+    // $20 of sets plus $7 flat shipping, before the $5 discount
+    expect(pricing.taxSnapshot).toMatchObject({ taxableAmount: 27, rate: 0.06625 });
+    expect(pricing.tax).toBe(1.79);
+    expect(pricing.total).toBe(23.79);
+  });
+});
+
+describe('shipping rates', () => {
+  it('zones destinations by distance from the studio', () => {
+    expect(resolveShippingZone(shippingRates, '92101')).toMatchObject({ zone: 1 });
+    expect(resolveShippingZone(shippingRates, '94103')).toMatchObject({ zone: 4 });
+    expect(resolveShippingZone(shippingRates, '02108')).toMatchObject({ zone: 8 });
+    expect(resolveShippingZone(shippingRates, '99501')).toEqual({ zone: 8, miles: null, source: 'address' });
+    expect(resolveShippingZone(shippingRates, null)).toEqual({ zone: 1, miles: null, source: 'origin' });
+  });
+
+  it('bills the larger of actual and dimensional weight', () => {
+    const oversized = { id: 'coffin', package: { weightOz: 2, lengthIn: 12, widthIn: 8, heightIn: 2 } };
+
+    expect(measurePackage(shippingRates, [{ quantity: 1, shape: { id: 'almond' } }])).toMatchObject({
+      billableWeightLb: 1,
+    });
+    expect(measurePackage(shippingRates, [{ quantity: 3, shape: oversized }])).toMatchObject({
+      actualWeightLb: 0.625,
+      billableWeightLb: 5,
+    });
+  });
+});
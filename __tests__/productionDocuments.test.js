@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  ProductionDocumentError,
+  buildOrderProductionPdf,
+  ordersDueInWeek,
+  productionJobsFor,
+} = require('../backend/productionDocuments');
+
+function order(overrides = {}) {
+  return {
+    id: 'a1b2c3d4-order',
+    userId: 'user-1',
+    status: 'Approved & In Progress',
+    createdAt: '2026-03-02T10:00:00.000Z',
+    estimatedFulfillmentDate: '2026-03-12T08:00:00.000Z',
+    fulfillment: { method: 'pickup', speed: 'standard', address: null },
+    customerSizes: { mode: 'standard', values: { thumb: '2', pinky: '8' } },
+    nailSets: [
+      {
+        id: 'set-1',
+        name: 'Red tips',
+        shapeId: 'almond',
+        quantity: 2,
+        setNotes: 'Extra short',
+        sizes: { mode: 'perSet', values: { thumb: '3', index: '6' } },
+      },
+      { id: 'set-2', shapeId: 'square', quantity: 1, sizes: { mode: 'standard', values: {} } },
+    ],
+    ...overrides,
+  };
+}
+
+describe('production documents', () => {
+  it('builds a job per set with the sizes the maker should use', () => {
+    const jobs = productionJobsFor(order());
+
+    expect(jobs.map(job => job.nailSetId)).toEqual(['set-1', 'set-2']);
+    expect(jobs[0]).toMatchObject({ setNotes: 'Extra short', sizeValues: { thumb: '3', index: '6' } });
+    expect(jobs[1]).toMatchObject({ sizeSource: "Customer's standard sizes", sizeValues: { thumb: '2', pinky: '8' } });
+  });
+
+  it('batches open orders due this week or overdue, soonest first', () => {
+    const orders = [
+      order({ id: 'later', estimatedFulfillmentDate: '2026-03-20T08:00:00.000Z' }),
+      order({ id: 'this-week' }),
+      order({ id: 'overdue', estimatedFulfillmentDate: '2026-03-03T08:00:00.000Z' }),
+      order({ id: 'done', status: 'Completed' }),
+      order({ id: 'draft', status: 'draft' }),
+    ];
+
+    expect(ordersDueInWeek(orders, '2026-03-09').map(item => item.id)).toEqual(['overdue', 'this-week']);
+  });
+
+  it('prints a packing slip listing every set', async () => {
+    const file = await buildOrderProductionPdf(order(), { name: 'Client' }, 'slips');
+    const text = file.data.toString('latin1');
+
+    expect(file.fileName).toBe('packing-slip-A1B2C3D4.pdf');
+    expect(text).toContain('(Pickup for)');
+    expect(text).toContain('(Red tips)');
+    expect(text).toContain('(Square)');
+    await expect(buildOrderProductionPdf(order({ status: 'draft' }), null, 'sheets')).rejects.toBeInstanceOf(
+      ProductionDocumentError,
+    );
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+
+const { ORDER_STATUS, planStatusTransition } = require('../shared/orderStatus');
+const {
+  PRODUCTION_STAGE,
+  ProductionStageError,
+  allJobsPacked,
+  planProductionStageChange,
+  productionProgress,
+} = require('../shared/productionJobs');
+
+const staff = { id: 'admin-1', name: 'Abri' };
+
+function order(overrides = {}) {
+  return {
+    id: 'order-1',
+    status: 'Approved & In Progress',
+    fulfillment: { method: 'shipping' },
+    nailSets: [
+      { id: 'set-1', shapeId: 'almond', quantity: 1, name: 'Red tips' },
+      { id: 'set-2', shapeId: 'square', quantity: 2 },
+    ],
+    ...overrides,
+  };
+}
+
+describe('production jobs', () => {
+  it('records each stage move with its time and staff member', () => {
+    const change = planProductionStageChange(order(), 'order-1_set-1', PRODUCTION_STAGE.PAINTING, {
+      staff,
+      at: '2026-03-10T15:00:00.000Z',
+    });
+
+    expect(change).toMatchObject({ from: 'queued', to: 'painting', changed: true });
+    expect(change.job).toMatchObject({
+      stage: 'painting',
+      stageUpdatedAt: '2026-03-10T15:00:00.000Z',
+      stageHistory: [{ stage: 'painting', at: '2026-03-10T15:00:00.000Z', staff }],
+    });
+    expect(change.jobs[1].stage).toBe('queued');
+    expect(change.status).toBe(ORDER_STATUS.APPROVED_IN_PROGRESS);
+    expect(productionProgress(change.jobs)).toEqual({ total: 2, packed: 0, steps: 10, completedSteps: 2 });
+  });
+
+  it('makes the order ready once every set is packed, and not before', () => {
+    const first = planProductionStageChange(order(), 'order-1_set-1', PRODUCTION_STAGE.PACKED, { staff });
+    expect(first.status).toBe(ORDER_STATUS.APPROVED_IN_PROGRESS);
+    expect(() =>
+      planStatusTransition(ORDER_STATUS.APPROVED_IN_PROGRESS, ORDER_STATUS.READY_FOR_SHIPPING, {
+        fulfillmentMethod: 'shipping',
+        productionPacked: false,
+      }),
+    ).toThrow('not every nail set is packed yet');
+
+    const packed = order({ productionJobs: first.jobs });
+    const second = planProductionStageChange(packed, 'order-1_set-2', PRODUCTION_STAGE.PACKED, { staff });
+    expect(second.status).toBe(ORDER_STATUS.READY_FOR_SHIPPING);
+
+    const ready = order({ status: ORDER_STATUS.READY_FOR_SHIPPING, productionJobs: second.jobs });
+    expect(planProductionStageChange(ready, 'order-1_set-2', PRODUCTION_STAGE.QA).status).toBe(
+      ORDER_STATUS.APPROVED_IN_PROGRESS,
+    );
+  });
+
+  it('does not make an order without jobs ready', () => {
+    expect(allJobsPacked(undefined)).toBe(false);
+    expect(allJobsPacked([])).toBe(false);
+    expect(() =>
+      planStatusTransition(ORDER_STATUS.APPROVED_IN_PROGRESS, ORDER_STATUS.READY_FOR_SHIPPING, {
+        fulfillmentMethod: 'shipping',
+        productionPacked: allJobsPacked(order().productionJobs),
+      }),
+    ).toThrow('not every nail set is packed yet');
+
+    // Its jobs come from the nail sets once the studio starts moving them.
+    const first = planProductionStageChange(order(), 'order-1_set-1', PRODUCTION_STAGE.PACKED);
+    expect(first.jobs).toHaveLength(2);
+    expect(allJobsPacked(first.jobs)).toBe(false);
+  });
+
+  it('only moves known jobs of orders in production', () => {
+    expect(() => planProductionStageChange(order({ status: 'Submitted' }), 'order-1_set-1', 'prepping')).toThrow(
+      ProductionStageError,
+    );
+    expect(() => planProductionStageChange(order(), 'missing', 'prepping')).toThrow('Production job not found');
+    expect(() => planProductionStageChange(order(), 'order-1_set-1', 'glazing')).toThrow(
+      'Unknown production stage: glazing',
+    );
+  });
+});
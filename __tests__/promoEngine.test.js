@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  PromoCodeError,
+  buildPromoCode,
+  normalizePromoCodes,
+  recordPaidPromoUsage,
+  resolvePromotions,
+  syncPromoUsage,
+} = require('../backend/promoEngine');
+const { transitionOrderStatus } = require('../backend/orderTransitions');
+const { calculatePromotionDiscounts } = require('../shared/pricing/promotions');
+
+const NOW = new Date('2026-03-04T18:00:00Z');
+const PRICING = { subtotal: 50 };
+
+function createState(promos) {
+  return {
+    workloadCapacity: [],
+    notifications: [],
+    promoCodes: promos.map(promo => buildPromoCode(promo)),
+    promoCodeUsage: [],
+  };
+}
+
+function resolve(state, codes, context = {}) {
+  return resolvePromotions(state, normalizePromoCodes(codes), { pricing: PRICING, now: NOW, ...context });
+}
+
+function rejection(run) {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('promo engine', () => {
+  it('stacks combinable codes and refuses to stack exclusive ones', () => {
+    const state = createState([
+      { code: 'TENOFF', type: 'percentage', value: 10 },
+      { code: 'FIVE', type: 'fixed_amount', value: 5 },
+      { code: 'SHIPFREE', type: 'free_shipping' },
+      { code: 'SOLO', type: 'percentage', value: 30, combinable: false },
+    ]);
+
+    expect(resolve(state, 'tenoff, five,TENOFF').map(promo => promo.code)).toEqual(['TENOFF', 'FIVE']);
+    // An exclusive code still works on its own.
+    expect(resolve(state, 'SOLO').map(promo => promo.code)).toEqual(['SOLO']);
+
+    const error = rejection(() => resolve(state, ['TENOFF', 'SOLO']));
+    expect(error).toBeInstanceOf(PromoCodeError);
+    expect(error).toMatchObject({
+      message: 'SOLO cannot be combined with other promo codes',
+      promoCode: 'SOLO',
+    });
+
+    // Shipping comes off before the percentage, which comes off before the
+    // fixed amount, each against what is left.
+    const promos = resolve(state, 'FIVE,TENOFF,SHIPFREE');
+    const applied = calculatePromotionDiscounts(promos, { summary: [], deliveryFee: 10, subtotal: 60 });
+    expect(applied.map(({ promo, discount }) => [promo.code, discount])).toEqual([
+      ['SHIPFREE', 10],
+      ['TENOFF', 5],
+      ['FIVE', 5],
+    ]);
+  });
+
+  it('holds codes to their total and per-customer limits', () => {
+    const state = createState([
+      { code: 'TWICE', type: 'fixed_amount', value: 5, max_uses: 2 },
+      { code: 'ONCEEACH', type: 'fixed_amount', value: 5, per_user_limit: 1 },
+    ]);
+    const [twice, onceEach] = state.promoCodes;
+
+    syncPromoUsage(state, { id: 'order-1', userId: 'user-1' }, [twice, onceEach], NOW);
+    expect(twice.uses_count).toBe(1);
+
+    // Re-saving an order does not count its own usage against it.
+    expect(resolve(state, 'ONCEEACH', { userId: 'user-1', orderId: 'order-1' })).toHaveLength(1);
+    syncPromoUsage(state, { id: 'order-1', userId: 'user-1' }, [twice, onceEach], NOW);
+    expect(state.promoCodeUsage).toHaveLength(2);
+
+    expect(rejection(() => resolve(state, 'ONCEEACH', { userId: 'user-1', orderId: 'order-2' }))).toMatchObject({
+      message: 'You have already used this promo code the maximum number of times',
+    });
+    expect(resolve(state, 'ONCEEACH', { userId: 'user-2', orderId: 'order-2' })).toHaveLength(1);
+
+    syncPromoUsage(state, { id: 'order-2', userId: 'user-2' }, [twice], NOW);
+    expect(twice.uses_count).toBe(2);
+    expect(rejection(() => resolve(state, 'TWICE', { userId: 'user-3' }))).toMatchObject({
+      message: 'This code has been used up',
+    });
+
+    // Recording usage re-checks the limits inside the same transaction.
+    const error = rejection(() => syncPromoUsage(state, { id: 'order-3', userId: 'user-3' }, [twice], NOW));
+    expect(error).toBeInstanceOf(PromoCodeError);
+    expect(twice.uses_count).toBe(2);
+
+    // A paid order keeps its discount even if the code ran out since checkout.
+    recordPaidPromoUsage(state, { id: 'order-3', userId: 'user-3', promoCodes: ['TWICE'] }, NOW);
+    expect(twice.uses_count).toBe(3);
+  });
+
+  it('only accepts codes inside their active dates', () => {
+    const state = createState([
+      { code: 'OLD', type: 'percentage', value: 10, end_date: '2026-03-01T00:00:00Z' },
+      { code: 'SOON', type: 'percentage', value: 10, start_date: '2026-04-01T00:00:00Z' },
+      { code: 'MARCH', type: 'percentage', value: 10, start_date: '2026-03-01', end_date: '2026-03-31' },
+      { code: 'OFF', type: 'percentage', value: 10, active: false },
+      { code: 'BIG', type: 'fixed_amount', value: 20, min_order_amount: 75 },
+    ]);
+
+    expect(rejection(() => resolve(state, 'OLD'))).toMatchObject({ message: 'Promo code not found or expired' });
+    expect(rejection(() => resolve(state, 'SOON'))).toMatchObject({ message: 'This promo code is not yet active' });
+    expect(rejection(() => resolve(state, 'OFF'))).toMatchObject({ message: 'Promo code not found or expired' });
+    expect(rejection(() => resolve(state, 'NOPE'))).toMatchObject({ promoCode: 'NOPE' });
+    expect(rejection(() => resolve(state, 'BIG'))).toMatchObject({ message: 'Minimum order $75.00 required' });
+
+    expect(resolve(state, 'MARCH')).toHaveLength(1);
+    expect(rejection(() => resolve(state, 'MARCH', { now: new Date('2026-04-02T00:00:00Z') }))).toMatchObject({
+      message: 'Promo code not found or expired',
+    });
+  });
+
+  it('gives usage back when an order is cancelled or codes are removed', () => {
+    const state = createState([
+      { code: 'ONCEEACH', type: 'fixed_amount', value: 5, per_user_limit: 1, max_uses: 1 },
+      { code: 'TENOFF', type: 'percentage', value: 10 },
+    ]);
+    const [onceEach, tenOff] = state.promoCodes;
+    const order = { id: 'order-1', userId: 'user-1', status: 'Submitted', fulfillment: { method: 'pickup' } };
+
+    syncPromoUsage(state, order, [onceEach, tenOff], NOW);
+    expect(rejection(() => resolve(state, 'ONCEEACH', { userId: 'user-1', orderId: 'order-2' }))).not.toBeNull();
+
+    // Dropping a code from the order releases only that code.
+    syncPromoUsage(state, order, [onceEach], NOW);
+    expect(tenOff.uses_count).toBe(0);
+    expect(state.promoCodeUsage.map(usage => usage.promo_code_id)).toEqual([onceEach.id]);
+
+    transitionOrderStatus(state, order, 'Cancelled', NOW);
+    expect(state.promoCodeUsage).toEqual([]);
+    expect(onceEach.uses_count).toBe(0);
+    expect(resolve(state, 'ONCEEACH', { userId: 'user-1', orderId: 'order-2' })).toHaveLength(1);
+
+    // Releasing twice never takes the count below zero.
+    syncPromoUsage(state, order, [], NOW);
+    expect(onceEach.uses_count).toBe(0);
+  });
+});
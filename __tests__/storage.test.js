@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('backend storage', () => {
+  let dataDir;
+  let storage;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-storage-'));
+    process.env.DATA_DIR = dataDir;
+    jest.isolateModules(() => {
+      storage = require('../backend/storage');
+    });
+  });
+
+  afterEach(() => {
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps inserts from interleaved read-modify-write cycles', () => {
+    const first = storage.readData();
+    const second = storage.readData();
+
+    first.orders.push({ id: 'order-a', status: 'draft' });
+    second.orders.push({ id: 'order-b', status: 'draft' });
+    storage.writeData(first);
+    storage.writeData(second);
+
+    expect(storage.readData().orders.map(order => order.id)).toEqual(['order-a', 'order-b']);
+  });
+
+  it('rolls back every change when a transaction throws', () => {
+    storage.transaction(state => {
+      state.orders.push({ id: 'order-a', status: 'draft' });
+    });
+
+    expect(() =>
+      storage.transaction(state => {
+        state.orders[0].status = 'paid';
+        state.orders.push({ id: 'order-b', status: 'draft' });
+        throw new Error('boom');
+      }),
+    ).toThrow('boom');
+
+    expect(storage.readData().orders).toEqual([{ id: 'order-a', status: 'draft' }]);
+  });
+
+  it('deletes only the records a caller removed', () => {
+    storage.transaction(state => {
+      state.orders.push({ id: 'order-a' }, { id: 'order-b' });
+    });
+
+    const snapshot = storage.readData();
+    storage.transaction(state => {
+      state.orders.push({ id: 'order-c' });
+    });
+    snapshot.orders = snapshot.orders.filter(order => order.id !== 'order-a');
+    storage.writeData(snapshot);
+
+    expect(storage.readData().orders.map(order => order.id)).toEqual(['order-b', 'order-c']);
+  });
+
+  it('reads a single record by id', () => {
+    storage.transaction(state => {
+      state.users.push({ id: 'user-a', email: 'a@example.com' }, { id: 'user-b', email: 'b@example.com' });
+    });
+
+    expect(storage.readRecord('users', 'user-b')).toEqual({ id: 'user-b', email: 'b@example.com' });
+    expect(storage.readRecord('users', 'missing')).toBeNull();
+    expect(storage.readRecord('users', undefined)).toBeNull();
+    expect(() => storage.readRecord('sessions', 'user-a')).toThrow('Unknown collection: sessions');
+  });
+
+  it('imports a legacy db.json once', () => {
+    storage.closeDatabase();
+    fs.writeFileSync(
+      path.join(dataDir, 'db.json'),
+      JSON.stringify({
+        users: [{ id: 'user-1', email: 'a@example.com' }],
+        consentLogs: [],
+        orders: [{ id: 'order-1', userId: 'user-1', status: 'paid' }],
+      }),
+    );
+
+    expect(storage.readData().orders).toEqual([
+      { id: 'order-1', userId: 'user-1', status: 'paid' },
+    ]);
+    expect(storage.importLegacyData().imported).toBe(false);
+  });
+});
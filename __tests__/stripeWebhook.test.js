@@ -0,0 +1,277 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+
+const WEBHOOK_SECRET = 'whsec_fixture_secret';
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'stripe', `${name}.json`), 'utf8');
+}
+
+function postWebhook(server, payload, signature) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/payments/webhook',
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'stripe-signature': signature,
+        },
+      },
+      response => {
+        let body = '';
+        response.on('data', chunk => {
+          body += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body }));
+      },
+    );
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+function sendFixture(server, name) {
+  const payload = loadFixture(name);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+  return postWebhook(server, payload, signature);
+}
+
+describe('POST /payments/webhook', () => {
+  let dataDir;
+  let server;
+  let storage;
+  let orderEvents;
+
+  const readOrder = () => storage.readData().orders.find(order => order.id === 'order_fixture_1');
+
+  beforeEach(done => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-webhook-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    process.env.SESSION_SECRET = 'test-session-secret';
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage = require('../backend/storage');
+      orderEvents = require('../backend/orderEvents');
+      app = require('../backend/server');
+    });
+
+    storage.transaction(state => {
+      state.orders.push({
+        id: 'order_fixture_1',
+        userId: 'user_fixture_1',
+        status: 'pending_payment',
+        paymentIntentId: 'pi_fixture_123',
+        pricing: { total: 65, estimatedCompletionDays: 14 },
+        nailSets: [{ id: 'set_1', shapeId: 'almond', quantity: 1 }],
+      });
+    });
+
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    delete process.env.SESSION_SECRET;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('rejects payloads with an invalid signature', async () => {
+    const payload = loadFixture('payment_intent.succeeded');
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_other' });
+
+    const response = await postWebhook(server, payload, signature);
+
+    expect(response.status).toBe(400);
+    expect(readOrder().status).toBe('pending_payment');
+  });
+
+  it('marks the order paid and ignores replays of the same event', async () => {
+    const first = await sendFixture(server, 'payment_intent.succeeded');
+    const paidAt = readOrder().paidAt;
+    const replay = await sendFixture(server, 'payment_intent.succeeded');
+
+    expect(JSON.parse(first.body)).toMatchObject({ duplicate: false, orderId: 'order_fixture_1' });
+    expect(JSON.parse(replay.body)).toMatchObject({ duplicate: true });
+
+    const order = readOrder();
+    expect(order.status).toBe('Submitted');
+    expect(order.capacityWeekStart).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(order.paymentStatus).toBe('succeeded');
+    expect(order.paidAt).toBe(paidAt);
+    expect(order.productionJobs).toHaveLength(1);
+    expect(order.paymentEvents.map(event => event.id)).toEqual(['evt_fixture_pi_succeeded']);
+  });
+
+  it('records failures and required actions without a status regression after payment', async () => {
+    await sendFixture(server, 'payment_intent.requires_action');
+    expect(readOrder().paymentStatus).toBe('requires_action');
+
+    await sendFixture(server, 'payment_intent.payment_failed');
+    expect(readOrder()).toMatchObject({
+      status: 'Awaiting Submission',
+      paymentStatus: 'failed',
+      lastPaymentError: 'Your card has insufficient funds.',
+    });
+
+    await sendFixture(server, 'payment_intent.succeeded');
+    await sendFixture(server, 'payment_intent.canceled');
+
+    const order = readOrder();
+    expect(order.status).toBe('Submitted');
+    expect(order.paymentStatus).toBe('succeeded');
+    expect(order.paymentEvents.map(event => [event.type, event.applied])).toEqual([
+      ['payment_intent.requires_action', true],
+      ['payment_intent.payment_failed', true],
+      ['payment_intent.succeeded', true],
+      ['payment_intent.canceled', false],
+    ]);
+  });
+
+  it('cancels an unpaid order when its intent is canceled', async () => {
+    await sendFixture(server, 'payment_intent.canceled');
+
+    const order = readOrder();
+    expect(order).toMatchObject({ status: 'Cancelled', paymentStatus: 'canceled' });
+    expect(order.cancelledAt).toEqual(expect.any(String));
+
+    // Cancelled is final, so a late failure is recorded but not applied.
+    await sendFixture(server, 'payment_intent.payment_failed');
+    expect(readOrder()).toMatchObject({ status: 'Cancelled', paymentStatus: 'canceled' });
+    expect(readOrder().paymentEvents.map(event => event.applied)).toEqual([true, false]);
+  });
+
+  it('tracks refunds and disputes on paid orders', async () => {
+    await sendFixture(server, 'payment_intent.succeeded');
+    await sendFixture(server, 'charge.refunded');
+
+    expect(readOrder()).toMatchObject({
+      status: 'Submitted',
+      paymentStatus: 'partially_refunded',
+      refundedAmount: 25,
+    });
+
+    await sendFixture(server, 'charge.dispute.created');
+
+    expect(readOrder()).toMatchObject({
+      paymentStatus: 'disputed',
+      dispute: { id: 'dp_fixture_123', reason: 'fraudulent', amount: 65 },
+    });
+  });
+
+  it('cancels a fully refunded order through the status machine and frees its week', async () => {
+    await sendFixture(server, 'payment_intent.succeeded');
+    const weekStart = readOrder().capacityWeekStart;
+    const fullRefund = JSON.parse(loadFixture('charge.refunded'));
+    fullRefund.id = 'evt_fixture_charge_refunded_full';
+    Object.assign(fullRefund.data.object, { amount_refunded: 6500, refunded: true });
+    const payload = JSON.stringify(fullRefund);
+    await postWebhook(
+      server,
+      payload,
+      Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET }),
+    );
+
+    const order = readOrder();
+    expect(order).toMatchObject({ status: 'Cancelled', paymentStatus: 'refunded', capacityWeekStart: null });
+    expect(order.cancelledAt).toEqual(expect.any(String));
+    const week = storage.readData().workloadCapacity.find(item => item.week_start === weekStart);
+    expect(week.orders_count).toBe(0);
+  });
+
+  it('logs each event and the status change it caused in the order history', async () => {
+    await sendFixture(server, 'payment_intent.succeeded');
+    await sendFixture(server, 'payment_intent.succeeded');
+
+    const events = orderEvents.listOrderEvents('order_fixture_1');
+    expect(events.map(event => [event.type, event.actor.role, event.from, event.to])).toEqual([
+      ['payment', 'system', null, null],
+      ['status_changed', 'system', 'Awaiting Submission', 'Submitted'],
+    ]);
+    expect(events[0].metadata).toMatchObject({ label: 'Payment succeeded', amount: 65 });
+    expect(() =>
+      storage.getDatabase().prepare('DELETE FROM order_events').run(),
+    ).toThrow('order_events is append-only');
+  });
+});
+
+describe('POST /payments/webhook without a webhook secret', () => {
+  let dataDir;
+  let server;
+  let storage;
+
+  const start = env => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-webhook-'));
+    Object.assign(process.env, { DATA_DIR: dataDir, SESSION_SECRET: 'test-session-secret' }, env);
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage = require('../backend/storage');
+      app = require('../backend/server');
+    });
+
+    storage.transaction(state => {
+      state.orders.push({
+        id: 'order_fixture_1',
+        userId: 'user_fixture_1',
+        status: 'Submitted',
+        paymentIntentId: 'pi_fixture_123',
+        paidAt: '2024-03-01T00:00:00.000Z',
+        pricing: { total: 65 },
+      });
+    });
+
+    return new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+  };
+
+  const readOrder = () => storage.readData().orders.find(order => order.id === 'order_fixture_1');
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.STRIPE_WEBHOOK_ALLOW_UNSIGNED;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('refuses unsigned events', async () => {
+    await start({});
+    const response = await postWebhook(server, loadFixture('charge.refunded'), '');
+
+    expect(response.status).toBe(500);
+    expect(readOrder().refundedAmount).toBeUndefined();
+  });
+
+  it('accepts unsigned events only when explicitly allowed for development', async () => {
+    await start({ STRIPE_WEBHOOK_ALLOW_UNSIGNED: 'true' });
+    const response = await postWebhook(server, loadFixture('charge.refunded'), '');
+
+    expect(response.status).toBe(200);
+    expect(readOrder().refundedAmount).toBe(25);
+  });
+});
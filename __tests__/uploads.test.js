@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const BOUNDARY = 'nba-test-boundary';
+
+// A multipart/form-data body with one part per { field, name, data }.
+function multipart(files) {
+  const parts = files.map(({ field = 'file', name, data }) =>
+    Buffer.concat([
+      Buffer.from(
+        `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${field}"; filename="${name}"\r\n` +
+          'Content-Type: application/octet-stream\r\n\r\n',
+      ),
+      data,
+      Buffer.from('\r\n'),
+    ]),
+  );
+  return Buffer.concat([...parts, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+}
+
+function request(server, method, urlPath, { body, token, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const json = body !== undefined && !Buffer.isBuffer(body);
+    const payload = body === undefined ? null : json ? JSON.stringify(body) : body;
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: {
+          ...(json ? { 'content-type': 'application/json' } : {}),
+          ...(Buffer.isBuffer(body) ? { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` } : {}),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+      },
+      response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const raw = Buffer.concat(chunks);
+          const isJson = /json/.test(response.headers['content-type'] || '');
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: isJson ? JSON.parse(raw.toString()) : raw,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+describe('uploads', () => {
+  let dataDir;
+  let server;
+  let storage;
+  let blobStore;
+  let token;
+  let image;
+
+  beforeAll(async () => {
+    image = await sharp({
+      create: { width: 800, height: 400, channels: 3, background: { r: 200, g: 30, b: 90 } },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nba-uploads-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.SESSION_SECRET = 'test-session-secret';
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    process.env.MAX_UPLOAD_BYTES = String(64 * 1024);
+
+    let app;
+    jest.isolateModules(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage = require('../backend/storage');
+      blobStore = require('../backend/blobStore');
+      app = require('../backend/server');
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    const signup = await request(server, 'POST', '/auth/signup', {
+      body: { name: 'Abri', email: 'admin@example.com', password: 'pw123456', age_group: '25-34' },
+    });
+    token = signup.body.token;
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    storage.closeDatabase();
+    delete process.env.DATA_DIR;
+    delete process.env.SESSION_SECRET;
+    delete process.env.ADMIN_EMAILS;
+    delete process.env.MAX_UPLOAD_BYTES;
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  function upload(files) {
+    return request(server, 'POST', '/uploads', { token, body: multipart(files) });
+  }
+
+  it('stores the same image once, under its sha256', async () => {
+    const blobId = crypto.createHash('sha256').update(image).digest('hex');
+
+    const first = await upload([{ name: 'design.png', data: image }]);
+    expect(first.status).toBe(201);
+    expect(first.body.uploads).toEqual([
+      expect.objectContaining({ blobId, contentType: 'image/png', size: image.length, fileName: 'design.png' }),
+    ]);
+
+    const again = await upload([
+      { field: 'files', name: 'copy.png', data: image },
+      { field: 'files', name: 'copy-2.png', data: image },
+    ]);
+    expect(again.body.uploads.map(item => item.blobId)).toEqual([blobId, blobId]);
+    expect(storage.getDatabase().prepare('SELECT COUNT(*) AS count FROM blobs').get().count).toBe(1);
+
+    const served = await request(server, 'GET', `/uploads/${blobId}`);
+    expect(served.status).toBe(200);
+    expect(served.headers.etag).toBe(`"${blobId}"`);
+    expect(Buffer.compare(served.body, image)).toBe(0);
+    const cached = await request(server, 'GET', `/uploads/${blobId}`, {
+      headers: { 'if-none-match': `"${blobId}"` },
+    });
+    expect(cached.status).toBe(304);
+  });
+
+  it('rejects oversized files and anything that is not an image', async () => {
+    const oversized = await upload([{ name: 'huge.png', data: Buffer.alloc(65 * 1024, 1) }]);
+    expect(oversized.status).toBe(413);
+
+    // The bytes decide, not the file name.
+    const text = await upload([{ name: 'notes.png', data: Buffer.from('not an image') }]);
+    expect(text).toMatchObject({ status: 415, body: { code: expect.any(String) } });
+
+    const none = await request(server, 'POST', '/uploads', { token, body: multipart([]) });
+    expect(none.status).toBe(400);
+
+    const anonymous = await request(server, 'POST', '/uploads', {
+      body: multipart([{ name: 'a.png', data: image }]),
+    });
+    expect(anonymous.status).toBe(401);
+    expect(storage.getDatabase().prepare('SELECT COUNT(*) AS count FROM blobs').get().count).toBe(0);
+  });
+
+  it('answers storage failures with a 500 and keeps serving', async () => {
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(fs, 'writeFileSync').mockImplementationOnce(() => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+
+    const failed = await upload([{ name: 'design.png', data: image }]);
+    expect(failed).toMatchObject({ status: 500, body: { error: 'Something went wrong' } });
+
+    const retried = await upload([{ name: 'design.png', data: image }]);
+    expect(retried.status).toBe(201);
+  });
+
+  it('renders a WebP thumbnail no larger than 320px once', async () => {
+    const { blobId } = (await upload([{ name: 'design.png', data: image }])).body.uploads[0];
+
+    const thumbnail = await request(server, 'GET', `/uploads/${blobId}/thumbnail`);
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect(await sharp(thumbnail.body).metadata()).toMatchObject({ format: 'webp', width: 320, height: 160 });
+
+    const thumbnailFile = path.join(dataDir, 'blobs', 'thumbnails', `${blobId}.webp`);
+    const renderedAt = fs.statSync(thumbnailFile).mtimeMs;
+    await request(server, 'GET', `/uploads/${blobId}/thumbnail`);
+    expect(fs.statSync(thumbnailFile).mtimeMs).toBe(renderedAt);
+
+    const missing = await request(server, 'GET', `/uploads/${'0'.repeat(64)}/thumbnail`);
+    expect(missing.status).toBe(404);
+  });
+
+  it('collects blobs no order refers to once they are past the grace period', async () => {
+    const other = await sharp({
+      create: { width: 40, height: 40, channels: 3, background: { r: 0, g: 0, b: 0 } },
+    })
+      .png()
+      .toBuffer();
+    const [kept, orphan] = (
+      await upload([
+        { field: 'files', name: 'kept.png', data: image },
+        { field: 'files', name: 'orphan.png', data: other },
+      ])
+    ).body.uploads;
+    storage.transaction(state => {
+      state.orders.push({
+        id: 'order-1',
+        userId: 'user-1',
+        status: 'Submitted',
+        nailSets: [{ id: 'set-1', designUploads: [{ id: 'upload-1', url: kept.url }] }],
+      });
+    });
+
+    // Fresh uploads are kept until the order using them has had time to save.
+    expect(blobStore.collectGarbage()).toEqual({ deleted: [], kept: 2 });
+
+    const collected = await request(server, 'POST', '/uploads/gc', { token, body: { graceHours: 0 } });
+    expect(collected.body).toEqual({ deleted: [orphan.blobId], kept: 1 });
+    expect(blobStore.getBlob(orphan.blobId)).toBeNull();
+    expect(blobStore.getBlob(kept.blobId)).toMatchObject({ blobId: kept.blobId });
+    expect((await request(server, 'GET', `/uploads/${orphan.blobId}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  CapacityError,
+  describeCapacity,
+  setWeeklyCapacity,
+} = require('../backend/workloadCapacity');
+const { transitionOrderStatus } = require('../backend/orderTransitions');
+
+// Wednesday, March 4 2026 in the studio's time zone.
+const NOW = new Date('2026-03-04T18:00:00Z');
+
+function createState() {
+  return { workloadCapacity: [], notifications: [], promoCodes: [], promoCodeUsage: [] };
+}
+
+function draftOrder(id) {
+  return { id, status: 'draft', fulfillment: { method: 'pickup' } };
+}
+
+describe('weekly capacity', () => {
+  it('reserves a slot on submission and refuses once the week is full', () => {
+    const state = createState();
+    setWeeklyCapacity(state, 2, '2026-03-02');
+
+    const first = draftOrder('order-1');
+    const second = draftOrder('order-2');
+    transitionOrderStatus(state, first, 'Submitted', NOW);
+    transitionOrderStatus(state, second, 'Submitted', NOW);
+    expect(first.capacityWeekStart).toBe('2026-03-02');
+    expect(describeCapacity(state, NOW)).toMatchObject({ ordersCount: 2, remaining: 0, isFull: true });
+
+    const third = draftOrder('order-3');
+    let error;
+    try {
+      transitionOrderStatus(state, third, 'Submitted', NOW);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(CapacityError);
+    expect(error.status).toBe(409);
+    expect(error.message).toBe('Capacity full, next opening on Monday, March 9');
+    expect(error.nextOpening).toBe('2026-03-09');
+    expect(third.status).toBe('draft');
+  });
+
+  it('gives the slot back when an order is cancelled', () => {
+    const state = createState();
+    setWeeklyCapacity(state, 1, '2026-03-02');
+    const order = draftOrder('order-1');
+    transitionOrderStatus(state, order, 'Submitted', NOW);
+    transitionOrderStatus(state, order, 'Cancelled', NOW);
+
+    expect(order.capacityWeekStart).toBeNull();
+    expect(describeCapacity(state, NOW)).toMatchObject({ ordersCount: 0, remaining: 1 });
+    expect(() => transitionOrderStatus(state, draftOrder('order-2'), 'Submitted', NOW)).not.toThrow();
+  });
+
+  it('rejects capacities outside 1-1000', () => {
+    expect(() => setWeeklyCapacity(createState(), 0, '2026-03-02')).toThrow(
+      expect.objectContaining({ status: 400, code: 'invalid_capacity' }),
+    );
+  });
+});
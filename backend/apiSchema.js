@@ -0,0 +1,1414 @@
+const { PROMO_TYPES } = require('../shared/pricing');
+const { EXPORT_FORMATS } = require('../shared/orderExport');
+const { INVOICE_MIME_TYPE } = require('./invoice');
+const { MIN_PASSWORD_LENGTH } = require('./passwordReset');
+const { PRODUCTION_DOCUMENTS } = require('./productionDocuments');
+const { MAX_BATCH_UPDATES } = require('./orderAdmin');
+const { PRODUCTION_STAGES } = require('../shared/productionJobs');
+
+/**
+ * The backend's HTTP contract: every route with the schemas its input is
+ * validated against (validation.js) and the responses it documents. The
+ * OpenAPI document served at /openapi.json is built from the same table, so
+ * the two cannot drift apart.
+ *
+ * Request bodies accept unknown properties; only the fields a route reads
+ * are described. Response schemas list what clients can rely on.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const nullableRef = (name) => ({ anyOf: [ref(name), { type: 'null' }] });
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+const money = { type: 'number' };
+const stringList = {
+  anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+};
+
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. validation_failed' },
+      details: {
+        type: 'array',
+        description: 'Each problem found when code is validation_failed',
+        items: {
+          type: 'object',
+          required: ['in', 'path', 'message'],
+          properties: {
+            in: { enum: ['path', 'query', 'body'] },
+            path: { type: 'string', description: 'JSON pointer into the request part' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'name', 'email', 'role'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string' },
+      age_group: { type: 'string' },
+      role: { enum: ['user', 'admin'] },
+      pendingConsent: { type: 'boolean' },
+      consentStatus: { type: 'string' },
+      createdAt: dateTime,
+    },
+  },
+  ConsentLog: {
+    type: 'object',
+    required: ['id', 'userId', 'status', 'channel', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      userId: { type: 'string' },
+      status: { type: 'string' },
+      channel: { type: 'string' },
+      contact: nullable({ type: 'string' }),
+      createdAt: dateTime,
+    },
+  },
+  Session: {
+    type: 'object',
+    required: ['user', 'token'],
+    properties: {
+      user: ref('User'),
+      token: { type: 'string', description: 'Bearer token for authenticated routes' },
+      pendingConsent: { type: 'boolean' },
+      consentRequired: { type: 'boolean' },
+      consentDelivered: nullable({ type: 'boolean' }),
+      consentLog: ref('ConsentLog'),
+    },
+  },
+  Lockout: {
+    type: 'object',
+    required: ['locked', 'lockedUntil', 'failedLoginCount', 'maxFailedLogins'],
+    properties: {
+      locked: { type: 'boolean' },
+      lockedUntil: nullable(dateTime),
+      failedLoginCount: { type: 'integer' },
+      lastFailedLoginAt: nullable(dateTime),
+      maxFailedLogins: { type: 'integer' },
+    },
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } },
+  },
+  Shape: {
+    type: 'object',
+    required: ['id', 'name', 'basePrice'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      basePrice: money,
+    },
+  },
+  Upload: {
+    type: 'object',
+    required: ['blobId', 'url'],
+    properties: {
+      blobId: { type: 'string' },
+      url: { type: 'string' },
+      thumbnailUrl: { type: 'string' },
+      contentType: { type: 'string' },
+      fileName: nullable({ type: 'string' }),
+    },
+  },
+  Address: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      line1: { type: 'string' },
+      line2: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      postalCode: { type: 'string' },
+    },
+  },
+  FulfillmentInput: {
+    type: 'object',
+    description: 'method and speed must name a delivery method and one of its tiers',
+    properties: {
+      method: nonEmptyString,
+      speed: nonEmptyString,
+      address: nullableRef('Address'),
+    },
+  },
+  Fulfillment: {
+    type: 'object',
+    required: ['method', 'speed'],
+    properties: {
+      method: { type: 'string' },
+      speed: { type: 'string' },
+      address: nullableRef('Address'),
+    },
+  },
+  Sizes: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string' },
+      values: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+  },
+  DesignUploadInput: {
+    description: 'A reference to a blob from POST /uploads, or (older clients) inline base64',
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          blobId: { type: 'string' },
+          url: { type: 'string' },
+          fileName: nullable({ type: 'string' }),
+          data: { type: 'string' },
+        },
+      },
+    ],
+  },
+  NailSetInput: {
+    type: 'object',
+    required: ['shapeId'],
+    properties: {
+      id: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      shapeId: nonEmptyString,
+      quantity: { type: 'integer', minimum: 1 },
+      description: { type: 'string' },
+      setNotes: { type: 'string' },
+      designUploads: { type: 'array', items: ref('DesignUploadInput') },
+      sizes: ref('Sizes'),
+      requiresFollowUp: { type: 'boolean' },
+    },
+  },
+  NailSet: {
+    type: 'object',
+    required: ['id', 'shapeId', 'quantity'],
+    properties: {
+      id: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      shapeId: { type: 'string' },
+      quantity: { type: 'integer' },
+      description: { type: 'string' },
+      setNotes: { type: 'string' },
+      designUploads: { type: 'array', items: { type: 'object' } },
+      sizes: ref('Sizes'),
+      requiresFollowUp: { type: 'boolean' },
+    },
+  },
+  Pricing: {
+    type: 'object',
+    required: ['lineItems', 'subtotal', 'total'],
+    properties: {
+      lineItems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'label', 'amount'],
+          properties: {
+            id: { type: 'string' },
+            type: { type: 'string' },
+            label: { type: 'string' },
+            amount: money,
+          },
+        },
+      },
+      subtotal: money,
+      discounts: money,
+      tax: money,
+      total: money,
+      estimatedCompletionDays: { type: 'integer' },
+      estimatedCompletionDate: { type: 'string' },
+    },
+  },
+  Refund: {
+    type: 'object',
+    required: ['id', 'status', 'amount', 'method'],
+    properties: {
+      id: { type: 'string' },
+      status: { enum: ['pending', 'succeeded', 'failed'] },
+      amount: money,
+      method: { enum: ['stripe', 'manual'] },
+      reason: nullable({ type: 'string' }),
+      createdAt: dateTime,
+    },
+  },
+  Order: {
+    type: 'object',
+    required: ['id', 'userId', 'status', 'nailSets', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      userId: { type: 'string' },
+      status: { type: 'string' },
+      nailSets: { type: 'array', items: ref('NailSet') },
+      fulfillment: ref('Fulfillment'),
+      customerSizes: ref('Sizes'),
+      orderNotes: { type: 'string' },
+      promoCode: nullable({ type: 'string' }),
+      promoCodes: { type: 'array', items: { type: 'string' } },
+      pricing: ref('Pricing'),
+      refunds: { type: 'array', items: ref('Refund') },
+      productionJobs: { type: 'array', items: ref('ProductionJob') },
+      adminNotes: { type: 'string' },
+      trackingNumber: { type: 'string' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  ProductionJob: {
+    type: 'object',
+    required: ['id', 'nailSetId'],
+    properties: {
+      id: { type: 'string' },
+      orderId: { type: 'string' },
+      nailSetId: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      shapeId: { type: 'string' },
+      quantity: { type: 'integer' },
+      stage: { enum: PRODUCTION_STAGES, description: 'Missing on jobs stored before stages; counts as queued' },
+      stageUpdatedAt: nullable(dateTime),
+      stageHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['stage', 'at'],
+          properties: {
+            stage: { enum: PRODUCTION_STAGES },
+            at: dateTime,
+            staff: {
+              type: ['object', 'null'],
+              properties: { id: nullable({ type: 'string' }), name: nullable({ type: 'string' }) },
+            },
+          },
+        },
+      },
+    },
+  },
+  OrderEvent: {
+    type: 'object',
+    required: ['id', 'orderId', 'type', 'actor', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      orderId: { type: 'string' },
+      type: { type: 'string' },
+      actor: { type: 'object' },
+      from: {},
+      to: {},
+      metadata: {},
+      createdAt: dateTime,
+    },
+  },
+  OrderBatchResult: {
+    type: 'object',
+    required: ['orderId', 'ok'],
+    properties: {
+      orderId: { type: 'string' },
+      ok: { type: 'boolean' },
+      order: ref('Order'),
+      status: { type: 'integer', description: 'HTTP status the single-order update would have had' },
+      code: { type: 'string' },
+      error: { type: 'string' },
+      nextOpening: {},
+    },
+  },
+  PromoCodeInput: {
+    type: 'object',
+    properties: {
+      code: nonEmptyString,
+      description: nullable({ type: 'string' }),
+      type: { enum: PROMO_TYPES },
+      value: nullable({ type: 'number', minimum: 0 }),
+      applies_to: { type: 'string' },
+      min_order_amount: nullable({ type: 'number', minimum: 0 }),
+      start_date: nullable({ type: 'string' }),
+      end_date: nullable({ type: 'string' }),
+      max_uses: nullable({ type: 'integer', minimum: 0 }),
+      per_user_limit: nullable({ type: 'integer', minimum: 0 }),
+      combinable: { type: 'boolean' },
+      active: { type: 'boolean' },
+      metadata: { type: 'object' },
+    },
+  },
+  PromoCode: {
+    type: 'object',
+    required: ['id', 'code', 'type', 'active', 'uses_count'],
+    properties: {
+      id: { type: 'string' },
+      code: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      type: { enum: PROMO_TYPES },
+      value: nullable(money),
+      active: { type: 'boolean' },
+      combinable: { type: 'boolean' },
+      uses_count: { type: 'integer' },
+    },
+  },
+  DeliveryMethodInput: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString,
+      display_name: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      is_visible: { type: 'boolean' },
+      display_order: { type: 'integer' },
+    },
+  },
+  DeliveryTierInput: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString,
+      display_name: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      tagline: nullable({ type: 'string' }),
+      price: { type: 'number', minimum: 0 },
+      days: { type: 'integer', minimum: 0 },
+      is_visible: { type: 'boolean' },
+      is_default: { type: 'boolean' },
+      display_order: { type: 'integer' },
+    },
+  },
+  DeliveryTier: {
+    type: 'object',
+    required: ['id', 'delivery_method_id', 'name', 'price', 'days'],
+    properties: {
+      id: { type: 'string' },
+      delivery_method_id: { type: 'string' },
+      name: { type: 'string' },
+      display_name: { type: 'string' },
+      price: money,
+      days: { type: 'integer' },
+      is_visible: { type: 'boolean' },
+      is_default: { type: 'boolean' },
+    },
+  },
+  DeliveryMethod: {
+    type: 'object',
+    required: ['id', 'name', 'display_name', 'is_visible'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      display_name: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      is_visible: { type: 'boolean' },
+      display_order: { type: 'integer' },
+      tiers: { type: 'array', items: ref('DeliveryTier') },
+    },
+  },
+  DeliveryOptions: {
+    type: 'object',
+    description: 'Visible delivery methods keyed by name, in the shape shared/pricing takes',
+    additionalProperties: {
+      type: 'object',
+      required: ['id', 'label', 'speedOptions', 'defaultSpeed'],
+      properties: {
+        id: { type: 'string' },
+        label: { type: 'string' },
+        speedOptions: { type: 'object' },
+        defaultSpeed: { type: 'string' },
+      },
+    },
+  },
+  Liveness: {
+    type: 'object',
+    required: ['status', 'uptimeSeconds'],
+    properties: {
+      status: { const: 'ok' },
+      uptimeSeconds: { type: 'integer' },
+    },
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'checks'],
+    properties: {
+      status: { enum: ['ready', 'not_ready'] },
+      checks: {
+        type: 'object',
+        required: ['storage', 'stripe'],
+        additionalProperties: {
+          type: 'object',
+          required: ['ok'],
+          properties: { ok: { type: 'boolean' }, error: { type: 'string' } },
+        },
+      },
+    },
+  },
+  Capacity: {
+    type: 'object',
+    required: ['weekStart', 'weeklyCapacity', 'ordersCount', 'remaining', 'isFull', 'nextOpening'],
+    properties: {
+      weekStart: date,
+      weeklyCapacity: { type: 'integer' },
+      ordersCount: { type: 'integer' },
+      remaining: { type: 'integer' },
+      isFull: { type: 'boolean' },
+      nextWeekStart: date,
+      nextOpening: date,
+    },
+  },
+};
+
+const userIdParam = { userId: nonEmptyString };
+const orderIdParam = { orderId: nonEmptyString };
+const blobIdParam = { blobId: { type: 'string', pattern: '^[a-f0-9]{64}$' } };
+const tokenParam = { token: nonEmptyString };
+const methodIdParam = { methodId: nonEmptyString };
+const tierIdParam = { tierId: nonEmptyString };
+
+const object = (properties, required = []) => ({ type: 'object', required, properties });
+const json = (schema) => ({ 'application/json': schema });
+const HTML = { 'text/html': { schema: { type: 'string' } } };
+const IMAGE = { 'image/*': { schema: { type: 'string', format: 'binary' } } };
+const ORDER_EXPORT = {
+  [EXPORT_FORMATS.csv.mimeType]: { schema: { type: 'string' } },
+  [EXPORT_FORMATS.xlsx.mimeType]: { schema: { type: 'string', format: 'binary' } },
+};
+const PDF = { [INVOICE_MIME_TYPE]: { schema: { type: 'string', format: 'binary' } } };
+// Responses that are not JSON; their entries are already media types.
+const NON_JSON_RESPONSES = [HTML, IMAGE, ORDER_EXPORT, PDF];
+
+/**
+ * Every route the server registers. `auth` is 'user' (bearer token),
+ * 'pendingConsent' (a token for an account still waiting on a guardian is
+ * enough), 'admin' or 'none'. Form and multipart bodies (`bodyType`) and the
+ * webhook's signed `rawBody` are documented here but checked by their
+ * handlers, which answer with HTML or need the exact bytes.
+ */
+const ROUTES = [
+  {
+    method: 'post',
+    path: '/auth/signup',
+    summary: 'Create an account; 13-17 year olds need a guardian to approve it',
+    tags: ['auth'],
+    auth: 'none',
+    body: object(
+      {
+        name: { type: 'string', pattern: '\\S' },
+        email: { type: 'string', format: 'email' },
+        password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+        age_group: { enum: ['13-17', '18-24', '25-34', '35-44', '45-54', '55+'] },
+        parent_email: nullable({ type: 'string' }),
+        parent_phone: nullable({ type: 'string' }),
+      },
+      ['name', 'email', 'password', 'age_group'],
+    ),
+    responses: { 201: ref('Session'), 400: ref('Error'), 409: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/auth/login',
+    summary: 'Sign in with email and password',
+    tags: ['auth'],
+    auth: 'none',
+    body: object({ email: nonEmptyString, password: nonEmptyString }, ['email', 'password']),
+    responses: {
+      200: ref('Session'),
+      400: ref('Error'),
+      401: ref('Error'),
+      423: ref('Error'),
+      429: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/users/:userId/lockout',
+    summary: 'Login lockout status of an account',
+    tags: ['users'],
+    auth: 'admin',
+    params: userIdParam,
+    responses: { 200: object({ lockout: ref('Lockout') }, ['lockout']), 404: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/users/:userId/unlock',
+    summary: 'Lift a login lockout',
+    tags: ['users'],
+    auth: 'admin',
+    params: userIdParam,
+    responses: { 200: object({ lockout: ref('Lockout') }, ['lockout']), 404: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/auth/password-reset/request',
+    summary: 'Email a password reset link; answers the same whether or not the account exists',
+    tags: ['auth'],
+    auth: 'none',
+    body: object({ email: { type: 'string', pattern: '\\S' } }, ['email']),
+    responses: { 202: ref('Message'), 400: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/auth/password-reset',
+    summary: 'Set a new password with a reset token',
+    tags: ['auth'],
+    auth: 'none',
+    body: object(
+      { token: nonEmptyString, password: { type: 'string', minLength: MIN_PASSWORD_LENGTH } },
+      ['token', 'password'],
+    ),
+    responses: {
+      200: ref('Message'),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+      410: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/reset-password/:token',
+    summary: 'Password reset page linked from the email',
+    tags: ['pages'],
+    auth: 'none',
+    params: tokenParam,
+    responses: { 200: HTML, 404: HTML, 409: HTML, 410: HTML },
+  },
+  {
+    method: 'post',
+    path: '/reset-password/:token',
+    summary: 'Password reset form submission',
+    tags: ['pages'],
+    auth: 'none',
+    params: tokenParam,
+    bodyType: 'application/x-www-form-urlencoded',
+    body: object(
+      { password: { type: 'string' }, confirm_password: { type: 'string' } },
+      ['password', 'confirm_password'],
+    ),
+    responses: { 200: HTML, 400: HTML, 404: HTML, 409: HTML, 410: HTML },
+  },
+  {
+    method: 'post',
+    path: '/auth/consent',
+    summary: 'Approve or deny a parental consent request',
+    tags: ['consent'],
+    auth: 'none',
+    body: object(
+      {
+        token: nonEmptyString,
+        approver_name: nullable({ type: 'string' }),
+        decision: { enum: ['approve', 'deny'], default: 'approve' },
+      },
+      ['token'],
+    ),
+    responses: {
+      200: object({ user: ref('User'), consentLog: ref('ConsentLog') }, ['user', 'consentLog']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+      410: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/auth/consent/status',
+    summary: "Consent status of the signed-in account",
+    tags: ['consent'],
+    auth: 'pendingConsent',
+    responses: {
+      200: object(
+        {
+          user: ref('User'),
+          pendingConsent: { type: 'boolean' },
+          consentLog: nullableRef('ConsentLog'),
+        },
+        ['user', 'pendingConsent', 'consentLog'],
+      ),
+    },
+  },
+  {
+    method: 'post',
+    path: '/auth/consent/resend',
+    summary: 'Send a fresh consent link, optionally to a corrected guardian contact',
+    tags: ['consent'],
+    auth: 'pendingConsent',
+    body: object({
+      parent_email: nullable({ type: 'string' }),
+      parent_phone: nullable({ type: 'string' }),
+    }),
+    responses: {
+      200: object(
+        { consentDelivered: { type: 'boolean' }, consentLog: ref('ConsentLog') },
+        ['consentDelivered', 'consentLog'],
+      ),
+      400: ref('Error'),
+      409: ref('Error'),
+      502: object(
+        { consentDelivered: { type: 'boolean' }, consentLog: ref('ConsentLog') },
+        ['consentDelivered', 'consentLog'],
+      ),
+    },
+  },
+  {
+    method: 'get',
+    path: '/consent/:token',
+    summary: 'Guardian consent page linked from the consent message',
+    tags: ['pages'],
+    auth: 'none',
+    params: tokenParam,
+    responses: { 200: HTML, 404: HTML, 409: HTML, 410: HTML },
+  },
+  {
+    method: 'post',
+    path: '/consent/:token',
+    summary: 'Guardian consent form submission',
+    tags: ['pages'],
+    auth: 'none',
+    params: tokenParam,
+    bodyType: 'application/x-www-form-urlencoded',
+    body: object(
+      { decision: { enum: ['approve', 'deny'] }, approver_name: { type: 'string' } },
+      ['decision'],
+    ),
+    responses: { 200: HTML, 400: HTML, 404: HTML, 409: HTML, 410: HTML },
+  },
+  {
+    method: 'get',
+    path: '/auth/consent/logs',
+    summary: 'All consent records',
+    tags: ['consent'],
+    auth: 'admin',
+    responses: {
+      200: object(
+        { logs: { type: 'array', items: ref('ConsentLog') }, count: { type: 'integer' } },
+        ['logs', 'count'],
+      ),
+    },
+  },
+  {
+    method: 'get',
+    path: '/catalog/shapes',
+    summary: 'Nail shapes and their base prices',
+    tags: ['catalog'],
+    auth: 'none',
+    responses: { 200: object({ shapes: { type: 'array', items: ref('Shape') } }, ['shapes']) },
+  },
+  {
+    method: 'post',
+    path: '/uploads',
+    summary: 'Upload design images as "file" or "files"',
+    tags: ['uploads'],
+    auth: 'user',
+    bodyType: 'multipart/form-data',
+    body: object({
+      file: { type: 'string', format: 'binary' },
+      files: { type: 'array', items: { type: 'string', format: 'binary' } },
+    }),
+    responses: {
+      201: object({ uploads: { type: 'array', items: ref('Upload') } }, ['uploads']),
+      400: ref('Error'),
+      413: ref('Error'),
+      415: ref('Error'),
+      500: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/uploads/:blobId',
+    summary: 'An uploaded image; the URL never changes for the same bytes',
+    tags: ['uploads'],
+    auth: 'none',
+    params: blobIdParam,
+    responses: { 200: IMAGE, 304: null, 400: ref('Error'), 404: ref('Error') },
+  },
+  {
+    method: 'get',
+    path: '/uploads/:blobId/thumbnail',
+    summary: 'A WebP thumbnail of an uploaded image',
+    tags: ['uploads'],
+    auth: 'none',
+    params: blobIdParam,
+    responses: { 200: IMAGE, 304: null, 400: ref('Error'), 404: ref('Error'), 500: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/uploads/gc',
+    summary: 'Delete uploads no order refers to',
+    tags: ['uploads'],
+    auth: 'admin',
+    body: object({ graceHours: { type: 'number', minimum: 0 } }),
+    responses: { 200: { type: 'object' } },
+  },
+  {
+    method: 'post',
+    path: '/promo-codes/validate',
+    summary: 'Quote promo codes against an order without using them up',
+    tags: ['promo codes'],
+    auth: 'user',
+    body: {
+      type: 'object',
+      anyOf: [{ required: ['promoCode'] }, { required: ['promoCodes'] }],
+      properties: {
+        promoCode: { type: 'string' },
+        promoCodes: stringList,
+        nailSets: { type: 'array', items: ref('NailSetInput') },
+        fulfillment: ref('FulfillmentInput'),
+        orderId: nullable({ type: 'string' }),
+      },
+    },
+    responses: {
+      200: object({ valid: { const: true }, pricing: ref('Pricing') }, ['valid', 'pricing']),
+      400: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/promo-codes',
+    summary: 'All promo codes',
+    tags: ['promo codes'],
+    auth: 'admin',
+    responses: {
+      200: object(
+        { promoCodes: { type: 'array', items: ref('PromoCode') }, count: { type: 'integer' } },
+        ['promoCodes', 'count'],
+      ),
+    },
+  },
+  {
+    method: 'post',
+    path: '/promo-codes',
+    summary: 'Create a promo code',
+    tags: ['promo codes'],
+    auth: 'admin',
+    body: { ...ref('PromoCodeInput'), required: ['code', 'type'] },
+    responses: {
+      201: object({ promoCode: ref('PromoCode') }, ['promoCode']),
+      400: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'patch',
+    path: '/promo-codes/:promoCodeId',
+    summary: 'Change a promo code',
+    tags: ['promo codes'],
+    auth: 'admin',
+    params: { promoCodeId: nonEmptyString },
+    body: ref('PromoCodeInput'),
+    responses: {
+      200: object({ promoCode: ref('PromoCode') }, ['promoCode']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/delivery-methods',
+    summary: 'Visible delivery methods and speeds',
+    tags: ['delivery'],
+    auth: 'none',
+    responses: { 200: object({ deliveryMethods: ref('DeliveryOptions') }, ['deliveryMethods']) },
+  },
+  {
+    method: 'get',
+    path: '/delivery-methods/all',
+    summary: 'Stored delivery methods with their tiers, hidden ones included',
+    tags: ['delivery'],
+    auth: 'admin',
+    responses: {
+      200: object(
+        { deliveryMethods: { type: 'array', items: ref('DeliveryMethod') } },
+        ['deliveryMethods'],
+      ),
+    },
+  },
+  {
+    method: 'post',
+    path: '/delivery-methods',
+    summary: 'Create a delivery method',
+    tags: ['delivery'],
+    auth: 'admin',
+    body: { ...ref('DeliveryMethodInput'), required: ['name'] },
+    responses: {
+      201: object({ deliveryMethod: ref('DeliveryMethod') }, ['deliveryMethod']),
+      400: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'patch',
+    path: '/delivery-methods/:methodId',
+    summary: 'Change a delivery method',
+    tags: ['delivery'],
+    auth: 'admin',
+    params: methodIdParam,
+    body: ref('DeliveryMethodInput'),
+    responses: {
+      200: object({ deliveryMethod: ref('DeliveryMethod') }, ['deliveryMethod']),
+      400: ref('Error'),
+      404: ref('Error'),
+    },
+  },
+  {
+    method: 'delete',
+    path: '/delivery-methods/:methodId',
+    summary: 'Delete a delivery method no order uses',
+    tags: ['delivery'],
+    auth: 'admin',
+    params: methodIdParam,
+    responses: { 204: null, 404: ref('Error'), 409: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/delivery-methods/:methodId/tiers',
+    summary: 'Add a speed tier to a delivery method',
+    tags: ['delivery'],
+    auth: 'admin',
+    params: methodIdParam,
+    body: { ...ref('DeliveryTierInput'), required: ['name', 'price', 'days'] },
+    responses: {
+      201: object({ deliveryTier: ref('DeliveryTier') }, ['deliveryTier']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'patch',
+    path: '/delivery-tiers/:tierId',
+    summary: 'Change a speed tier',
+    tags: ['delivery'],
+    auth: 'admin',
+    params: tierIdParam,
+    body: ref('DeliveryTierInput'),
+    responses: {
+      200: object({ deliveryTier: ref('DeliveryTier') }, ['deliveryTier']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'delete',
+    path: '/delivery-tiers/:tierId',
+    summary: 'Delete a speed tier no order uses',
+    tags: ['delivery'],
+    auth: 'admin',
+    params: tierIdParam,
+    responses: { 204: null, 404: ref('Error'), 409: ref('Error') },
+  },
+  {
+    method: 'get',
+    path: '/capacity',
+    summary: "This week's order capacity",
+    tags: ['capacity'],
+    auth: 'user',
+    responses: { 200: object({ capacity: ref('Capacity') }, ['capacity']) },
+  },
+  {
+    method: 'patch',
+    path: '/capacity',
+    summary: 'Set the weekly capacity from a week on (this week by default)',
+    tags: ['capacity'],
+    auth: 'admin',
+    body: object(
+      { weeklyCapacity: { type: 'integer', minimum: 1, maximum: 1000 }, weekStart: date },
+      ['weeklyCapacity'],
+    ),
+    responses: {
+      200: object({ week: { type: 'object' }, capacity: ref('Capacity') }, ['week', 'capacity']),
+      400: ref('Error'),
+    },
+  },
+  {
+    method: 'post',
+    path: '/orders',
+    summary: 'Create an order, or update one when id is given',
+    tags: ['orders'],
+    auth: 'user',
+    idempotent: true,
+    body: object(
+      {
+        id: { type: 'string' },
+        userId: { type: 'string' },
+        nailSets: { type: 'array', minItems: 1, items: ref('NailSetInput') },
+        fulfillment: ref('FulfillmentInput'),
+        customerSizes: ref('Sizes'),
+        orderNotes: { type: 'string' },
+        promoCode: nullable({ type: 'string' }),
+        promoCodes: stringList,
+        status: { type: 'string' },
+      },
+      ['nailSets'],
+    ),
+    responses: {
+      200: object({ order: ref('Order') }, ['order']),
+      201: object({ order: ref('Order') }, ['order']),
+      400: ref('Error'),
+      403: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/orders',
+    summary: 'Orders, newest first, filtered and paged by cursor',
+    tags: ['orders'],
+    auth: 'user',
+    query: {
+      sort: { enum: ['createdAt', 'updatedAt', 'paidAt', 'total'] },
+      order: { type: 'string', pattern: '^(asc|desc|ASC|DESC)$' },
+      limit: { type: 'integer', minimum: 1 },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      userId: { type: 'string' },
+      status: { ...stringList, description: 'Comma-separated statuses' },
+      fulfillmentMethod: { ...stringList, description: 'Comma-separated delivery methods' },
+      q: { type: 'string' },
+      cursor: { type: 'string' },
+    },
+    responses: {
+      200: object(
+        {
+          orders: { type: 'array', items: ref('Order') },
+          nextCursor: nullable({ type: 'string' }),
+          count: { type: 'integer' },
+        },
+        ['orders', 'nextCursor', 'count'],
+      ),
+      400: ref('Error'),
+      403: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/orders/export',
+    summary: 'Orders as a CSV or XLSX file for bookkeeping, one row per nail set',
+    tags: ['orders'],
+    auth: 'admin',
+    query: {
+      format: { enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+      from: { type: 'string', description: 'Created on or after (YYYY-MM-DD or ISO time)' },
+      to: { type: 'string', description: 'Created on or before; a bare date includes that day' },
+      userId: { type: 'string' },
+      status: { ...stringList, description: 'Comma-separated statuses' },
+      fulfillmentMethod: { ...stringList, description: 'Comma-separated delivery methods' },
+      q: { type: 'string' },
+    },
+    responses: { 200: ORDER_EXPORT, 400: ref('Error') },
+  },
+  {
+    method: 'get',
+    path: '/orders/:orderId',
+    summary: 'An order',
+    tags: ['orders'],
+    auth: 'user',
+    params: orderIdParam,
+    responses: { 200: object({ order: ref('Order') }, ['order']), 404: ref('Error') },
+  },
+  {
+    method: 'get',
+    path: '/orders/:orderId/events',
+    summary: "An order's history",
+    tags: ['orders'],
+    auth: 'user',
+    params: orderIdParam,
+    responses: {
+      200: object({ events: { type: 'array', items: ref('OrderEvent') } }, ['events']),
+      404: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/orders/:orderId/invoice',
+    summary: "The order's PDF invoice, or its receipt once paid",
+    tags: ['orders'],
+    auth: 'user',
+    params: orderIdParam,
+    responses: { 200: PDF, 404: ref('Error'), 409: ref('Error') },
+  },
+  {
+    method: 'post',
+    path: '/orders/:orderId/invoice/email',
+    summary: "Email the invoice or receipt PDF to the order's customer",
+    tags: ['orders'],
+    auth: 'user',
+    params: orderIdParam,
+    responses: {
+      200: object(
+        { sent: { const: true }, kind: { enum: ['invoice', 'receipt'] }, to: { type: 'string' } },
+        ['sent', 'kind', 'to'],
+      ),
+      404: ref('Error'),
+      409: ref('Error'),
+      502: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/orders/:orderId/production-sheets',
+    summary: 'A printable production sheet for each nail set in the order',
+    tags: ['production'],
+    auth: 'admin',
+    params: orderIdParam,
+    responses: { 200: PDF, 404: ref('Error'), 409: ref('Error') },
+  },
+  {
+    method: 'get',
+    path: '/orders/:orderId/packing-slip',
+    summary: "The order's printable packing slip",
+    tags: ['production'],
+    auth: 'admin',
+    params: orderIdParam,
+    responses: { 200: PDF, 404: ref('Error'), 409: ref('Error') },
+  },
+  {
+    method: 'get',
+    path: '/production/documents',
+    summary: 'Production sheets and packing slips for every open order due in a week, for batch printing',
+    tags: ['production'],
+    auth: 'admin',
+    query: {
+      week: { ...date, description: 'Any day of the studio week; this week by default' },
+      include: {
+        ...stringList,
+        description: `Comma-separated documents to print: ${PRODUCTION_DOCUMENTS.join(', ')} (all by default)`,
+      },
+    },
+    responses: { 200: PDF, 400: ref('Error') },
+  },
+  {
+    method: 'patch',
+    path: '/orders/:orderId',
+    summary: 'Change status, notes, images, discount or tracking number',
+    tags: ['orders'],
+    auth: 'admin',
+    params: orderIdParam,
+    body: object({
+      status: { type: 'string' },
+      adminNotes: { type: 'string' },
+      adminImages: { type: 'array', items: { type: 'string' } },
+      discount: { type: 'number' },
+      trackingNumber: nullable({ type: 'string' }),
+    }),
+    responses: {
+      200: object({ order: ref('Order') }, ['order']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'patch',
+    path: '/orders/:orderId/production-jobs/:jobId',
+    summary: "Move a nail set's production job to another stage; the order is ready once every set is packed",
+    tags: ['production'],
+    auth: 'admin',
+    params: { ...orderIdParam, jobId: nonEmptyString },
+    body: object(
+      {
+        stage: { enum: PRODUCTION_STAGES },
+        staffName: { type: 'string', description: 'Who did the work; the signed-in admin by default' },
+      },
+      ['stage'],
+    ),
+    responses: {
+      200: object({ order: ref('Order') }, ['order']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+    },
+  },
+  {
+    method: 'patch',
+    path: '/orders',
+    summary: 'Change several orders at once; each result says whether its order changed',
+    tags: ['orders'],
+    auth: 'admin',
+    body: object(
+      {
+        updates: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_BATCH_UPDATES,
+          items: object(
+            {
+              orderId: nonEmptyString,
+              status: { type: 'string' },
+              adminNote: { type: 'string', description: 'Added below the existing admin notes' },
+              trackingNumber: nullable({ type: 'string' }),
+            },
+            ['orderId'],
+          ),
+        },
+      },
+      ['updates'],
+    ),
+    responses: {
+      200: object(
+        {
+          results: { type: 'array', items: ref('OrderBatchResult') },
+          updated: { type: 'integer' },
+          failed: { type: 'integer' },
+        },
+        ['results', 'updated', 'failed'],
+      ),
+      400: ref('Error'),
+    },
+  },
+  {
+    method: 'post',
+    path: '/orders/:orderId/payment-intent',
+    summary: 'Start (or reuse) a Stripe payment for the order total',
+    tags: ['payments'],
+    auth: 'user',
+    idempotent: true,
+    params: orderIdParam,
+    responses: {
+      200: object(
+        { clientSecret: { type: 'string' }, order: ref('Order') },
+        ['clientSecret', 'order'],
+      ),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+      500: ref('Error'),
+    },
+  },
+  {
+    method: 'post',
+    path: '/orders/:orderId/complete',
+    summary: 'Mark the order paid once Stripe reports its payment succeeded',
+    tags: ['payments'],
+    auth: 'user',
+    idempotent: true,
+    params: orderIdParam,
+    body: object({ paymentIntentId: nullable({ type: 'string' }) }),
+    responses: {
+      200: object({ order: ref('Order') }, ['order']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+      500: ref('Error'),
+      502: ref('Error'),
+    },
+  },
+  {
+    method: 'post',
+    path: '/orders/:orderId/refunds',
+    summary: 'Refund the order in full or by line item',
+    tags: ['payments'],
+    auth: 'admin',
+    idempotent: true,
+    params: orderIdParam,
+    body: object({
+      lineItems: {
+        type: 'array',
+        items: object(
+          { id: nonEmptyString, amount: { type: 'number', exclusiveMinimum: 0 } },
+          ['id'],
+        ),
+      },
+      reason: nullable({ type: 'string' }),
+      method: { enum: ['stripe', 'manual'] },
+      note: nullable({ type: 'string' }),
+    }),
+    responses: {
+      201: object({ refund: ref('Refund'), order: ref('Order') }, ['refund', 'order']),
+      400: ref('Error'),
+      404: ref('Error'),
+      409: ref('Error'),
+      502: ref('Error'),
+    },
+  },
+  {
+    method: 'post',
+    path: '/payments/webhook',
+    summary: 'Stripe events, verified by the Stripe-Signature header',
+    tags: ['payments'],
+    auth: 'none',
+    rawBody: true,
+    body: object(
+      { id: { type: 'string' }, type: { type: 'string' }, data: { type: 'object' } },
+      ['id', 'type', 'data'],
+    ),
+    responses: {
+      200: object(
+        {
+          received: { const: true },
+          duplicate: { type: 'boolean' },
+          handled: { type: 'boolean' },
+          orderId: nullable({ type: 'string' }),
+        },
+        ['received'],
+      ),
+      400: { type: 'string' },
+      500: ref('Error'),
+    },
+  },
+  {
+    method: 'get',
+    path: '/healthz',
+    summary: 'Liveness: the process is up',
+    tags: ['meta'],
+    auth: 'none',
+    responses: { 200: ref('Liveness') },
+  },
+  {
+    method: 'get',
+    path: '/readyz',
+    summary: 'Readiness: storage is readable and Stripe is configured',
+    tags: ['meta'],
+    auth: 'none',
+    responses: { 200: ref('Readiness'), 503: ref('Readiness') },
+  },
+  {
+    method: 'get',
+    path: '/openapi.json',
+    summary: 'This document',
+    tags: ['meta'],
+    auth: 'none',
+    responses: { 200: { type: 'object' } },
+  },
+];
+
+const SECURITY = {
+  user: [{ bearerAuth: [] }],
+  pendingConsent: [{ bearerAuth: [] }],
+  admin: [{ bearerAuth: [] }],
+  none: [],
+};
+
+// Answered by auth.js before the route runs: 401 without a valid session,
+// 403 for consent-restricted accounts (consent_required) and non-admins.
+const AUTH_RESPONSES = {
+  user: { 401: ref('Error'), 403: ref('Error') },
+  pendingConsent: { 401: ref('Error') },
+  admin: { 401: ref('Error'), 403: ref('Error') },
+  none: {},
+};
+
+// What idempotency.js answers for a key that is too long, still in use or
+// reused with another body.
+const IDEMPOTENCY_RESPONSES = { 400: ref('Error'), 409: ref('Error'), 422: ref('Error') };
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function findRoute(method, path) {
+  return ROUTES.find((route) => route.method === method && route.path === path) || null;
+}
+
+function buildParameters(route) {
+  const parameters = [];
+  Object.entries(route.params || {}).forEach(([name, schema]) => {
+    parameters.push({ name, in: 'path', required: true, schema });
+  });
+  Object.entries(route.query || {}).forEach(([name, schema]) => {
+    const { description, ...rest } = schema;
+    parameters.push({ name, in: 'query', required: false, description, schema: rest });
+  });
+  if (route.idempotent) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key get the first response back',
+      schema: { type: 'string' },
+    });
+  }
+  return parameters;
+}
+
+// Sent with every response (logger.js).
+const RESPONSE_HEADERS = {
+  'X-Request-Id': {
+    description: "Id of the request in the server's logs; echoes a valid incoming X-Request-Id",
+    schema: { type: 'string' },
+  },
+};
+
+function buildResponses(route) {
+  const documented = {
+    ...AUTH_RESPONSES[route.auth],
+    ...(route.idempotent ? IDEMPOTENCY_RESPONSES : {}),
+    ...route.responses,
+  };
+  return Object.entries(documented).reduce((responses, [status, schema]) => {
+    const description = Number(status) < 400 ? 'Success' : 'Error';
+    if (!schema) {
+      responses[status] = { description, headers: RESPONSE_HEADERS };
+    } else if (NON_JSON_RESPONSES.includes(schema)) {
+      responses[status] = { description, headers: RESPONSE_HEADERS, content: schema };
+    } else {
+      responses[status] = {
+        description,
+        headers: RESPONSE_HEADERS,
+        content:
+          route.rawBody && Number(status) >= 400 ? { 'text/plain': { schema } } : json({ schema }),
+      };
+    }
+    return responses;
+  }, {});
+}
+
+/**
+ * The OpenAPI 3.1 document for ROUTES. Schemas are JSON Schema 2020-12, so
+ * validation.js validates against this document directly.
+ */
+function buildOpenApiDocument({ serverUrl = null } = {}) {
+  const paths = {};
+  ROUTES.forEach((route) => {
+    const operation = {
+      operationId: `${route.method}${toOpenApiPath(route.path)
+        .replace(/[{}]/g, '')
+        .replace(/[^a-zA-Z0-9]+(.)?/g, (_match, next) => (next ? next.toUpperCase() : ''))}`,
+      summary: route.summary,
+      tags: route.tags,
+      security: SECURITY[route.auth],
+      parameters: buildParameters(route),
+      responses: buildResponses(route),
+    };
+    if (route.body) {
+      operation.requestBody = {
+        required: Boolean(route.body.required && route.body.required.length),
+        content: { [route.bodyType || 'application/json']: { schema: route.body } },
+      };
+    }
+    paths[toOpenApiPath(route.path)] = {
+      ...paths[toOpenApiPath(route.path)],
+      [route.method]: operation,
+    };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Nails by Abri API',
+      version: '1.0.0',
+      description:
+        'Errors are JSON bodies with a human-readable error and a machine-readable code.',
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths,
+    components: {
+      schemas: COMPONENTS,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session token from /auth/login',
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  ROUTES,
+  findRoute,
+  toOpenApiPath,
+  buildOpenApiDocument,
+};
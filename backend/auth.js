@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { readRecord } = require('./storage');
+const { isConsentRestricted } = require('./parentalConsent');
+const { logger } = require('./logger');
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+let sessionSecret = process.env.SESSION_SECRET || '';
+
+if (!sessionSecret) {
+  // A per-process secret keeps local development working, but every restart
+  // signs everybody out.
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn(
+    'SESSION_SECRET not set. Using a random secret; session tokens will not survive a restart.',
+  );
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(payloadSegment) {
+  return crypto.createHmac('sha256', sessionSecret).update(payloadSegment).digest('base64url');
+}
+
+function resolveRole(user) {
+  if (!user) {
+    return null;
+  }
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  const email = typeof user.email === 'string' ? user.email.toLowerCase() : '';
+  return ADMIN_EMAILS.includes(email) ? 'admin' : 'user';
+}
+
+/**
+ * Issue a signed session token for a user. Tokens carry the user's
+ * sessionVersion so bumping it on the user record revokes every token
+ * issued before.
+ */
+function createSessionToken(user) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: user.id,
+    ver: user.sessionVersion || 0,
+    iat: issuedAt,
+    exp: issuedAt + SESSION_TTL_HOURS * 60 * 60,
+  };
+  const payloadSegment = base64UrlEncode(JSON.stringify(payload));
+  return `${payloadSegment}.${sign(payloadSegment)}`;
+}
+
+function verifySessionToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [payloadSegment, signature] = token.split('.');
+  if (!payloadSegment || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payloadSegment));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || !payload.sub || typeof payload.exp !== 'number') {
+    return null;
+  }
+  if (payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token.trim() : null;
+}
+
+function resolveSession(req) {
+  const payload = verifySessionToken(readBearerToken(req));
+  if (!payload) {
+    return null;
+  }
+  const user = readRecord('users', payload.sub);
+  if (!user || (user.sessionVersion || 0) !== payload.ver) {
+    return null;
+  }
+  return {
+    userId: user.id,
+    email: user.email,
+    role: resolveRole(user),
+    consentRestricted: isConsentRestricted(user),
+  };
+}
+
+/**
+ * Require a valid session. The caller is exposed as req.auth
+ * ({ userId, email, role, consentRestricted }). Accounts still waiting for
+ * (or denied) parental consent are turned away.
+ */
+function authenticate(req, res, next) {
+  return authenticateAllowingPendingConsent(req, res, () => {
+    if (req.auth.consentRestricted) {
+      return res.status(403).json({
+        error: 'Parental consent is required before this account can be used',
+        code: 'consent_required',
+        pendingConsent: true,
+      });
+    }
+    return next();
+  });
+}
+
+/**
+ * Like authenticate(), but lets consent-restricted accounts through. Only
+ * for the routes such an account needs to get approved.
+ */
+function authenticateAllowingPendingConsent(req, res, next) {
+  const session = resolveSession(req);
+  if (!session) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.auth = session;
+  return next();
+}
+
+function requireAdmin(req, res, next) {
+  return authenticate(req, res, () => {
+    if (req.auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    return next();
+  });
+}
+
+function isAdmin(req) {
+  return Boolean(req.auth && req.auth.role === 'admin');
+}
+
+/**
+ * Whether the authenticated caller may act on records owned by userId.
+ */
+function canAccessUser(req, userId) {
+  return isAdmin(req) || Boolean(req.auth && userId && req.auth.userId === userId);
+}
+
+module.exports = {
+  authenticate,
+  authenticateAllowingPendingConsent,
+  requireAdmin,
+  isAdmin,
+  canAccessUser,
+  createSessionToken,
+  verifySessionToken,
+  resolveRole,
+};
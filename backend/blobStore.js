@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getDataDir, getDatabase, transaction } = require('./storage');
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+const BLOB_GC_GRACE_HOURS = Number(process.env.BLOB_GC_GRACE_HOURS) || 24;
+const THUMBNAIL_SIZE = 320;
+const BLOB_ID_PATTERN = /^[a-f0-9]{64}$/;
+const BLOB_URL_PATTERN = /\/uploads\/([a-f0-9]{64})(?:\/thumbnail)?$/;
+
+function startsWithAscii(buffer, offset, text) {
+  return buffer.subarray(offset, offset + text.length).toString('latin1') === text;
+}
+
+// Image formats the app lets customers pick, recognised by their magic bytes
+// rather than whatever content type the client claims.
+const IMAGE_SIGNATURES = [
+  {
+    contentType: 'image/jpeg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    contentType: 'image/png',
+    matches: (buffer) => buffer[0] === 0x89 && startsWithAscii(buffer, 1, 'PNG\r\n\x1a\n'),
+  },
+  {
+    contentType: 'image/gif',
+    matches: (buffer) => startsWithAscii(buffer, 0, 'GIF87a') || startsWithAscii(buffer, 0, 'GIF89a'),
+  },
+  {
+    contentType: 'image/webp',
+    matches: (buffer) => startsWithAscii(buffer, 0, 'RIFF') && startsWithAscii(buffer, 8, 'WEBP'),
+  },
+  {
+    contentType: 'image/heic',
+    matches: (buffer) =>
+      startsWithAscii(buffer, 4, 'ftyp') &&
+      ['heic', 'heix', 'mif1', 'msf1'].some((brand) => startsWithAscii(buffer, 8, brand)),
+  },
+];
+
+class BlobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BlobError';
+    this.status = status;
+  }
+}
+
+function blobDir() {
+  return path.join(getDataDir(), 'blobs');
+}
+
+function blobPath(blobId) {
+  return path.join(blobDir(), blobId.slice(0, 2), blobId);
+}
+
+function thumbnailPath(blobId) {
+  return path.join(blobDir(), 'thumbnails', `${blobId}.webp`);
+}
+
+// Write via a temp file so a crash never leaves a truncated blob behind a
+// valid content hash.
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+function describeBlob(row) {
+  return {
+    blobId: row.id,
+    contentType: row.content_type,
+    size: row.size,
+    url: `/uploads/${row.id}`,
+    thumbnailUrl: `/uploads/${row.id}/thumbnail`,
+  };
+}
+
+function sniffContentType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.contentType : null;
+}
+
+/**
+ * Store image bytes under their sha256. Storing the same bytes twice is a
+ * no-op that returns the existing blob.
+ */
+function putBlob(buffer) {
+  if (!buffer || !buffer.length) {
+    throw new BlobError('Upload is empty');
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new BlobError(`Uploads must be at most ${MAX_UPLOAD_BYTES} bytes`, 413);
+  }
+  const contentType = sniffContentType(buffer);
+  if (!contentType) {
+    throw new BlobError('Only JPEG, PNG, GIF, WebP or HEIC images can be uploaded', 415);
+  }
+
+  const blobId = crypto.createHash('sha256').update(buffer).digest('hex');
+  const filePath = blobPath(blobId);
+  if (!fs.existsSync(filePath)) {
+    writeFileAtomic(filePath, buffer);
+  }
+
+  const db = getDatabase();
+  db.prepare(
+    `INSERT INTO blobs (id, content_type, size, created_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT(id) DO NOTHING`,
+  ).run(blobId, contentType, buffer.length, new Date().toISOString());
+
+  return describeBlob(db.prepare('SELECT * FROM blobs WHERE id = ?').get(blobId));
+}
+
+/**
+ * Decode an inline upload (bare base64 or a data: URI) and store it.
+ */
+function putBase64Blob(data) {
+  const base64 = String(data).replace(/^data:[^;,]*;base64,/, '');
+  return putBlob(Buffer.from(base64, 'base64'));
+}
+
+function getBlob(blobId) {
+  if (!BLOB_ID_PATTERN.test(blobId || '')) {
+    return null;
+  }
+  const row = getDatabase().prepare('SELECT * FROM blobs WHERE id = ?').get(blobId);
+  if (!row || !fs.existsSync(blobPath(blobId))) {
+    return null;
+  }
+  return { ...describeBlob(row), filePath: blobPath(blobId) };
+}
+
+/**
+ * Path of a WebP thumbnail (at most THUMBNAIL_SIZE px on the long edge),
+ * rendered on first request and kept next to the blobs.
+ */
+async function getThumbnailPath(blobId) {
+  const blob = getBlob(blobId);
+  if (!blob) {
+    return null;
+  }
+  const filePath = thumbnailPath(blobId);
+  if (!fs.existsSync(filePath)) {
+    let thumbnail;
+    try {
+      thumbnail = await sharp(blob.filePath)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    } catch (error) {
+      throw new BlobError('A thumbnail cannot be generated for this image', 415);
+    }
+    writeFileAtomic(filePath, thumbnail);
+  }
+  return filePath;
+}
+
+/**
+ * Blob id an upload reference points at: an explicit blobId or a
+ * /uploads/<id> URL (absolute or relative).
+ */
+function blobIdFromReference(upload) {
+  if (!upload || typeof upload !== 'object') {
+    return null;
+  }
+  if (BLOB_ID_PATTERN.test(upload.blobId || '')) {
+    return upload.blobId;
+  }
+  const match = typeof upload.url === 'string' ? upload.url.match(BLOB_URL_PATTERN) : null;
+  return match ? match[1] : null;
+}
+
+function referencedBlobIds(state) {
+  const ids = new Set();
+  state.orders.forEach((order) => {
+    const uploads = [
+      ...(order.nailSets || []).flatMap((set) => set.designUploads || []),
+      ...(order.productionJobs || []).flatMap((job) => job.designUploads || []),
+      ...(Array.isArray(order.adminImages) ? order.adminImages : []),
+    ];
+    uploads.forEach((upload) => {
+      const blobId = blobIdFromReference(upload);
+      if (blobId) {
+        ids.add(blobId);
+      }
+    });
+  });
+  return ids;
+}
+
+/**
+ * Delete blobs (and their thumbnails) that no order references. Blobs newer
+ * than the grace period are kept so an upload is not collected before the
+ * order that uses it is saved.
+ *
+ * @returns {{ deleted: string[], kept: number }}
+ */
+function collectGarbage({ graceHours = BLOB_GC_GRACE_HOURS, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000).toISOString();
+
+  return transaction((state) => {
+    const db = getDatabase();
+    const referenced = referencedBlobIds(state);
+    const rows = db.prepare('SELECT id, created_at FROM blobs').all();
+    const deleted = rows
+      .filter((row) => !referenced.has(row.id) && row.created_at < cutoff)
+      .map((row) => row.id);
+
+    const remove = db.prepare('DELETE FROM blobs WHERE id = ?');
+    deleted.forEach((blobId) => {
+      remove.run(blobId);
+      fs.rmSync(blobPath(blobId), { force: true });
+      fs.rmSync(thumbnailPath(blobId), { force: true });
+    });
+
+    return { deleted, kept: rows.length - deleted.length };
+  });
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  BlobError,
+  putBlob,
+  putBase64Blob,
+  getBlob,
+  getThumbnailPath,
+  blobIdFromReference,
+  collectGarbage,
+};
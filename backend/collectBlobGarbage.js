@@ -0,0 +1,20 @@
+// Deletes design upload blobs that no order references any more.
+// Usage: node backend/collectBlobGarbage.js [graceHours]
+// Blobs uploaded within the grace period (BLOB_GC_GRACE_HOURS, default 24)
+// are kept so uploads for orders still being filled in survive.
+const { collectGarbage } = require('./blobStore');
+const { closeDatabase } = require('./storage');
+
+const graceHours = process.argv[2] === undefined ? undefined : Number(process.argv[2]);
+
+try {
+  const { deleted, kept } = collectGarbage(
+    Number.isFinite(graceHours) ? { graceHours } : undefined,
+  );
+  console.log(`Deleted ${deleted.length} unreferenced blob(s), kept ${kept}.`);
+} catch (error) {
+  console.error('Failed to collect blobs:', error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
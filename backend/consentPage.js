@@ -0,0 +1,95 @@
+// Server-rendered pages for links sent by email or text: the guardian's
+// consent request and password resets. Plain HTML forms so they work in any
+// mail client's browser.
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · Nails by Abri</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; background: #f4ebe3; color: #220707; margin: 0; padding: 24px; }
+  main { max-width: 480px; margin: 40px auto; background: #fff; border-radius: 16px; padding: 28px; }
+  h1 { font-size: 22px; margin-top: 0; }
+  p { line-height: 1.5; color: #5c5f5d; }
+  label { display: block; font-weight: 600; margin: 16px 0 6px; }
+  input { width: 100%; box-sizing: border-box; padding: 10px; border: 1px solid #d9c8a9; border-radius: 8px; font-size: 16px; }
+  .actions { display: flex; gap: 12px; margin-top: 20px; }
+  button { flex: 1; padding: 12px; border-radius: 999px; font-size: 16px; font-weight: 600; cursor: pointer; }
+  .approve { background: #6f171f; color: #fff; border: none; }
+  .deny { background: #fff; color: #6f171f; border: 1px solid #6f171f; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * The approve / deny form for a pending request.
+ */
+function renderConsentForm({ user, consentLog, actionUrl }) {
+  return layout(
+    'Parent or guardian approval',
+    `<h1>Approve ${escapeHtml(user.name)}'s account?</h1>
+<p>${escapeHtml(user.name)} (${escapeHtml(user.email)}) signed up for Nails by Abri and listed you as their parent or guardian. Until you approve, they cannot place orders.</p>
+<p>This request expires ${escapeHtml(new Date(consentLog.expiresAt).toUTCString())}.</p>
+<form method="post" action="${escapeHtml(actionUrl)}">
+  <label for="approver_name">Your name</label>
+  <input id="approver_name" name="approver_name" autocomplete="name" required>
+  <div class="actions">
+    <button class="approve" type="submit" name="decision" value="approve">Approve</button>
+    <button class="deny" type="submit" name="decision" value="deny" formnovalidate>Deny</button>
+  </div>
+</form>`,
+  );
+}
+
+/**
+ * New password form for a password reset link.
+ */
+function renderPasswordResetForm({ user, reset, actionUrl, error = null }) {
+  return layout(
+    'Reset your password',
+    `<h1>Choose a new password</h1>
+<p>For ${escapeHtml(user.email)}. You will be signed out everywhere and can sign in again with the new password.</p>
+${error ? `<p role="alert"><strong>${escapeHtml(error)}</strong></p>\n` : ''}<p>This link expires ${escapeHtml(new Date(reset.expiresAt).toUTCString())}.</p>
+<form method="post" action="${escapeHtml(actionUrl)}">
+  <label for="password">New password</label>
+  <input id="password" name="password" type="password" autocomplete="new-password" required>
+  <label for="confirm_password">Confirm new password</label>
+  <input id="confirm_password" name="confirm_password" type="password" autocomplete="new-password" required>
+  <div class="actions">
+    <button class="approve" type="submit">Save password</button>
+  </div>
+</form>`,
+  );
+}
+
+/**
+ * Outcome or error page (approved, denied, expired, not found, ...).
+ */
+function renderConsentMessage(title, message) {
+  return layout(title, `<h1>${escapeHtml(title)}</h1>\n<p>${escapeHtml(message)}</p>`);
+}
+
+module.exports = {
+  renderConsentForm,
+  renderConsentMessage,
+  renderPasswordResetForm,
+};
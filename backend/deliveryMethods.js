@@ -0,0 +1,239 @@
+const { v4: uuid } = require('uuid');
+const { DEFAULT_DELIVERY_METHODS } = require('../shared/pricing');
+
+// Records mirror the Supabase delivery_methods / delivery_tiers columns the
+// app reads through deliveryService and edits in ManageDeliveryMethodsScreen.
+const METHOD_FIELDS = ['name', 'display_name', 'description', 'is_visible', 'display_order'];
+const TIER_FIELDS = [
+  'name',
+  'display_name',
+  'description',
+  'tagline',
+  'price',
+  'days',
+  'is_visible',
+  'is_default',
+  'display_order',
+];
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_TIER_DAYS = 365;
+
+class DeliveryMethodError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DeliveryMethodError';
+    this.status = status;
+  }
+}
+
+function pickFields(fields, payload, existing) {
+  const merged = { ...(existing || {}) };
+  fields.forEach((field) => {
+    if (payload[field] !== undefined) {
+      merged[field] = payload[field];
+    }
+  });
+  return merged;
+}
+
+function requireName(value, label) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!NAME_PATTERN.test(name)) {
+    throw new DeliveryMethodError(
+      `${label} must start with a lowercase letter and contain only lowercase letters, digits or underscores`,
+    );
+  }
+  return name;
+}
+
+function requireDisplayName(value, fallback) {
+  const displayName = typeof value === 'string' && value.trim() ? value.trim() : fallback;
+  if (!displayName || displayName.length > 80) {
+    throw new DeliveryMethodError('display_name must be between 1 and 80 characters');
+  }
+  return displayName;
+}
+
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function optionalBoolean(value, field, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (typeof value !== 'boolean') {
+    throw new DeliveryMethodError(`${field} must be true or false`);
+  }
+  return value;
+}
+
+function requireNumber(value, field, { integer = false, min = 0, max = Infinity } = {}) {
+  const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < min || number > max) {
+    throw new DeliveryMethodError(`${field} must be a number between ${min} and ${max}`);
+  }
+  if (integer && !Number.isInteger(number)) {
+    throw new DeliveryMethodError(`${field} must be a whole number`);
+  }
+  return number;
+}
+
+/**
+ * Validate a create or update payload for a delivery method. The name is the
+ * method's id in orders (fulfillment.method) and cannot change.
+ */
+function buildDeliveryMethod(payload = {}, existing = null) {
+  if (existing && payload.name !== undefined && payload.name !== existing.name) {
+    throw new DeliveryMethodError('name cannot be changed; create a new method instead');
+  }
+  const merged = pickFields(METHOD_FIELDS, payload, existing);
+  const name = requireName(merged.name, 'name');
+  const now = new Date().toISOString();
+
+  return {
+    id: (existing && existing.id) || uuid(),
+    name,
+    display_name: requireDisplayName(merged.display_name, name),
+    description: optionalText(merged.description),
+    is_visible: optionalBoolean(merged.is_visible, 'is_visible', true),
+    display_order: requireNumber(merged.display_order || 0, 'display_order', { integer: true }),
+    created_at: (existing && existing.created_at) || now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Validate a create or update payload for a tier of `method`. Tier names are
+ * the fulfillment speed ids and, like method names, cannot change.
+ */
+function buildDeliveryTier(payload = {}, method, existing = null) {
+  if (existing && payload.name !== undefined && payload.name !== existing.name) {
+    throw new DeliveryMethodError('name cannot be changed; create a new tier instead');
+  }
+  const merged = pickFields(TIER_FIELDS, payload, existing);
+  const name = requireName(merged.name, 'name');
+  const price = requireNumber(merged.price, 'price', { max: 1000 });
+  if (Math.round(price * 100) !== price * 100) {
+    throw new DeliveryMethodError('price cannot have fractions of a cent');
+  }
+  const now = new Date().toISOString();
+
+  return {
+    id: (existing && existing.id) || uuid(),
+    delivery_method_id: method.id,
+    name,
+    display_name: requireDisplayName(merged.display_name, name),
+    description: optionalText(merged.description),
+    tagline: optionalText(merged.tagline),
+    price,
+    days: requireNumber(merged.days, 'days', { integer: true, max: MAX_TIER_DAYS }),
+    is_visible: optionalBoolean(merged.is_visible, 'is_visible', true),
+    is_default: optionalBoolean(merged.is_default, 'is_default', false),
+    display_order: requireNumber(merged.display_order || 0, 'display_order', { integer: true }),
+    created_at: (existing && existing.created_at) || now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Store a validated tier, keeping tier names unique per method and a single
+ * default tier.
+ */
+function saveDeliveryTier(state, tier) {
+  const duplicate = state.deliveryTiers.some(
+    (item) =>
+      item.delivery_method_id === tier.delivery_method_id &&
+      item.name === tier.name &&
+      item.id !== tier.id,
+  );
+  if (duplicate) {
+    throw new DeliveryMethodError(`Tier ${tier.name} already exists for this method`, 409);
+  }
+  if (tier.is_default) {
+    state.deliveryTiers
+      .filter((item) => item.delivery_method_id === tier.delivery_method_id && item.id !== tier.id)
+      .forEach((item) => {
+        item.is_default = false;
+      });
+  }
+
+  const index = state.deliveryTiers.findIndex((item) => item.id === tier.id);
+  if (index === -1) {
+    state.deliveryTiers.push(tier);
+  } else {
+    state.deliveryTiers[index] = tier;
+  }
+  return tier;
+}
+
+const byDisplayOrder = (a, b) => a.display_order - b.display_order;
+
+/**
+ * Methods with their tiers, sorted for display. Hidden methods and tiers are
+ * left out unless includeHidden is set.
+ */
+function listDeliveryMethods(state, { includeHidden = false } = {}) {
+  return state.deliveryMethods
+    .filter((method) => includeHidden || method.is_visible)
+    .sort(byDisplayOrder)
+    .map((method) => ({
+      ...method,
+      tiers: state.deliveryTiers
+        .filter((tier) => tier.delivery_method_id === method.id && (includeHidden || tier.is_visible))
+        .sort(byDisplayOrder),
+    }));
+}
+
+/**
+ * Convert stored methods into the config shape shared/pricing expects, the
+ * same shape deliveryService.getVisibleDeliveryMethods() builds in the app.
+ * Pricing passes includeHidden so orders on a hidden tier still price (and
+ * normalize) with the tier's admin-edited fee and days. Falls back to the
+ * bundled catalog when nothing is stored.
+ */
+function toPricingDeliveryMethods(state, { includeHidden = true } = {}) {
+  const result = {};
+  listDeliveryMethods(state, { includeHidden }).forEach((method) => {
+    if (!method.tiers.length) {
+      return;
+    }
+    const speedOptions = {};
+    method.tiers.forEach((tier) => {
+      speedOptions[tier.name] = {
+        id: tier.name,
+        label: tier.display_name,
+        description: tier.description || '',
+        fee: Number(tier.price),
+        days: tier.days,
+        tagline: tier.tagline || '',
+      };
+    });
+    const visibleTiers = method.tiers.filter((tier) => tier.is_visible);
+    const defaultTier =
+      visibleTiers.find((tier) => tier.is_default) ||
+      method.tiers.find((tier) => tier.is_default) ||
+      visibleTiers[0] ||
+      method.tiers[0];
+
+    result[method.name] = {
+      id: method.name,
+      label: method.display_name,
+      description: method.description || '',
+      baseFee: 0,
+      speedOptions,
+      defaultSpeed: defaultTier.name,
+    };
+  });
+
+  return Object.keys(result).length ? result : DEFAULT_DELIVERY_METHODS;
+}
+
+module.exports = {
+  DeliveryMethodError,
+  buildDeliveryMethod,
+  buildDeliveryTier,
+  saveDeliveryTier,
+  listDeliveryMethods,
+  toPricingDeliveryMethods,
+};
@@ -0,0 +1,36 @@
+const { checkStorage } = require('./storage');
+const { logger } = require('./logger');
+
+/**
+ * For /healthz: the process is up and answering.
+ */
+function describeLiveness() {
+  return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * For /readyz: whether the backend can do its job. Storage has to be
+ * readable and Stripe configured, since without a key every payment and
+ * refund fails. Each check is reported so a failing probe says why.
+ *
+ * @param {Object} options - { stripeConfigured, webhookSecretConfigured }
+ * @returns {{ ready: boolean, status: string, checks: Object }}
+ */
+function checkReadiness({ stripeConfigured, webhookSecretConfigured }) {
+  const checks = {};
+  try {
+    checks.storage = { ok: true, ...checkStorage() };
+  } catch (error) {
+    logger.error('Storage readiness check failed', { error });
+    checks.storage = { ok: false, error: error.message };
+  }
+  checks.stripe = { ok: stripeConfigured, webhookSecretConfigured };
+
+  const ready = Object.values(checks).every((check) => check.ok);
+  return { ready, status: ready ? 'ready' : 'not_ready', checks };
+}
+
+module.exports = {
+  describeLiveness,
+  checkReadiness,
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./storage');
+
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(req.body === undefined ? null : req.body))
+    .digest('hex');
+}
+
+function purgeExpiredKeys(db) {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?').run(cutoff);
+}
+
+/**
+ * Claim an idempotency key for a request. Returns the stored row when the key
+ * was already used, or null when this request now owns it.
+ */
+function claimKey(db, scope, key, requestHash) {
+  return db.transaction(() => {
+    purgeExpiredKeys(db);
+    const existing = db
+      .prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?')
+      .get(scope, key);
+    if (existing) {
+      return existing;
+    }
+    db.prepare(
+      `INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, state, created_at)
+       VALUES (?, ?, ?, 'in_progress', ?)`,
+    ).run(scope, key, requestHash, new Date().toISOString());
+    return null;
+  }).immediate();
+}
+
+/**
+ * Express middleware honouring an `Idempotency-Key` request header.
+ *
+ * The first response for a key is stored and replayed verbatim for retries of
+ * the same request. Keys are scoped to the caller and route, reusing a key
+ * with a different body is rejected, and server errors (5xx) release the key
+ * so the request can be retried. Requests without the header pass through.
+ */
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const db = getDatabase();
+  const caller = (req.auth && req.auth.userId) || 'anonymous';
+  const scope = `${caller} ${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+  const existing = claimKey(db, scope, key, requestHash);
+
+  if (existing) {
+    if (existing.request_hash !== requestHash) {
+      return res.status(422).json({
+        error: 'Idempotency-Key was already used with a different request body',
+        code: 'idempotency_key_reused',
+      });
+    }
+    if (existing.state !== 'completed') {
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still being processed',
+        code: 'idempotency_key_in_use',
+      });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+  }
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?').run(
+        scope,
+        key,
+      );
+    } else {
+      db.prepare(
+        `UPDATE idempotency_keys
+         SET state = 'completed', response_status = ?, response_body = ?
+         WHERE scope = ? AND idempotency_key = ?`,
+      ).run(res.statusCode, JSON.stringify(body === undefined ? null : body), scope, key);
+    }
+    return sendJson(body);
+  };
+
+  // A handler that crashes without responding must not leave the key locked.
+  res.on('close', () => {
+    db.prepare(
+      `DELETE FROM idempotency_keys
+       WHERE scope = ? AND idempotency_key = ? AND state = 'in_progress'`,
+    ).run(scope, key);
+  });
+
+  return next();
+}
+
+module.exports = {
+  idempotent,
+};
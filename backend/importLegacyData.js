@@ -0,0 +1,21 @@
+// One-off importer for db.json files written by the old file-based storage.
+// Usage: node backend/importLegacyData.js [path/to/db.json]
+// Without a path it imports backend/data/db.json (or $DATA_DIR/db.json).
+const path = require('path');
+const { importLegacyData, closeDatabase } = require('./storage');
+
+const filePath = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+
+try {
+  const { imported, counts } = importLegacyData(filePath, { force: true });
+  if (!imported) {
+    console.log('No legacy data file found, nothing imported.');
+  } else {
+    console.log('Import complete:', counts);
+  }
+} catch (error) {
+  console.error('Failed to import legacy data:', error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
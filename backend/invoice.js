@@ -0,0 +1,287 @@
+// Invoices and receipts for orders, rendered as PDF from the order's stored
+// pricing.lineItems. Nothing depends on the current time, so an old order's
+// document can be regenerated at any point and comes out byte for byte the
+// same.
+const { PAGE_WIDTH, PdfDocument, wrapText } = require('./pdfDocument');
+const { ORDER_STATUS, normalizeOrderStatus } = require('../shared/orderStatus');
+
+const INVOICE_MIME_TYPE = 'application/pdf';
+
+// Printed in the header of every invoice. BUSINESS_ADDRESS lines are
+// separated with "|".
+const BUSINESS_DETAILS = {
+  name: process.env.BUSINESS_NAME || 'Nails by Abri',
+  addressLines: (process.env.BUSINESS_ADDRESS || '')
+    .split('|')
+    .map((line) => line.trim())
+    .filter(Boolean),
+  email: process.env.BUSINESS_EMAIL || '',
+  phone: process.env.BUSINESS_PHONE || '',
+  website: process.env.BUSINESS_WEBSITE || '',
+};
+
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+class InvoiceError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+function orderNumber(order) {
+  return String(order.id || '').slice(0, 8).toUpperCase();
+}
+
+// Dates are printed in UTC so the document does not depend on the server's
+// timezone.
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+}
+
+function formatMoney(amount) {
+  const value = Math.round((Number(amount) || 0) * 100) / 100;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+// Card payments go through Stripe and only leave a PaymentIntent behind.
+function paymentMethodLabel(order) {
+  if (order.paymentMethod) {
+    return order.paymentMethod;
+  }
+  return order.paymentIntentId ? 'card' : null;
+}
+
+function addressLines(address) {
+  if (!address) {
+    return [];
+  }
+  const cityLine = [address.city, [address.state, address.postalCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return [address.name, address.line1, address.line2, cityLine].filter(Boolean);
+}
+
+/**
+ * Everything printed on an order's invoice. An order that has been paid gets
+ * a receipt; otherwise it is an invoice with the balance due. Refund line
+ * items are listed after the total together with the net amount.
+ *
+ * @param {Object} order - stored order
+ * @param {Object} [customer] - { name, email } of the order's owner
+ * @param {Object} [business] - defaults to BUSINESS_DETAILS
+ * @throws {InvoiceError} for drafts and orders without pricing
+ */
+function buildInvoice(order, customer = null, business = BUSINESS_DETAILS) {
+  const status = normalizeOrderStatus(order.status);
+  if (status === ORDER_STATUS.DRAFT) {
+    throw new InvoiceError('Invoices are available once the order is submitted');
+  }
+  const pricing = order.pricing || {};
+  if (!Array.isArray(pricing.lineItems) || typeof pricing.total !== 'number') {
+    throw new InvoiceError('This order has no pricing to invoice');
+  }
+
+  const kind = order.paidAt ? 'receipt' : 'invoice';
+  const number = orderNumber(order);
+  const refunds = pricing.lineItems.filter((item) => item.type === 'refund');
+  return {
+    kind,
+    number,
+    orderId: order.id,
+    status,
+    issuedAt: order.createdAt || null,
+    paidAt: order.paidAt || null,
+    paymentMethod: paymentMethodLabel(order),
+    business,
+    customer: {
+      name: (customer && customer.name) || '',
+      email: (customer && customer.email) || '',
+      addressLines: addressLines(order.fulfillment && order.fulfillment.address),
+    },
+    lineItems: pricing.lineItems
+      .filter((item) => item.type !== 'refund')
+      .map((item) => ({ label: item.label, amount: item.amount, type: item.type || null })),
+    total: pricing.total,
+    refunds: refunds.map((item) => ({ label: item.label, amount: item.amount })),
+    netTotal: refunds.length ? pricing.netTotal : null,
+    fileName: `${kind}-${number}.pdf`,
+  };
+}
+
+const MARGIN = 54;
+const AMOUNT_X = PAGE_WIDTH - MARGIN;
+const LABEL_WIDTH = 380;
+const BOTTOM = 740;
+
+/**
+ * Lay the invoice out on as many Letter pages as it needs.
+ * @returns {Buffer}
+ */
+function renderInvoicePdf(invoice) {
+  const title = invoice.kind === 'receipt' ? 'Receipt' : 'Invoice';
+  const doc = new PdfDocument({
+    title: `${invoice.business.name} ${title} #${invoice.number}`,
+    author: invoice.business.name,
+  });
+  let y = MARGIN + 14;
+
+  const nextLine = (height) => {
+    if (y + height > BOTTOM) {
+      doc.addPage();
+      y = MARGIN + 14;
+    } else {
+      y += height;
+    }
+  };
+
+  // Business on the left, document details on the right.
+  doc.text(MARGIN, y, invoice.business.name, { font: 'bold', size: 18 });
+  doc.text(AMOUNT_X, y, title.toUpperCase(), { font: 'bold', size: 18, align: 'right' });
+  const businessLines = [
+    ...invoice.business.addressLines,
+    invoice.business.email,
+    invoice.business.phone,
+    invoice.business.website,
+  ].filter(Boolean);
+  const detailLines = [
+    `Order #${invoice.number}`,
+    `Issued ${formatDate(invoice.issuedAt)}`,
+    invoice.paidAt ? `Paid ${formatDate(invoice.paidAt)}` : 'Payment due',
+  ];
+  const headerTop = y + 6;
+  Array.from({ length: Math.max(businessLines.length, detailLines.length) }).forEach((_, index) => {
+    const lineY = headerTop + 14 * (index + 1);
+    if (businessLines[index]) {
+      doc.text(MARGIN, lineY, businessLines[index]);
+    }
+    if (detailLines[index]) {
+      doc.text(AMOUNT_X, lineY, detailLines[index], { align: 'right' });
+    }
+  });
+  y = headerTop + 14 * Math.max(businessLines.length, detailLines.length) + 30;
+
+  doc.text(MARGIN, y, 'Bill to', { font: 'bold', size: 11 });
+  [invoice.customer.name, invoice.customer.email, ...invoice.customer.addressLines]
+    .filter(Boolean)
+    .forEach((line) => {
+      y += 14;
+      doc.text(MARGIN, y, line);
+    });
+
+  y += 34;
+  doc.text(MARGIN, y, 'Description', { font: 'bold' });
+  doc.text(AMOUNT_X, y, 'Amount', { font: 'bold', align: 'right' });
+  y += 6;
+  doc.line(MARGIN, y, AMOUNT_X, y);
+  y += 4;
+
+  const row = (label, amount, { font = 'regular' } = {}) => {
+    wrapText(label, LABEL_WIDTH, { font }).forEach((line, index) => {
+      nextLine(16);
+      doc.text(MARGIN, y, line, { font });
+      if (index === 0) {
+        doc.text(AMOUNT_X, y, formatMoney(amount), { font, align: 'right' });
+      }
+    });
+  };
+  const rule = () => {
+    nextLine(8);
+    doc.line(MARGIN, y, AMOUNT_X, y);
+  };
+
+  invoice.lineItems.forEach((item) => row(item.label, item.amount));
+  rule();
+  row(invoice.kind === 'receipt' ? 'Total paid' : 'Total due', invoice.total, { font: 'bold' });
+  if (invoice.refunds.length) {
+    invoice.refunds.forEach((item) => row(item.label, item.amount));
+    rule();
+    row('Net total', invoice.netTotal, { font: 'bold' });
+  }
+
+  nextLine(36);
+  const paymentLine = invoice.paidAt
+    ? `Paid${invoice.paymentMethod ? ` by ${invoice.paymentMethod}` : ''} on ${formatDate(
+        invoice.paidAt,
+      )}. Order status: ${invoice.status}.`
+    : `Not paid yet. Please include order #${invoice.number} with your payment.`;
+  wrapText(paymentLine, AMOUNT_X - MARGIN).forEach((line, index) => {
+    if (index > 0) {
+      nextLine(14);
+    }
+    doc.text(MARGIN, y, line);
+  });
+  nextLine(24);
+  doc.text(MARGIN, y, `Thank you for your order with ${invoice.business.name}!`, { font: 'bold' });
+
+  return doc.toBuffer();
+}
+
+/**
+ * The order's invoice or receipt as a PDF file.
+ * @returns {{ kind: string, fileName: string, mimeType: string, data: Buffer }}
+ */
+function buildInvoicePdf(order, customer = null, business = BUSINESS_DETAILS) {
+  const invoice = buildInvoice(order, customer, business);
+  return {
+    kind: invoice.kind,
+    fileName: invoice.fileName,
+    mimeType: INVOICE_MIME_TYPE,
+    data: renderInvoicePdf(invoice),
+  };
+}
+
+/**
+ * The email that sends an invoice or receipt to the customer, with the PDF
+ * attached.
+ */
+function buildInvoiceMessage(order, customer, file, business = BUSINESS_DETAILS) {
+  const number = orderNumber(order);
+  const document = file.kind === 'receipt' ? 'receipt' : 'invoice';
+  return {
+    channel: 'email',
+    to: customer.email,
+    subject: `Your ${business.name} ${document} for order #${number}`,
+    text: [
+      `Hi ${customer.name},`,
+      '',
+      `Your ${document} for order #${number} is attached.`,
+      '',
+      `Thank you for your order with ${business.name}!`,
+    ].join('\n'),
+    attachments: [
+      { fileName: file.fileName, contentType: file.mimeType, content: file.data.toString('base64') },
+    ],
+  };
+}
+
+module.exports = {
+  BUSINESS_DETAILS,
+  INVOICE_MIME_TYPE,
+  InvoiceError,
+  orderNumber,
+  formatDate,
+  addressLines,
+  buildInvoice,
+  renderInvoicePdf,
+  buildInvoicePdf,
+  buildInvoiceMessage,
+};
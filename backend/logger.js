@@ -0,0 +1,186 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Structured logging: one JSON object per line on stdout, e.g.
+ *
+ *   {"time":"...","level":"info","msg":"request","requestId":"...","status":200,...}
+ *
+ * Lines written while a request is handled carry its requestId, which is
+ * also sent back in the X-Request-Id header so a client report can be
+ * matched to the server's logs. LOG_LEVEL is debug, info (the default),
+ * warn, error or silent; tests default to silent.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const LOG_LEVEL =
+  process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids supplied by a proxy or client are kept when they look like ids.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Values under keys like these never reach the logs (password, passwordHash,
+// consentToken, tokenHash, paymentIntentClientSecret, ...), while keys such
+// as passwordResetId or passwordChangedAt stay readable.
+const SENSITIVE_KEY_PATTERN = /password(hash)?$|secret|token(hash)?$|authorization|cookie|signature/i;
+// Inline images (data: URLs or long bare base64) are replaced by their size.
+const DATA_URL_PATTERN = /^data:[\w/+.-]+;base64,/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/=\r\n]+$/;
+const MIN_BASE64_LENGTH = 256;
+const MAX_DEPTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+function redactString(value) {
+  const isBase64 =
+    DATA_URL_PATTERN.test(value) ||
+    (value.length >= MIN_BASE64_LENGTH && BASE64_PATTERN.test(value));
+  if (isBase64) {
+    return `[base64, ${Math.round((value.length * 3) / 4)} bytes]`;
+  }
+  return value;
+}
+
+/**
+ * Copy of `value` that is safe to log: secrets and image payloads removed,
+ * errors turned into plain objects.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        status: value.status,
+        code: value.code,
+        stack: value.stack,
+      },
+      depth + 1,
+    );
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[binary, ${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  return Object.entries(value).reduce((result, [key, item]) => {
+    if (item !== undefined) {
+      result[key] =
+        SENSITIVE_KEY_PATTERN.test(key) && item !== null ? '[redacted]' : redact(item, depth + 1);
+    }
+    return result;
+  }, {});
+}
+
+function writeLine(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - lowest level written
+ * @param {Object} [options.fields] - added to every line
+ * @param {Function} [options.write] - receives each JSON line
+ */
+function createLogger({ level = LOG_LEVEL, fields = {}, write = writeLine } = {}) {
+  const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+  const log = (lineLevel, msg, extra = {}) => {
+    if (LEVELS[lineLevel] < threshold) {
+      return;
+    }
+    const context = requestContext.getStore();
+    write(
+      JSON.stringify(
+        redact({
+          time: new Date().toISOString(),
+          level: lineLevel,
+          msg,
+          ...(context ? { requestId: context.requestId } : {}),
+          ...fields,
+          ...extra,
+        }),
+      ),
+    );
+  };
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: (moreFields) => createLogger({ level, fields: { ...fields, ...moreFields }, write }),
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * First middleware: gives the request an id (echoed in X-Request-Id) and
+ * logs one line per response with its status and latency. The route is
+ * logged as its pattern (/consent/:token), so tokens in URLs stay out.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuid();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  const logResponse = (aborted) => {
+    const status = res.statusCode;
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      status,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      userId: (req.auth && req.auth.userId) || null,
+      aborted,
+    };
+    if (status >= 500) {
+      logger.error('request', fields);
+    } else if (status >= 400) {
+      logger.warn('request', fields);
+    } else {
+      logger.info('request', fields);
+    }
+  };
+  res.on('finish', () => logResponse(false));
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logResponse(true);
+    }
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+}
+
+/**
+ * Re-enter the request's logging context. Body parsers call next() from
+ * stream events, which loses it; mount this after them.
+ */
+function restoreRequestContext(req, _res, next) {
+  requestContext.run({ requestId: req.id }, next);
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  logger,
+  createLogger,
+  redact,
+  requestLogger,
+  restoreRequestContext,
+};
@@ -0,0 +1,176 @@
+const { v4: uuid } = require('uuid');
+
+/**
+ * Brute-force protection for POST /auth/login.
+ *
+ * Failed attempts are counted per email and per client IP. After a few free
+ * attempts each key has to wait before trying again, doubling with every
+ * further failure; a quiet hour forgets the key. Separately, an account is
+ * locked for a while after maxFailedLogins failures in a row, and unlocks
+ * on its own once lockedUntil passes, when an admin unlocks it, or when the
+ * password is reset. The Supabase side (0005_login_lockout.sql) applies the
+ * same policy to the app's direct sign-ins.
+ */
+const LOGIN_POLICY = {
+  maxFailedLogins: 5,
+  lockoutMinutes: 15,
+  windowMinutes: 60,
+  email: { freeAttempts: 3, maxDelaySeconds: 300 },
+  ip: { freeAttempts: 10, maxDelaySeconds: 900 },
+};
+
+class LoginThrottleError extends Error {
+  constructor(message, { status = 429, code = 'too_many_attempts', retryAfter = null, lockedUntil = null } = {}) {
+    super(message);
+    this.name = 'LoginThrottleError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.lockedUntil = lockedUntil;
+  }
+}
+
+function throttleKey(kind, value) {
+  return `${kind}:${value}`;
+}
+
+function findThrottle(state, key) {
+  return state.loginThrottles.find((throttle) => throttle.key === key) || null;
+}
+
+function isExpired(throttle, now) {
+  return now - new Date(throttle.lastFailureAt).getTime() > LOGIN_POLICY.windowMinutes * 60 * 1000;
+}
+
+/**
+ * When the key may try again: 1s after the first attempt past the free ones,
+ * then 2s, 4s, ... up to the kind's cap.
+ */
+function retryAt(throttle) {
+  const policy = LOGIN_POLICY[throttle.kind];
+  const excess = throttle.failures - policy.freeAttempts;
+  if (excess <= 0) {
+    return 0;
+  }
+  const delaySeconds = Math.min(2 ** (excess - 1), policy.maxDelaySeconds);
+  return new Date(throttle.lastFailureAt).getTime() + delaySeconds * 1000;
+}
+
+function countFailure(state, kind, value, now) {
+  const key = throttleKey(kind, value);
+  let throttle = findThrottle(state, key);
+  if (!throttle) {
+    throttle = { id: uuid(), key, kind, failures: 0, lastFailureAt: null };
+    state.loginThrottles.push(throttle);
+  } else if (isExpired(throttle, now)) {
+    throttle.failures = 0;
+  }
+  throttle.failures += 1;
+  throttle.lastFailureAt = new Date(now).toISOString();
+}
+
+function isLocked(user, now) {
+  return Boolean(user && user.lockedUntil && new Date(user.lockedUntil).getTime() > now);
+}
+
+/**
+ * Lockout details for the admin user screen.
+ */
+function describeLockout(user, now = Date.now()) {
+  return {
+    locked: isLocked(user, now),
+    lockedUntil: isLocked(user, now) ? user.lockedUntil : null,
+    failedLoginCount: user.failedLoginCount || 0,
+    lastFailedLoginAt: user.lastFailedLoginAt || null,
+    maxFailedLogins: LOGIN_POLICY.maxFailedLogins,
+  };
+}
+
+/**
+ * Check an attempt and count it as a failure straight away, inside a storage
+ * transaction. Counting before the password is checked means parallel
+ * guesses cannot all slip in under the limit; recordLoginSuccess() takes the
+ * attempt back when the password turns out to be right.
+ *
+ * @param {Object} state - storage state
+ * @param {Object} attempt - { email, ip, user } (user is null for unknown emails)
+ * @throws {LoginThrottleError} 429 while throttled, 423 while the account is locked
+ */
+function beginLoginAttempt(state, { email, ip, user }, now = Date.now()) {
+  for (const [kind, value] of [['email', email], ['ip', ip]]) {
+    const throttle = value ? findThrottle(state, throttleKey(kind, value)) : null;
+    if (throttle && !isExpired(throttle, now) && retryAt(throttle) > now) {
+      const retryAfter = Math.ceil((retryAt(throttle) - now) / 1000);
+      throw new LoginThrottleError(
+        `Too many login attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+        { retryAfter },
+      );
+    }
+  }
+
+  if (isLocked(user, now)) {
+    throw new LoginThrottleError(
+      'This account is locked after too many failed logins. Try again later or reset your password.',
+      {
+        status: 423,
+        code: 'account_locked',
+        retryAfter: Math.ceil((new Date(user.lockedUntil).getTime() - now) / 1000),
+        lockedUntil: user.lockedUntil,
+      },
+    );
+  }
+
+  countFailure(state, 'email', email, now);
+  if (ip) {
+    countFailure(state, 'ip', ip, now);
+  }
+
+  if (user) {
+    // A lockout that has run out starts the count again.
+    if (user.lockedUntil) {
+      user.failedLoginCount = 0;
+      user.lockedUntil = null;
+    }
+    user.failedLoginCount = (user.failedLoginCount || 0) + 1;
+    user.lastFailedLoginAt = new Date(now).toISOString();
+    if (user.failedLoginCount >= LOGIN_POLICY.maxFailedLogins) {
+      user.lockedUntil = new Date(now + LOGIN_POLICY.lockoutMinutes * 60 * 1000).toISOString();
+    }
+  }
+}
+
+/**
+ * Undo the failure beginLoginAttempt() counted for a correct password and
+ * clear the account's failure count and email throttle.
+ */
+function recordLoginSuccess(state, { ip, user }, now = Date.now()) {
+  const ipThrottle = ip ? findThrottle(state, throttleKey('ip', ip)) : null;
+  if (ipThrottle) {
+    ipThrottle.failures = Math.max(0, ipThrottle.failures - 1);
+  }
+  unlockAccount(state, user);
+  user.lastLoginAt = new Date(now).toISOString();
+}
+
+/**
+ * Clear an account's lockout, failure count and email throttle (admin
+ * unlock and password reset).
+ */
+function unlockAccount(state, user) {
+  state.loginThrottles = state.loginThrottles.filter(
+    (throttle) => throttle.key !== throttleKey('email', user.email),
+  );
+  user.failedLoginCount = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+  return user;
+}
+
+module.exports = {
+  LOGIN_POLICY,
+  LoginThrottleError,
+  beginLoginAttempt,
+  recordLoginSuccess,
+  unlockAccount,
+  describeLockout,
+};
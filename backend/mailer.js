@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuid } = require('uuid');
+const { getDataDir } = require('./storage');
+
+const MESSAGE_CHANNELS = ['email', 'sms'];
+
+/**
+ * Local stand-in for a real email/SMS provider: every message is written as
+ * JSON to <DATA_DIR>/outbox (or `dir`) so it can be read during development.
+ */
+function createFileTransport(dir = null) {
+  return {
+    name: 'file',
+    async send(message) {
+      const outbox = dir || path.join(getDataDir(), 'outbox');
+      fs.mkdirSync(outbox, { recursive: true });
+      const id = uuid();
+      const filePath = path.join(
+        outbox,
+        `${message.createdAt.replace(/[:.]/g, '-')}-${message.channel}-${id}.json`,
+      );
+      fs.writeFileSync(filePath, `${JSON.stringify({ id, ...message }, null, 2)}\n`);
+      return { id, filePath };
+    },
+  };
+}
+
+// MAIL_TRANSPORT is `file` (the default) or the path of a module exporting
+// `send(message)`, so a real provider can be plugged in without code changes.
+function loadConfiguredTransport() {
+  const configured = process.env.MAIL_TRANSPORT || 'file';
+  if (configured === 'file') {
+    return createFileTransport();
+  }
+  const custom = require(path.resolve(configured));
+  if (!custom || typeof custom.send !== 'function') {
+    throw new Error(`MAIL_TRANSPORT module ${configured} must export send(message)`);
+  }
+  return custom;
+}
+
+let transport = null;
+
+/**
+ * Replace the transport, e.g. with a fake in tests. Pass null to go back to
+ * the configured one.
+ */
+function setMailTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+/**
+ * Deliver an email or a text message through the current transport.
+ *
+ * @param {Object} message - { channel: 'email'|'sms', to, subject?, text, html?,
+ *   attachments? }; emails may carry attachments as
+ *   { fileName, contentType, content } with the content base64-encoded
+ * @returns {Promise<Object>} whatever the transport reports (e.g. { id })
+ */
+async function sendMessage(message) {
+  if (!message || !MESSAGE_CHANNELS.includes(message.channel)) {
+    throw new Error(`Message channel must be one of ${MESSAGE_CHANNELS.join(', ')}`);
+  }
+  if (!message.to || !message.text) {
+    throw new Error('Messages need a recipient and a text body');
+  }
+  if (message.attachments !== undefined) {
+    const valid =
+      message.channel === 'email' &&
+      Array.isArray(message.attachments) &&
+      message.attachments.every(
+        (attachment) =>
+          attachment && attachment.fileName && attachment.contentType && attachment.content,
+      );
+    if (!valid) {
+      throw new Error('Attachments are emails only and need a fileName, contentType and content');
+    }
+  }
+  if (!transport) {
+    transport = loadConfiguredTransport();
+  }
+  return transport.send({ ...message, createdAt: new Date().toISOString() });
+}
+
+module.exports = {
+  MESSAGE_CHANNELS,
+  createFileTransport,
+  setMailTransport,
+  sendMessage,
+};
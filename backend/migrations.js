@@ -0,0 +1,325 @@
+/**
+ * Versioned schema migrations for the backend SQLite store.
+ *
+ * Every collection is a table of JSON documents keyed by id. Columns that the
+ * server filters or sorts on are exposed as generated columns so they can be
+ * indexed without duplicating data. Migrations are append-only: never edit a
+ * migration that has shipped, add a new one with the next version instead.
+ */
+
+// Maps the keys returned by readData() to the tables that hold them.
+const COLLECTIONS = {
+  users: 'users',
+  consentLogs: 'consent_logs',
+  orders: 'orders',
+  promoCodes: 'promo_codes',
+  promoCodeUsage: 'promo_code_usage',
+  notifications: 'notifications',
+  deliveryMethods: 'delivery_methods',
+  deliveryTiers: 'delivery_tiers',
+  workloadCapacity: 'workload_capacity',
+  loginThrottles: 'login_throttles',
+  passwordResets: 'password_resets',
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_core_collections',
+    sql: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        email TEXT GENERATED ALWAYS AS (lower(json_extract(data, '$.email'))) VIRTUAL
+      );
+      CREATE INDEX users_email_idx ON users (email);
+
+      CREATE TABLE consent_logs (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        user_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.userId')) VIRTUAL,
+        token TEXT GENERATED ALWAYS AS (json_extract(data, '$.token')) VIRTUAL
+      );
+      CREATE INDEX consent_logs_user_id_idx ON consent_logs (user_id);
+      CREATE INDEX consent_logs_token_idx ON consent_logs (token);
+
+      CREATE TABLE orders (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        user_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.userId')) VIRTUAL,
+        status TEXT GENERATED ALWAYS AS (json_extract(data, '$.status')) VIRTUAL,
+        created_at TEXT GENERATED ALWAYS AS (json_extract(data, '$.createdAt')) VIRTUAL,
+        payment_intent_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.paymentIntentId')) VIRTUAL
+      );
+      CREATE INDEX orders_user_id_idx ON orders (user_id);
+      CREATE INDEX orders_status_idx ON orders (status);
+      CREATE INDEX orders_created_at_idx ON orders (created_at);
+      CREATE INDEX orders_payment_intent_id_idx ON orders (payment_intent_id);
+
+      CREATE TABLE storage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: 'create_idempotency_keys',
+    sql: `
+      CREATE TABLE idempotency_keys (
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        state TEXT NOT NULL,
+        response_status INTEGER,
+        response_body TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (scope, idempotency_key)
+      );
+      CREATE INDEX idempotency_keys_created_at_idx ON idempotency_keys (created_at);
+    `,
+  },
+  {
+    version: 3,
+    name: 'create_stripe_events',
+    sql: `
+      CREATE TABLE stripe_events (
+        event_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        order_id TEXT,
+        received_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 4,
+    name: 'create_promo_codes',
+    // Documents mirror the Supabase promo_codes / promo_code_usage columns.
+    sql: `
+      CREATE TABLE promo_codes (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        code TEXT GENERATED ALWAYS AS (upper(json_extract(data, '$.code'))) VIRTUAL
+      );
+      CREATE UNIQUE INDEX promo_codes_code_idx ON promo_codes (code);
+
+      CREATE TABLE promo_code_usage (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        promo_code_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.promo_code_id')) VIRTUAL,
+        order_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.order_id')) VIRTUAL
+      );
+      CREATE INDEX promo_code_usage_promo_code_id_idx ON promo_code_usage (promo_code_id);
+      CREATE INDEX promo_code_usage_order_id_idx ON promo_code_usage (order_id);
+    `,
+    // Keeps the code the old hard-coded pricing accepted working locally.
+    up(db) {
+      const now = new Date().toISOString();
+      const holidayPromo = {
+        id: 'promo_holiday10',
+        code: 'HOLIDAY10',
+        description: 'Holiday Discount',
+        type: 'percentage',
+        value: 10,
+        applies_to: 'order',
+        min_order_amount: null,
+        start_date: null,
+        end_date: null,
+        max_uses: null,
+        uses_count: 0,
+        per_user_limit: null,
+        combinable: true,
+        active: true,
+        metadata: {},
+        created_at: now,
+        updated_at: now,
+      };
+      db.prepare('INSERT INTO promo_codes (id, data, updated_at) VALUES (?, ?, ?)').run(
+        holidayPromo.id,
+        JSON.stringify(holidayPromo),
+        now,
+      );
+    },
+  },
+  {
+    version: 5,
+    name: 'create_blobs',
+    // Design uploads live on disk under <DATA_DIR>/blobs, named by the
+    // sha256 of their bytes; this table tracks what is stored.
+    sql: `
+      CREATE TABLE blobs (
+        id TEXT PRIMARY KEY,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 6,
+    name: 'create_notifications',
+    sql: `
+      CREATE TABLE notifications (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        related_user_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.related_user_id')) VIRTUAL,
+        created_at TEXT GENERATED ALWAYS AS (json_extract(data, '$.created_at')) VIRTUAL
+      );
+      CREATE INDEX notifications_related_user_id_idx ON notifications (related_user_id, created_at);
+    `,
+  },
+  {
+    version: 7,
+    name: 'create_order_events',
+    // The order audit trail (shared/orderEvents.js). Rows are only ever
+    // inserted; the triggers reject edits and deletes.
+    sql: `
+      CREATE TABLE order_events (
+        id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        actor_id TEXT,
+        actor_role TEXT NOT NULL,
+        from_value TEXT,
+        to_value TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX order_events_order_id_idx ON order_events (order_id, created_at);
+
+      CREATE TRIGGER order_events_no_update BEFORE UPDATE ON order_events
+      BEGIN
+        SELECT RAISE(ABORT, 'order_events is append-only');
+      END;
+      CREATE TRIGGER order_events_no_delete BEFORE DELETE ON order_events
+      BEGIN
+        SELECT RAISE(ABORT, 'order_events is append-only');
+      END;
+    `,
+  },
+  {
+    version: 8,
+    name: 'create_delivery_methods',
+    // Documents mirror the Supabase delivery_methods / delivery_tiers columns.
+    sql: `
+      CREATE TABLE delivery_methods (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        name TEXT GENERATED ALWAYS AS (json_extract(data, '$.name')) VIRTUAL
+      );
+      CREATE UNIQUE INDEX delivery_methods_name_idx ON delivery_methods (name);
+
+      CREATE TABLE delivery_tiers (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        delivery_method_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.delivery_method_id')) VIRTUAL,
+        name TEXT GENERATED ALWAYS AS (json_extract(data, '$.name')) VIRTUAL
+      );
+      CREATE UNIQUE INDEX delivery_tiers_method_name_idx ON delivery_tiers (delivery_method_id, name);
+    `,
+    // Seeds the methods pricing used to hard-code, so existing orders keep
+    // their fees until an admin edits them.
+    up(db) {
+      const now = new Date().toISOString();
+      const catalog = require('../shared/catalog/deliveryMethods.json');
+      const insertMethod = db.prepare(
+        'INSERT INTO delivery_methods (id, data, updated_at) VALUES (?, ?, ?)',
+      );
+      const insertTier = db.prepare(
+        'INSERT INTO delivery_tiers (id, data, updated_at) VALUES (?, ?, ?)',
+      );
+
+      Object.values(catalog).forEach((method, methodIndex) => {
+        const methodRecord = {
+          id: `dm_${method.id}`,
+          name: method.id,
+          display_name: method.label,
+          description: method.description || null,
+          is_visible: true,
+          display_order: methodIndex,
+          created_at: now,
+          updated_at: now,
+        };
+        insertMethod.run(methodRecord.id, JSON.stringify(methodRecord), now);
+
+        Object.values(method.speedOptions).forEach((tier, tierIndex) => {
+          const tierRecord = {
+            id: `dt_${method.id}_${tier.id}`,
+            delivery_method_id: methodRecord.id,
+            name: tier.id,
+            display_name: tier.label,
+            description: tier.description || null,
+            tagline: tier.tagline || null,
+            price: tier.fee,
+            days: tier.days,
+            is_visible: true,
+            is_default: tier.id === method.defaultSpeed,
+            display_order: tierIndex,
+            created_at: now,
+            updated_at: now,
+          };
+          insertTier.run(tierRecord.id, JSON.stringify(tierRecord), now);
+        });
+      });
+    },
+  },
+  {
+    version: 9,
+    name: 'create_workload_capacity',
+    // Documents mirror the Supabase workload_capacity columns. Orders record
+    // the week they took a slot from in capacityWeekStart.
+    sql: `
+      CREATE TABLE workload_capacity (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        week_start TEXT GENERATED ALWAYS AS (json_extract(data, '$.week_start')) VIRTUAL
+      );
+      CREATE UNIQUE INDEX workload_capacity_week_start_idx ON workload_capacity (week_start);
+    `,
+  },
+  {
+    version: 10,
+    name: 'create_login_throttles',
+    // Failed login counters keyed by 'email:<address>' or 'ip:<address>'.
+    // Account lockout state lives on the user documents.
+    sql: `
+      CREATE TABLE login_throttles (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        key TEXT GENERATED ALWAYS AS (json_extract(data, '$.key')) VIRTUAL
+      );
+      CREATE UNIQUE INDEX login_throttles_key_idx ON login_throttles (key);
+    `,
+  },
+  {
+    version: 11,
+    name: 'create_password_resets',
+    // Only the SHA-256 of each reset token is stored.
+    sql: `
+      CREATE TABLE password_resets (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        user_id TEXT GENERATED ALWAYS AS (json_extract(data, '$.userId')) VIRTUAL,
+        token_hash TEXT GENERATED ALWAYS AS (json_extract(data, '$.tokenHash')) VIRTUAL
+      );
+      CREATE INDEX password_resets_user_id_idx ON password_resets (user_id);
+      CREATE UNIQUE INDEX password_resets_token_hash_idx ON password_resets (token_hash);
+    `,
+  },
+];
+
+module.exports = {
+  COLLECTIONS,
+  MIGRATIONS,
+};
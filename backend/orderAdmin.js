@@ -0,0 +1,143 @@
+const { transaction } = require('./storage');
+const { logger } = require('./logger');
+const { notifyTrackingAdded, transitionOrderStatus } = require('./orderTransitions');
+const { recordOrderChanges, recordOrderEvent, snapshotOrder } = require('./orderEvents');
+const { CapacityError } = require('./workloadCapacity');
+const { OrderStatusTransitionError } = require('../shared/orderStatus');
+const { ORDER_EVENT_TYPE } = require('../shared/orderEvents');
+const { planProductionStageChange } = require('../shared/productionJobs');
+
+// Orders one batch request may change.
+const MAX_BATCH_UPDATES = 100;
+
+function applyAdminOrderUpdates(
+  order,
+  { adminNotes, adminNote, adminImages, discount, trackingNumber },
+) {
+  if (typeof adminNotes === 'string') {
+    order.adminNotes = adminNotes.trim();
+  }
+
+  // Batch updates add a note below the existing ones instead of replacing them.
+  if (typeof adminNote === 'string' && adminNote.trim()) {
+    order.adminNotes = [order.adminNotes, adminNote.trim()].filter(Boolean).join('\n');
+  }
+
+  if (Array.isArray(adminImages)) {
+    order.adminImages = adminImages.filter((item) => typeof item === 'string' && item.length > 0);
+  }
+
+  if (typeof discount === 'number' && !Number.isNaN(discount)) {
+    order.discount = discount;
+  }
+
+  if (trackingNumber !== undefined) {
+    order.trackingNumber =
+      trackingNumber === null ? '' : String(trackingNumber).trim();
+  }
+
+  order.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Apply an admin's changes to a stored order inside a storage transaction:
+ * the status transition (with its capacity and notification side effects),
+ * the admin fields, the shipped notification for a first tracking number and
+ * the order events.
+ *
+ * @throws {OrderStatusTransitionError} for unknown statuses and illegal moves
+ * @throws {CapacityError} when submitting into a full week
+ */
+function updateOrderAsAdmin(state, order, updates, actor) {
+  const before = snapshotOrder(order);
+  const hadTrackingNumber = Boolean(order.trackingNumber);
+  if (updates.status) {
+    transitionOrderStatus(state, order, updates.status);
+  }
+  applyAdminOrderUpdates(order, updates);
+  if (!hadTrackingNumber && order.trackingNumber) {
+    notifyTrackingAdded(state, order);
+  }
+  recordOrderChanges(order, before, actor);
+  return order;
+}
+
+/**
+ * Move one of the order's production jobs to `stage` inside a storage
+ * transaction and bring the order's status along: it becomes ready once every
+ * job is packed and goes back in progress if a packed job is reopened. The
+ * stage change is logged as an order event next to any status change.
+ *
+ * @param {{ id: string|null, name: string|null }} staff - who did the work
+ * @throws {ProductionStageError} for unknown jobs and orders not in production
+ */
+function updateProductionJobStage(state, order, jobId, stage, { actor, staff }) {
+  const before = snapshotOrder(order);
+  const change = planProductionStageChange(order, jobId, stage, { staff });
+  if (!change.changed) {
+    return order;
+  }
+  order.productionJobs = change.jobs;
+  order.updatedAt = change.job.stageUpdatedAt;
+  recordOrderEvent(order.id, {
+    type: ORDER_EVENT_TYPE.PRODUCTION_STAGE_CHANGED,
+    actor,
+    from: change.from,
+    to: change.to,
+    metadata: {
+      jobId,
+      nailSetId: change.job.nailSetId,
+      setName: change.job.name || null,
+      staffName: (staff && staff.name) || null,
+    },
+  });
+  transitionOrderStatus(state, order, change.status);
+  recordOrderChanges(order, before, actor);
+  return order;
+}
+
+function batchFailure(orderId, status, code, message, extra = {}) {
+  return { orderId, ok: false, status, code, error: message, ...extra };
+}
+
+/**
+ * Apply a list of `{ orderId, ...changes }` admin updates. Each order is
+ * changed in its own transaction, so one that cannot move (an illegal status
+ * jump, a full week) is reported without holding back the rest.
+ *
+ * @returns {Array<Object>} one result per update, in order: `{ orderId, ok:
+ *   true, order }` or `{ orderId, ok: false, status, code, error }`
+ */
+function updateOrdersAsAdmin(updates, actor) {
+  return updates.map(({ orderId, ...changes }) => {
+    try {
+      const order = transaction((state) => {
+        const storedOrder = state.orders.find((item) => item.id === orderId);
+        return storedOrder ? updateOrderAsAdmin(state, storedOrder, changes, actor) : null;
+      });
+      if (!order) {
+        return batchFailure(orderId, 404, 'not_found', 'Order not found');
+      }
+      return { orderId, ok: true, order };
+    } catch (error) {
+      if (error instanceof OrderStatusTransitionError) {
+        return batchFailure(orderId, 409, 'conflict', error.message);
+      }
+      if (error instanceof CapacityError) {
+        return batchFailure(orderId, error.status, error.code, error.message, {
+          nextOpening: error.nextOpening,
+        });
+      }
+      // Earlier orders are already saved, so report this one and go on.
+      logger.error('Batch order update failed', { orderId, error });
+      return batchFailure(orderId, 500, 'internal_error', 'Unable to update order');
+    }
+  });
+}
+
+module.exports = {
+  MAX_BATCH_UPDATES,
+  updateOrderAsAdmin,
+  updateOrdersAsAdmin,
+  updateProductionJobStage,
+};
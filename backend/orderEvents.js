@@ -0,0 +1,153 @@
+const { v4: uuid } = require('uuid');
+const { getDatabase } = require('./storage');
+const { normalizeOrderStatus } = require('../shared/orderStatus');
+const {
+  ORDER_EVENT_TYPE,
+  ORDER_EVENT_ACTOR_ROLE,
+  visibleOrderEvents,
+} = require('../shared/orderEvents');
+
+const SYSTEM_ACTOR = { id: null, role: ORDER_EVENT_ACTOR_ROLE.SYSTEM };
+
+function orderTotal(order) {
+  return order.pricing && typeof order.pricing.total === 'number' ? order.pricing.total : null;
+}
+
+// Order fields whose changes are logged, and how to read each one.
+const TRACKED_FIELDS = [
+  {
+    type: ORDER_EVENT_TYPE.STATUS_CHANGED,
+    read: (order) => normalizeOrderStatus(order.status) || null,
+  },
+  {
+    type: ORDER_EVENT_TYPE.PRICE_CHANGED,
+    read: orderTotal,
+  },
+  {
+    type: ORDER_EVENT_TYPE.DISCOUNT_CHANGED,
+    read: (order) => (typeof order.discount === 'number' ? order.discount : null),
+  },
+  {
+    type: ORDER_EVENT_TYPE.TRACKING_NUMBER_CHANGED,
+    read: (order) => order.trackingNumber || null,
+  },
+  {
+    type: ORDER_EVENT_TYPE.ADMIN_NOTES_CHANGED,
+    read: (order) => order.adminNotes || null,
+  },
+];
+
+function actorFromRequest(req) {
+  if (!req.auth) {
+    return SYSTEM_ACTOR;
+  }
+  return {
+    id: req.auth.userId,
+    role: req.auth.role === 'admin' ? ORDER_EVENT_ACTOR_ROLE.ADMIN : ORDER_EVENT_ACTOR_ROLE.CUSTOMER,
+  };
+}
+
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+function fromJson(text) {
+  return text === null ? null : JSON.parse(text);
+}
+
+/**
+ * Append one event to an order's log. Call inside a storage transaction so
+ * the event is rolled back with the change it describes.
+ */
+function recordOrderEvent(orderId, { type, actor = SYSTEM_ACTOR, from = null, to = null, metadata = null }) {
+  const event = {
+    id: uuid(),
+    orderId,
+    type,
+    actor: { id: actor.id || null, role: actor.role },
+    from,
+    to,
+    metadata,
+    createdAt: new Date().toISOString(),
+  };
+  getDatabase()
+    .prepare(
+      `INSERT INTO order_events
+         (id, order_id, type, actor_id, actor_role, from_value, to_value, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    )
+    .run(
+      event.id,
+      orderId,
+      type,
+      event.actor.id,
+      event.actor.role,
+      toJson(from),
+      toJson(to),
+      toJson(metadata),
+      event.createdAt,
+    );
+  return event;
+}
+
+/**
+ * Values of the tracked fields, taken before a change so recordOrderChanges()
+ * can tell what moved.
+ */
+function snapshotOrder(order) {
+  return TRACKED_FIELDS.map((field) => field.read(order));
+}
+
+/**
+ * Log every tracked field that differs from `before`. With no snapshot the
+ * order is new and a single order_created event is logged instead.
+ */
+function recordOrderChanges(order, before, actor) {
+  if (!before) {
+    recordOrderEvent(order.id, {
+      type: ORDER_EVENT_TYPE.CREATED,
+      actor,
+      to: normalizeOrderStatus(order.status) || null,
+      metadata: { total: orderTotal(order) },
+    });
+    return;
+  }
+
+  TRACKED_FIELDS.forEach((field, index) => {
+    const to = field.read(order);
+    if (to !== before[index]) {
+      recordOrderEvent(order.id, { type: field.type, actor, from: before[index], to });
+    }
+  });
+}
+
+/**
+ * An order's events, oldest first.
+ * @param {string} orderId
+ * @param {{ isAdmin: boolean }} viewer - non-admins do not see admin-only events
+ */
+function listOrderEvents(orderId, { isAdmin = false } = {}) {
+  const events = getDatabase()
+    .prepare('SELECT * FROM order_events WHERE order_id = ? ORDER BY created_at, rowid')
+    .all(orderId)
+    .map((row) => ({
+      id: row.id,
+      orderId: row.order_id,
+      type: row.type,
+      actor: { id: row.actor_id, role: row.actor_role },
+      from: fromJson(row.from_value),
+      to: fromJson(row.to_value),
+      metadata: fromJson(row.metadata),
+      createdAt: row.created_at,
+    }));
+  return visibleOrderEvents(events, { isAdmin });
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  actorFromRequest,
+  recordOrderEvent,
+  snapshotOrder,
+  recordOrderChanges,
+  listOrderEvents,
+};
@@ -0,0 +1,87 @@
+// Lifecycle steps shared by the order routes and the Stripe webhook.
+const { transitionOrderStatus } = require('./orderTransitions');
+const { recordPaidPromoUsage } = require('./promoEngine');
+const { ORDER_STATUS, getAllowedTransitions, normalizeOrderStatus } = require('../shared/orderStatus');
+const { createProductionJobs } = require('../shared/productionJobs');
+
+// Statuses an order can be in before it is paid for.
+const UNPAID_STATUSES = [ORDER_STATUS.DRAFT, ORDER_STATUS.AWAITING_SUBMISSION];
+
+/**
+ * Mark an order as paid inside a storage transaction: submits it (taking its
+ * weekly capacity slot), records its promo usage, stamps paidAt and the
+ * estimated fulfillment date and snapshots a production job per nail set.
+ * Orders that already have jobs keep them, stages and all.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.overbook] - take the slot even in a full week;
+ *   for payments Stripe has already settled, which cannot be turned away
+ * @throws {CapacityError} when the order's week is full and overbook is off
+ */
+function markOrderPaid(state, order, { overbook = false } = {}) {
+  const now = new Date();
+  now.setHours(0, 0, 0, 0);
+  let estimated =
+    order.pricing && order.pricing.estimatedCompletionDate
+      ? new Date(order.pricing.estimatedCompletionDate)
+      : null;
+  if (!estimated || Number.isNaN(estimated.getTime())) {
+    estimated = new Date(now);
+    const daysToAdd =
+      order.pricing && order.pricing.estimatedCompletionDays
+        ? Number(order.pricing.estimatedCompletionDays)
+        : 7;
+    estimated.setDate(estimated.getDate() + daysToAdd);
+  }
+
+  // Orders an admin has already moved on keep their status.
+  if (UNPAID_STATUSES.includes(normalizeOrderStatus(order.status) || ORDER_STATUS.DRAFT)) {
+    transitionOrderStatus(state, order, ORDER_STATUS.SUBMITTED, new Date(), { overbook });
+  }
+  recordPaidPromoUsage(state, order);
+  order.paidAt = new Date().toISOString();
+  order.estimatedFulfillmentDate = estimated.toISOString();
+  order.updatedAt = order.paidAt;
+  if (!Array.isArray(order.productionJobs) || !order.productionJobs.length) {
+    order.productionJobs = createProductionJobs(order);
+  }
+}
+
+/**
+ * Move an order to `status` inside a storage transaction if the state machine
+ * allows it from where the order is now. Returns false, leaving the order as
+ * it was, when it does not (a payment event for a cancelled order, say).
+ */
+function transitionIfAllowed(state, order, status, date = new Date()) {
+  const method = order.fulfillment && order.fulfillment.method;
+  const current = normalizeOrderStatus(order.status) || ORDER_STATUS.DRAFT;
+  if (current !== status && !getAllowedTransitions(current, method).includes(status)) {
+    return false;
+  }
+  transitionOrderStatus(state, order, status, date);
+  return true;
+}
+
+/**
+ * Record how much of an order has been refunded, inside a storage
+ * transaction. A full refund cancels the order if it can still be cancelled;
+ * fulfilled orders keep their status.
+ */
+function applyRefundTotal(state, order, refundedAmount) {
+  const paidTotal = (order.pricing && Number(order.pricing.total)) || 0;
+  const isFull = paidTotal > 0 && refundedAmount >= paidTotal;
+
+  order.refundedAmount = refundedAmount;
+  order.paymentStatus = isFull ? 'refunded' : 'partially_refunded';
+  if (isFull) {
+    transitionIfAllowed(state, order, ORDER_STATUS.CANCELLED);
+  }
+}
+
+module.exports = {
+  UNPAID_STATUSES,
+  createProductionJobs,
+  markOrderPaid,
+  transitionIfAllowed,
+  applyRefundTotal,
+};
@@ -0,0 +1,199 @@
+const { normalizeOrderStatus } = require('../shared/orderStatus');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys accepted by GET /orders and how to read them from an order.
+const SORT_FIELDS = {
+  createdAt: (order) => order.createdAt || '',
+  updatedAt: (order) => order.updatedAt || order.createdAt || '',
+  paidAt: (order) => order.paidAt || '',
+  total: (order) => (order.pricing && Number(order.pricing.total)) || 0,
+};
+
+class OrderQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderQueryError';
+  }
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (!value) {
+    return null;
+  }
+  const raw = String(value);
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new OrderQueryError(`Invalid ${name} date: ${raw}`);
+  }
+  // A bare YYYY-MM-DD upper bound should include the whole day.
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function encodeCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string') {
+      return { sortValue: decoded[0], id: decoded[1] };
+    }
+  } catch (error) {
+    // Fall through to the error below.
+  }
+  throw new OrderQueryError('Invalid cursor');
+}
+
+/**
+ * Validate and normalize GET /orders query parameters.
+ */
+function parseOrderListParams(query = {}) {
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS[sort]) {
+    throw new OrderQueryError(
+      `Invalid sort: ${sort}. Use one of ${Object.keys(SORT_FIELDS).join(', ')}`,
+    );
+  }
+
+  const order = query.order ? String(query.order).toLowerCase() : 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new OrderQueryError('Invalid order: use asc or desc');
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new OrderQueryError('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to', { endOfDay: true });
+  if (from && to && from > to) {
+    throw new OrderQueryError('from must be before to');
+  }
+
+  return {
+    userId: query.userId ? String(query.userId) : null,
+    statuses: splitList(query.status).map(normalizeOrderStatus),
+    fulfillmentMethods: splitList(query.fulfillmentMethod).map((method) => method.toLowerCase()),
+    from,
+    to,
+    search: query.q ? String(query.q).trim().toLowerCase() : '',
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+function searchableText(order, { includeAdminFields }) {
+  const parts = [order.orderNotes, order.promoCode];
+  (order.nailSets || []).forEach((set) => {
+    parts.push(set.name, set.setNotes, set.description);
+  });
+  if (includeAdminFields) {
+    parts.push(order.adminNotes, order.trackingNumber);
+  }
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+function matchesFilters(order, params, options) {
+  if (params.userId && order.userId !== params.userId) {
+    return false;
+  }
+  if (params.statuses.length && !params.statuses.includes(normalizeOrderStatus(order.status))) {
+    return false;
+  }
+  if (params.fulfillmentMethods.length) {
+    const method = (order.fulfillment && order.fulfillment.method) || order.deliveryMethod || 'pickup';
+    if (!params.fulfillmentMethods.includes(method)) {
+      return false;
+    }
+  }
+  if (params.from || params.to) {
+    const createdAt = new Date(order.createdAt);
+    if (Number.isNaN(createdAt.getTime())) {
+      return false;
+    }
+    if ((params.from && createdAt < params.from) || (params.to && createdAt > params.to)) {
+      return false;
+    }
+  }
+  if (params.search && !searchableText(order, options).includes(params.search)) {
+    return false;
+  }
+  return true;
+}
+
+function compareValues(a, b) {
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+}
+
+/**
+ * Filter, sort and page a list of stored orders. Pagination is keyset-based:
+ * the cursor holds the sort value and id of the last order on the previous
+ * page, so pages stay stable while orders are being added.
+ *
+ * @param {Array} orders - stored orders
+ * @param {Object} params - output of parseOrderListParams()
+ * @param {Object} options - { includeAdminFields } searches admin-only fields
+ * @returns {{ orders: Array, nextCursor: string|null, count: number }}
+ */
+function listOrders(orders, params, options = {}) {
+  const readSortValue = SORT_FIELDS[params.sort];
+  const direction = params.order === 'asc' ? 1 : -1;
+  const compare = (a, b) =>
+    direction *
+    (compareValues(readSortValue(a), readSortValue(b)) || compareValues(a.id, b.id));
+
+  const matching = orders.filter((order) => matchesFilters(order, params, options)).sort(compare);
+
+  let startIndex = 0;
+  if (params.cursor) {
+    const { sortValue, id } = params.cursor;
+    startIndex = matching.findIndex(
+      (order) =>
+        direction * (compareValues(readSortValue(order), sortValue) || compareValues(order.id, id)) >
+        0,
+    );
+    if (startIndex === -1) {
+      startIndex = matching.length;
+    }
+  }
+
+  const page = matching.slice(startIndex, startIndex + params.limit);
+  const hasMore = startIndex + params.limit < matching.length;
+  const last = page[page.length - 1];
+
+  return {
+    orders: page,
+    nextCursor: hasMore && last ? encodeCursor(readSortValue(last), last.id) : null,
+    count: matching.length,
+  };
+}
+
+module.exports = {
+  OrderQueryError,
+  parseOrderListParams,
+  listOrders,
+};
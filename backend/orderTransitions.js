@@ -0,0 +1,99 @@
+const { v4: uuid } = require('uuid');
+const { ORDER_STATUS, planStatusTransition } = require('../shared/orderStatus');
+const { allJobsPacked } = require('../shared/productionJobs');
+const { releasePromoUsage } = require('./promoEngine');
+const { reserveCapacity, releaseCapacity } = require('./workloadCapacity');
+
+function orderNumberFor(order) {
+  return String(order.id || '').slice(0, 8).toUpperCase();
+}
+
+// Same shape as a row of the Supabase notifications table.
+function systemNotification(order, notification, now, metadata = { status: order.status }) {
+  return {
+    id: uuid(),
+    title: notification.title,
+    message: notification.message,
+    type: 'system',
+    status: 'published',
+    system_event_type: notification.systemEventType,
+    related_order_id: order.id,
+    related_user_id: order.userId,
+    metadata,
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Move an order to `status` inside a storage transaction and apply the side
+ * effects the shared state machine (shared/orderStatus.js) describes: the
+ * weekly capacity slot, the transition timestamp and the customer's system
+ * notification. Cancelling also gives back the order's promo usage. An order
+ * whose production jobs are not all packed cannot be made ready.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.overbook] - reserve capacity even in a full week
+ *   (orders that are already paid for)
+ * @returns {Object} the planned transition
+ * @throws {OrderStatusTransitionError} for unknown statuses and illegal moves
+ * @throws {CapacityError} when submitting into a full week
+ */
+function transitionOrderStatus(state, order, status, date = new Date(), { overbook = false } = {}) {
+  const transition = planStatusTransition(order.status, status, {
+    fulfillmentMethod: order.fulfillment && order.fulfillment.method,
+    orderNumber: orderNumberFor(order),
+    productionPacked: allJobsPacked(order.productionJobs),
+  });
+  const now = date.toISOString();
+
+  // Checked before anything changes so a full week leaves the order as it was.
+  if (transition.capacity === 'reserve') {
+    reserveCapacity(state, order, date, { overbook });
+  } else if (transition.capacity === 'release') {
+    releaseCapacity(state, order, date);
+  }
+
+  // Also rewrites legacy spellings ('in_progress') to the current ones.
+  order.status = transition.to;
+  if (!transition.changed) {
+    return transition;
+  }
+
+  if (transition.timestamp) {
+    order[transition.timestamp] = now;
+  }
+  if (transition.to === ORDER_STATUS.CANCELLED) {
+    releasePromoUsage(state, order, date);
+  }
+  if (transition.notification && order.userId) {
+    state.notifications.push(systemNotification(order, transition.notification, now));
+  }
+  order.updatedAt = now;
+  return transition;
+}
+
+/**
+ * Tell the customer their order shipped. Called when an order gets its first
+ * tracking number; the app sends the same notification (tracking_added).
+ */
+function notifyTrackingAdded(state, order, date = new Date()) {
+  if (!order.userId) {
+    return;
+  }
+  const notification = {
+    title: 'Order Shipped',
+    message: `Good news — your order #${orderNumberFor(order)} has shipped! Tracking: ${order.trackingNumber}.`,
+    systemEventType: 'tracking_added',
+  };
+  state.notifications.push(
+    systemNotification(order, notification, date.toISOString(), {
+      trackingNumber: order.trackingNumber,
+    }),
+  );
+}
+
+module.exports = {
+  transitionOrderStatus,
+  notifyTrackingAdded,
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+
+// Accounts in this age group stay restricted until a parent or guardian
+// approves them.
+const CONSENT_AGE_GROUP = '13-17';
+const CONSENT_TOKEN_TTL_HOURS = Number(process.env.CONSENT_TOKEN_TTL_HOURS) || 72;
+
+const CONSENT_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  EXPIRED: 'expired',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class ConsentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ConsentError';
+    this.status = status;
+  }
+}
+
+function requiresParentalConsent(ageGroup) {
+  return ageGroup === CONSENT_AGE_GROUP;
+}
+
+// Only the hash is stored, so a leaked database cannot be used to approve
+// pending accounts. It is kept after use so an old link can say why it no
+// longer works.
+function hashConsentToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether the account may only use the consent endpoints: consent is still
+ * pending or the guardian said no.
+ */
+function isConsentRestricted(user) {
+  return Boolean(user && (user.pendingConsent || user.consentStatus === CONSENT_STATUS.DENIED));
+}
+
+/**
+ * Work out where the consent request goes. Email wins when both are given.
+ *
+ * @param {{ parentEmail?: string, parentPhone?: string }} contact
+ * @returns {{ channel: 'email'|'sms', contact: string }}
+ */
+function normalizeGuardianContact({ parentEmail, parentPhone } = {}) {
+  const email = typeof parentEmail === 'string' ? parentEmail.trim().toLowerCase() : '';
+  if (email) {
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new ConsentError('Parent or guardian email is not valid');
+    }
+    return { channel: 'email', contact: email };
+  }
+
+  const phone = typeof parentPhone === 'string' ? parentPhone.replace(/[^\d+]/g, '') : '';
+  if (phone) {
+    const digits = phone.replace(/\D/g, '');
+    if (digits.length < 10 || digits.length > 15) {
+      throw new ConsentError('Parent or guardian phone number is not valid');
+    }
+    return { channel: 'sms', contact: phone.startsWith('+') ? `+${digits}` : digits };
+  }
+
+  throw new ConsentError(
+    `A parent or guardian email or phone number is required for ages ${CONSENT_AGE_GROUP}`,
+  );
+}
+
+function expirePendingRequests(state, userId, now) {
+  state.consentLogs
+    .filter((log) => log.userId === userId && log.status === CONSENT_STATUS.PENDING)
+    .forEach((log) => {
+      log.status = CONSENT_STATUS.EXPIRED;
+      log.resolvedAt = now;
+    });
+}
+
+/**
+ * Start (or restart) guardian consent for a user inside a storage
+ * transaction. Earlier pending requests stop working. The plain token is only
+ * returned here, for the message to the guardian.
+ *
+ * @returns {{ consentLog: Object, token: string }}
+ */
+function issueConsentRequest(state, user, { channel, contact }, now = new Date()) {
+  const createdAt = now.toISOString();
+  expirePendingRequests(state, user.id, createdAt);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const consentLog = {
+    id: uuid(),
+    userId: user.id,
+    status: CONSENT_STATUS.PENDING,
+    channel,
+    contact,
+    createdAt,
+    expiresAt: new Date(now.getTime() + CONSENT_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    approvedAt: null,
+    approverName: null,
+    token: null,
+    tokenHash: hashConsentToken(token),
+  };
+  state.consentLogs.push(consentLog);
+
+  user.pendingConsent = true;
+  user.consentStatus = CONSENT_STATUS.PENDING;
+  user.consentChannel = channel;
+  user.consentedAt = null;
+  user.consentApprover = null;
+  if (channel === 'email') {
+    user.parentEmail = contact;
+  } else {
+    user.parentPhone = contact;
+  }
+
+  return { consentLog, token };
+}
+
+/**
+ * Look up the consent request a token belongs to, with its child account.
+ * Throws when the token is unknown, already used or expired.
+ *
+ * @returns {{ consentLog: Object, user: Object }}
+ */
+function findConsentRequest(state, token, now = new Date()) {
+  const tokenHash = token ? hashConsentToken(token) : null;
+  const consentLog = tokenHash && state.consentLogs.find((log) => log.tokenHash === tokenHash);
+  if (!consentLog) {
+    throw new ConsentError('Consent request not found', 404);
+  }
+  if (consentLog.status !== CONSENT_STATUS.PENDING) {
+    throw new ConsentError(`Consent request was already ${consentLog.status}`, 409);
+  }
+  if (new Date(consentLog.expiresAt) <= now) {
+    throw new ConsentError('Consent request has expired; ask for a new one from the app', 410);
+  }
+
+  const user = state.users.find((storedUser) => storedUser.id === consentLog.userId);
+  if (!user) {
+    throw new ConsentError('Child account not found for consent request', 404);
+  }
+  return { consentLog, user };
+}
+
+/**
+ * Record the guardian's answer. Approval lifts the account restriction;
+ * denial keeps it until a new request is approved.
+ *
+ * @param {string} decision - 'approve' or 'deny'
+ * @returns {{ consentLog: Object, user: Object }}
+ */
+function resolveConsentRequest(state, token, { decision, approverName = null }, now = new Date()) {
+  if (decision !== 'approve' && decision !== 'deny') {
+    throw new ConsentError('decision must be approve or deny');
+  }
+  const { consentLog, user } = findConsentRequest(state, token, now);
+  const resolvedAt = now.toISOString();
+  const approved = decision === 'approve';
+
+  consentLog.status = approved ? CONSENT_STATUS.APPROVED : CONSENT_STATUS.DENIED;
+  consentLog.resolvedAt = resolvedAt;
+  consentLog.approverName = approverName;
+  consentLog.approvedAt = approved ? resolvedAt : null;
+
+  user.pendingConsent = false;
+  user.consentStatus = consentLog.status;
+  user.consentApprover = approverName;
+  user.consentedAt = approved ? resolvedAt : null;
+
+  return { consentLog, user };
+}
+
+/**
+ * The email or text message asking the guardian to review the account.
+ */
+function buildConsentMessage(user, consentLog, consentUrl) {
+  const expires = new Date(consentLog.expiresAt).toUTCString();
+  if (consentLog.channel === 'sms') {
+    return {
+      channel: 'sms',
+      to: consentLog.contact,
+      text: `Nails by Abri: ${user.name} asked for your permission to use their account. Approve or deny: ${consentUrl} (expires ${expires})`,
+    };
+  }
+  return {
+    channel: 'email',
+    to: consentLog.contact,
+    subject: `Please approve ${user.name}'s Nails by Abri account`,
+    text: [
+      'Hi,',
+      '',
+      `${user.name} (${user.email}) signed up for Nails by Abri and listed you as their parent or guardian.`,
+      'Because they are under 18, the account stays restricted until you approve it.',
+      '',
+      `Review the request here: ${consentUrl}`,
+      '',
+      `This link expires ${expires}. If you did not expect this email you can ignore it.`,
+    ].join('\n'),
+  };
+}
+
+module.exports = {
+  CONSENT_AGE_GROUP,
+  CONSENT_STATUS,
+  ConsentError,
+  requiresParentalConsent,
+  isConsentRestricted,
+  normalizeGuardianContact,
+  issueConsentRequest,
+  findConsentRequest,
+  resolveConsentRequest,
+  buildConsentMessage,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+const { unlockAccount } = require('./loginThrottle');
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Repeated requests inside this window reuse the link already sent instead of
+// mailing another one.
+const PASSWORD_RESET_RESEND_SECONDS = 60;
+// Same minimum as the app's ResetPasswordScreen and ChangePasswordScreen.
+const MIN_PASSWORD_LENGTH = 6;
+
+class PasswordResetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.status = status;
+  }
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isPending(reset, now) {
+  return !reset.usedAt && new Date(reset.expiresAt) > now;
+}
+
+function validateNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new PasswordResetError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  return password;
+}
+
+/**
+ * Start a reset for `user` inside a storage transaction. Only the token's
+ * hash is stored; the plain token goes out in the email. Earlier links stop
+ * working. Returns null (nothing to send) when a link went out moments ago.
+ *
+ * @returns {{ reset: Object, token: string }|null}
+ */
+function issuePasswordReset(state, user, now = new Date()) {
+  const pending = state.passwordResets.filter(
+    (reset) => reset.userId === user.id && isPending(reset, now),
+  );
+  if (
+    pending.some(
+      (reset) => now - new Date(reset.createdAt) < PASSWORD_RESET_RESEND_SECONDS * 1000,
+    )
+  ) {
+    return null;
+  }
+  pending.forEach((reset) => {
+    reset.expiresAt = now.toISOString();
+  });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const reset = {
+    id: uuid(),
+    userId: user.id,
+    tokenHash: hashResetToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+    usedAt: null,
+  };
+  state.passwordResets.push(reset);
+  return { reset, token };
+}
+
+/**
+ * Look up the reset a token belongs to, with its account. Throws when the
+ * token is unknown, already used or expired.
+ *
+ * @returns {{ reset: Object, user: Object }}
+ */
+function findPasswordReset(state, token, now = new Date()) {
+  const tokenHash = token ? hashResetToken(token) : null;
+  const reset = tokenHash && state.passwordResets.find((entry) => entry.tokenHash === tokenHash);
+  if (!reset) {
+    throw new PasswordResetError('Password reset link not found', 404);
+  }
+  if (reset.usedAt) {
+    throw new PasswordResetError('This password reset link was already used', 409);
+  }
+  if (new Date(reset.expiresAt) <= now) {
+    throw new PasswordResetError('This password reset link has expired; request a new one', 410);
+  }
+
+  const user = state.users.find((storedUser) => storedUser.id === reset.userId);
+  if (!user) {
+    throw new PasswordResetError('Account not found for password reset', 404);
+  }
+  return { reset, user };
+}
+
+/**
+ * Use a reset token to set a new password (already hashed by the caller,
+ * since bcrypt is async and transactions are not). Every session issued
+ * before is revoked by bumping sessionVersion, and a login lockout is lifted.
+ *
+ * @returns {{ reset: Object, user: Object }}
+ */
+function completePasswordReset(state, token, passwordHash, now = new Date()) {
+  const { reset, user } = findPasswordReset(state, token, now);
+  const completedAt = now.toISOString();
+
+  reset.usedAt = completedAt;
+  user.passwordHash = passwordHash;
+  user.passwordChangedAt = completedAt;
+  user.sessionVersion = (user.sessionVersion || 0) + 1;
+  unlockAccount(state, user);
+
+  return { reset, user };
+}
+
+/**
+ * The email with the reset link.
+ */
+function buildPasswordResetMessage(user, reset, resetUrl) {
+  return {
+    channel: 'email',
+    to: user.email,
+    subject: 'Reset your Nails by Abri password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset the password for your Nails by Abri account.',
+      '',
+      `Choose a new password here: ${resetUrl}`,
+      '',
+      `This link works once and expires ${new Date(reset.expiresAt).toUTCString()}.`,
+      'If you did not ask to reset your password you can ignore this email; your password stays the same.',
+    ].join('\n'),
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  PasswordResetError,
+  validateNewPassword,
+  issuePasswordReset,
+  findPasswordReset,
+  completePasswordReset,
+  buildPasswordResetMessage,
+};
@@ -0,0 +1,262 @@
+// Minimal PDF writer for the documents the backend prints (invoices,
+// production sheets, packing slips). It only knows the built-in Helvetica
+// fonts, text, rules, boxes and JPEG images, and writes no timestamps or ids,
+// so the same drawing calls always produce the same bytes.
+
+// US Letter, in points. Coordinates passed in are measured from the top left.
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+};
+
+// Advance widths (1/1000 em) of printable ASCII, from the standard AFM files.
+// Anything else is measured as DEFAULT_WIDTH, which is close enough to wrap
+// and align by.
+const DEFAULT_WIDTH = 556;
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a code for.
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '™': 0x99,
+};
+
+function toWinAnsiCodes(value) {
+  return Array.from(String(value ?? '')).map((char) => {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+      return code;
+    }
+    return WIN_ANSI_EXTRAS[char] || 0x3f; // '?'
+  });
+}
+
+// A PDF string literal; everything outside printable ASCII is written as an
+// octal escape so the content stream stays plain ASCII.
+function pdfString(value) {
+  const body = toWinAnsiCodes(value)
+    .map((code) => {
+      if (code === 0x28 || code === 0x29 || code === 0x5c) {
+        return `\\${String.fromCharCode(code)}`;
+      }
+      return code > 0x7e ? `\\${code.toString(8)}` : String.fromCharCode(code);
+    })
+    .join('');
+  return `(${body})`;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Width of `value` in points when set in `font` at `size`.
+ */
+function measureText(value, { font = 'regular', size = 10 } = {}) {
+  const widths = ASCII_WIDTHS[font] || ASCII_WIDTHS.regular;
+  const total = toWinAnsiCodes(value).reduce(
+    (sum, code) => sum + (code >= 0x20 && code <= 0x7e ? widths[code - 0x20] : DEFAULT_WIDTH),
+    0,
+  );
+  return (total * size) / 1000;
+}
+
+/**
+ * Break `value` into lines no wider than `maxWidth`, on spaces where
+ * possible. Explicit newlines are kept.
+ */
+function wrapText(value, maxWidth, options = {}) {
+  const lines = [];
+  String(value ?? '')
+    .split('\n')
+    .forEach((paragraph) => {
+      let line = '';
+      paragraph.split(' ').forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (!line || measureText(candidate, options) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        lines.push(line);
+        line = word;
+      });
+      // A single word wider than the column is cut rather than overflowing.
+      while (measureText(line, options) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measureText(line.slice(0, cut), options) > maxWidth) {
+          cut -= 1;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+      lines.push(line);
+    });
+  return lines;
+}
+
+class PdfDocument {
+  constructor({ title = '', author = '' } = {}) {
+    this.info = { title, author };
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Draw one line of text with its baseline at (x, y). `align: 'right'`
+   * puts the end of the text at x.
+   */
+  text(x, y, value, { font = 'regular', size = 10, align = 'left' } = {}) {
+    const left = align === 'right' ? x - measureText(value, { font, size }) : x;
+    this.page.push(
+      `BT /${FONTS[font].resource} ${size} Tf ${formatNumber(left)} ${formatNumber(
+        PAGE_HEIGHT - y,
+      )} Td ${pdfString(value)} Tj ET`,
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.page.push(
+      `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(
+        x2,
+      )} ${formatNumber(PAGE_HEIGHT - y2)} l S`,
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { width: lineWidth = 0.5 } = {}) {
+    this.page.push(
+      `${formatNumber(lineWidth)} w ${formatNumber(x)} ${formatNumber(
+        PAGE_HEIGHT - y - height,
+      )} ${formatNumber(width)} ${formatNumber(height)} re S`,
+    );
+    return this;
+  }
+
+  /**
+   * Place a JPEG with its top left corner at (x, y), scaled to width x
+   * height points. `image` is { data, width, height, channels } with the
+   * JPEG bytes and its size in pixels; the same object drawn twice is only
+   * stored once.
+   */
+  image(x, y, width, height, image) {
+    let index = this.images.indexOf(image);
+    if (index === -1) {
+      this.images.push(image);
+      index = this.images.length - 1;
+    }
+    this.page.push(
+      `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(
+        PAGE_HEIGHT - y - height,
+      )} cm /Im${index + 1} Do Q`,
+    );
+    return this;
+  }
+
+  /**
+   * The finished file.
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const fontIds = Object.keys(FONTS).map((_key, index) => 3 + index);
+    const infoId = 3 + fontIds.length;
+    const pageIds = this.pages.map((_page, index) => infoId + 1 + index * 2);
+    const imageIds = this.images.map((_image, index) => infoId + 1 + pageIds.length * 2 + index);
+    const objects = [];
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${
+      pageIds.length
+    } >>`;
+    Object.values(FONTS).forEach(({ baseFont }, index) => {
+      objects[fontIds[index]] =
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`;
+    });
+    objects[infoId] = `<< /Title ${pdfString(this.info.title)} /Author ${pdfString(
+      this.info.author,
+    )} /Producer ${pdfString(this.info.author)} >>`;
+
+    const fontResources = Object.values(FONTS)
+      .map(({ resource }, index) => `/${resource} ${fontIds[index]} 0 R`)
+      .join(' ');
+    const imageResources = imageIds.length
+      ? ` /XObject << ${imageIds.map((id, index) => `/Im${index + 1} ${id} 0 R`).join(' ')} >>`
+      : '';
+    this.pages.forEach((operations, index) => {
+      const pageId = pageIds[index];
+      const stream = operations.join('\n');
+      objects[pageId] =
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontResources} >>${imageResources} >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+    this.images.forEach((image, index) => {
+      objects[imageIds[index]] =
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /${image.channels === 1 ? 'DeviceGray' : 'DeviceRGB'} /BitsPerComponent 8 ` +
+        `/Filter /DCTDecode /Length ${image.data.length} >>\nstream\n${image.data.toString(
+          'latin1',
+        )}\nendstream`;
+    });
+
+    // Image bytes are carried as latin1, one character per byte, so string
+    // lengths are byte offsets.
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id += 1) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id += 1) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  PdfDocument,
+  measureText,
+  wrapText,
+};
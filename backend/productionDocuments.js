@@ -0,0 +1,430 @@
+// Printable production sheets (one page per production job, i.e. per nail
+// set to make) and packing slips (one page per order), for a single order or
+// for every open order due in a studio week.
+const sharp = require('sharp');
+const { PAGE_WIDTH, PdfDocument, wrapText } = require('./pdfDocument');
+const { blobIdFromReference, getBlob } = require('./blobStore');
+const { BUSINESS_DETAILS, addressLines, formatDate, orderNumber } = require('./invoice');
+const { getWeekStart } = require('./workloadCapacity');
+const { ORDER_STATUS, normalizeOrderStatus } = require('../shared/orderStatus');
+const { createProductionJobs } = require('../shared/productionJobs');
+const shapeCatalog = require('../shared/catalog/shapes.json');
+
+const PDF_MIME_TYPE = 'application/pdf';
+const PRODUCTION_DOCUMENTS = ['sheets', 'slips'];
+
+const FINGERS = [
+  { key: 'thumb', label: 'Thumb' },
+  { key: 'index', label: 'Index' },
+  { key: 'middle', label: 'Middle' },
+  { key: 'ring', label: 'Ring' },
+  { key: 'pinky', label: 'Pinky' },
+];
+
+// Orders that still have to be made or sent out.
+const CLOSED_STATUSES = new Set([
+  ORDER_STATUS.DRAFT,
+  ORDER_STATUS.AWAITING_SUBMISSION,
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.CANCELLED,
+]);
+
+// Design references are printed at most this many pixels on the long edge and
+// this many per sheet.
+const DESIGN_IMAGE_SIZE = 480;
+const DESIGNS_PER_SHEET = 6;
+
+const MARGIN = 54;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const BOTTOM = 740;
+
+class ProductionDocumentError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'ProductionDocumentError';
+    this.status = status;
+  }
+}
+
+function shapeName(shapeId) {
+  const shape = shapeCatalog.find((item) => item.id === shapeId);
+  return shape ? shape.name : shapeId || 'Unknown shape';
+}
+
+// Estimated on payment; before that the quote's completion date is the best
+// guess.
+function orderDueDate(order) {
+  return order.estimatedFulfillmentDate || (order.pricing && order.pricing.estimatedCompletionDate) || null;
+}
+
+function fulfillmentLabel(order) {
+  const fulfillment = order.fulfillment || {};
+  return [fulfillment.method, fulfillment.speed].filter(Boolean).join(' / ');
+}
+
+/**
+ * The order's production jobs joined with their nail sets. Orders paid
+ * through the backend have jobs snapshotted at payment; anything else gets
+ * them derived from its current sets.
+ */
+function productionJobsFor(order) {
+  const jobs =
+    Array.isArray(order.productionJobs) && order.productionJobs.length
+      ? order.productionJobs
+      : createProductionJobs(order);
+  const sets = Array.isArray(order.nailSets) ? order.nailSets : [];
+  return jobs.map((job) => {
+    const set = sets.find((item) => item.id === job.nailSetId) || {};
+    const sizes = job.sizes || set.sizes || {};
+    const perSet = sizes.mode === 'perSet';
+    return {
+      ...job,
+      name: job.name || set.name || null,
+      description: job.description || set.description || '',
+      setNotes: job.setNotes || set.setNotes || '',
+      designUploads: job.designUploads || set.designUploads || [],
+      sizeSource: perSet ? 'Sizes for this set' : "Customer's standard sizes",
+      sizeValues: (perSet ? sizes.values : order.customerSizes && order.customerSizes.values) || {},
+    };
+  });
+}
+
+function checkPrintable(order) {
+  const status = normalizeOrderStatus(order.status);
+  if (status === ORDER_STATUS.DRAFT || status === ORDER_STATUS.AWAITING_SUBMISSION) {
+    throw new ProductionDocumentError('Production documents are available once the order is submitted');
+  }
+}
+
+/**
+ * Open orders due in the studio week starting `weekStart` (YYYY-MM-DD), and
+ * overdue ones that are still open, soonest first.
+ */
+function ordersDueInWeek(orders, weekStart) {
+  return orders
+    .filter((order) => {
+      const due = orderDueDate(order);
+      return (
+        due &&
+        !CLOSED_STATUSES.has(normalizeOrderStatus(order.status)) &&
+        getWeekStart(new Date(due)) <= weekStart
+      );
+    })
+    .sort(
+      (a, b) =>
+        String(orderDueDate(a)).localeCompare(String(orderDueDate(b))) ||
+        String(a.createdAt || '').localeCompare(String(b.createdAt || '')) ||
+        String(a.id).localeCompare(String(b.id)),
+    );
+}
+
+/**
+ * A design upload as a JPEG the PDF writer can embed, or null when the image
+ * is missing or cannot be decoded.
+ */
+async function loadDesignImage(upload) {
+  const blobId = blobIdFromReference(upload);
+  const blob = blobId ? getBlob(blobId) : null;
+  let source = blob ? blob.filePath : null;
+  if (!source && upload && typeof upload.data === 'string') {
+    source = Buffer.from(upload.data.replace(/^data:[^;,]*;base64,/, ''), 'base64');
+  }
+  if (!source) {
+    return null;
+  }
+  try {
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize(DESIGN_IMAGE_SIZE, DESIGN_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+  } catch (error) {
+    return null;
+  }
+}
+
+// One at a time: a week's batch can reference a lot of images.
+async function loadJobImages(jobs) {
+  const images = new Map();
+  for (const job of jobs) {
+    for (const upload of job.designUploads.slice(0, DESIGNS_PER_SHEET)) {
+      if (!images.has(upload)) {
+        images.set(upload, await loadDesignImage(upload));
+      }
+    }
+  }
+  return images;
+}
+
+function drawCheckbox(doc, x, y, label) {
+  doc.rect(x, y - 9, 10, 10);
+  doc.text(x + 16, y, label);
+}
+
+function drawWrapped(doc, y, value, { indent = 0, maxLines = Infinity } = {}) {
+  const lines = wrapText(value, RIGHT - MARGIN - indent);
+  const shown = lines.slice(0, maxLines);
+  if (lines.length > shown.length) {
+    shown[shown.length - 1] = `${shown[shown.length - 1]}…`;
+  }
+  shown.forEach((line, index) => doc.text(MARGIN + indent, y + index * 14, line));
+  return y + shown.length * 14;
+}
+
+function drawProductionSheet(doc, { order, job, index, count, customer, images }) {
+  let y = MARGIN + 14;
+  doc.text(MARGIN, y, 'PRODUCTION SHEET', { font: 'bold', size: 18 });
+  doc.text(RIGHT, y, `Order #${orderNumber(order)}`, { font: 'bold', size: 14, align: 'right' });
+  y += 20;
+  doc.text(MARGIN, y, `Set ${index + 1} of ${count}${job.name ? `: ${job.name}` : ''}`, { size: 12 });
+  const due = orderDueDate(order);
+  doc.text(RIGHT, y, due ? `Due ${formatDate(due)}` : 'No due date', { font: 'bold', size: 12, align: 'right' });
+  y += 16;
+  doc.text(MARGIN, y, [customer && customer.name, fulfillmentLabel(order)].filter(Boolean).join(' • '));
+  y += 10;
+  doc.line(MARGIN, y, RIGHT, y);
+
+  y += 28;
+  doc.text(MARGIN, y, shapeName(job.shapeId), { font: 'bold', size: 16 });
+  doc.text(RIGHT, y, `Quantity: ${job.quantity || 1}`, { font: 'bold', size: 16, align: 'right' });
+
+  y += 30;
+  doc.text(MARGIN, y, 'Sizes', { font: 'bold', size: 12 });
+  doc.text(RIGHT, y, job.sizeSource, { align: 'right' });
+  y += 8;
+  const cellWidth = (RIGHT - MARGIN) / FINGERS.length;
+  FINGERS.forEach(({ key, label }, column) => {
+    const x = MARGIN + column * cellWidth;
+    doc.rect(x, y, cellWidth, 44);
+    doc.text(x + 8, y + 16, label);
+    doc.text(x + 8, y + 36, job.sizeValues[key] || '—', { font: 'bold', size: 14 });
+  });
+  y += 44;
+  if (!FINGERS.some(({ key }) => job.sizeValues[key])) {
+    y += 16;
+    doc.text(MARGIN, y, 'No sizes on file; check with the customer before making this set.');
+  }
+
+  y += 30;
+  doc.text(MARGIN, y, 'Design reference', { font: 'bold', size: 12 });
+  y += 8;
+  const uploads = job.designUploads.slice(0, DESIGNS_PER_SHEET);
+  if (!uploads.length) {
+    y += 14;
+    doc.text(MARGIN, y, 'No design images; see the description.');
+  }
+  const box = 156;
+  const gap = (RIGHT - MARGIN - box * 3) / 2;
+  uploads.forEach((upload, position) => {
+    const x = MARGIN + (position % 3) * (box + gap);
+    const top = y + Math.floor(position / 3) * (box + 10);
+    const image = images.get(upload);
+    doc.rect(x, top, box, box);
+    if (image) {
+      const scale = Math.min((box - 8) / image.width, (box - 8) / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      doc.image(x + (box - width) / 2, top + (box - height) / 2, width, height, image);
+    } else {
+      doc.text(x + 8, top + box / 2, 'Image unavailable', { size: 9 });
+      if (upload && upload.fileName) {
+        doc.text(x + 8, top + box / 2 + 12, wrapText(upload.fileName, box - 16, { size: 9 })[0], { size: 9 });
+      }
+    }
+  });
+  if (uploads.length) {
+    y += Math.ceil(uploads.length / 3) * (box + 10);
+  }
+  if (job.designUploads.length > uploads.length) {
+    y += 14;
+    doc.text(MARGIN, y, `${job.designUploads.length - uploads.length} more image(s) in the order.`);
+  }
+
+  // Whatever room is left goes to the notes; the checklist stays at the bottom.
+  const checklistY = BOTTOM;
+  [
+    ['Description', job.description],
+    ['Set notes', job.setNotes],
+  ].forEach(([label, value]) => {
+    if (!value) {
+      return;
+    }
+    const firstLine = y + 40;
+    const maxLines = Math.floor((checklistY - 40 - firstLine) / 14) + 1;
+    if (maxLines < 1) {
+      return;
+    }
+    doc.text(MARGIN, y + 24, label, { font: 'bold', size: 12 });
+    y = drawWrapped(doc, firstLine, value, { maxLines }) - 14;
+  });
+
+  doc.line(MARGIN, checklistY - 22, RIGHT, checklistY - 22);
+  ['Made', 'Quality checked', 'Packed'].forEach((label, position) => {
+    drawCheckbox(doc, MARGIN + position * 150, checklistY, label);
+  });
+}
+
+function drawPackingSlip(doc, { order, customer, business }) {
+  let y = MARGIN + 14;
+  doc.text(MARGIN, y, business.name, { font: 'bold', size: 18 });
+  doc.text(RIGHT, y, 'PACKING SLIP', { font: 'bold', size: 18, align: 'right' });
+  y += 20;
+  doc.text(RIGHT, y, `Order #${orderNumber(order)}`, { align: 'right' });
+  y += 14;
+  doc.text(RIGHT, y, `Ordered ${formatDate(order.createdAt)}`, { align: 'right' });
+
+  const fulfillment = order.fulfillment || {};
+  const isPickup = fulfillment.method === 'pickup';
+  y = MARGIN + 34;
+  doc.text(MARGIN, y, isPickup ? 'Pickup for' : 'Ship to', { font: 'bold', size: 12 });
+  const recipient = addressLines(fulfillment.address);
+  if (!recipient.length || (customer && customer.name && recipient[0] !== customer.name)) {
+    recipient.unshift((customer && customer.name) || '');
+  }
+  recipient.filter(Boolean).forEach((line) => {
+    y += 14;
+    doc.text(MARGIN, y, line);
+  });
+  y += 14;
+  doc.text(MARGIN, y, `Delivery: ${fulfillmentLabel(order) || 'not set'}`);
+  if (order.trackingNumber) {
+    y += 14;
+    doc.text(MARGIN, y, `Tracking: ${order.trackingNumber}`);
+  }
+
+  y += 34;
+  const columns = { packed: MARGIN, set: MARGIN + 50, shape: MARGIN + 330, quantity: RIGHT };
+  doc.text(columns.packed, y, 'Packed', { font: 'bold' });
+  doc.text(columns.set, y, 'Set', { font: 'bold' });
+  doc.text(columns.shape, y, 'Shape', { font: 'bold' });
+  doc.text(columns.quantity, y, 'Qty', { font: 'bold', align: 'right' });
+  y += 6;
+  doc.line(MARGIN, y, RIGHT, y);
+
+  const sets = Array.isArray(order.nailSets) ? order.nailSets : [];
+  sets.forEach((set, index) => {
+    const label = wrapText(set.name || `Set ${index + 1}`, columns.shape - columns.set - 10);
+    if (y + 10 + label.length * 14 > BOTTOM - 60) {
+      doc.addPage();
+      y = MARGIN + 14;
+      doc.text(MARGIN, y, `Packing slip for order #${orderNumber(order)}, continued`, { font: 'bold' });
+      y += 10;
+    }
+    y += 20;
+    doc.rect(columns.packed + 8, y - 9, 10, 10);
+    label.forEach((line, lineIndex) => doc.text(columns.set, y + lineIndex * 14, line));
+    doc.text(columns.shape, y, shapeName(set.shapeId));
+    doc.text(columns.quantity, y, String(set.quantity || 1), { align: 'right' });
+    y += (label.length - 1) * 14;
+  });
+  y += 10;
+  doc.line(MARGIN, y, RIGHT, y);
+  y += 16;
+  const totalSets = sets.reduce((sum, set) => sum + (Number(set.quantity) || 1), 0);
+  doc.text(MARGIN, y, 'Total sets', { font: 'bold' });
+  doc.text(RIGHT, y, String(totalSets), { font: 'bold', align: 'right' });
+
+  if (order.orderNotes) {
+    y += 30;
+    doc.text(MARGIN, y, 'Order notes', { font: 'bold' });
+    drawWrapped(doc, y + 16, order.orderNotes, { maxLines: Math.max(1, Math.floor((BOTTOM - 40 - y) / 14)) });
+  }
+  doc.text(MARGIN, BOTTOM, `Thank you for your order with ${business.name}!`, { font: 'bold' });
+}
+
+/**
+ * One PDF with the requested documents for each order, in order: all the
+ * production sheets first, then all the packing slips, so each pile can be
+ * printed and handed out separately.
+ *
+ * @param {Object[]} entries - { order, customer }
+ * @param {Object} options - { include: subset of PRODUCTION_DOCUMENTS, title }
+ * @returns {Promise<Buffer>}
+ */
+async function renderProductionPdf(entries, { include = PRODUCTION_DOCUMENTS, title, business = BUSINESS_DETAILS }) {
+  const doc = new PdfDocument({ title, author: business.name });
+  let first = true;
+  const nextPage = () => {
+    if (!first) {
+      doc.addPage();
+    }
+    first = false;
+  };
+
+  if (include.includes('sheets')) {
+    for (const { order, customer } of entries) {
+      const jobs = productionJobsFor(order);
+      const images = await loadJobImages(jobs);
+      jobs.forEach((job, index) => {
+        nextPage();
+        drawProductionSheet(doc, { order, job, index, count: jobs.length, customer, images });
+      });
+    }
+  }
+  if (include.includes('slips')) {
+    entries.forEach(({ order, customer }) => {
+      nextPage();
+      drawPackingSlip(doc, { order, customer, business });
+    });
+  }
+  if (first) {
+    doc.text(MARGIN, MARGIN + 14, 'Nothing to print.', { font: 'bold', size: 14 });
+    doc.text(MARGIN, MARGIN + 34, title);
+  }
+  return doc.toBuffer();
+}
+
+/**
+ * Production sheets or the packing slip for one order.
+ *
+ * @param {'sheets'|'slips'} document
+ * @throws {ProductionDocumentError} for orders that have not been submitted
+ */
+async function buildOrderProductionPdf(order, customer, document) {
+  checkPrintable(order);
+  const number = orderNumber(order);
+  const name = document === 'sheets' ? 'production-sheets' : 'packing-slip';
+  return {
+    fileName: `${name}-${number}.pdf`,
+    mimeType: PDF_MIME_TYPE,
+    data: await renderProductionPdf([{ order, customer }], {
+      include: [document],
+      title: `${document === 'sheets' ? 'Production sheets' : 'Packing slip'} for order #${number}`,
+    }),
+  };
+}
+
+/**
+ * Everything due in a studio week (and overdue) in one PDF for batch
+ * printing.
+ *
+ * @param {Object} state - storage state (orders and users)
+ * @param {Object} options - { weekStart: 'YYYY-MM-DD', include }
+ */
+async function buildWeeklyProductionPdf(state, { weekStart, include = PRODUCTION_DOCUMENTS }) {
+  const customers = new Map(state.users.map((user) => [user.id, user]));
+  const entries = ordersDueInWeek(state.orders, weekStart).map((order) => ({
+    order,
+    customer: customers.get(order.userId) || null,
+  }));
+  return {
+    fileName: `production-${weekStart}.pdf`,
+    mimeType: PDF_MIME_TYPE,
+    orderCount: entries.length,
+    data: await renderProductionPdf(entries, {
+      include,
+      title: `Due the week of ${formatDate(`${weekStart}T00:00:00Z`)}`,
+    }),
+  };
+}
+
+module.exports = {
+  PRODUCTION_DOCUMENTS,
+  ProductionDocumentError,
+  productionJobsFor,
+  ordersDueInWeek,
+  buildOrderProductionPdf,
+  buildWeeklyProductionPdf,
+};
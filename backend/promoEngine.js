@@ -0,0 +1,275 @@
+const { v4: uuid } = require('uuid');
+const { PROMO_TYPES } = require('../shared/pricing');
+
+class PromoCodeError extends Error {
+  constructor(message, promoCode = null) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.promoCode = promoCode;
+  }
+}
+
+/**
+ * Accepts a single code, a comma separated string or an array and returns
+ * the distinct codes, uppercased like promo_codes.code.
+ */
+function normalizePromoCodes(input) {
+  const values = Array.isArray(input) ? input : String(input || '').split(',');
+  return [
+    ...new Set(
+      values
+        .filter((value) => typeof value === 'string')
+        .map((value) => value.trim().toUpperCase())
+        .filter(Boolean),
+    ),
+  ];
+}
+
+function findPromoByCode(state, code) {
+  return state.promoCodes.find((promo) => String(promo.code).toUpperCase() === code) || null;
+}
+
+function usageFor(state, promo, orderId) {
+  return state.promoCodeUsage.filter(
+    (usage) => usage.promo_code_id === promo.id && (!orderId || usage.order_id !== orderId),
+  );
+}
+
+function checkEligibility(state, promo, code, { userId, orderId, subtotal, now }) {
+  if (!promo || !promo.active) {
+    throw new PromoCodeError('Promo code not found or expired', code);
+  }
+  if (promo.start_date && new Date(promo.start_date) > now) {
+    throw new PromoCodeError('This promo code is not yet active', code);
+  }
+  if (promo.end_date && new Date(promo.end_date) < now) {
+    throw new PromoCodeError('Promo code not found or expired', code);
+  }
+  if (promo.min_order_amount && subtotal < Number(promo.min_order_amount)) {
+    throw new PromoCodeError(
+      `Minimum order $${Number(promo.min_order_amount).toFixed(2)} required`,
+      code,
+    );
+  }
+
+  // Usage already recorded for this order does not count against it, so
+  // re-saving a submitted order keeps its codes.
+  const otherUses = usageFor(state, promo, orderId);
+  if (promo.max_uses && otherUses.length >= promo.max_uses) {
+    throw new PromoCodeError('This code has been used up', code);
+  }
+  if (promo.per_user_limit && userId) {
+    const userUses = otherUses.filter((usage) => usage.user_id === userId).length;
+    if (userUses >= promo.per_user_limit) {
+      throw new PromoCodeError(
+        'You have already used this promo code the maximum number of times',
+        code,
+      );
+    }
+  }
+}
+
+/**
+ * Check that promo codes can be used on an order.
+ *
+ * @param {Object} state - storage state (promoCodes, promoCodeUsage)
+ * @param {string[]} codes - output of normalizePromoCodes()
+ * @param {Object} context - { pricing, userId, orderId, now }; pricing is the
+ *   undiscounted output of calculateOrderPricing()
+ * @returns {Object[]} the promo records, ready for calculateOrderPricing()
+ * @throws {PromoCodeError} when any code cannot be used
+ */
+function resolvePromotions(state, codes, { pricing, userId = null, orderId = null, now = new Date() }) {
+  const promos = codes.map((code) => {
+    const promo = findPromoByCode(state, code);
+    checkEligibility(state, promo, code, { userId, orderId, subtotal: pricing.subtotal, now });
+    return promo;
+  });
+
+  if (promos.length > 1) {
+    const exclusive = promos.find((promo) => promo.combinable === false);
+    if (exclusive) {
+      throw new PromoCodeError(
+        `${exclusive.code} cannot be combined with other promo codes`,
+        exclusive.code,
+      );
+    }
+  }
+
+  return promos;
+}
+
+/**
+ * Make the recorded promo usage for an order match `promos`, inside the
+ * caller's storage transaction: usage for codes no longer applied is
+ * released, new usage is re-checked against max_uses / per_user_limit and
+ * recorded. Pass an empty list to release everything (e.g. back to draft).
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.enforceLimits] - re-check new usage; off for
+ *   orders that are already paid for with the discount
+ */
+function syncPromoUsage(state, order, promos, now = new Date(), { enforceLimits = true } = {}) {
+  const wantedIds = new Set(promos.map((promo) => promo.id));
+  const existing = state.promoCodeUsage.filter((usage) => usage.order_id === order.id);
+  const timestamp = now.toISOString();
+
+  existing
+    .filter((usage) => !wantedIds.has(usage.promo_code_id))
+    .forEach((usage) => {
+      const promo = state.promoCodes.find((item) => item.id === usage.promo_code_id);
+      if (promo) {
+        promo.uses_count = Math.max(0, (promo.uses_count || 0) - 1);
+        promo.updated_at = timestamp;
+      }
+    });
+  state.promoCodeUsage = state.promoCodeUsage.filter(
+    (usage) => usage.order_id !== order.id || wantedIds.has(usage.promo_code_id),
+  );
+
+  promos
+    .filter((promo) => !existing.some((usage) => usage.promo_code_id === promo.id))
+    .forEach((promo) => {
+      if (enforceLimits) {
+        checkEligibility(state, promo, promo.code, {
+          userId: order.userId,
+          orderId: order.id,
+          subtotal: Infinity,
+          now,
+        });
+      }
+      promo.uses_count = (promo.uses_count || 0) + 1;
+      promo.updated_at = timestamp;
+      state.promoCodeUsage.push({
+        id: uuid(),
+        promo_code_id: promo.id,
+        user_id: order.userId,
+        order_id: order.id,
+        used_at: timestamp,
+      });
+    });
+}
+
+/**
+ * Record usage of the promo codes a paid order was priced with, inside the
+ * caller's storage transaction. The customer has already paid the
+ * discounted total, so a code used up since checkout is still recorded;
+ * codes deleted since are skipped.
+ */
+function recordPaidPromoUsage(state, order, now = new Date()) {
+  const promos = normalizePromoCodes(order.promoCodes || order.promoCode)
+    .map((code) => findPromoByCode(state, code))
+    .filter(Boolean);
+  syncPromoUsage(state, order, promos, now, { enforceLimits: false });
+}
+
+/**
+ * Give back the promo usage held by an order (cancelled or back to draft).
+ */
+function releasePromoUsage(state, order, now = new Date()) {
+  syncPromoUsage(state, order, [], now);
+}
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'applies_to',
+  'min_order_amount',
+  'start_date',
+  'end_date',
+  'max_uses',
+  'per_user_limit',
+  'combinable',
+  'active',
+  'metadata',
+];
+
+function optionalNumber(value, field, { integer = false } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new PromoCodeError(`${field} must be a ${integer ? 'whole' : 'non-negative'} number`);
+  }
+  return number;
+}
+
+function optionalDate(value, field) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new PromoCodeError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate an admin create/update payload and return the stored promo
+ * record. Only fields present in `payload` change on an update.
+ */
+function buildPromoCode(payload = {}, existing = null) {
+  const merged = { ...(existing || {}) };
+  EDITABLE_FIELDS.forEach((field) => {
+    if (payload[field] !== undefined) {
+      merged[field] = payload[field];
+    }
+  });
+
+  const code = typeof merged.code === 'string' ? merged.code.trim().toUpperCase() : '';
+  if (!code) {
+    throw new PromoCodeError('code is required');
+  }
+  if (!PROMO_TYPES.includes(merged.type)) {
+    throw new PromoCodeError(`type must be one of ${PROMO_TYPES.join(', ')}`);
+  }
+
+  const value = optionalNumber(merged.value, 'value');
+  if (['percentage', 'fixed_amount', 'fixed_price_item'].includes(merged.type) && value === null) {
+    throw new PromoCodeError(`value is required for ${merged.type} codes`);
+  }
+  if (merged.type === 'percentage' && value > 100) {
+    throw new PromoCodeError('percentage value cannot exceed 100');
+  }
+
+  const startDate = optionalDate(merged.start_date, 'start_date');
+  const endDate = optionalDate(merged.end_date, 'end_date');
+  if (startDate && endDate && startDate > endDate) {
+    throw new PromoCodeError('end_date must be after start_date');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    ...merged,
+    id: (existing && existing.id) || uuid(),
+    code,
+    description: typeof merged.description === 'string' ? merged.description.trim() : null,
+    value,
+    applies_to: merged.applies_to || 'order',
+    min_order_amount: optionalNumber(merged.min_order_amount, 'min_order_amount'),
+    start_date: startDate,
+    end_date: endDate,
+    max_uses: optionalNumber(merged.max_uses, 'max_uses', { integer: true }),
+    per_user_limit: optionalNumber(merged.per_user_limit, 'per_user_limit', { integer: true }),
+    combinable: merged.combinable !== false,
+    active: merged.active !== false,
+    metadata: merged.metadata && typeof merged.metadata === 'object' ? merged.metadata : {},
+    uses_count: (existing && existing.uses_count) || 0,
+    created_at: (existing && existing.created_at) || now,
+    updated_at: now,
+  };
+}
+
+module.exports = {
+  PromoCodeError,
+  buildPromoCode,
+  normalizePromoCodes,
+  resolvePromotions,
+  syncPromoUsage,
+  recordPaidPromoUsage,
+  releasePromoUsage,
+};
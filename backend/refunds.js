@@ -0,0 +1,236 @@
+const { v4: uuid } = require('uuid');
+const { applyRefundTotal } = require('./orderLifecycle');
+const { roundCurrency } = require('../shared/pricing');
+
+const REFUND_METHODS = new Set(['stripe', 'manual']);
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+// Refunds that count against what is still refundable.
+function activeRefunds(order) {
+  return (order.refunds || []).filter((refund) => refund.status !== 'failed');
+}
+
+function refundedSoFar(order) {
+  return roundCurrency(activeRefunds(order).reduce((sum, refund) => sum + refund.amount, 0));
+}
+
+function refundedForLineItem(order, lineItemId) {
+  return activeRefunds(order).reduce(
+    (sum, refund) =>
+      sum +
+      (refund.lineItems || [])
+        .filter((item) => item.lineItemId === lineItemId)
+        .reduce((lineSum, item) => lineSum + item.amount, 0),
+    0,
+  );
+}
+
+function defaultRefundMethod(order) {
+  // Orders paid outside Stripe (Venmo, cash, ...) can only be refunded by hand.
+  if (order.paymentMethod && order.paymentMethod !== 'stripe') {
+    return 'manual';
+  }
+  return order.paymentIntentId ? 'stripe' : 'manual';
+}
+
+/**
+ * Work out a refund for a paid order without changing it.
+ *
+ * With no `lineItems` the whole remaining balance is refunded. Otherwise each
+ * entry ({ id, amount? }) refunds part of a charged line item; `amount`
+ * defaults to whatever is left of that line. The total can never exceed what
+ * the customer paid minus earlier refunds.
+ */
+function planRefund(order, { lineItems, reason, method, note } = {}, actorId = null) {
+  if (!order.paidAt && order.status !== 'paid') {
+    throw new RefundError('Only paid orders can be refunded', 409);
+  }
+
+  const refundMethod = method || defaultRefundMethod(order);
+  if (!REFUND_METHODS.has(refundMethod)) {
+    throw new RefundError('method must be stripe or manual');
+  }
+  if (refundMethod === 'stripe' && !order.paymentIntentId) {
+    throw new RefundError('Order has no Stripe payment to refund; use a manual refund');
+  }
+
+  const paidTotal = (order.pricing && Number(order.pricing.total)) || 0;
+  const remaining = roundCurrency(paidTotal - refundedSoFar(order));
+  if (remaining <= 0) {
+    throw new RefundError('Order has already been fully refunded', 409);
+  }
+
+  let refundLines = [];
+  let amount = remaining;
+
+  if (Array.isArray(lineItems) && lineItems.length) {
+    const charged = (order.pricing && order.pricing.lineItems) || [];
+    refundLines = lineItems.map((requested) => {
+      const lineItem = charged.find(
+        (item) => item.id === requested.id && item.type !== 'refund' && item.amount > 0,
+      );
+      if (!lineItem) {
+        throw new RefundError(`Unknown or non-refundable line item: ${requested.id}`);
+      }
+      const lineRemaining = roundCurrency(lineItem.amount - refundedForLineItem(order, lineItem.id));
+      const lineAmount =
+        requested.amount === undefined ? lineRemaining : roundCurrency(Number(requested.amount));
+      if (!Number.isFinite(lineAmount) || lineAmount <= 0) {
+        throw new RefundError(`Refund amount for ${lineItem.id} must be greater than zero`);
+      }
+      if (lineAmount > lineRemaining) {
+        throw new RefundError(
+          `Refund for ${lineItem.id} exceeds the ${lineRemaining.toFixed(2)} still refundable`,
+        );
+      }
+      return { lineItemId: lineItem.id, label: lineItem.label, amount: lineAmount };
+    });
+
+    amount = roundCurrency(refundLines.reduce((sum, item) => sum + item.amount, 0));
+    if (amount > remaining) {
+      throw new RefundError(`Refund exceeds the ${remaining.toFixed(2)} still refundable`);
+    }
+  }
+
+  return {
+    id: uuid(),
+    method: refundMethod,
+    status: refundMethod === 'manual' ? 'succeeded' : 'pending',
+    amount,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+    note: typeof note === 'string' && note.trim() ? note.trim() : null,
+    lineItems: refundLines,
+    stripeRefundId: null,
+    createdBy: actorId,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function refundLabel(refund) {
+  if (refund.lineItems.length) {
+    return `Refund: ${refund.lineItems.map((item) => item.label).join(', ')}`;
+  }
+  return refund.reason ? `Refund (${refund.reason})` : 'Refund';
+}
+
+/**
+ * Add a succeeded refund to the order's pricing as a negative `refund` line
+ * item and update the refunded/net totals. pricing.total stays the amount
+ * originally charged.
+ */
+function applyRefundToPricing(state, order, refund) {
+  const pricing = order.pricing || {};
+  pricing.lineItems = Array.isArray(pricing.lineItems) ? pricing.lineItems : [];
+  pricing.lineItems.push({
+    id: `refund_${refund.id}`,
+    type: 'refund',
+    refundId: refund.id,
+    label: refundLabel(refund),
+    amount: -refund.amount,
+    createdAt: refund.completedAt || refund.createdAt,
+  });
+
+  const refundedTotal = roundCurrency(
+    (order.refunds || [])
+      .filter((item) => item.status === 'succeeded')
+      .reduce((sum, item) => sum + item.amount, 0),
+  );
+  pricing.refundedTotal = refundedTotal;
+  pricing.netTotal = roundCurrency((Number(pricing.total) || 0) - refundedTotal);
+  order.pricing = pricing;
+
+  applyRefundTotal(state, order, refundedTotal);
+}
+
+/**
+ * Settle a refund that was pending with Stripe.
+ */
+function completeRefund(state, order, refundId, { stripeRefundId = null, error = null } = {}) {
+  const refund = (order.refunds || []).find((item) => item.id === refundId);
+  if (!refund || refund.status !== 'pending') {
+    return refund || null;
+  }
+  const now = new Date().toISOString();
+  if (error) {
+    refund.status = 'failed';
+    refund.failureReason = error;
+    refund.completedAt = now;
+  } else {
+    refund.status = 'succeeded';
+    refund.stripeRefundId = stripeRefundId;
+    refund.completedAt = now;
+    applyRefundToPricing(state, order, refund);
+  }
+  order.updatedAt = now;
+  return refund;
+}
+
+/**
+ * Start a refund: plan it and attach it to the order. Manual refunds are
+ * final immediately; Stripe refunds stay pending until completeRefund().
+ */
+function startRefund(state, order, request, actorId) {
+  const refund = planRefund(order, request, actorId);
+  order.refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  order.refunds.push(refund);
+  order.updatedAt = refund.createdAt;
+  if (refund.status === 'succeeded') {
+    refund.completedAt = refund.createdAt;
+    applyRefundToPricing(state, order, refund);
+  }
+  return refund;
+}
+
+/**
+ * Catch up with a charge.refunded webhook. Stripe reports the total refunded
+ * on the charge, which also covers refunds made in the Stripe dashboard;
+ * whatever it has refunded beyond the Stripe refunds the order already knows
+ * about (pending ones included, their webhook can beat completeRefund()) is
+ * recorded as a refund of its own, so it reaches the pricing and adds up with
+ * manual refunds. Returns that refund, or null when there was nothing new.
+ */
+function recordStripeRefundedTotal(state, order, stripeRefunded) {
+  const known = roundCurrency(
+    activeRefunds(order)
+      .filter((refund) => refund.method === 'stripe')
+      .reduce((sum, refund) => sum + refund.amount, 0),
+  );
+  const amount = roundCurrency(stripeRefunded - known);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const refund = {
+    id: uuid(),
+    method: 'stripe',
+    status: 'succeeded',
+    amount,
+    reason: null,
+    note: 'Refunded in the Stripe dashboard',
+    lineItems: [],
+    stripeRefundId: null,
+    createdBy: null,
+    createdAt: now,
+    completedAt: now,
+  };
+  order.refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  order.refunds.push(refund);
+  order.updatedAt = now;
+  applyRefundToPricing(state, order, refund);
+  return refund;
+}
+
+module.exports = {
+  RefundError,
+  startRefund,
+  completeRefund,
+  recordStripeRefundedTotal,
+};
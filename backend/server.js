@@ -7,24 +7,157 @@ const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const { v4: uuid } = require('uuid');
 const Stripe = require('stripe');
-const { readData, writeData } = require('./storage');
+const multer = require('multer');
+const { readData, transaction } = require('./storage');
+const {
+  authenticate,
+  authenticateAllowingPendingConsent,
+  requireAdmin,
+  canAccessUser,
+  createSessionToken,
+  resolveRole,
+} = require('./auth');
 const { calculateOrderPricing, DELIVERY_METHODS } = require('./orderPricing');
+const { OrderQueryError, parseOrderListParams, listOrders } = require('./orderQueries');
+const { idempotent } = require('./idempotency');
+const { UNPAID_STATUSES, markOrderPaid } = require('./orderLifecycle');
+const { transitionOrderStatus } = require('./orderTransitions');
+const { updateOrderAsAdmin, updateOrdersAsAdmin, updateProductionJobStage } = require('./orderAdmin');
+const {
+  CapacityError,
+  assertCapacityAvailable,
+  describeCapacity,
+  getWeekStart,
+  setWeeklyCapacity,
+} = require('./workloadCapacity');
+const {
+  actorFromRequest,
+  listOrderEvents,
+  recordOrderChanges,
+  recordOrderEvent,
+  snapshotOrder,
+} = require('./orderEvents');
+const { processStripeEvent } = require('./stripeWebhooks');
+const { sendMessage } = require('./mailer');
+const {
+  LoginThrottleError,
+  beginLoginAttempt,
+  describeLockout,
+  recordLoginSuccess,
+  unlockAccount,
+} = require('./loginThrottle');
+const {
+  ConsentError,
+  buildConsentMessage,
+  findConsentRequest,
+  isConsentRestricted,
+  issueConsentRequest,
+  normalizeGuardianContact,
+  requiresParentalConsent,
+  resolveConsentRequest,
+} = require('./parentalConsent');
+const {
+  renderConsentForm,
+  renderConsentMessage,
+  renderPasswordResetForm,
+} = require('./consentPage');
+const {
+  PasswordResetError,
+  buildPasswordResetMessage,
+  completePasswordReset,
+  findPasswordReset,
+  issuePasswordReset,
+  validateNewPassword,
+} = require('./passwordReset');
+const { RefundError, startRefund, completeRefund } = require('./refunds');
+const { InvoiceError, buildInvoiceMessage, buildInvoicePdf } = require('./invoice');
+const {
+  PRODUCTION_DOCUMENTS,
+  ProductionDocumentError,
+  buildOrderProductionPdf,
+  buildWeeklyProductionPdf,
+} = require('./productionDocuments');
+const {
+  PromoCodeError,
+  buildPromoCode,
+  normalizePromoCodes,
+  resolvePromotions,
+  syncPromoUsage,
+} = require('./promoEngine');
+const {
+  DeliveryMethodError,
+  buildDeliveryMethod,
+  buildDeliveryTier,
+  saveDeliveryTier,
+  listDeliveryMethods,
+  toPricingDeliveryMethods,
+} = require('./deliveryMethods');
+const {
+  MAX_UPLOAD_BYTES,
+  BlobError,
+  putBlob,
+  putBase64Blob,
+  getBlob,
+  getThumbnailPath,
+  blobIdFromReference,
+  collectGarbage,
+} = require('./blobStore');
+const {
+  ORDER_STATUS,
+  OrderStatusTransitionError,
+  normalizeOrderStatus,
+} = require('../shared/orderStatus');
+const { ORDER_EVENT_TYPE } = require('../shared/orderEvents');
+const { ProductionStageError } = require('../shared/productionJobs');
+const { buildOrderExport } = require('../shared/orderExport');
+const { buildOpenApiDocument } = require('./apiSchema');
+const { checkReadiness, describeLiveness } = require('./health');
+const { logger, requestLogger, restoreRequestContext } = require('./logger');
+const {
+  ValidationError,
+  asyncRoute,
+  errorCodes,
+  handleErrors,
+  notFound,
+  sendValidationError,
+  validate,
+} = require('./validation');
 const shapeCatalog = require('../shared/catalog/shapes.json');
 
 const PORT = process.env.PORT || 4000;
+// Where links in emails and texts point; the backend's public address.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || '';
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+// Development only: accept unsigned webhook events when no secret is set, to
+// replay fixtures locally. Never honoured in production.
+const STRIPE_WEBHOOK_ALLOW_UNSIGNED =
+  process.env.STRIPE_WEBHOOK_ALLOW_UNSIGNED === 'true' && process.env.NODE_ENV !== 'production';
 const stripe = STRIPE_SECRET_KEY ? Stripe(STRIPE_SECRET_KEY) : null;
 
 if (!STRIPE_SECRET_KEY) {
-  // eslint-disable-next-line no-console
-  console.warn(
+  logger.warn(
     'Stripe secret key not set. Payment endpoints will return errors until STRIPE_SECRET_KEY is provided.',
   );
 }
+if (!STRIPE_WEBHOOK_SECRET) {
+  logger.warn(
+    STRIPE_WEBHOOK_ALLOW_UNSIGNED
+      ? 'Stripe webhook secret not set. Accepting UNSIGNED webhook events (STRIPE_WEBHOOK_ALLOW_UNSIGNED).'
+      : 'Stripe webhook secret not set. The webhook will reject events until STRIPE_WEBHOOK_SECRET is provided.',
+  );
+}
 
 const app = express();
+// Login throttling is per client IP; behind a proxy set TRUST_PROXY (e.g. 1)
+// so req.ip is the client's address rather than the proxy's.
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+app.use(requestLogger);
 app.use(cors());
+app.use(errorCodes);
 app.use('/payments/webhook', express.raw({ type: 'application/json' }));
 const jsonBodyParser = express.json({ limit: '10mb' });
 app.use((req, res, next) => {
@@ -33,6 +166,7 @@ app.use((req, res, next) => {
   }
   return jsonBodyParser(req, res, next);
 });
+app.use(restoreRequestContext);
 
 function calculateAge(dobString) {
   const dob = new Date(dobString);
@@ -49,8 +183,8 @@ function calculateAge(dobString) {
 }
 
 function sanitizeUser(user) {
-  const { passwordHash, ...rest } = user;
-  return rest;
+  const { passwordHash, sessionVersion, ...rest } = user;
+  return { ...rest, role: resolveRole(user) };
 }
 
 function normalizeEmail(value) {
@@ -58,7 +192,7 @@ function normalizeEmail(value) {
 }
 
 function publicConsentLog(log) {
-  const { token, ...rest } = log;
+  const { token, tokenHash, ...rest } = log;
   return rest;
 }
 
@@ -123,14 +257,16 @@ function normalizeSizesPayload(payload) {
   return { mode, values };
 }
 
-function normalizeFulfillment(payload = {}) {
-  const methodConfig = DELIVERY_METHODS[payload.method] || DELIVERY_METHODS.pickup;
+function normalizeFulfillment(payload = {}, deliveryMethods = DELIVERY_METHODS) {
+  const methodConfig =
+    deliveryMethods[payload.method] || deliveryMethods.pickup || DELIVERY_METHODS.pickup;
   const speed =
     payload.speed && methodConfig.speedOptions[payload.speed]
       ? payload.speed
       : methodConfig.defaultSpeed;
+  // Every method except pickup needs somewhere to send the nails.
   const address =
-    methodConfig.id === 'shipping' || methodConfig.id === 'delivery'
+    methodConfig.id !== 'pickup'
       ? {
           name: payload.address?.name || '',
           line1: payload.address?.line1 || '',
@@ -148,30 +284,72 @@ function normalizeFulfillment(payload = {}) {
   };
 }
 
+/**
+ * normalizeFulfillment() falls back to pickup and the default speed so old
+ * records keep loading; a request naming a method or speed that does not
+ * exist is an error instead.
+ *
+ * @throws {ValidationError}
+ */
+function checkFulfillmentChoice(payload, deliveryMethods) {
+  if (!payload || !payload.method) {
+    return;
+  }
+  const methodConfig = deliveryMethods[payload.method];
+  if (!methodConfig) {
+    throw new ValidationError([
+      {
+        in: 'body',
+        path: '/fulfillment/method',
+        message: `must be one of ${Object.keys(deliveryMethods).join(', ')}`,
+      },
+    ]);
+  }
+  if (payload.speed && !methodConfig.speedOptions[payload.speed]) {
+    throw new ValidationError([
+      {
+        in: 'body',
+        path: '/fulfillment/speed',
+        message: `must be one of ${Object.keys(methodConfig.speedOptions).join(', ')}`,
+      },
+    ]);
+  }
+}
+
+// Design uploads are stored as references to blobs from POST /uploads.
+// Inline base64 from older clients is moved into the blob store here so it
+// never ends up in the order record.
+function normalizeDesignUpload(upload) {
+  if (!upload) {
+    return null;
+  }
+  if (typeof upload === 'string') {
+    return { id: uuid(), fileName: null, ...putBase64Blob(upload) };
+  }
+
+  const referencedId = blobIdFromReference(upload);
+  if (referencedId) {
+    const blob = getBlob(referencedId);
+    if (!blob) {
+      throw new BlobError(`Design upload ${referencedId} was not found`);
+    }
+    const { filePath, ...reference } = blob;
+    return { id: upload.id || uuid(), fileName: upload.fileName || null, ...reference };
+  }
+
+  const data = upload.data || upload.base64 || upload.content || null;
+  if (!data) {
+    return null;
+  }
+  return { id: upload.id || uuid(), fileName: upload.fileName || null, ...putBase64Blob(data) };
+}
+
 function normalizeNailSetPayload(setPayload = {}) {
   if (!setPayload.shapeId) {
     return null;
   }
   const designUploads = Array.isArray(setPayload.designUploads)
-    ? setPayload.designUploads
-        .map((upload) => {
-          if (!upload) {
-            return null;
-          }
-          if (typeof upload === 'string') {
-            return { id: uuid(), fileName: null, data: upload };
-          }
-          const data = upload.data || upload.base64 || upload.content || null;
-          if (!data) {
-            return null;
-          }
-          return {
-            id: upload.id || uuid(),
-            fileName: upload.fileName || null,
-            data,
-          };
-        })
-        .filter(Boolean)
+    ? setPayload.designUploads.map(normalizeDesignUpload).filter(Boolean)
     : [];
 
   return {
@@ -187,55 +365,35 @@ function normalizeNailSetPayload(setPayload = {}) {
   };
 }
 
-function createProductionJobs(order) {
-  if (!order || !Array.isArray(order.nailSets)) {
-    return [];
-  }
-  return order.nailSets.map((set) => ({
-    id: `${order.id}_${set.id}`,
-    orderId: order.id,
-    nailSetId: set.id,
-    quantity: set.quantity,
-    shapeId: set.shapeId,
-    name: set.name,
-    description: set.description,
-    designUploads: set.designUploads,
-    setNotes: set.setNotes,
-    sizes: set.sizes,
-  }));
-}
-
-app.post('/auth/signup', async (req, res) => {
+app.post('/auth/signup', validate, asyncRoute(async (req, res) => {
   const {
     name,
     email,
     password,
     age_group: ageGroup,
-  } = req.body || {};
-
-  if (!name || !email || !password || !ageGroup) {
-    return res
-      .status(400)
-      .json({ error: 'Missing required fields: name, email, password, age_group' });
-  }
+    parent_email: parentEmail,
+    parent_phone: parentPhone,
+  } = req.body;
 
   const normalizedEmail = normalizeEmail(email);
 
-  // Validate age group - must be 13 or older
-  // All valid age groups start at 13+
-  const validAgeGroups = ['13-17', '18-24', '25-34', '35-44', '45-54', '55+'];
-  if (!validAgeGroups.includes(ageGroup)) {
-    return res.status(400).json({ 
-      error: 'Invalid age group. You must be 13 years or older to create an account.' 
-    });
+  let guardian = null;
+  if (requiresParentalConsent(ageGroup)) {
+    try {
+      guardian = normalizeGuardianContact({ parentEmail, parentPhone });
+    } catch (error) {
+      if (error instanceof ConsentError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
   }
 
-  const state = readData();
-  const existingUser = state.users.find(
+  const alreadyRegistered = readData().users.some(
     (storedUser) => normalizeEmail(storedUser.email) === normalizedEmail,
   );
 
-  if (existingUser) {
+  if (alreadyRegistered) {
     return res.status(409).json({ error: 'Account already exists for this email' });
   }
 
@@ -253,16 +411,20 @@ app.post('/auth/signup', async (req, res) => {
     age_group: ageGroup,
     age: minAge, // Store minimum age from group for backward compatibility
     createdAt: now,
-    // Parental consent fields removed - all users 13+ are approved
+    // Adults consent for themselves; 13-17 accounts are restricted until a
+    // guardian approves (see issueConsentRequest below).
     pendingConsent: false,
+    consentStatus: 'approved',
     consentedAt: now,
     consentApprover: name.trim(),
     consentChannel: 'self',
+    role: 'user',
+    sessionVersion: 0,
     passwordHash,
   };
 
-  // Create consent log for record keeping (approved immediately)
-  const consentLog = {
+  // Self-consent is logged as approved straight away.
+  const selfConsentLog = {
     id: uuid(),
     userId,
     status: 'approved',
@@ -274,30 +436,69 @@ app.post('/auth/signup', async (req, res) => {
     token: null,
   };
 
-  state.users.push(newUser);
-  state.consentLogs.push(consentLog);
-  writeData(state);
+  // Re-check inside the transaction: another signup for the same email may
+  // have landed while the password was hashing.
+  const created = transaction((state) => {
+    const existingUser = state.users.find(
+      (storedUser) => normalizeEmail(storedUser.email) === normalizedEmail,
+    );
+    if (existingUser) {
+      return null;
+    }
+    state.users.push(newUser);
+    if (!guardian) {
+      state.consentLogs.push(selfConsentLog);
+      return { consentLog: selfConsentLog, consentToken: null };
+    }
+    const request = issueConsentRequest(state, newUser, guardian);
+    return { consentLog: request.consentLog, consentToken: request.token };
+  });
+
+  if (!created) {
+    return res.status(409).json({ error: 'Account already exists for this email' });
+  }
+
+  const consentDelivered = created.consentToken
+    ? await deliverConsentRequest(newUser, created.consentLog, created.consentToken)
+    : null;
 
   return res.status(201).json({
     user: sanitizeUser(newUser),
-    consentRequired: false,
-    consentLog: publicConsentLog(consentLog),
+    token: createSessionToken(newUser),
+    consentRequired: Boolean(guardian),
+    consentDelivered,
+    consentLog: publicConsentLog(created.consentLog),
   });
-});
+}));
 
-app.post('/auth/login', async (req, res) => {
-  const { email, password } = req.body || {};
+app.post('/auth/login', validate, asyncRoute(async (req, res) => {
+  const { email, password } = req.body;
+  const normalizedEmail = normalizeEmail(email);
+  const findUser = (state) =>
+    state.users.find((storedUser) => normalizeEmail(storedUser.email) === normalizedEmail) || null;
+  const attempt = { email: normalizedEmail, ip: req.ip };
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Missing email or password' });
+  // The attempt counts as a failure until the password checks out.
+  let user;
+  try {
+    user = transaction((state) => {
+      const storedUser = findUser(state);
+      beginLoginAttempt(state, { ...attempt, user: storedUser });
+      return storedUser;
+    });
+  } catch (error) {
+    if (error instanceof LoginThrottleError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        lockedUntil: error.lockedUntil,
+      });
+    }
+    throw error;
   }
 
-  const normalizedEmail = normalizeEmail(email);
-  const state = readData();
-  const user = state.users.find(
-    (storedUser) => normalizeEmail(storedUser.email) === normalizedEmail,
-  );
-
   if (!user) {
     return res.status(401).json({ error: 'Invalid credentials' });
   }
@@ -307,65 +508,315 @@ app.post('/auth/login', async (req, res) => {
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  if (user.pendingConsent) {
-    return res.status(403).json({
-      error: 'Parental consent is still pending',
-      pendingConsent: true,
-      user: sanitizeUser(user),
-    });
-  }
+  const loggedIn = transaction((state) => {
+    const storedUser = state.users.find((candidate) => candidate.id === user.id);
+    recordLoginSuccess(state, { ...attempt, user: storedUser });
+    return storedUser;
+  });
 
+  // Restricted accounts still get a session so the app can show the consent
+  // status and resend the request; authenticate() blocks everything else.
   return res.json({
-    user: sanitizeUser(user),
+    user: sanitizeUser(loggedIn),
+    token: createSessionToken(loggedIn),
+    pendingConsent: isConsentRestricted(loggedIn),
+  });
+}));
+
+app.get('/users/:userId/lockout', requireAdmin, validate, (req, res) => {
+  const user = readData().users.find((candidate) => candidate.id === req.params.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  return res.json({ lockout: describeLockout(user) });
+});
+
+app.post('/users/:userId/unlock', requireAdmin, validate, (req, res) => {
+  const user = transaction((state) => {
+    const storedUser = state.users.find((candidate) => candidate.id === req.params.userId);
+    return storedUser ? unlockAccount(state, storedUser) : null;
   });
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  return res.json({ lockout: describeLockout(user) });
 });
 
-app.post('/auth/consent', (req, res) => {
-  const { token, approver_name: approverNameRaw } = req.body || {};
-  const approverName = approverNameRaw ? String(approverNameRaw).trim() : null;
+// Answers the same way whether or not the email has an account, and sends
+// the email in the background so the response time does not tell either.
+app.post('/auth/password-reset/request', validate, (req, res) => {
+  const normalizedEmail = normalizeEmail(req.body.email);
+
+  const issued = transaction((state) => {
+    const user = state.users.find(
+      (storedUser) => normalizeEmail(storedUser.email) === normalizedEmail,
+    );
+    const request = user ? issuePasswordReset(state, user) : null;
+    return request ? { user, ...request } : null;
+  });
 
-  if (!token) {
-    return res.status(400).json({ error: 'Missing consent token' });
+  if (issued) {
+    const resetUrl = `${PUBLIC_BASE_URL}/reset-password/${encodeURIComponent(issued.token)}`;
+    sendMessage(buildPasswordResetMessage(issued.user, issued.reset, resetUrl)).catch((error) => {
+      logger.error('Failed to send password reset', { passwordResetId: issued.reset.id, error });
+    });
   }
 
-  const state = readData();
-  const consentLog = state.consentLogs.find((log) => log.token === token);
+  return res.status(202).json({
+    message: 'If an account exists for that email, a link to reset the password is on its way.',
+  });
+});
 
-  if (!consentLog) {
-    return res.status(404).json({ error: 'Consent request not found' });
+/**
+ * Set a new password with a reset token. The token is checked before the
+ * (slow) hash and again, atomically, when it is used up.
+ */
+async function resetPasswordWithToken(token, password) {
+  validateNewPassword(password);
+  findPasswordReset(readData(), token);
+  const passwordHash = await bcrypt.hash(password, 10);
+  return transaction((state) => completePasswordReset(state, token, passwordHash));
+}
+
+app.post('/auth/password-reset', validate, asyncRoute(async (req, res) => {
+  const { token, password } = req.body || {};
+  try {
+    await resetPasswordWithToken(token, password);
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
   }
+  return res.json({ message: 'Password updated. Sign in with your new password.' });
+}));
 
-  if (consentLog.status === 'approved') {
-    return res.status(409).json({ error: 'Consent already approved' });
+// Page linked from the password reset email.
+app.get('/reset-password/:token', validate, (req, res) => {
+  try {
+    const { user, reset } = findPasswordReset(readData(), req.params.token);
+    return res.type('html').send(
+      renderPasswordResetForm({
+        user,
+        reset,
+        actionUrl: `/reset-password/${encodeURIComponent(req.params.token)}`,
+      }),
+    );
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res
+        .status(error.status)
+        .type('html')
+        .send(renderConsentMessage('This link no longer works', error.message));
+    }
+    throw error;
   }
+});
 
-  const user = state.users.find((storedUser) => storedUser.id === consentLog.userId);
-  if (!user) {
+const parseForm = express.urlencoded({ extended: false });
+
+app.post('/reset-password/:token', validate, parseForm, asyncRoute(async (req, res) => {
+  const { password, confirm_password: confirmPassword } = req.body || {};
+  const { token } = req.params;
+  const sendLinkError = (error) =>
+    res
+      .status(error.status)
+      .type('html')
+      .send(renderConsentMessage('This link no longer works', error.message));
+
+  // Mistakes in the form keep the form; a dead link gets the error page.
+  let pending = null;
+  try {
+    pending = findPasswordReset(readData(), token);
+    if (password !== confirmPassword) {
+      throw new PasswordResetError('The passwords do not match.');
+    }
+    validateNewPassword(password);
+  } catch (error) {
+    if (!(error instanceof PasswordResetError)) {
+      throw error;
+    }
+    if (!pending) {
+      return sendLinkError(error);
+    }
     return res
-      .status(404)
-      .json({ error: 'Child account not found for consent request' });
+      .status(error.status)
+      .type('html')
+      .send(
+        renderPasswordResetForm({
+          ...pending,
+          actionUrl: `/reset-password/${encodeURIComponent(token)}`,
+          error: error.message,
+        }),
+      );
   }
 
-  const now = new Date().toISOString();
-  user.pendingConsent = false;
-  user.consentedAt = now;
-  user.consentApprover = approverName;
-  user.consentChannel = consentLog.channel;
+  try {
+    await resetPasswordWithToken(token, password);
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return sendLinkError(error);
+    }
+    throw error;
+  }
 
-  consentLog.status = 'approved';
-  consentLog.approvedAt = now;
-  consentLog.approverName = approverName;
-  consentLog.token = null;
+  return res
+    .type('html')
+    .send(
+      renderConsentMessage(
+        'Password updated',
+        'Your password has been changed and you have been signed out everywhere. Sign in to the app with your new password.',
+      ),
+    );
+}));
+
+/**
+ * Email or text the guardian a link to the consent page. Delivery problems
+ * are logged rather than failing the request; the child can resend.
+ *
+ * @returns {Promise<boolean>} whether the message was handed to the transport
+ */
+async function deliverConsentRequest(user, consentLog, consentToken) {
+  const consentUrl = `${PUBLIC_BASE_URL}/consent/${encodeURIComponent(consentToken)}`;
+  try {
+    await sendMessage(buildConsentMessage(user, consentLog, consentUrl));
+    return true;
+  } catch (error) {
+    logger.error('Failed to send consent request', { consentLogId: consentLog.id, error });
+    return false;
+  }
+}
 
-  writeData(state);
+function latestConsentLog(state, userId) {
+  return state.consentLogs
+    .filter((log) => log.userId === userId)
+    .reduce((latest, log) => (!latest || log.createdAt >= latest.createdAt ? log : latest), null);
+}
 
+// API counterpart of the guardian web page, kept for the app's ConsentScreen.
+app.post('/auth/consent', validate, (req, res) => {
+  const { token, approver_name: approverNameRaw, decision = 'approve' } = req.body;
+  const approverName = approverNameRaw ? approverNameRaw.trim() : null;
+
+  try {
+    const { user, consentLog } = transaction((state) =>
+      resolveConsentRequest(state, token, { decision, approverName }),
+    );
+    return res.json({
+      user: sanitizeUser(user),
+      consentLog: publicConsentLog(consentLog),
+    });
+  } catch (error) {
+    if (error instanceof ConsentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+app.get('/auth/consent/status', authenticateAllowingPendingConsent, validate, (req, res) => {
+  const state = readData();
+  const user = state.users.find((storedUser) => storedUser.id === req.auth.userId);
+  const consentLog = latestConsentLog(state, req.auth.userId);
   return res.json({
     user: sanitizeUser(user),
-    consentLog: publicConsentLog(consentLog),
+    pendingConsent: isConsentRestricted(user),
+    consentLog: consentLog ? publicConsentLog(consentLog) : null,
   });
 });
 
-app.get('/auth/consent/logs', (_req, res) => {
+// Send a fresh link (the old one stops working), optionally to a corrected
+// guardian contact. Also how a denied account asks again.
+app.post('/auth/consent/resend', authenticateAllowingPendingConsent, validate, asyncRoute(async (req, res) => {
+  const { parent_email: parentEmail, parent_phone: parentPhone } = req.body || {};
+
+  let result;
+  try {
+    result = transaction((state) => {
+      const user = state.users.find((storedUser) => storedUser.id === req.auth.userId);
+      if (!isConsentRestricted(user)) {
+        throw new ConsentError('This account does not need parental consent', 409);
+      }
+      const guardian =
+        parentEmail || parentPhone
+          ? normalizeGuardianContact({ parentEmail, parentPhone })
+          : normalizeGuardianContact({ parentEmail: user.parentEmail, parentPhone: user.parentPhone });
+      return { user, ...issueConsentRequest(state, user, guardian) };
+    });
+  } catch (error) {
+    if (error instanceof ConsentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  const consentDelivered = await deliverConsentRequest(result.user, result.consentLog, result.token);
+  return res.status(consentDelivered ? 200 : 502).json({
+    consentDelivered,
+    consentLog: publicConsentLog(result.consentLog),
+  });
+}));
+
+// Guardian-facing page linked from the consent message.
+app.get('/consent/:token', validate, (req, res) => {
+  try {
+    const { user, consentLog } = findConsentRequest(readData(), req.params.token);
+    return res.type('html').send(
+      renderConsentForm({
+        user,
+        consentLog,
+        actionUrl: `/consent/${encodeURIComponent(req.params.token)}`,
+      }),
+    );
+  } catch (error) {
+    if (error instanceof ConsentError) {
+      return res
+        .status(error.status)
+        .type('html')
+        .send(renderConsentMessage('This link no longer works', error.message));
+    }
+    throw error;
+  }
+});
+
+app.post('/consent/:token', validate, parseForm, (req, res) => {
+  const { decision, approver_name: approverNameRaw } = req.body || {};
+  const approverName = approverNameRaw ? String(approverNameRaw).trim() : null;
+
+  if (decision === 'approve' && !approverName) {
+    return res
+      .status(400)
+      .type('html')
+      .send(renderConsentMessage('Name required', 'Please go back and enter your name to approve.'));
+  }
+
+  try {
+    const { user } = transaction((state) =>
+      resolveConsentRequest(state, req.params.token, { decision, approverName }),
+    );
+    return res.type('html').send(
+      decision === 'approve'
+        ? renderConsentMessage(
+            'Thank you!',
+            `${user.name}'s account is approved and ready to use.`,
+          )
+        : renderConsentMessage(
+            'Request denied',
+            `${user.name}'s account will stay restricted. They can send a new request if you change your mind.`,
+          ),
+    );
+  } catch (error) {
+    if (error instanceof ConsentError) {
+      return res
+        .status(error.status)
+        .type('html')
+        .send(renderConsentMessage('This link no longer works', error.message));
+    }
+    throw error;
+  }
+});
+
+app.get('/auth/consent/logs', requireAdmin, validate, (_req, res) => {
   const state = readData();
   return res.json({
     logs: state.consentLogs.map(publicConsentLog),
@@ -373,34 +824,379 @@ app.get('/auth/consent/logs', (_req, res) => {
   });
 });
 
-app.get('/catalog/shapes', (_req, res) => {
+app.get('/catalog/shapes', validate, (_req, res) => {
   return res.json({ shapes: shapeCatalog });
 });
 
-app.post('/orders', (req, res) => {
+const parseUploads = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 10 },
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: 10 },
+]);
+
+// Blob URLs never change for the same bytes, so clients may cache forever.
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+function sendBlobFile(req, res, blobId, filePath, contentType) {
+  res.set({
+    'Cache-Control': IMMUTABLE_CACHE_CONTROL,
+    ETag: `"${blobId}"`,
+    'Content-Type': contentType,
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  return res.sendFile(filePath, { etag: false, lastModified: false, cacheControl: false });
+}
+
+app.post('/uploads', authenticate, validate, (req, res, next) => {
+  parseUploads(req, res, (parseError) => {
+    if (parseError) {
+      const status = parseError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: parseError.message });
+    }
+
+    const files = [...((req.files && req.files.file) || []), ...((req.files && req.files.files) || [])];
+    if (!files.length) {
+      return res.status(400).json({ error: 'Attach at least one image as "file" or "files"' });
+    }
+
+    try {
+      const uploads = files.map((file) => ({
+        ...putBlob(file.buffer),
+        fileName: file.originalname || null,
+      }));
+      return res.status(201).json({ uploads });
+    } catch (error) {
+      if (error instanceof BlobError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      // Thrown from multer's callback this would escape Express entirely.
+      return next(error);
+    }
+  });
+});
+
+// Blob ids are sha256 hashes of the image, so the URLs are unguessable and
+// can be used directly as <Image> sources without auth headers.
+app.get('/uploads/:blobId', validate, (req, res) => {
+  const blob = getBlob(req.params.blobId);
+  if (!blob) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  return sendBlobFile(req, res, blob.blobId, blob.filePath, blob.contentType);
+});
+
+app.get('/uploads/:blobId/thumbnail', validate, asyncRoute(async (req, res) => {
+  try {
+    const filePath = await getThumbnailPath(req.params.blobId);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    return sendBlobFile(req, res, `${req.params.blobId}-thumbnail`, filePath, 'image/webp');
+  } catch (error) {
+    if (error instanceof BlobError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return res.status(500).json({ error: 'Unable to generate thumbnail' });
+  }
+}));
+
+app.post('/uploads/gc', requireAdmin, validate, (req, res) => {
+  const { graceHours } = req.body;
+  const result = collectGarbage(graceHours !== undefined ? { graceHours } : undefined);
+  return res.json(result);
+});
+
+// Quote promo codes against an order without recording any usage.
+app.post('/promo-codes/validate', authenticate, validate, (req, res) => {
+  const { promoCode, promoCodes, nailSets, fulfillment, orderId } = req.body || {};
+  const codes = normalizePromoCodes(promoCodes || promoCode);
+  if (!codes.length) {
+    return res.status(400).json({ error: 'promoCode is required' });
+  }
+
+  try {
+    const state = readData();
+    const deliveryMethods = toPricingDeliveryMethods(state);
+    checkFulfillmentChoice(fulfillment, deliveryMethods);
+    const basePricing = calculateOrderPricing({
+      nailSets: nailSets || [],
+      fulfillment,
+      deliveryMethods,
+    });
+    const promotions = resolvePromotions(state, codes, {
+      pricing: basePricing,
+      userId: req.auth.userId,
+      orderId: orderId || null,
+    });
+    return res.json({
+      valid: true,
+      pricing: calculateOrderPricing({ nailSets, fulfillment, promotions, deliveryMethods }),
+    });
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(400).json({ valid: false, error: error.message, promoCode: error.promoCode });
+    }
+    if (error instanceof ValidationError) {
+      return sendValidationError(res, error);
+    }
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/promo-codes', requireAdmin, validate, (_req, res) => {
+  const state = readData();
+  return res.json({ promoCodes: state.promoCodes, count: state.promoCodes.length });
+});
+
+app.post('/promo-codes', requireAdmin, validate, (req, res) => {
+  try {
+    const result = transaction((state) => {
+      const promo = buildPromoCode(req.body);
+      if (state.promoCodes.some((item) => item.code === promo.code)) {
+        return { status: 409, body: { error: `Promo code ${promo.code} already exists` } };
+      }
+      state.promoCodes.push(promo);
+      return { status: 201, body: { promoCode: promo } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+app.patch('/promo-codes/:promoCodeId', requireAdmin, validate, (req, res) => {
+  try {
+    const result = transaction((state) => {
+      const index = state.promoCodes.findIndex((item) => item.id === req.params.promoCodeId);
+      if (index === -1) {
+        return { status: 404, body: { error: 'Promo code not found' } };
+      }
+      const promo = buildPromoCode(req.body, state.promoCodes[index]);
+      if (state.promoCodes.some((item) => item.code === promo.code && item.id !== promo.id)) {
+        return { status: 409, body: { error: `Promo code ${promo.code} already exists` } };
+      }
+      state.promoCodes[index] = promo;
+      return { status: 200, body: { promoCode: promo } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Customers see visible methods in the shape shared/pricing takes; admins
+// get the stored records, hidden ones included.
+app.get('/delivery-methods', validate, (_req, res) => {
+  const state = readData();
+  return res.json({ deliveryMethods: toPricingDeliveryMethods(state, { includeHidden: false }) });
+});
+
+app.get('/delivery-methods/all', requireAdmin, validate, (_req, res) => {
+  const state = readData();
+  return res.json({ deliveryMethods: listDeliveryMethods(state, { includeHidden: true }) });
+});
+
+function sendDeliveryMethodError(res, error) {
+  if (error instanceof DeliveryMethodError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  throw error;
+}
+
+function ordersUsingFulfillment(state, methodName, speed = null) {
+  return state.orders.filter(
+    (order) =>
+      order.fulfillment &&
+      order.fulfillment.method === methodName &&
+      (!speed || order.fulfillment.speed === speed),
+  ).length;
+}
+
+app.post('/delivery-methods', requireAdmin, validate, (req, res) => {
+  try {
+    const result = transaction((state) => {
+      const method = buildDeliveryMethod(req.body);
+      if (state.deliveryMethods.some((item) => item.name === method.name)) {
+        return { status: 409, body: { error: `Delivery method ${method.name} already exists` } };
+      }
+      state.deliveryMethods.push(method);
+      return { status: 201, body: { deliveryMethod: { ...method, tiers: [] } } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    return sendDeliveryMethodError(res, error);
+  }
+});
+
+app.patch('/delivery-methods/:methodId', requireAdmin, validate, (req, res) => {
+  try {
+    const result = transaction((state) => {
+      const index = state.deliveryMethods.findIndex((item) => item.id === req.params.methodId);
+      if (index === -1) {
+        return { status: 404, body: { error: 'Delivery method not found' } };
+      }
+      const method = buildDeliveryMethod(req.body, state.deliveryMethods[index]);
+      state.deliveryMethods[index] = method;
+      return { status: 200, body: { deliveryMethod: method } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    return sendDeliveryMethodError(res, error);
+  }
+});
+
+// Methods and tiers that orders refer to can only be hidden, so those orders
+// keep pricing the same way.
+app.delete('/delivery-methods/:methodId', requireAdmin, validate, (req, res) => {
+  const result = transaction((state) => {
+    const method = state.deliveryMethods.find((item) => item.id === req.params.methodId);
+    if (!method) {
+      return { status: 404, body: { error: 'Delivery method not found' } };
+    }
+    if (ordersUsingFulfillment(state, method.name)) {
+      return {
+        status: 409,
+        body: { error: `Orders use ${method.name}; hide it instead of deleting it` },
+      };
+    }
+    state.deliveryMethods = state.deliveryMethods.filter((item) => item.id !== method.id);
+    state.deliveryTiers = state.deliveryTiers.filter(
+      (tier) => tier.delivery_method_id !== method.id,
+    );
+    return { status: 204 };
+  });
+  return result.status === 204 ? res.status(204).end() : res.status(result.status).json(result.body);
+});
+
+app.post('/delivery-methods/:methodId/tiers', requireAdmin, validate, (req, res) => {
+  try {
+    const result = transaction((state) => {
+      const method = state.deliveryMethods.find((item) => item.id === req.params.methodId);
+      if (!method) {
+        return { status: 404, body: { error: 'Delivery method not found' } };
+      }
+      const tier = saveDeliveryTier(state, buildDeliveryTier(req.body, method));
+      return { status: 201, body: { deliveryTier: tier } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    return sendDeliveryMethodError(res, error);
+  }
+});
+
+app.patch('/delivery-tiers/:tierId', requireAdmin, validate, (req, res) => {
+  try {
+    const result = transaction((state) => {
+      const existing = state.deliveryTiers.find((item) => item.id === req.params.tierId);
+      if (!existing) {
+        return { status: 404, body: { error: 'Delivery tier not found' } };
+      }
+      const method = state.deliveryMethods.find((item) => item.id === existing.delivery_method_id);
+      const tier = saveDeliveryTier(state, buildDeliveryTier(req.body, method, existing));
+      return { status: 200, body: { deliveryTier: tier } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    return sendDeliveryMethodError(res, error);
+  }
+});
+
+app.delete('/delivery-tiers/:tierId', requireAdmin, validate, (req, res) => {
+  const result = transaction((state) => {
+    const tier = state.deliveryTiers.find((item) => item.id === req.params.tierId);
+    if (!tier) {
+      return { status: 404, body: { error: 'Delivery tier not found' } };
+    }
+    const method = state.deliveryMethods.find((item) => item.id === tier.delivery_method_id);
+    if (method && ordersUsingFulfillment(state, method.name, tier.name)) {
+      return {
+        status: 409,
+        body: { error: `Orders use ${method.name} ${tier.name}; hide it instead of deleting it` },
+      };
+    }
+    state.deliveryTiers = state.deliveryTiers.filter((item) => item.id !== tier.id);
+    return { status: 204 };
+  });
+  return result.status === 204 ? res.status(204).end() : res.status(result.status).json(result.body);
+});
+
+// Weekly workload capacity. Slots are taken and given back by order status
+// transitions (orderTransitions.js); these routes only report and configure.
+app.get('/capacity', authenticate, validate, (_req, res) => {
+  const state = readData();
+  return res.json({ capacity: describeCapacity(state) });
+});
+
+app.patch('/capacity', requireAdmin, validate, (req, res) => {
+  const { weeklyCapacity, weekStart } = req.body;
+  try {
+    const result = transaction((state) => {
+      const week = setWeeklyCapacity(
+        state,
+        weeklyCapacity,
+        weekStart ? getWeekStart(new Date(`${weekStart}T12:00:00Z`)) : getWeekStart(),
+      );
+      return { week, capacity: describeCapacity(state) };
+    });
+    return res.json(result);
+  } catch (error) {
+    if (error instanceof CapacityError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    throw error;
+  }
+});
+
+// Statuses a customer may set on their own order; everything else is driven
+// by payments or by an admin.
+const CUSTOMER_ORDER_STATUSES = new Set(['draft', 'submitted', 'pending_payment']);
+
+app.post('/orders', authenticate, validate, idempotent, (req, res) => {
   const {
     id: orderId,
-    userId,
+    userId: requestedUserId,
     nailSets,
     fulfillment,
     customerSizes,
     orderNotes,
     promoCode,
+    promoCodes,
     status,
   } = req.body || {};
 
-  if (!userId) {
-    return res.status(400).json({ error: 'userId is required to create an order' });
+  const userId = requestedUserId || req.auth.userId;
+  const codes = normalizePromoCodes(promoCodes || promoCode);
+
+  if (!canAccessUser(req, userId)) {
+    return res.status(403).json({ error: 'Not allowed to create orders for this user' });
   }
 
-  const normalizedSets = Array.isArray(nailSets)
-    ? nailSets
-        .map((set) => normalizeNailSetPayload(set))
-        .filter(Boolean)
-    : [];
+  if (status && !CUSTOMER_ORDER_STATUSES.has(status) && req.auth.role !== 'admin') {
+    return res.status(403).json({ error: `Not allowed to set order status to ${status}` });
+  }
 
-  if (!normalizedSets.length) {
-    return res.status(400).json({ error: 'At least one nail set is required' });
+  let normalizedSets;
+  try {
+    normalizedSets = Array.isArray(nailSets)
+      ? nailSets
+          .map((set) => normalizeNailSetPayload(set))
+          .filter(Boolean)
+      : [];
+  } catch (error) {
+    if (error instanceof BlobError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
   }
 
   const missingDesign = normalizedSets.some(
@@ -417,60 +1213,277 @@ app.post('/orders', (req, res) => {
   }
 
   try {
-    const pricing = calculateOrderPricing({
-      nailSets: normalizedSets,
-      fulfillment,
-      promoCode,
-    });
-
-    const state = readData();
     const normalizedStatus = status || 'draft';
-    const now = new Date().toISOString();
-    let order = orderId ? findOrderById(state, orderId) : null;
-    const isNew = !order;
-
-    if (isNew) {
-      order = {
-        id: uuid(),
-        createdAt: now,
+    const result = transaction((state) => {
+      const now = new Date().toISOString();
+      const deliveryMethods = toPricingDeliveryMethods(state);
+      checkFulfillmentChoice(fulfillment, deliveryMethods);
+      const basePricing = calculateOrderPricing({
+        nailSets: normalizedSets,
+        fulfillment,
+        deliveryMethods,
+      });
+      let storedOrder = orderId ? findOrderById(state, orderId) : null;
+      const created = !storedOrder;
+
+      if (storedOrder && !canAccessUser(req, storedOrder.userId)) {
+        return null;
+      }
+      // Paid orders are changed by the studio (PATCH), not re-posted.
+      if (storedOrder && storedOrder.paidAt) {
+        return { alreadyPaid: true };
+      }
+
+      const before = created ? null : snapshotOrder(storedOrder);
+      if (created) {
+        storedOrder = {
+          id: uuid(),
+          createdAt: now,
+          userId,
+        };
+        state.orders.push(storedOrder);
+      }
+
+      const promotions = resolvePromotions(state, codes, {
+        pricing: basePricing,
         userId,
-      };
-      state.orders.push(order);
-    }
-
-    Object.assign(order, {
-      userId,
-      nailSets: normalizedSets,
-      fulfillment: normalizeFulfillment(fulfillment),
-      customerSizes: normalizeSizesPayload(customerSizes),
-      orderNotes: typeof orderNotes === 'string' ? orderNotes.trim() : '',
-      promoCode: promoCode || null,
-      status: normalizedStatus,
-      pricing,
-      updatedAt: now,
+        orderId: storedOrder.id,
+      });
+      // Submitted orders keep the tax rate they were placed with; drafts are
+      // taxed at today's rates.
+      const taxSnapshot =
+        !created && normalizeOrderStatus(storedOrder.status) !== ORDER_STATUS.DRAFT
+          ? (storedOrder.pricing && storedOrder.pricing.taxSnapshot) || null
+          : null;
+      // Drafts hold no promo usage; it is recorded once the order is submitted.
+      syncPromoUsage(
+        state,
+        { id: storedOrder.id, userId },
+        normalizeOrderStatus(normalizedStatus) === ORDER_STATUS.DRAFT ? [] : promotions,
+      );
+
+      Object.assign(storedOrder, {
+        userId,
+        nailSets: normalizedSets,
+        fulfillment: normalizeFulfillment(fulfillment, deliveryMethods),
+        customerSizes: normalizeSizesPayload(customerSizes),
+        orderNotes: typeof orderNotes === 'string' ? orderNotes.trim() : '',
+        promoCode: codes[0] || null,
+        promoCodes: codes,
+        pricing: calculateOrderPricing({
+          nailSets: normalizedSets,
+          fulfillment,
+          promotions,
+          deliveryMethods,
+          taxSnapshot,
+        }),
+        updatedAt: now,
+      });
+      transitionOrderStatus(state, storedOrder, normalizedStatus);
+      recordOrderChanges(storedOrder, before, actorFromRequest(req));
+
+      return { order: storedOrder, isNew: created };
     });
 
-    writeData(state);
+    // Someone else's order is as good as missing, like on every other route.
+    if (!result) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (result.alreadyPaid) {
+      return res.status(409).json({ error: 'This order has been paid for and can no longer be changed' });
+    }
 
-    return res.status(isNew ? 201 : 200).json({
-      order: sanitizeOrder(order),
+    return res.status(result.isNew ? 201 : 200).json({
+      order: sanitizeOrder(result.order),
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error instanceof PromoCodeError) {
+      return res.status(400).json({ error: error.message, promoCode: error.promoCode });
+    }
+    if (error instanceof OrderStatusTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error instanceof CapacityError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code, nextOpening: error.nextOpening });
+    }
     return res.status(400).json({ error: error.message });
   }
 });
 
-app.get('/orders/:orderId', (req, res) => {
+app.get('/orders', authenticate, validate, (req, res) => {
+  let params;
+  try {
+    params = parseOrderListParams(req.query);
+  } catch (error) {
+    if (error instanceof OrderQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  const admin = req.auth.role === 'admin';
+  if (!admin) {
+    if (params.userId && params.userId !== req.auth.userId) {
+      return res.status(403).json({ error: 'Not allowed to list orders for this user' });
+    }
+    params.userId = req.auth.userId;
+  }
+
+  const { orders, nextCursor, count } = listOrders(readData().orders, params, {
+    includeAdminFields: admin,
+  });
+
+  return res.json({
+    orders: orders.map(sanitizeOrder),
+    nextCursor,
+    count,
+  });
+});
+
+// Registered before /orders/:orderId so "export" is not taken for an id.
+app.get('/orders/export', requireAdmin, validate, (req, res) => {
+  let params;
+  try {
+    params = parseOrderListParams(req.query);
+  } catch (error) {
+    if (error instanceof OrderQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  const state = readData();
+  const { orders } = listOrders(
+    state.orders,
+    { ...params, limit: Infinity, cursor: null },
+    { includeAdminFields: true },
+  );
+  const customers = new Map(state.users.map((user) => [user.id, user]));
+  const file = buildOrderExport(
+    orders.map((order) => {
+      const customer = customers.get(order.userId);
+      return { ...order, customer: customer && { name: customer.name, email: customer.email } };
+    }),
+    { format: req.query.format || 'csv', from: req.query.from, to: req.query.to },
+  );
+
+  res.attachment(file.fileName).type(file.mimeType);
+  return typeof file.data === 'string' ? res.send(file.data) : res.end(file.data);
+});
+
+app.get('/orders/:orderId', authenticate, validate, (req, res) => {
   const { orderId } = req.params;
   const state = readData();
   const order = findOrderById(state, orderId);
-  if (!order) {
+  // Orders owned by someone else are reported as missing so ids cannot be probed.
+  if (!order || !canAccessUser(req, order.userId)) {
     return res.status(404).json({ error: 'Order not found' });
   }
   return res.json({ order: sanitizeOrder(order) });
 });
 
-app.patch('/orders/:orderId', (req, res) => {
+app.get('/orders/:orderId/events', authenticate, validate, (req, res) => {
+  const order = findOrderById(readData(), req.params.orderId);
+  if (!order || !canAccessUser(req, order.userId)) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  return res.json({ events: listOrderEvents(order.id, { isAdmin: req.auth.role === 'admin' }) });
+});
+
+function sendPdf(res, file) {
+  res.attachment(file.fileName).type(file.mimeType);
+  return res.end(file.data);
+}
+
+// The order's invoice, or its receipt once paid, built from the stored
+// pricing so it comes out the same every time it is downloaded.
+function invoiceForRequest(req) {
+  const state = readData();
+  const order = findOrderById(state, req.params.orderId);
+  if (!order || !canAccessUser(req, order.userId)) {
+    return { error: new InvoiceError('Order not found', 404) };
+  }
+  const customer = state.users.find((user) => user.id === order.userId) || null;
+  try {
+    return { order, customer, file: buildInvoicePdf(order, customer) };
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return { error };
+    }
+    throw error;
+  }
+}
+
+app.get('/orders/:orderId/invoice', authenticate, validate, (req, res) => {
+  const { error, file } = invoiceForRequest(req);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  return sendPdf(res, file);
+});
+
+app.post('/orders/:orderId/invoice/email', authenticate, validate, asyncRoute(async (req, res) => {
+  const { error, order, customer, file } = invoiceForRequest(req);
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (!customer || !customer.email) {
+    return res.status(409).json({ error: 'The customer has no email address' });
+  }
+  try {
+    await sendMessage(buildInvoiceMessage(order, customer, file));
+  } catch (sendError) {
+    logger.error('Failed to email invoice', { orderId: order.id, error: sendError });
+    return res.status(502).json({ error: 'Could not send the email. Please try again.' });
+  }
+  return res.json({ sent: true, kind: file.kind, to: customer.email });
+}));
+
+// Production sheets (one page per set) or the packing slip for one order.
+function productionDocumentRoute(document) {
+  return asyncRoute(async (req, res) => {
+    const state = readData();
+    const order = findOrderById(state, req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const customer = state.users.find((user) => user.id === order.userId) || null;
+    try {
+      return sendPdf(res, await buildOrderProductionPdf(order, customer, document));
+    } catch (error) {
+      if (error instanceof ProductionDocumentError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+  });
+}
+
+app.get('/orders/:orderId/production-sheets', requireAdmin, validate, productionDocumentRoute('sheets'));
+app.get('/orders/:orderId/packing-slip', requireAdmin, validate, productionDocumentRoute('slips'));
+
+// Everything due in a studio week, plus overdue open orders, in one PDF.
+app.get('/production/documents', requireAdmin, validate, asyncRoute(async (req, res) => {
+  const { week, include } = req.query;
+  const documents = include
+    ? [].concat(include).flatMap((value) => String(value).split(',')).map((value) => value.trim()).filter(Boolean)
+    : PRODUCTION_DOCUMENTS;
+  const unknown = documents.filter((document) => !PRODUCTION_DOCUMENTS.includes(document));
+  if (unknown.length || !documents.length) {
+    return res
+      .status(400)
+      .json({ error: `include must list ${PRODUCTION_DOCUMENTS.join(' and/or ')}` });
+  }
+  const weekStart = getWeekStart(week ? new Date(`${week}T12:00:00Z`) : new Date());
+  return sendPdf(res, await buildWeeklyProductionPdf(readData(), { weekStart, include: documents }));
+}));
+
+app.patch('/orders/:orderId', requireAdmin, validate, (req, res) => {
   const { orderId } = req.params;
   const {
     status,
@@ -480,53 +1493,118 @@ app.patch('/orders/:orderId', (req, res) => {
     trackingNumber,
   } = req.body || {};
 
-  const state = readData();
-  const order = findOrderById(state, orderId);
+  let order;
+  try {
+    order = transaction((state) => {
+      const storedOrder = findOrderById(state, orderId);
+      if (!storedOrder) {
+        return null;
+      }
+      return updateOrderAsAdmin(
+        state,
+        storedOrder,
+        { status, adminNotes, adminImages, discount, trackingNumber },
+        actorFromRequest(req),
+      );
+    });
+  } catch (error) {
+    if (error instanceof OrderStatusTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error instanceof CapacityError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code, nextOpening: error.nextOpening });
+    }
+    throw error;
+  }
 
   if (!order) {
     return res.status(404).json({ error: 'Order not found' });
   }
 
-  const allowedStatuses = new Set([
-    'draft',
-    'submitted',
-    'pending',
-    'in_progress',
-    'completed',
-    'delivered',
-    'cancelled',
-    'pending_payment',
-  ]);
-
-  if (status && allowedStatuses.has(status)) {
-    order.status = status;
-  }
+  return res.json({ order: sanitizeOrder(order) });
+});
 
-  if (typeof adminNotes === 'string') {
-    order.adminNotes = adminNotes.trim();
-  }
+// Move one nail set's production job to another stage. The order follows:
+// ready once every set is packed, back in progress if one is reopened.
+app.patch('/orders/:orderId/production-jobs/:jobId', requireAdmin, validate, (req, res) => {
+  const { orderId, jobId } = req.params;
+  const { stage, staffName } = req.body;
 
-  if (Array.isArray(adminImages)) {
-    order.adminImages = adminImages.filter((item) => typeof item === 'string' && item.length > 0);
-  }
-
-  if (typeof discount === 'number' && !Number.isNaN(discount)) {
-    order.discount = discount;
+  let order;
+  try {
+    order = transaction((state) => {
+      const storedOrder = findOrderById(state, orderId);
+      if (!storedOrder) {
+        return null;
+      }
+      const admin = state.users.find((user) => user.id === req.auth.userId);
+      const staff = {
+        id: req.auth.userId,
+        name: (staffName && staffName.trim()) || (admin && admin.name) || req.auth.email,
+      };
+      return updateProductionJobStage(state, storedOrder, jobId, stage, {
+        actor: actorFromRequest(req),
+        staff,
+      });
+    });
+  } catch (error) {
+    if (error instanceof ProductionStageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof OrderStatusTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+    throw error;
   }
 
-  if (trackingNumber !== undefined) {
-    order.trackingNumber =
-      trackingNumber === null ? '' : String(trackingNumber).trim();
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
   }
 
-  order.updatedAt = new Date().toISOString();
-
-  writeData(state);
-
   return res.json({ order: sanitizeOrder(order) });
 });
 
-app.post('/orders/:orderId/payment-intent', async (req, res) => {
+// Bulk version of PATCH /orders/:orderId for busy weeks. Always 200; each
+// result says whether its order changed.
+app.patch('/orders', requireAdmin, validate, (req, res) => {
+  const results = updateOrdersAsAdmin(req.body.updates, actorFromRequest(req)).map((result) =>
+    result.ok ? { ...result, order: sanitizeOrder(result.order) } : result,
+  );
+  const failed = results.filter((result) => !result.ok).length;
+  return res.json({ results, updated: results.length - failed, failed });
+});
+
+// PaymentIntent states in which the customer can still pay with it.
+const OPEN_PAYMENT_INTENT_STATUSES = new Set([
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+]);
+
+/**
+ * Look at the order's current PaymentIntent: `reusable` if it is still open
+ * and was created for the same amount, `stale` if it is open for a different
+ * amount. A stale intent must be cancelled so the customer cannot pay the old
+ * total, but only once its replacement is stored on the order, so that its
+ * cancellation webhook is not taken for the customer abandoning the order.
+ */
+async function findReusablePaymentIntent(order, amountInCents) {
+  if (!order.paymentIntentId) {
+    return { reusable: null, stale: null };
+  }
+  const existing = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+  if (!OPEN_PAYMENT_INTENT_STATUSES.has(existing.status)) {
+    return { reusable: null, stale: null };
+  }
+  if (existing.amount === amountInCents) {
+    return { reusable: existing, stale: null };
+  }
+  return { reusable: null, stale: existing };
+}
+
+app.post('/orders/:orderId/payment-intent', authenticate, validate, idempotent, asyncRoute(async (req, res) => {
   if (!stripe) {
     return res.status(500).json({
       error: 'Stripe is not configured. Provide STRIPE_SECRET_KEY to enable payments.',
@@ -534,102 +1612,272 @@ app.post('/orders/:orderId/payment-intent', async (req, res) => {
   }
 
   const { orderId } = req.params;
-  const state = readData();
-  const order = findOrderById(state, orderId);
-  if (!order) {
+  const order = findOrderById(readData(), orderId);
+  if (!order || !canAccessUser(req, order.userId)) {
     return res.status(404).json({ error: 'Order not found' });
   }
   if (!order.pricing || typeof order.pricing.total !== 'number') {
     return res.status(400).json({ error: 'Order total unavailable' });
   }
+  // Paying submits the order, so make sure the week still has room before
+  // the customer is charged.
+  if (!order.paidAt && UNPAID_STATUSES.includes(normalizeOrderStatus(order.status) || ORDER_STATUS.DRAFT)) {
+    try {
+      assertCapacityAvailable(readData());
+    } catch (error) {
+      if (error instanceof CapacityError) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, code: error.code, nextOpening: error.nextOpening });
+      }
+      throw error;
+    }
+  }
 
   try {
     const amountInCents = Math.round(order.pricing.total * 100);
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd',
-      metadata: {
-        orderId: order.id,
-        userId: order.userId,
-      },
-      automatic_payment_methods: {
-        enabled: true,
-      },
+    const { reusable, stale } = await findReusablePaymentIntent(order, amountInCents);
+    const paymentIntent =
+      reusable ||
+      (await stripe.paymentIntents.create({
+        amount: amountInCents,
+        currency: 'usd',
+        metadata: {
+          orderId: order.id,
+          userId: order.userId,
+        },
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      }));
+
+    // Stripe is called outside the transaction; apply the result to the
+    // latest copy of the order rather than the snapshot read above.
+    const updatedOrder = transaction((state) => {
+      const storedOrder = findOrderById(state, orderId);
+      if (!storedOrder) {
+        return null;
+      }
+      const before = snapshotOrder(storedOrder);
+      if (storedOrder.paymentIntentId !== paymentIntent.id) {
+        recordOrderEvent(orderId, {
+          type: ORDER_EVENT_TYPE.PAYMENT,
+          actor: actorFromRequest(req),
+          metadata: {
+            label: 'Payment started',
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount / 100,
+          },
+        });
+        // Webhooks for the intents this one replaces no longer speak for
+        // the order.
+        if (storedOrder.paymentIntentId) {
+          storedOrder.replacedPaymentIntentIds = [
+            ...(storedOrder.replacedPaymentIntentIds || []),
+            storedOrder.paymentIntentId,
+          ];
+        }
+      }
+      storedOrder.paymentIntentId = paymentIntent.id;
+      storedOrder.paymentIntentClientSecret = paymentIntent.client_secret;
+      storedOrder.paymentIntentAmount = paymentIntent.amount;
+      if (normalizeOrderStatus(storedOrder.status) === ORDER_STATUS.DRAFT) {
+        transitionOrderStatus(state, storedOrder, ORDER_STATUS.AWAITING_SUBMISSION);
+      }
+      storedOrder.updatedAt = new Date().toISOString();
+      recordOrderChanges(storedOrder, before, actorFromRequest(req));
+      return storedOrder;
     });
 
-    order.paymentIntentId = paymentIntent.id;
-    order.paymentIntentClientSecret = paymentIntent.client_secret;
-    order.status = 'pending_payment';
-    order.updatedAt = new Date().toISOString();
-
-    writeData(state);
+    if (!updatedOrder) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (stale) {
+      await stripe.paymentIntents.cancel(stale.id);
+    }
 
     return res.json({
       clientSecret: paymentIntent.client_secret,
-      order: sanitizeOrder(order),
+      order: sanitizeOrder(updatedOrder),
     });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
-});
+}));
 
-app.post('/orders/:orderId/complete', (req, res) => {
+app.post('/orders/:orderId/complete', authenticate, validate, idempotent, asyncRoute(async (req, res) => {
   const { orderId } = req.params;
   const { paymentIntentId } = req.body || {};
-  const state = readData();
-  const order = findOrderById(state, orderId);
 
-  if (!order) {
+  const order = findOrderById(readData(), orderId);
+  if (!order || !canAccessUser(req, order.userId)) {
     return res.status(404).json({ error: 'Order not found' });
   }
-
   if (paymentIntentId && order.paymentIntentId && paymentIntentId !== order.paymentIntentId) {
     return res.status(400).json({ error: 'Payment intent mismatch for this order' });
   }
+  // Status moves on after payment (in progress, ready, ...), paidAt does not.
+  if (order.paidAt) {
+    return res.json({ order: sanitizeOrder(order) });
+  }
+  if (!order.paymentIntentId) {
+    return res.status(400).json({ error: 'No payment has been started for this order' });
+  }
+  if (!stripe) {
+    return res.status(500).json({
+      error: 'Stripe is not configured. Provide STRIPE_SECRET_KEY to enable payments.',
+    });
+  }
 
-  if (order.status === 'paid') {
-    return res.status(200).json({ order: sanitizeOrder(order) });
+  // The app's word is not proof of payment; ask Stripe.
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+  } catch (error) {
+    logger.error('Failed to retrieve payment intent', { orderId, error });
+    return res.status(502).json({ error: 'Could not confirm the payment. Please try again.' });
+  }
+  if (intent.status !== 'succeeded') {
+    return res.status(409).json({ error: `Payment has not succeeded (status: ${intent.status})` });
   }
 
-  const now = new Date();
-  now.setHours(0, 0, 0, 0);
-  let estimated =
-    order.pricing && order.pricing.estimatedCompletionDate
-      ? new Date(order.pricing.estimatedCompletionDate)
-      : null;
-  if (!estimated || Number.isNaN(estimated.getTime())) {
-    estimated = new Date(now);
-    const daysToAdd =
-      order.pricing && order.pricing.estimatedCompletionDays
-        ? Number(order.pricing.estimatedCompletionDays)
-        : 7;
-    estimated.setDate(estimated.getDate() + daysToAdd);
+  try {
+    const result = transaction((state) => {
+      const storedOrder = findOrderById(state, orderId);
+      if (!storedOrder) {
+        return { status: 404, body: { error: 'Order not found' } };
+      }
+      // The webhook may have got there while Stripe was being asked.
+      if (!storedOrder.paidAt) {
+        const before = snapshotOrder(storedOrder);
+        markOrderPaid(state, storedOrder);
+        recordOrderEvent(storedOrder.id, {
+          type: ORDER_EVENT_TYPE.PAYMENT,
+          actor: actorFromRequest(req),
+          metadata: {
+            label: 'Payment confirmed',
+            paymentIntentId: intent.id,
+            amount: storedOrder.pricing ? storedOrder.pricing.total : null,
+          },
+        });
+        recordOrderChanges(storedOrder, before, actorFromRequest(req));
+      }
+      return { status: 200, body: { order: sanitizeOrder(storedOrder) } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error instanceof CapacityError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code, nextOpening: error.nextOpening });
+    }
+    throw error;
   }
+}));
 
-  order.status = 'paid';
-  order.paidAt = new Date().toISOString();
-  order.estimatedFulfillmentDate = estimated.toISOString();
-  order.updatedAt = order.paidAt;
-  order.productionJobs = createProductionJobs(order);
+// Log a refund once it is final (manual refunds are final immediately,
+// Stripe ones once settled) along with what it did to the order.
+function recordRefundEvents(order, refund, before, actor) {
+  if (!refund || refund.status === 'pending') {
+    return;
+  }
+  recordOrderEvent(order.id, {
+    type: ORDER_EVENT_TYPE.REFUND,
+    actor,
+    metadata: {
+      refundId: refund.id,
+      status: refund.status,
+      amount: refund.amount,
+      method: refund.method,
+      reason: refund.reason || null,
+    },
+  });
+  recordOrderChanges(order, before, actor);
+}
 
-  writeData(state);
+app.post('/orders/:orderId/refunds', requireAdmin, validate, idempotent, asyncRoute(async (req, res) => {
+  const { orderId } = req.params;
+  const { lineItems, reason, method, note } = req.body || {};
 
-  return res.json({
-    order: sanitizeOrder(order),
-  });
-});
+  let started;
+  try {
+    started = transaction((state) => {
+      const order = findOrderById(state, orderId);
+      if (!order) {
+        return null;
+      }
+      // Reserve the refund before talking to Stripe so two concurrent
+      // requests cannot refund more than was paid.
+      const before = snapshotOrder(order);
+      const refund = startRefund(state, order, { lineItems, reason, method, note }, req.auth.userId);
+      recordRefundEvents(order, refund, before, actorFromRequest(req));
+      return { order, refund };
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
 
-app.post('/payments/webhook', (req, res) => {
+  if (!started) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  if (started.refund.status !== 'pending') {
+    return res.status(201).json({ refund: started.refund, order: sanitizeOrder(started.order) });
+  }
+
+  let outcome = {};
   if (!stripe) {
-    return res.status(500).json({ error: 'Stripe is not configured.' });
+    outcome = { error: 'Stripe is not configured. Provide STRIPE_SECRET_KEY to enable refunds.' };
+  } else {
+    try {
+      const stripeRefund = await stripe.refunds.create(
+        {
+          payment_intent: started.order.paymentIntentId,
+          amount: Math.round(started.refund.amount * 100),
+          metadata: { orderId, refundId: started.refund.id },
+        },
+        { idempotencyKey: `refund_${started.refund.id}` },
+      );
+      outcome = { stripeRefundId: stripeRefund.id };
+    } catch (error) {
+      outcome = { error: error.message };
+    }
+  }
+
+  const settled = transaction((state) => {
+    const order = findOrderById(state, orderId);
+    const before = snapshotOrder(order);
+    const refund = completeRefund(state, order, started.refund.id, outcome);
+    recordRefundEvents(order, refund, before, actorFromRequest(req));
+    return { order, refund };
+  });
+
+  if (outcome.error) {
+    return res.status(502).json({
+      error: `Refund failed: ${outcome.error}`,
+      refund: settled.refund,
+    });
+  }
+
+  return res.status(201).json({ refund: settled.refund, order: sanitizeOrder(settled.order) });
+}));
+
+app.post('/payments/webhook', validate, (req, res) => {
+  if (!STRIPE_WEBHOOK_SECRET && !STRIPE_WEBHOOK_ALLOW_UNSIGNED) {
+    return res.status(500).json({ error: 'Stripe webhook is not configured.' });
   }
 
   let event = req.body;
 
+  // Verifying a signature only needs the webhook secret, not an API key, so
+  // events can be replayed locally without a Stripe account.
   if (STRIPE_WEBHOOK_SECRET) {
     const signature = req.headers['stripe-signature'];
     try {
-      event = stripe.webhooks.constructEvent(req.body, signature, STRIPE_WEBHOOK_SECRET);
+      event = Stripe.webhooks.constructEvent(req.body, signature, STRIPE_WEBHOOK_SECRET);
     } catch (err) {
       return res.status(400).send(`Webhook signature verification failed: ${err.message}`);
     }
@@ -641,40 +1889,39 @@ app.post('/payments/webhook', (req, res) => {
     }
   }
 
-  const state = readData();
+  if (!event || !event.id || !event.type || !event.data || !event.data.object) {
+    return res.status(400).json({ error: 'Malformed Stripe event' });
+  }
 
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    const order = state.orders.find((item) => item.paymentIntentId === paymentIntent.id);
-    if (order) {
-      const now = new Date();
-      now.setHours(0, 0, 0, 0);
-      let estimated =
-        order.pricing && order.pricing.estimatedCompletionDate
-          ? new Date(order.pricing.estimatedCompletionDate)
-          : null;
-      if (!estimated || Number.isNaN(estimated.getTime())) {
-        estimated = new Date(now);
-        const daysToAdd =
-          order.pricing && order.pricing.estimatedCompletionDays
-            ? Number(order.pricing.estimatedCompletionDays)
-            : 7;
-        estimated.setDate(estimated.getDate() + daysToAdd);
-      }
+  const { duplicate, handled, orderId } = processStripeEvent(event);
 
-      order.status = 'paid';
-      order.paidAt = new Date().toISOString();
-      order.estimatedFulfillmentDate = estimated.toISOString();
-      order.updatedAt = order.paidAt;
-      order.productionJobs = createProductionJobs(order);
-      writeData(state);
-    }
-  }
+  return res.json({ received: true, duplicate, handled, orderId });
+});
 
-  return res.json({ received: true });
+// Liveness and readiness probes for the process manager or load balancer.
+app.get('/healthz', validate, (_req, res) => {
+  return res.json(describeLiveness());
 });
 
-app.listen(PORT, () => {
-  console.log(`Auth service listening on port ${PORT}`);
+app.get('/readyz', validate, (_req, res) => {
+  const { ready, ...readiness } = checkReadiness({
+    stripeConfigured: Boolean(stripe),
+    webhookSecretConfigured: Boolean(STRIPE_WEBHOOK_SECRET),
+  });
+  return res.status(ready ? 200 : 503).json(readiness);
+});
+
+app.get('/openapi.json', validate, (_req, res) => {
+  return res.json(buildOpenApiDocument({ serverUrl: PUBLIC_BASE_URL }));
 });
 
+app.use(notFound);
+app.use(handleErrors);
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('Auth service listening', { port: Number(PORT) });
+  });
+}
+
+module.exports = app;
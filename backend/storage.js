@@ -1,42 +1,269 @@
 const fs = require('fs');
 const path = require('path');
+const Database = require('better-sqlite3');
+const { COLLECTIONS, MIGRATIONS } = require('./migrations');
+const { logger } = require('./logger');
 
-const DATA_FILE = path.join(__dirname, 'data', 'db.json');
+const DATABASE_FILE_NAME = 'nailsbyabri.db';
+const LEGACY_DATA_FILE_NAME = 'db.json';
+const LEGACY_IMPORT_META_KEY = 'legacy_json_imported_at';
 
-function ensureDataFile() {
-  if (!fs.existsSync(DATA_FILE)) {
-    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
-    fs.writeFileSync(
-      DATA_FILE,
-      JSON.stringify({ users: [], consentLogs: [], orders: [] }, null, 2),
-      'utf8',
+// Ids of the records each readData() snapshot was built from, so writeData()
+// only deletes rows the caller actually removed and never rows another
+// request inserted in the meantime.
+const LOADED_IDS = Symbol('loadedIds');
+
+// Serialized form of every record handed out by readData(), used to skip
+// rewriting rows that did not change.
+const recordSnapshots = new WeakMap();
+
+let database = null;
+
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, 'data');
+}
+
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
     );
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map((row) => row.version),
+  );
+  const recordMigration = db.prepare(
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+  );
+
+  MIGRATIONS.filter((migration) => !applied.has(migration.version))
+    .sort((a, b) => a.version - b.version)
+    .forEach((migration) => {
+      db.transaction(() => {
+        if (migration.sql) {
+          db.exec(migration.sql);
+        }
+        if (typeof migration.up === 'function') {
+          migration.up(db);
+        }
+        recordMigration.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    });
+}
+
+function getDatabase() {
+  if (database) {
+    return database;
+  }
+
+  const dataDir = getDataDir();
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const db = new Database(path.join(dataDir, DATABASE_FILE_NAME));
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+
+  database = db;
+  importLegacyData();
+  return database;
+}
+
+function closeDatabase() {
+  if (database) {
+    database.close();
+    database = null;
   }
 }
 
-function readData() {
-  ensureDataFile();
-  const fileContents = fs.readFileSync(DATA_FILE, 'utf8');
+function parseRecord(table, row) {
   try {
-    const parsed = JSON.parse(fileContents);
-    return {
-      users: Array.isArray(parsed.users) ? parsed.users : [],
-      consentLogs: Array.isArray(parsed.consentLogs) ? parsed.consentLogs : [],
-      orders: Array.isArray(parsed.orders) ? parsed.orders : [],
-    };
+    return JSON.parse(row.data);
   } catch (error) {
-    console.error('Failed to parse data file, resetting state.', error);
-    return { users: [], consentLogs: [], orders: [] };
+    // Never fall back to an empty state here: a write after that would
+    // silently wipe every other record.
+    const storageError = new Error(`Corrupt record ${row.id} in ${table}`);
+    storageError.cause = error;
+    throw storageError;
   }
 }
 
+function readCollection(db, table) {
+  return db
+    .prepare(`SELECT id, data FROM ${table} ORDER BY rowid`)
+    .all()
+    .map((row) => {
+      const record = parseRecord(table, row);
+      recordSnapshots.set(record, row.data);
+      return record;
+    });
+}
+
+function readData() {
+  const db = getDatabase();
+  const state = {};
+  const loadedIds = {};
+
+  Object.entries(COLLECTIONS).forEach(([key, table]) => {
+    state[key] = readCollection(db, table);
+    loadedIds[key] = new Set(state[key].map((record) => record.id));
+  });
+
+  Object.defineProperty(state, LOADED_IDS, { value: loadedIds, enumerable: false });
+  return state;
+}
+
+/**
+ * One record by id, without loading the rest of the store. For hot read-only
+ * paths such as resolving the session on every request; changes still go
+ * through transaction().
+ *
+ * @param {string} collection - a state key, e.g. 'users'
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function readRecord(collection, id) {
+  const table = COLLECTIONS[collection];
+  if (!table) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+  if (typeof id !== 'string' || !id) {
+    return null;
+  }
+  const row = getDatabase().prepare(`SELECT id, data FROM ${table} WHERE id = ?`).get(id);
+  return row ? parseRecord(table, row) : null;
+}
+
+/**
+ * Cheap check for readiness probes: the database opens and every collection
+ * table can be read, without loading the records.
+ *
+ * @returns {{ schemaVersion: number }}
+ */
+function checkStorage() {
+  const db = getDatabase();
+  Object.values(COLLECTIONS).forEach((table) => {
+    db.prepare(`SELECT id FROM ${table} LIMIT 1`).get();
+  });
+  const { version } = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+  return { schemaVersion: version };
+}
+
 function writeData(nextState) {
-  ensureDataFile();
-  fs.writeFileSync(DATA_FILE, JSON.stringify(nextState, null, 2), 'utf8');
+  const db = getDatabase();
+  const loadedIds = nextState[LOADED_IDS] || {};
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    Object.entries(COLLECTIONS).forEach(([key, table]) => {
+      const records = Array.isArray(nextState[key]) ? nextState[key] : [];
+      const upsert = db.prepare(
+        `INSERT INTO ${table} (id, data, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      );
+      const remove = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+      const keptIds = new Set();
+
+      records.forEach((record) => {
+        if (!record || !record.id) {
+          throw new Error(`Cannot store a record without an id in ${key}`);
+        }
+        keptIds.add(record.id);
+        const serialized = JSON.stringify(record);
+        if (recordSnapshots.get(record) === serialized) {
+          return;
+        }
+        upsert.run(record.id, serialized, now);
+        recordSnapshots.set(record, serialized);
+      });
+
+      (loadedIds[key] || []).forEach((id) => {
+        if (!keptIds.has(id)) {
+          remove.run(id);
+        }
+      });
+    });
+  })();
+}
+
+/**
+ * Run a synchronous read-modify-write against the store atomically. The
+ * mutator receives the same shape readData() returns; whatever it returns is
+ * passed through. Throwing rolls back every change made inside it.
+ */
+function transaction(mutator) {
+  const db = getDatabase();
+  const run = db.transaction(() => {
+    const state = readData();
+    const result = mutator(state);
+    if (result && typeof result.then === 'function') {
+      throw new Error('Storage transactions must be synchronous');
+    }
+    writeData(state);
+    return result;
+  });
+  return run.immediate();
+}
+
+/**
+ * Import a legacy db.json file into the store. Runs once automatically when
+ * the database is first opened; pass `force` to import a file again (records
+ * with matching ids are overwritten).
+ */
+function importLegacyData(filePath = path.join(getDataDir(), LEGACY_DATA_FILE_NAME), options = {}) {
+  const db = getDatabase();
+  const alreadyImported = db
+    .prepare('SELECT value FROM storage_meta WHERE key = ?')
+    .get(LEGACY_IMPORT_META_KEY);
+
+  if ((alreadyImported && !options.force) || !fs.existsSync(filePath)) {
+    return { imported: false, counts: {} };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const counts = {};
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    Object.entries(COLLECTIONS).forEach(([key, table]) => {
+      const records = Array.isArray(parsed[key]) ? parsed[key] : [];
+      const upsert = db.prepare(
+        `INSERT INTO ${table} (id, data, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      );
+      counts[key] = 0;
+      records.forEach((record) => {
+        if (!record || !record.id) {
+          logger.warn('Skipping record without an id during legacy import', { collection: key });
+          return;
+        }
+        upsert.run(record.id, JSON.stringify(record), now);
+        counts[key] += 1;
+      });
+    });
+
+    db.prepare(
+      `INSERT INTO storage_meta (key, value) VALUES (?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+    ).run(LEGACY_IMPORT_META_KEY, now);
+  })();
+
+  logger.info('Imported legacy data', { filePath, counts });
+  return { imported: true, counts };
 }
 
 module.exports = {
+  getDataDir,
   readData,
+  readRecord,
   writeData,
+  transaction,
+  checkStorage,
+  importLegacyData,
+  getDatabase,
+  closeDatabase,
 };
-
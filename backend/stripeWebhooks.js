@@ -0,0 +1,215 @@
+const { getDatabase, transaction } = require('./storage');
+const { markOrderPaid, transitionIfAllowed } = require('./orderLifecycle');
+const { recordStripeRefundedTotal } = require('./refunds');
+const { SYSTEM_ACTOR, recordOrderChanges, recordOrderEvent, snapshotOrder } = require('./orderEvents');
+const { ORDER_EVENT_TYPE } = require('../shared/orderEvents');
+const { ORDER_STATUS } = require('../shared/orderStatus');
+
+const PAYMENT_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+  REQUIRES_ACTION: 'requires_action',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  DISPUTED: 'disputed',
+};
+
+function centsToDollars(cents) {
+  return Number.isFinite(cents) ? cents / 100 : null;
+}
+
+function isPaid(order) {
+  // Status moves on after payment (in progress, ready, ...), paidAt does not.
+  return Boolean(order.paidAt) || order.status === 'paid';
+}
+
+function paymentIntentIdFor(event) {
+  const object = event.data.object;
+  if (event.type.startsWith('payment_intent.')) {
+    return object.id;
+  }
+  if (object.payment_intent && typeof object.payment_intent === 'object') {
+    return object.payment_intent.id;
+  }
+  return object.payment_intent || null;
+}
+
+function findOrderForEvent(state, event) {
+  const paymentIntentId = paymentIntentIdFor(event);
+  const metadataOrderId = event.data.object.metadata && event.data.object.metadata.orderId;
+  return (
+    (paymentIntentId && state.orders.find((order) => order.paymentIntentId === paymentIntentId)) ||
+    (metadataOrderId && state.orders.find((order) => order.id === metadataOrderId)) ||
+    null
+  );
+}
+
+/**
+ * Per-event-type updates. Each handler mutates the order and returns the
+ * details recorded in the order's payment event history; `applied: false`
+ * means the event was recorded but deliberately left the order unchanged
+ * (for example a late failure for an intent that was already paid, or one
+ * whose status change the order's state machine does not allow).
+ */
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': (order, intent, { state }) => {
+    // Stripe has taken the money, so a week that filled up since checkout
+    // still takes the order.
+    if (!isPaid(order)) {
+      markOrderPaid(state, order, { overbook: true });
+    }
+    order.paymentStatus = PAYMENT_STATUS.SUCCEEDED;
+    order.lastPaymentError = null;
+    return { applied: true, amount: centsToDollars(intent.amount_received || intent.amount) };
+  },
+
+  'payment_intent.payment_failed': (order, intent, { state, isCurrentIntent }) => {
+    const detail = (intent.last_payment_error && intent.last_payment_error.message) || null;
+    if (
+      isPaid(order) ||
+      !isCurrentIntent ||
+      !transitionIfAllowed(state, order, ORDER_STATUS.AWAITING_SUBMISSION)
+    ) {
+      return { applied: false, amount: centsToDollars(intent.amount), detail };
+    }
+    order.paymentStatus = PAYMENT_STATUS.FAILED;
+    order.lastPaymentError = detail;
+    return { applied: true, amount: centsToDollars(intent.amount), detail };
+  },
+
+  'payment_intent.requires_action': (order, intent, { state, isCurrentIntent }) => {
+    if (
+      isPaid(order) ||
+      !isCurrentIntent ||
+      !transitionIfAllowed(state, order, ORDER_STATUS.AWAITING_SUBMISSION)
+    ) {
+      return { applied: false, amount: centsToDollars(intent.amount) };
+    }
+    order.paymentStatus = PAYMENT_STATUS.REQUIRES_ACTION;
+    return { applied: true, amount: centsToDollars(intent.amount) };
+  },
+
+  'payment_intent.canceled': (order, intent, { state, isCurrentIntent }) => {
+    const detail = intent.cancellation_reason || null;
+    if (
+      isPaid(order) ||
+      !isCurrentIntent ||
+      !transitionIfAllowed(state, order, ORDER_STATUS.CANCELLED)
+    ) {
+      return { applied: false, amount: centsToDollars(intent.amount), detail };
+    }
+    order.paymentStatus = PAYMENT_STATUS.CANCELED;
+    return { applied: true, amount: centsToDollars(intent.amount), detail };
+  },
+
+  'charge.refunded': (order, charge, { state }) => {
+    const refund = recordStripeRefundedTotal(state, order, centsToDollars(charge.amount_refunded));
+    return { applied: Boolean(refund), amount: centsToDollars(charge.amount_refunded) };
+  },
+
+  'charge.dispute.created': (order, dispute) => {
+    order.paymentStatus = PAYMENT_STATUS.DISPUTED;
+    order.dispute = {
+      id: dispute.id,
+      reason: dispute.reason || null,
+      status: dispute.status || null,
+      amount: centsToDollars(dispute.amount),
+      evidenceDueBy:
+        dispute.evidence_details && dispute.evidence_details.due_by
+          ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+          : null,
+    };
+    return { applied: true, amount: centsToDollars(dispute.amount), detail: dispute.reason || null };
+  },
+};
+
+// Timeline titles for the order event log.
+const EVENT_LABELS = {
+  'payment_intent.succeeded': 'Payment succeeded',
+  'payment_intent.payment_failed': 'Payment failed',
+  'payment_intent.requires_action': 'Payment needs customer action',
+  'payment_intent.canceled': 'Payment cancelled',
+  'charge.refunded': 'Refund recorded by Stripe',
+  'charge.dispute.created': 'Payment disputed',
+};
+
+function applyStripeEvent(state, order, event) {
+  const paymentIntentId = paymentIntentIdFor(event);
+  const receivedAt = new Date().toISOString();
+  const before = snapshotOrder(order);
+  // Intents replaced when the order total changed no longer speak for the
+  // order; the server cancels them itself, the customer did not give up.
+  const replaced = (order.replacedPaymentIntentIds || []).includes(paymentIntentId);
+  const { applied, amount, detail = null } = EVENT_HANDLERS[event.type](order, event.data.object, {
+    state,
+    isCurrentIntent: !replaced && (!order.paymentIntentId || order.paymentIntentId === paymentIntentId),
+  });
+
+  order.paymentEvents = Array.isArray(order.paymentEvents) ? order.paymentEvents : [];
+  order.paymentEvents.push({
+    id: event.id,
+    type: event.type,
+    paymentIntentId,
+    amount,
+    paymentStatus: order.paymentStatus || null,
+    detail,
+    applied,
+    occurredAt: event.created ? new Date(event.created * 1000).toISOString() : receivedAt,
+    receivedAt,
+  });
+
+  recordOrderEvent(order.id, {
+    type: ORDER_EVENT_TYPE.PAYMENT,
+    actor: SYSTEM_ACTOR,
+    metadata: {
+      label: EVENT_LABELS[event.type],
+      stripeEventId: event.id,
+      paymentIntentId,
+      amount,
+      paymentStatus: order.paymentStatus || null,
+      detail,
+      applied,
+    },
+  });
+
+  if (applied) {
+    order.updatedAt = receivedAt;
+    recordOrderChanges(order, before, SYSTEM_ACTOR);
+  }
+}
+
+/**
+ * Apply a verified Stripe event to the matching order exactly once. Event ids
+ * are recorded in the same transaction as the order update, so a replayed or
+ * retried delivery is acknowledged without being applied twice.
+ *
+ * @returns {{ duplicate: boolean, handled: boolean, orderId: string|null }}
+ */
+function processStripeEvent(event) {
+  return transaction((state) => {
+    const db = getDatabase();
+    const seen = db.prepare('SELECT order_id FROM stripe_events WHERE event_id = ?').get(event.id);
+    if (seen) {
+      return { duplicate: true, handled: false, orderId: seen.order_id };
+    }
+
+    const handled = Boolean(EVENT_HANDLERS[event.type]);
+    const order = handled ? findOrderForEvent(state, event) : null;
+    if (order) {
+      applyStripeEvent(state, order, event);
+    }
+
+    db.prepare(
+      'INSERT INTO stripe_events (event_id, type, order_id, received_at) VALUES (?, ?, ?, ?)',
+    ).run(event.id, event.type, order ? order.id : null, new Date().toISOString());
+
+    return { duplicate: false, handled, orderId: order ? order.id : null };
+  });
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  HANDLED_EVENT_TYPES: Object.keys(EVENT_HANDLERS),
+  processStripeEvent,
+};
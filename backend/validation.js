@@ -0,0 +1,225 @@
+const Ajv = require('ajv');
+const { buildOpenApiDocument, findRoute, toOpenApiPath } = require('./apiSchema');
+const { logger } = require('./logger');
+
+// Codes for errors that do not set their own, by HTTP status.
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  423: 'locked',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  502: 'upstream_failed',
+};
+
+const FORMATS = {
+  // A calendar date that exists: 2024-02-29 passes, 2024-13-45 does not.
+  date: (value) => {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+  },
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  binary: true,
+};
+
+class ValidationError extends Error {
+  /**
+   * @param {Object[]} details - { in: 'path'|'query'|'body', path, message }
+   */
+  constructor(details) {
+    const summary = details
+      .map((detail) => `${detail.in}${detail.path || ''} ${detail.message}`)
+      .join('; ');
+    super(`Invalid request: ${summary}`);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.code = 'validation_failed';
+    this.details = details;
+  }
+}
+
+function errorCodeFor(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+// The OpenAPI document is registered whole so #/components refs resolve
+// exactly as they do for readers of /openapi.json. Query strings are coerced
+// to the declared types (limit=20 is an integer); bodies are not.
+const document = { $id: 'openapi.json', ...buildOpenApiDocument() };
+const ajv = new Ajv({ allErrors: true, strict: false, formats: FORMATS });
+const queryAjv = new Ajv({ allErrors: true, strict: false, formats: FORMATS, coerceTypes: true });
+ajv.addSchema(document);
+
+function pointer(...segments) {
+  return segments
+    .map((segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('/');
+}
+
+function getValidator(...segments) {
+  const validator = ajv.getSchema(`openapi.json#/${pointer(...segments)}`);
+  if (!validator) {
+    throw new Error(`No schema at ${segments.join(' ')}`);
+  }
+  return validator;
+}
+
+function objectValidator(ajvInstance, properties) {
+  return ajvInstance.compile({ type: 'object', required: [], properties });
+}
+
+function describeErrors(location, errors) {
+  // anyOf reports every branch that failed; the branches' own errors are
+  // clearer than the summary, so drop it when there are others.
+  const relevant = errors.length > 1 ? errors.filter((error) => error.keyword !== 'anyOf') : errors;
+  return relevant.map((error) => {
+    let path = error.instancePath;
+    let { message } = error;
+    if (error.keyword === 'required') {
+      path = `${path}/${error.params.missingProperty}`;
+      message = 'is required';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    return { in: location, path, message };
+  });
+}
+
+function sendValidationError(res, error) {
+  return res
+    .status(error.status)
+    .json({ error: error.message, code: error.code, details: error.details });
+}
+
+const checksByRoute = new Map();
+
+function compileChecks(method, path) {
+  const route = findRoute(method, path);
+  if (!route) {
+    throw new Error(`${method.toUpperCase()} ${path} is not described in apiSchema.js`);
+  }
+  const checks = [];
+  if (route.params) {
+    checks.push(['path', 'params', objectValidator(ajv, route.params)]);
+  }
+  if (route.query) {
+    checks.push(['query', 'query', objectValidator(queryAjv, route.query)]);
+  }
+  if (route.body && !route.bodyType && !route.rawBody) {
+    const schemaPath = ['paths', toOpenApiPath(path), method, 'requestBody', 'content'];
+    checks.push(['body', 'body', getValidator(...schemaPath, 'application/json', 'schema')]);
+  }
+  return checks;
+}
+
+/**
+ * Route middleware checking path parameters, query string and JSON body
+ * against the route's entry in apiSchema.ROUTES. Answers 400
+ * validation_failed listing every problem found.
+ */
+function validate(req, res, next) {
+  const method = req.route.stack.find((layer) => layer.handle === validate).method;
+  const key = `${method} ${req.route.path}`;
+  if (!checksByRoute.has(key)) {
+    checksByRoute.set(key, compileChecks(method, req.route.path));
+  }
+
+  const details = [];
+  checksByRoute.get(key).forEach(([location, property, check]) => {
+    // A missing JSON body is checked as an empty object.
+    const value = property === 'body' && req.body === undefined ? {} : req[property];
+    if (!check(value)) {
+      details.push(...describeErrors(location, check.errors));
+    }
+  });
+  if (details.length) {
+    return sendValidationError(res, new ValidationError(details));
+  }
+  return next();
+}
+
+/**
+ * Response validator for a route and status, for contract tests. Returns
+ * undefined when the status is not documented and null when the response
+ * has no JSON body.
+ */
+function getResponseValidator(method, path, status) {
+  const operation = (document.paths[toOpenApiPath(path)] || {})[method];
+  const response = operation && operation.responses[status];
+  if (!response) {
+    return undefined;
+  }
+  if (!response.content || !response.content['application/json']) {
+    return null;
+  }
+  const responsePath = ['paths', toOpenApiPath(path), method, 'responses', String(status)];
+  return getValidator(...responsePath, 'content', 'application/json', 'schema');
+}
+
+/**
+ * Give every JSON error body a machine-readable `code`. Handlers that set a
+ * more specific one (too_many_attempts, capacity_full, ...) keep it.
+ */
+function errorCodes(_req, res, next) {
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (
+      res.statusCode >= 400 &&
+      body &&
+      typeof body === 'object' &&
+      typeof body.error === 'string' &&
+      !body.code
+    ) {
+      return sendJson({ ...body, code: errorCodeFor(res.statusCode) });
+    }
+    return sendJson(body);
+  };
+  next();
+}
+
+/**
+ * Wrap an async route handler so a rejected promise reaches handleErrors()
+ * instead of going unhandled (Express 4 only catches synchronous throws).
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function notFound(req, res) {
+  return res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+}
+
+/**
+ * Last-resort error handler: malformed or oversized JSON bodies and errors
+ * routes did not handle.
+ */
+function handleErrors(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  logger.error('Unhandled error', { method: req.method, route: req.route && req.route.path, error });
+  return res.status(500).json({ error: 'Something went wrong' });
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  sendValidationError,
+  getResponseValidator,
+  errorCodes,
+  asyncRoute,
+  notFound,
+  handleErrors,
+};
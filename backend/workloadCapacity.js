@@ -0,0 +1,216 @@
+const { v4: uuid } = require('uuid');
+
+// Weeks start on Monday in the studio's time zone, like the app's
+// workloadService and the Supabase get_week_start() function.
+const STUDIO_TIME_ZONE = process.env.STUDIO_TIME_ZONE || 'America/Los_Angeles';
+const DEFAULT_WEEKLY_CAPACITY = 50;
+// How far ahead to look for an opening before giving up on a date.
+const MAX_WEEKS_AHEAD = 52;
+
+class CapacityError extends Error {
+  constructor(message, { nextOpening = null, status = 409, code = 'capacity_full' } = {}) {
+    super(message);
+    this.name = 'CapacityError';
+    this.code = code;
+    this.status = status;
+    this.nextOpening = nextOpening;
+  }
+}
+
+function studioDate(now) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: STUDIO_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(now);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return new Date(Date.UTC(value('year'), value('month') - 1, value('day')));
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addWeeks(weekStart, weeks) {
+  const date = new Date(`${weekStart}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + weeks * 7);
+  return toDateString(date);
+}
+
+/**
+ * Monday (YYYY-MM-DD) of the studio week `now` falls in.
+ */
+function getWeekStart(now = new Date()) {
+  const date = studioDate(now);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return toDateString(date);
+}
+
+/**
+ * "Monday, March 9" for a YYYY-MM-DD week start.
+ */
+function formatOpening(weekStart) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  }).format(new Date(`${weekStart}T00:00:00Z`));
+}
+
+// New weeks inherit the most recent capacity setting, as in Supabase.
+function currentCapacitySetting(state) {
+  const latest = state.workloadCapacity
+    .slice()
+    .sort((a, b) => b.week_start.localeCompare(a.week_start))[0];
+  return latest ? latest.weekly_capacity : DEFAULT_WEEKLY_CAPACITY;
+}
+
+function findWeek(state, weekStart) {
+  return state.workloadCapacity.find((week) => week.week_start === weekStart) || null;
+}
+
+/**
+ * The capacity record for a week, created on first use. Records mirror the
+ * Supabase workload_capacity columns.
+ */
+function getOrCreateWeek(state, weekStart) {
+  let week = findWeek(state, weekStart);
+  if (!week) {
+    const now = new Date().toISOString();
+    week = {
+      id: uuid(),
+      week_start: weekStart,
+      weekly_capacity: currentCapacitySetting(state),
+      orders_count: 0,
+      created_at: now,
+      updated_at: now,
+    };
+    state.workloadCapacity.push(week);
+  }
+  return week;
+}
+
+function hasRoom(state, weekStart) {
+  const week = findWeek(state, weekStart);
+  const capacity = week ? week.weekly_capacity : currentCapacitySetting(state);
+  return (week ? week.orders_count : 0) < capacity;
+}
+
+/**
+ * First week after `weekStart` that still takes orders, or null if none in
+ * the next year.
+ */
+function findNextOpening(state, weekStart) {
+  for (let weeks = 1; weeks <= MAX_WEEKS_AHEAD; weeks += 1) {
+    const candidate = addWeeks(weekStart, weeks);
+    if (hasRoom(state, candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * This week's numbers for the order form and the admin workload screen.
+ */
+function describeCapacity(state, now = new Date()) {
+  const weekStart = getWeekStart(now);
+  const week = findWeek(state, weekStart);
+  const weeklyCapacity = week ? week.weekly_capacity : currentCapacitySetting(state);
+  const ordersCount = week ? week.orders_count : 0;
+  const remaining = Math.max(0, weeklyCapacity - ordersCount);
+  return {
+    weekStart,
+    weeklyCapacity,
+    ordersCount,
+    remaining,
+    isFull: remaining === 0,
+    nextWeekStart: addWeeks(weekStart, 1),
+    nextOpening: remaining > 0 ? weekStart : findNextOpening(state, weekStart),
+  };
+}
+
+function capacityFullError(state, weekStart) {
+  const opening = findNextOpening(state, weekStart);
+  return new CapacityError(
+    opening
+      ? `Capacity full, next opening on ${formatOpening(opening)}`
+      : 'Capacity full, no openings in the next year',
+    { nextOpening: opening },
+  );
+}
+
+/**
+ * Check that this week still takes orders, e.g. before a customer pays.
+ *
+ * @throws {CapacityError} when the week is full
+ */
+function assertCapacityAvailable(state, now = new Date()) {
+  const weekStart = getWeekStart(now);
+  if (!hasRoom(state, weekStart)) {
+    throw capacityFullError(state, weekStart);
+  }
+}
+
+/**
+ * Take a slot in this week's capacity for `order` inside a storage
+ * transaction. Because transactions are serialized, two submissions can
+ * never both get the last slot. `overbook` takes the slot even when the week
+ * is full, for orders the customer has already paid for.
+ *
+ * @throws {CapacityError} when the week is full
+ */
+function reserveCapacity(state, order, now = new Date(), { overbook = false } = {}) {
+  const weekStart = getWeekStart(now);
+  const week = getOrCreateWeek(state, weekStart);
+  if (week.orders_count >= week.weekly_capacity && !overbook) {
+    throw capacityFullError(state, weekStart);
+  }
+  week.orders_count += 1;
+  week.updated_at = now.toISOString();
+  order.capacityWeekStart = weekStart;
+  return week;
+}
+
+/**
+ * Give the slot an order reserved back to the week it was taken from.
+ */
+function releaseCapacity(state, order, now = new Date()) {
+  const week = order.capacityWeekStart ? findWeek(state, order.capacityWeekStart) : null;
+  if (week) {
+    week.orders_count = Math.max(0, week.orders_count - 1);
+    week.updated_at = now.toISOString();
+  }
+  order.capacityWeekStart = null;
+  return week;
+}
+
+/**
+ * Admin change of a week's capacity. Lowering it below the orders already
+ * taken is allowed; the week is then simply full.
+ */
+function setWeeklyCapacity(state, weeklyCapacity, weekStart) {
+  if (!Number.isInteger(weeklyCapacity) || weeklyCapacity < 1 || weeklyCapacity > 1000) {
+    throw new CapacityError('weeklyCapacity must be a whole number between 1 and 1000', {
+      status: 400,
+      code: 'invalid_capacity',
+    });
+  }
+  const week = getOrCreateWeek(state, weekStart);
+  week.weekly_capacity = weeklyCapacity;
+  week.updated_at = new Date().toISOString();
+  return week;
+}
+
+module.exports = {
+  CapacityError,
+  DEFAULT_WEEKLY_CAPACITY,
+  getWeekStart,
+  describeCapacity,
+  assertCapacityAvailable,
+  reserveCapacity,
+  releaseCapacity,
+  setWeeklyCapacity,
+};
@@ -0,0 +1,131 @@
+/**
+ * Order event log vocabulary shared by the app and the backend.
+ *
+ * Every change to an order worth auditing is appended as an event:
+ *   { id, orderId, type, actor: { id, role }, from, to, metadata, createdAt }
+ * `from`/`to` hold the old and new value for field changes; payment and
+ * refund events carry their details in `metadata` instead. Production stage
+ * changes hold the stages in `from`/`to` and the job in `metadata`
+ * ({ jobId, nailSetId, setName, staffName }). Events are never edited or
+ * deleted.
+ */
+
+const { PRODUCTION_STAGE_LABELS } = require('./productionJobs');
+
+const ORDER_EVENT_TYPE = {
+  CREATED: 'order_created',
+  STATUS_CHANGED: 'status_changed',
+  PRICE_CHANGED: 'price_changed',
+  DISCOUNT_CHANGED: 'discount_changed',
+  TRACKING_NUMBER_CHANGED: 'tracking_number_changed',
+  ADMIN_NOTES_CHANGED: 'admin_notes_changed',
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  PRODUCTION_STAGE_CHANGED: 'production_stage_changed',
+};
+
+// Who caused an event. `system` covers payment processor webhooks and
+// database-side changes with no signed-in user.
+const ORDER_EVENT_ACTOR_ROLE = {
+  CUSTOMER: 'customer',
+  ADMIN: 'admin',
+  SYSTEM: 'system',
+};
+
+// Events only admins see; admin notes are internal.
+const ADMIN_ONLY_EVENT_TYPES = [ORDER_EVENT_TYPE.ADMIN_NOTES_CHANGED];
+
+function formatAmount(amount) {
+  return amount === null || amount === undefined || amount === ''
+    ? 'none'
+    : `$${Number(amount).toFixed(2)}`;
+}
+
+function formatText(value) {
+  return value ? `"${value}"` : 'none';
+}
+
+const DESCRIPTIONS = {
+  [ORDER_EVENT_TYPE.CREATED]: (event) => ({
+    title: 'Order created',
+    detail: event.to ? `Status ${event.to}` : null,
+  }),
+  [ORDER_EVENT_TYPE.STATUS_CHANGED]: (event) => ({
+    title: `Status changed to ${event.to}`,
+    detail: event.from ? `Was ${event.from}` : null,
+  }),
+  [ORDER_EVENT_TYPE.PRICE_CHANGED]: (event) => ({
+    title: 'Price changed',
+    detail: `${formatAmount(event.from)} → ${formatAmount(event.to)}`,
+  }),
+  [ORDER_EVENT_TYPE.DISCOUNT_CHANGED]: (event) => ({
+    title: 'Discount changed',
+    detail: `${formatAmount(event.from)} → ${formatAmount(event.to)}`,
+  }),
+  [ORDER_EVENT_TYPE.TRACKING_NUMBER_CHANGED]: (event) => ({
+    title: event.to ? 'Tracking number updated' : 'Tracking number removed',
+    detail: `${formatText(event.from)} → ${formatText(event.to)}`,
+  }),
+  [ORDER_EVENT_TYPE.ADMIN_NOTES_CHANGED]: () => ({
+    title: 'Admin notes edited',
+    detail: null,
+  }),
+  [ORDER_EVENT_TYPE.PAYMENT]: (event) => {
+    const metadata = event.metadata || {};
+    return {
+      title: metadata.label || 'Payment update',
+      detail: [
+        metadata.amount !== undefined && metadata.amount !== null
+          ? formatAmount(metadata.amount)
+          : null,
+        metadata.paymentStatus,
+        metadata.detail,
+      ]
+        .filter(Boolean)
+        .join(' · ') || null,
+    };
+  },
+  [ORDER_EVENT_TYPE.REFUND]: (event) => {
+    const metadata = event.metadata || {};
+    return {
+      title: metadata.status === 'failed' ? 'Refund failed' : 'Refund issued',
+      detail: [formatAmount(metadata.amount), metadata.method, metadata.reason]
+        .filter(Boolean)
+        .join(' · '),
+    };
+  },
+  [ORDER_EVENT_TYPE.PRODUCTION_STAGE_CHANGED]: (event) => {
+    const metadata = event.metadata || {};
+    return {
+      title: `${metadata.setName || 'Nail set'}: ${PRODUCTION_STAGE_LABELS[event.to] || event.to}`,
+      detail: event.from ? `Was ${PRODUCTION_STAGE_LABELS[event.from] || event.from}` : null,
+    };
+  },
+};
+
+/**
+ * Human-readable title and detail line for an event's timeline entry.
+ * @param {Object} event
+ * @returns {{ title: string, detail: string|null }}
+ */
+function describeOrderEvent(event) {
+  const describe = DESCRIPTIONS[event && event.type];
+  return describe ? describe(event) : { title: 'Order updated', detail: null };
+}
+
+/**
+ * Drop events the viewer may not see.
+ * @param {Object[]} events
+ * @param {{ isAdmin: boolean }} viewer
+ * @returns {Object[]}
+ */
+function visibleOrderEvents(events, { isAdmin }) {
+  return isAdmin ? events : events.filter((event) => !ADMIN_ONLY_EVENT_TYPES.includes(event.type));
+}
+
+module.exports = {
+  ORDER_EVENT_TYPE,
+  ORDER_EVENT_ACTOR_ROLE,
+  describeOrderEvent,
+  visibleOrderEvents,
+};
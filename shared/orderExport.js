@@ -0,0 +1,347 @@
+/**
+ * Order exports for bookkeeping, shared by the app and the backend.
+ *
+ * Each nail set is one row. The order's identity (number, customer, status)
+ * is repeated on every row so a spreadsheet can be filtered, but the
+ * order-level amounts (delivery, discounts, tax, total) and payment details
+ * are only on the order's first row, so summing a column counts each order
+ * once.
+ */
+const { strToU8, zipSync } = require('fflate');
+const { normalizeOrderStatus } = require('./orderStatus');
+const { roundCurrency } = require('./pricing');
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  xlsx: {
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+};
+
+// type: 'text', 'integer' or 'money'. Order-level columns are left blank on
+// an order's second and later rows.
+const EXPORT_COLUMNS = [
+  { header: 'Order', type: 'text', read: ({ order }) => orderNumber(order) },
+  { header: 'Order ID', type: 'text', read: ({ order }) => order.id },
+  { header: 'Created', type: 'text', read: ({ order }) => order.createdAt },
+  { header: 'Status', type: 'text', read: ({ order }) => normalizeOrderStatus(order.status) },
+  { header: 'Customer', type: 'text', read: ({ customer }) => customer.name },
+  { header: 'Customer email', type: 'text', read: ({ customer }) => customer.email },
+  { header: 'Set', type: 'text', read: ({ set }) => set && set.name },
+  { header: 'Shape', type: 'text', read: ({ set }) => set && set.shape },
+  { header: 'Quantity', type: 'integer', read: ({ set }) => set && set.quantity },
+  { header: 'Unit price', type: 'money', read: ({ set }) => set && set.unitPrice },
+  { header: 'Set total', type: 'money', read: ({ set }) => set && set.subtotal },
+  { header: 'Delivery method', type: 'text', orderLevel: true, read: ({ order }) => deliveryMethod(order) },
+  { header: 'Delivery fee', type: 'money', orderLevel: true, read: ({ amounts }) => amounts.deliveryFee },
+  { header: 'Promo codes', type: 'text', orderLevel: true, read: ({ amounts }) => amounts.promoCodes },
+  { header: 'Promo discount', type: 'money', orderLevel: true, read: ({ amounts }) => amounts.promoDiscount },
+  { header: 'Admin discount', type: 'money', orderLevel: true, read: ({ amounts }) => amounts.adminDiscount },
+  { header: 'Tax', type: 'money', orderLevel: true, read: ({ amounts }) => amounts.tax },
+  { header: 'Total', type: 'money', orderLevel: true, read: ({ amounts }) => amounts.total },
+  { header: 'Payment method', type: 'text', orderLevel: true, read: ({ order }) => paymentMethod(order) },
+  { header: 'Paid', type: 'text', orderLevel: true, read: ({ order }) => order.paidAt },
+  { header: 'Completed', type: 'text', orderLevel: true, read: ({ order }) => order.completedAt },
+];
+
+function orderNumber(order) {
+  return String(order.id || '').slice(0, 8).toUpperCase();
+}
+
+function deliveryMethod(order) {
+  const fulfillment = order.fulfillment || {};
+  return [fulfillment.method, fulfillment.speed].filter(Boolean).join(' / ');
+}
+
+// Card payments go through Stripe and only leave a PaymentIntent behind.
+function paymentMethod(order) {
+  if (order.paymentMethod) {
+    return order.paymentMethod;
+  }
+  return order.paidAt && order.paymentIntentId ? 'card' : null;
+}
+
+function sumLineItems(lineItems, matches) {
+  const matching = lineItems.filter(matches);
+  return matching.length
+    ? roundCurrency(matching.reduce((sum, item) => sum + Math.abs(Number(item.amount) || 0), 0))
+    : null;
+}
+
+// Priced with the discount as a line item, or set afterwards by an admin on
+// order.discount (backend orders).
+function adminDiscount(order, lineItems) {
+  const fromLineItems = sumLineItems(lineItems, (item) => item.id === 'admin_discount');
+  if (fromLineItems !== null) {
+    return fromLineItems;
+  }
+  const discount = Number(order.discount);
+  return discount > 0 ? roundCurrency(discount) : null;
+}
+
+function orderAmounts(order) {
+  const pricing = order.pricing || {};
+  const lineItems = Array.isArray(pricing.lineItems) ? pricing.lineItems : [];
+  const promoCodes = (pricing.promotions || []).map((promo) => promo.code).filter(Boolean);
+  return {
+    deliveryFee: sumLineItems(lineItems, (item) => item.id === 'delivery'),
+    promoCodes: promoCodes.length ? promoCodes.join(', ') : order.promoCode || null,
+    promoDiscount: sumLineItems(lineItems, (item) => item.type === 'promo'),
+    adminDiscount: adminDiscount(order, lineItems),
+    tax: typeof pricing.tax === 'number' ? pricing.tax : null,
+    total: typeof pricing.total === 'number' ? pricing.total : null,
+  };
+}
+
+// Priced sets come from pricing.summary; orders never priced fall back to
+// their nail sets without amounts.
+function exportSets(order) {
+  const summary = order.pricing && Array.isArray(order.pricing.summary) ? order.pricing.summary : [];
+  if (summary.length) {
+    return summary.map((set) => ({
+      name: set.name,
+      shape: set.shapeName || set.shapeId,
+      quantity: set.quantity,
+      unitPrice: set.unitPrice,
+      subtotal: set.subtotal,
+    }));
+  }
+  return (order.nailSets || []).map((set) => ({
+    name: set.name,
+    shape: set.shapeId,
+    quantity: set.quantity,
+    unitPrice: null,
+    subtotal: null,
+  }));
+}
+
+/**
+ * Orders whose creation date is in [from, to] and whose status is one of
+ * `statuses` (any spelling; empty means all). Dates are YYYY-MM-DD or ISO
+ * timestamps; a bare `to` date includes that whole day.
+ */
+function filterOrdersForExport(orders, { from, to, statuses = [] } = {}) {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to
+    ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime()
+    : Infinity;
+  const wanted = statuses.map(normalizeOrderStatus);
+  return orders.filter((order) => {
+    const created = new Date(order.createdAt).getTime();
+    if (Number.isNaN(created) || created < fromTime || created > toTime) {
+      return false;
+    }
+    return !wanted.length || wanted.includes(normalizeOrderStatus(order.status));
+  });
+}
+
+/**
+ * Rows of the export, oldest order first.
+ *
+ * @param {Object[]} orders - orders with pricing; the customer is read from
+ *   `customer` or `user` ({ name, email })
+ * @returns {{ columns: Object[], rows: Array[] }} one array of values per row,
+ *   in column order; missing values are null
+ */
+function buildOrderExportRows(orders) {
+  const sorted = [...orders].sort(
+    (a, b) =>
+      String(a.createdAt || '').localeCompare(String(b.createdAt || '')) ||
+      String(a.id).localeCompare(String(b.id)),
+  );
+
+  const rows = [];
+  sorted.forEach((order) => {
+    const customer = order.customer || order.user || {};
+    const amounts = orderAmounts(order);
+    const sets = exportSets(order);
+    (sets.length ? sets : [null]).forEach((set, index) => {
+      rows.push(
+        EXPORT_COLUMNS.map((column) => {
+          if (column.orderLevel && index > 0) {
+            return null;
+          }
+          const value = column.read({ order, customer, amounts, set });
+          return value === undefined || value === '' ? null : value;
+        }),
+      );
+    });
+  });
+  return { columns: EXPORT_COLUMNS, rows };
+}
+
+function formatCsvValue(value, column) {
+  if (value === null) {
+    return '';
+  }
+  let text = column.type === 'money' ? Number(value).toFixed(2) : String(value);
+  // Keep spreadsheet apps from running customer-entered text as a formula.
+  if (column.type === 'text' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a UTF-8 byte order mark so Excel reads accents right.
+ */
+function toCsv({ columns, rows }) {
+  const lines = [
+    columns.map((column) => formatCsvValue(column.header, { type: 'header' })),
+    ...rows.map((row) => row.map((value, index) => formatCsvValue(value, columns[index]))),
+  ];
+  return `\uFEFF${lines.map((line) => line.join(',')).join('\r\n')}\r\n`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+// Fixed so the same orders always produce the same bytes.
+const ZIP_MTIME = new Date('2000-01-01T00:00:00Z');
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0.
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function xlsxCell(value, column, ref) {
+  if (value === null) {
+    return '';
+  }
+  if (column.type === 'money' || column.type === 'integer') {
+    // Style 1 is the 0.00 number format declared in styles.xml.
+    const style = column.type === 'money' ? ' s="1"' : '';
+    return `<c r="${ref}"${style}><v>${Number(value)}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function worksheetXml({ columns, rows }) {
+  const header = columns.map((column) => ({ ...column, type: 'text' }));
+  const xmlRows = [columns.map((column) => column.header), ...rows].map((row, rowIndex) => {
+    const rowColumns = rowIndex === 0 ? header : columns;
+    const cells = row
+      .map((value, index) => xlsxCell(value, rowColumns[index], `${columnLetter(index)}${rowIndex + 1}`))
+      .join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+  return (
+    `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${xmlRows.join('')}</sheetData></worksheet>`
+  );
+}
+
+const STYLES_XML =
+  `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">` +
+  '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * A single-sheet Office Open XML workbook, built by hand: the format is a
+ * zip of a few XML parts and nothing here needs more than inline strings,
+ * numbers and one number format.
+ *
+ * @returns {Uint8Array}
+ */
+function toXlsx(table, { sheetName = 'Orders' } = {}) {
+  const files = {
+    '[Content_Types].xml':
+      `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels':
+      `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>',
+    'xl/workbook.xml':
+      `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIPS_NS}">` +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels':
+      `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': STYLES_XML,
+    'xl/worksheets/sheet1.xml': worksheetXml(table),
+  };
+
+  return zipSync(
+    Object.entries(files).reduce((acc, [name, xml]) => {
+      acc[name] = strToU8(xml);
+      return acc;
+    }, {}),
+    { level: 6, mtime: ZIP_MTIME },
+  );
+}
+
+function exportFileName({ from, to } = {}, extension) {
+  const day = (value) => String(value).slice(0, 10);
+  if (from && to) {
+    return `orders-${day(from)}-to-${day(to)}.${extension}`;
+  }
+  if (from || to) {
+    return `orders-${from ? 'from' : 'to'}-${day(from || to)}.${extension}`;
+  }
+  return `orders.${extension}`;
+}
+
+/**
+ * Build the export file for `orders` (already filtered).
+ *
+ * @param {Object[]} orders
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' (default) or 'xlsx'
+ * @param {string} [options.from] - only used to name the file
+ * @param {string} [options.to] - only used to name the file
+ * @returns {{ fileName: string, mimeType: string, format: string,
+ *   data: string|Uint8Array }} CSV text or the XLSX bytes
+ */
+function buildOrderExport(orders, { format = 'csv', from, to } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const table = buildOrderExportRows(orders);
+  return {
+    format,
+    fileName: exportFileName({ from, to }, exportFormat.extension),
+    mimeType: exportFormat.mimeType,
+    data: format === 'xlsx' ? toXlsx(table) : toCsv(table),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  filterOrdersForExport,
+  buildOrderExportRows,
+  buildOrderExport,
+  toCsv,
+  toXlsx,
+};
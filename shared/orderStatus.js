@@ -0,0 +1,232 @@
+/**
+ * Order status vocabulary shared by the app and the backend.
+ *
+ * Orders written before the status rework still carry legacy lowercase values
+ * ('draft', 'paid', 'in_progress', ...). normalizeOrderStatus() maps any known
+ * spelling onto the current display statuses so both can be compared.
+ */
+
+const ORDER_STATUS = {
+  DRAFT: 'Draft',
+  AWAITING_SUBMISSION: 'Awaiting Submission',
+  SUBMITTED: 'Submitted',
+  APPROVED_IN_PROGRESS: 'Approved & In Progress',
+  READY_FOR_PICKUP: 'Ready for Pickup',
+  READY_FOR_SHIPPING: 'Ready for Shipping',
+  READY_FOR_DELIVERY: 'Ready for Delivery',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled',
+};
+
+// Lowercased spellings (legacy values, snake_case variants) -> current status.
+const STATUS_ALIASES = {
+  draft: ORDER_STATUS.DRAFT,
+  'awaiting submission': ORDER_STATUS.AWAITING_SUBMISSION,
+  awaiting_submission: ORDER_STATUS.AWAITING_SUBMISSION,
+  awaitingsubmission: ORDER_STATUS.AWAITING_SUBMISSION,
+  pending_payment: ORDER_STATUS.AWAITING_SUBMISSION,
+  submitted: ORDER_STATUS.SUBMITTED,
+  pending: ORDER_STATUS.SUBMITTED,
+  paid: ORDER_STATUS.SUBMITTED,
+  'approved & in progress': ORDER_STATUS.APPROVED_IN_PROGRESS,
+  approved_in_progress: ORDER_STATUS.APPROVED_IN_PROGRESS,
+  in_progress: ORDER_STATUS.APPROVED_IN_PROGRESS,
+  'in progress': ORDER_STATUS.APPROVED_IN_PROGRESS,
+  'ready for pickup': ORDER_STATUS.READY_FOR_PICKUP,
+  ready_for_pickup: ORDER_STATUS.READY_FOR_PICKUP,
+  'ready for shipping': ORDER_STATUS.READY_FOR_SHIPPING,
+  ready_for_shipping: ORDER_STATUS.READY_FOR_SHIPPING,
+  'ready for delivery': ORDER_STATUS.READY_FOR_DELIVERY,
+  ready_for_delivery: ORDER_STATUS.READY_FOR_DELIVERY,
+  completed: ORDER_STATUS.COMPLETED,
+  delivered: ORDER_STATUS.COMPLETED,
+  cancelled: ORDER_STATUS.CANCELLED,
+  canceled: ORDER_STATUS.CANCELLED,
+};
+
+/**
+ * Map any known status spelling to its current display status.
+ * Unknown values are returned trimmed but otherwise unchanged.
+ * @param {string} status
+ * @returns {string}
+ */
+function normalizeOrderStatus(status) {
+  if (!status) {
+    return '';
+  }
+  const trimmed = String(status).trim();
+  return STATUS_ALIASES[trimmed.toLowerCase()] || trimmed;
+}
+
+const READY_STATUS_BY_METHOD = {
+  pickup: ORDER_STATUS.READY_FOR_PICKUP,
+  shipping: ORDER_STATUS.READY_FOR_SHIPPING,
+  delivery: ORDER_STATUS.READY_FOR_DELIVERY,
+};
+
+const READY_STATUSES = Object.values(READY_STATUS_BY_METHOD);
+
+// Legal moves out of each status. The ready statuses are narrowed to the
+// order's fulfillment method by getAllowedTransitions(). Completed and
+// Cancelled are final.
+const TRANSITIONS = {
+  [ORDER_STATUS.DRAFT]: [
+    ORDER_STATUS.AWAITING_SUBMISSION,
+    ORDER_STATUS.SUBMITTED,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.AWAITING_SUBMISSION]: [
+    ORDER_STATUS.DRAFT,
+    ORDER_STATUS.SUBMITTED,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.SUBMITTED]: [
+    ORDER_STATUS.AWAITING_SUBMISSION,
+    ORDER_STATUS.APPROVED_IN_PROGRESS,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.APPROVED_IN_PROGRESS]: [...READY_STATUSES, ORDER_STATUS.CANCELLED],
+  ...READY_STATUSES.reduce((acc, status) => {
+    acc[status] = [ORDER_STATUS.APPROVED_IN_PROGRESS, ORDER_STATUS.COMPLETED];
+    return acc;
+  }, {}),
+  [ORDER_STATUS.COMPLETED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+};
+
+// Statuses in which the order counts against the weekly workload capacity of
+// the week it was submitted in. Completed orders keep their slot; only
+// cancelling gives it back.
+const CAPACITY_HOLDING_STATUSES = [
+  ORDER_STATUS.SUBMITTED,
+  ORDER_STATUS.APPROVED_IN_PROGRESS,
+  ...READY_STATUSES,
+  ORDER_STATUS.COMPLETED,
+];
+
+// What happens when an order enters a status: the timestamp field to set and
+// the customer notification (systemEventType matches notifications.system_event_type).
+const STATUS_EFFECTS = {
+  [ORDER_STATUS.SUBMITTED]: { timestamp: 'submittedAt' },
+  [ORDER_STATUS.APPROVED_IN_PROGRESS]: {
+    timestamp: 'approvedAt',
+    notification: {
+      systemEventType: 'status_approved',
+      title: 'Order Approved',
+      message: (orderNumber) => `Order #${orderNumber} has been approved — we're getting started!`,
+    },
+  },
+  ...READY_STATUSES.reduce((acc, status) => {
+    const readyFor = status.replace('Ready for ', '').toLowerCase();
+    acc[status] = {
+      timestamp: 'readyAt',
+      notification: {
+        systemEventType: 'status_ready',
+        title: 'Order Ready',
+        message: (orderNumber) => `Order #${orderNumber} is ready for ${readyFor}.`,
+      },
+    };
+    return acc;
+  }, {}),
+  [ORDER_STATUS.COMPLETED]: {
+    timestamp: 'completedAt',
+    notification: {
+      systemEventType: 'order_completed_feedback_request',
+      title: 'Order Complete! 💅',
+      message: (orderNumber) =>
+        `Your order #${orderNumber} is complete! We'd love to hear your feedback.`,
+    },
+  },
+  [ORDER_STATUS.CANCELLED]: { timestamp: 'cancelledAt' },
+};
+
+class OrderStatusTransitionError extends Error {
+  constructor(from, to, reason = null) {
+    super(`Cannot change order status from ${from || 'none'} to ${to}${reason ? `: ${reason}` : ''}`);
+    this.name = 'OrderStatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Statuses an order may move to next.
+ * @param {string} status - current status, any known spelling
+ * @param {string} [fulfillmentMethod] - pickup, delivery or shipping
+ * @returns {string[]}
+ */
+function getAllowedTransitions(status, fulfillmentMethod) {
+  const current = normalizeOrderStatus(status) || ORDER_STATUS.DRAFT;
+  const readyStatus = READY_STATUS_BY_METHOD[fulfillmentMethod];
+  return (TRANSITIONS[current] || []).filter(
+    (next) => !readyStatus || !READY_STATUSES.includes(next) || next === readyStatus,
+  );
+}
+
+/**
+ * Validate a status change and describe its side effects. Staying in the
+ * same status is allowed and has none.
+ *
+ * @param {string} from - current status, any known spelling
+ * @param {string} to - requested status, any known spelling
+ * @param {Object} [options]
+ * @param {string} [options.fulfillmentMethod] - pickup, delivery or shipping
+ * @param {string} [options.orderNumber] - used in notification messages
+ * @param {boolean} [options.productionPacked] - whether every production job
+ *   is packed (shared/productionJobs.js); when false the order cannot be
+ *   made ready
+ * @returns {{ from: string, to: string, changed: boolean, timestamp: string|null,
+ *   notification: Object|null, capacity: 'reserve'|'release'|null }}
+ * @throws {OrderStatusTransitionError} for unknown statuses and illegal moves
+ */
+function planStatusTransition(from, to, { fulfillmentMethod, orderNumber = '', productionPacked } = {}) {
+  const current = normalizeOrderStatus(from) || ORDER_STATUS.DRAFT;
+  const next = normalizeOrderStatus(to);
+
+  if (!TRANSITIONS[next]) {
+    throw new OrderStatusTransitionError(current, to);
+  }
+  if (next === current) {
+    return { from: current, to: next, changed: false, timestamp: null, notification: null, capacity: null };
+  }
+  if (!getAllowedTransitions(current, fulfillmentMethod).includes(next)) {
+    throw new OrderStatusTransitionError(current, next);
+  }
+  if (productionPacked === false && READY_STATUSES.includes(next)) {
+    throw new OrderStatusTransitionError(current, next, 'not every nail set is packed yet');
+  }
+
+  const effects = STATUS_EFFECTS[next] || {};
+  const wasHolding = CAPACITY_HOLDING_STATUSES.includes(current);
+  const willHold = CAPACITY_HOLDING_STATUSES.includes(next);
+  let capacity = null;
+  if (willHold && !wasHolding) {
+    capacity = 'reserve';
+  } else if (wasHolding && !willHold) {
+    capacity = 'release';
+  }
+
+  return {
+    from: current,
+    to: next,
+    changed: true,
+    timestamp: effects.timestamp || null,
+    notification: effects.notification
+      ? {
+          systemEventType: effects.notification.systemEventType,
+          title: effects.notification.title,
+          message: effects.notification.message(orderNumber),
+        }
+      : null,
+    capacity,
+  };
+}
+
+module.exports = {
+  ORDER_STATUS,
+  READY_STATUS_BY_METHOD,
+  OrderStatusTransitionError,
+  normalizeOrderStatus,
+  getAllowedTransitions,
+  planStatusTransition,
+};
@@ -0,0 +1,13 @@
+/**
+ * Money helpers for the pricing modules and everything that adds up order
+ * amounts (exports, refunds).
+ */
+
+// Round to whole cents.
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  roundCurrency,
+};
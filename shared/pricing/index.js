@@ -0,0 +1,291 @@
+/**
+ * Order pricing shared by the app (quotes) and the backend (charges).
+ *
+ * Everything here is pure: the shape catalog, delivery methods, shipping and
+ * tax rates and promo records are passed in, so the same inputs always produce the same
+ * breakdown on both sides. The golden vectors in
+ * __tests__/fixtures/pricing/goldenVectors.json pin the output.
+ */
+
+const shapeCatalog = require('../catalog/shapes.json');
+const DEFAULT_DELIVERY_METHODS = require('../catalog/deliveryMethods.json');
+const { PROMO_TYPES, describePromo, calculatePromotionDiscounts } = require('./promotions');
+const {
+  DEFAULT_TAX_RATES,
+  resolveTaxRate,
+  discountTarget,
+  allocateDiscount,
+  calculateTax,
+  describeTax,
+} = require('./tax');
+const { DEFAULT_SHIPPING_RATES, quoteShipping } = require('./shipping');
+const { roundCurrency } = require('./currency');
+
+const DESIGN_SETUP_FEE = 0;
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+function computeCompletionDate(days = 0, now = new Date()) {
+  const baseline = new Date(now.getTime());
+  baseline.setHours(0, 0, 0, 0);
+  const safeDays = Number.isFinite(Number(days)) ? Number(days) : 0;
+  baseline.setDate(baseline.getDate() + safeDays);
+  return baseline.toISOString();
+}
+
+function normalizeNailSets(nailSets = []) {
+  return nailSets
+    .filter((set) => set && set.shapeId)
+    .map((set) => {
+      const quantity = Math.max(1, Number(set.quantity) || 1);
+      const name = typeof set.name === 'string' && set.name.trim() ? set.name.trim() : null;
+      const description = typeof set.description === 'string' ? set.description.trim() : '';
+      const designUploads = Array.isArray(set.designUploads) ? set.designUploads.filter(Boolean) : [];
+
+      return {
+        ...set,
+        id: set.id || null,
+        name,
+        quantity,
+        description,
+        designUploads,
+      };
+    });
+}
+
+/**
+ * Pick the delivery method and speed for a fulfillment choice, falling back
+ * to pickup and the method's default speed like the order form does.
+ */
+function resolveDelivery(deliveryMethods, fulfillment = {}) {
+  const methodConfig =
+    deliveryMethods[fulfillment.method] ||
+    deliveryMethods.pickup ||
+    DEFAULT_DELIVERY_METHODS.pickup;
+  const speed = methodConfig.speedOptions[fulfillment.speed]
+    ? fulfillment.speed
+    : methodConfig.defaultSpeed;
+
+  return {
+    methodConfig,
+    speedConfig: methodConfig.speedOptions[speed],
+    fulfillment: { method: methodConfig.id, speed },
+  };
+}
+
+function priceSet(set, shape) {
+  const requiresCustomArt =
+    set.designUploads.length > 0 || Boolean(set.description && set.description.length > 0);
+  const setupFee = requiresCustomArt ? DESIGN_SETUP_FEE : 0;
+  const unitPrice = roundCurrency(shape.basePrice + setupFee);
+
+  return {
+    subtotal: roundCurrency(unitPrice * set.quantity),
+    unitPrice,
+    setupFee,
+    requiresCustomArt,
+  };
+}
+
+/**
+ * Price an order.
+ *
+ * @param {Object} input
+ * @param {Object[]} input.nailSets - sets with shapeId, quantity, description, designUploads
+ * @param {Object} input.fulfillment - { method, speed, address }; the address
+ *   (state, postalCode) picks the shipping zone and, for non-pickup orders,
+ *   the tax rate
+ * @param {Object[]} [input.shapes] - shape catalog (id, name, basePrice)
+ * @param {Object} [input.deliveryMethods] - delivery methods keyed by id
+ * @param {Object[]} [input.promotions] - promo_codes records already checked
+ *   for eligibility; stacked in a fixed order
+ * @param {number} [input.adminDiscount] - dollars, applied after promotions
+ * @param {Object} [input.shippingRates] - carrier rate table
+ *   (shared/catalog/shippingRates.json)
+ * @param {Object} [input.taxRates] - rate table (shared/catalog/taxRates.json)
+ * @param {Object} [input.taxSnapshot] - the order's earlier taxSnapshot; its
+ *   rate and rules are kept while the destination is unchanged
+ * @param {Date} [input.now] - reference time for the completion date
+ * @returns {Object} { lineItems, subtotal, discounts, tax, total, summary,
+ *   fulfillment, promotions, shipping, taxSnapshot, estimatedCompletionDays,
+ *   estimatedCompletionDate }; subtotal is after discounts, before tax
+ * @throws {PricingError} when a set uses a shape missing from the catalog
+ */
+function calculatePricing({
+  nailSets = [],
+  fulfillment = {},
+  shapes = shapeCatalog,
+  deliveryMethods = DEFAULT_DELIVERY_METHODS,
+  promotions = [],
+  adminDiscount = 0,
+  shippingRates = DEFAULT_SHIPPING_RATES,
+  taxRates = DEFAULT_TAX_RATES,
+  taxSnapshot = null,
+  now = new Date(),
+}) {
+  const normalizedSets = normalizeNailSets(nailSets);
+  const delivery = resolveDelivery(deliveryMethods, fulfillment);
+  const { methodConfig, speedConfig } = delivery;
+  const completion = {
+    estimatedCompletionDays: speedConfig.days,
+    estimatedCompletionDate: computeCompletionDate(speedConfig.days, now),
+  };
+
+  if (!normalizedSets.length) {
+    return {
+      lineItems: [],
+      subtotal: 0,
+      discounts: 0,
+      tax: 0,
+      total: 0,
+      ...completion,
+      summary: [],
+      fulfillment: delivery.fulfillment,
+      promotions: [],
+      shipping: null,
+      taxSnapshot: null,
+    };
+  }
+
+  const lineItems = [];
+  const summary = [];
+  const packages = [];
+
+  normalizedSets.forEach((set, index) => {
+    const shape = shapes.find((item) => item.id === set.shapeId);
+    if (!shape) {
+      throw new PricingError(`Unknown nail shape selected for set ${set.name || index + 1}`);
+    }
+
+    const { subtotal, unitPrice, setupFee, requiresCustomArt } = priceSet(set, shape);
+    const labelName = set.name || `${shape.name} Set`;
+    packages.push({ quantity: set.quantity, shape });
+
+    lineItems.push({
+      id: `set_${index}`,
+      label: `${labelName} (${set.quantity} set${set.quantity > 1 ? 's' : ''})`,
+      amount: subtotal,
+    });
+
+    summary.push({
+      id: set.id || `set_${index}`,
+      name: set.name,
+      shapeId: set.shapeId,
+      shapeName: shape.name,
+      category: shape.category || null,
+      quantity: set.quantity,
+      subtotal,
+      unitPrice,
+      setupFee,
+      requiresCustomArt,
+    });
+  });
+
+  const goods = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const shipping = quoteShipping({
+    method: delivery.fulfillment.method,
+    speed: delivery.fulfillment.speed,
+    baseFee: speedConfig.fee,
+    sets: packages,
+    address: fulfillment.address,
+    goodsSubtotal: goods,
+    shippingRates,
+  });
+  const deliveryFee = shipping ? shipping.fee : roundCurrency(Number(speedConfig.fee) || 0);
+  const deliveryLabel = `${methodConfig.label} • ${speedConfig.label} (${speedConfig.description})`;
+  lineItems.push({
+    id: 'delivery',
+    label:
+      shipping && shipping.freeShipping
+        ? `${deliveryLabel} • Free over $${shipping.freeShippingThreshold}`
+        : deliveryLabel,
+    amount: deliveryFee,
+  });
+
+  let subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  let discounts = 0;
+  let remaining = { goods, shipping: deliveryFee };
+
+  const applied = calculatePromotionDiscounts(promotions, { summary, deliveryFee, subtotal });
+  applied
+    .filter(({ discount }) => discount > 0)
+    .forEach(({ promo, discount, description }) => {
+      lineItems.push({
+        id: `promo_${promo.code}`,
+        type: 'promo',
+        label: description ? `Promo (${promo.code}): ${description}` : `Promo (${promo.code})`,
+        amount: -discount,
+      });
+      discounts = roundCurrency(discounts + discount);
+      subtotal = roundCurrency(subtotal - discount);
+      remaining = allocateDiscount(remaining, discount, discountTarget(promo));
+    });
+
+  const adminDiscountAmount = Math.min(roundCurrency(Number(adminDiscount) || 0), subtotal);
+  if (adminDiscountAmount > 0) {
+    lineItems.push({
+      id: 'admin_discount',
+      label: 'Discount',
+      amount: -adminDiscountAmount,
+    });
+    discounts = roundCurrency(discounts + adminDiscountAmount);
+    subtotal = roundCurrency(subtotal - adminDiscountAmount);
+    remaining = allocateDiscount(remaining, adminDiscountAmount, 'order');
+  }
+
+  const taxRate = resolveTaxRate(
+    taxRates,
+    { method: delivery.fulfillment.method, address: fulfillment.address },
+    taxSnapshot,
+  );
+  const tax = calculateTax(taxRate, {
+    goods,
+    shipping: deliveryFee,
+    discountedGoods: remaining.goods,
+    discountedShipping: remaining.shipping,
+  });
+  lineItems.push({
+    id: 'tax',
+    type: 'tax',
+    label: describeTax(taxRate),
+    amount: tax.amount,
+  });
+
+  return {
+    lineItems,
+    subtotal,
+    discounts,
+    tax: tax.amount,
+    total: roundCurrency(subtotal + tax.amount),
+    ...completion,
+    summary,
+    fulfillment: delivery.fulfillment,
+    promotions: applied.map(({ promo, discount, description }) => ({
+      id: promo.id,
+      code: promo.code,
+      type: promo.type,
+      discount,
+      description,
+    })),
+    shipping,
+    taxSnapshot: tax.snapshot,
+  };
+}
+
+module.exports = {
+  DESIGN_SETUP_FEE,
+  DEFAULT_DELIVERY_METHODS,
+  DEFAULT_TAX_RATES,
+  PROMO_TYPES,
+  PricingError,
+  calculatePricing,
+  computeCompletionDate,
+  describePromo,
+  resolveDelivery,
+  roundCurrency,
+};
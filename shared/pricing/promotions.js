@@ -0,0 +1,111 @@
+/**
+ * Promo discount math. Works on promo_codes records (snake_case, as stored)
+ * and never checks eligibility; callers decide which codes apply.
+ */
+
+const { roundCurrency } = require('./currency');
+
+const PROMO_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'free_order', 'fixed_price_item'];
+
+// Stacked promotions are applied in this order, each against what is left
+// after the previous one: item prices first, then shipping, then
+// order-level discounts.
+const APPLICATION_ORDER = {
+  fixed_price_item: 0,
+  free_shipping: 1,
+  percentage: 2,
+  fixed_amount: 3,
+  free_order: 4,
+};
+
+function eligibleSets(promo, summary) {
+  const metadata = promo.metadata || {};
+  if (promo.applies_to === 'product') {
+    const ids = metadata.product_ids || metadata.shape_ids || [];
+    return summary.filter((set) => ids.includes(set.shapeId));
+  }
+  if (promo.applies_to === 'category') {
+    const categories = metadata.category_ids || metadata.categories || [];
+    return summary.filter((set) => set.category && categories.includes(set.category));
+  }
+  return summary;
+}
+
+function describePromo(promo) {
+  const value = Number(promo.value) || 0;
+  switch (promo.type) {
+    case 'percentage':
+      return `${value}% off`;
+    case 'fixed_amount':
+      return `$${value.toFixed(2)} off`;
+    case 'free_shipping':
+      return 'Free shipping';
+    case 'free_order':
+      return 'Free order';
+    case 'fixed_price_item':
+      return `Sets for $${value.toFixed(2)} each`;
+    default:
+      return '';
+  }
+}
+
+function computeDiscount(promo, { summary, deliveryFee }, remaining) {
+  const value = Number(promo.value) || 0;
+  const sets = eligibleSets(promo, summary);
+  const setsSubtotal = sets.reduce((sum, set) => sum + set.subtotal, 0);
+  const base =
+    promo.applies_to === 'product' || promo.applies_to === 'category'
+      ? Math.min(setsSubtotal, remaining)
+      : remaining;
+
+  let discount = 0;
+  switch (promo.type) {
+    case 'percentage':
+      discount = base * (Math.min(Math.max(value, 0), 100) / 100);
+      break;
+    case 'fixed_amount':
+      discount = Math.min(value, base);
+      break;
+    case 'free_shipping':
+      discount = deliveryFee;
+      break;
+    case 'free_order':
+      discount = remaining;
+      break;
+    case 'fixed_price_item':
+      discount = sets.reduce(
+        (sum, set) => sum + Math.max(0, set.unitPrice - value) * set.quantity,
+        0,
+      );
+      break;
+    default:
+      discount = 0;
+  }
+
+  return roundCurrency(Math.min(Math.max(discount, 0), remaining));
+}
+
+/**
+ * Work out the discount of each promotion against an undiscounted order.
+ *
+ * @param {Object[]} promos - promo_codes records
+ * @param {Object} order - { summary, deliveryFee, subtotal } of the order
+ * @returns {Array<{ promo, discount, description }>} in application order
+ */
+function calculatePromotionDiscounts(promos, { summary, deliveryFee, subtotal }) {
+  let remaining = subtotal;
+  return promos
+    .slice()
+    .sort((a, b) => (APPLICATION_ORDER[a.type] ?? 99) - (APPLICATION_ORDER[b.type] ?? 99))
+    .map((promo) => {
+      const discount = computeDiscount(promo, { summary, deliveryFee }, remaining);
+      remaining = roundCurrency(remaining - discount);
+      return { promo, discount, description: describePromo(promo) };
+    });
+}
+
+module.exports = {
+  PROMO_TYPES,
+  describePromo,
+  calculatePromotionDiscounts,
+};
@@ -0,0 +1,161 @@
+/**
+ * Carrier shipping rates by package weight and destination zone.
+ *
+ * Every nail set ships in its own case (the `package.set` size in
+ * shared/catalog/shippingRates.json, or the shape's own `package`), stacked
+ * in one box. The billable weight is the larger of the actual and the
+ * dimensional weight, in whole pounds. The zone comes from the distance
+ * between the studio's ZIP and the first two digits of the destination ZIP;
+ * remote ZIPs (Alaska, Hawaii, territories) have fixed zones.
+ *
+ * The speed's fee from the delivery method is the price of a one pound
+ * package to a nearby zone. Farther zones and extra pounds add to it,
+ * scaled up for faster speeds.
+ */
+
+const DEFAULT_SHIPPING_RATES = require('../catalog/shippingRates.json');
+const { roundCurrency } = require('./currency');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function distanceInMiles(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+function normalizePostalCode(postalCode) {
+  const digits = typeof postalCode === 'string' ? postalCode.replace(/\D/g, '') : '';
+  return digits.length >= 5 ? digits.slice(0, 5) : null;
+}
+
+/**
+ * Shipping zone for a destination ZIP. Without a ZIP (a quote before the
+ * address is filled in) the order is priced as if it stayed local.
+ *
+ * @returns {{ zone: number, miles: number|null, source: 'address'|'origin' }}
+ */
+function resolveShippingZone(shippingRates, postalCode) {
+  const zip = normalizePostalCode(postalCode);
+  const zones = shippingRates.zones || [];
+  const farthest = zones.length ? zones[zones.length - 1].zone : 1;
+  if (!zip) {
+    return { zone: zones.length ? zones[0].zone : 1, miles: null, source: 'origin' };
+  }
+
+  const override = (shippingRates.zoneOverrides || {})[zip.slice(0, 3)];
+  if (override) {
+    return { zone: override, miles: null, source: 'address' };
+  }
+
+  const centroid = (shippingRates.zipCentroids || {})[zip.slice(0, 2)];
+  if (!centroid) {
+    return { zone: farthest, miles: null, source: 'address' };
+  }
+  const miles = Math.round(
+    distanceInMiles(shippingRates.origin, { latitude: centroid[0], longitude: centroid[1] }),
+  );
+  const match = zones.find((entry) => entry.maxMiles === null || miles <= entry.maxMiles);
+  return { zone: match ? match.zone : farthest, miles, source: 'address' };
+}
+
+/**
+ * Billable weight of the box for a list of { quantity, shape } sets.
+ *
+ * @returns {{ actualWeightLb: number, dimensionalWeightLb: number, billableWeightLb: number }}
+ */
+function measurePackage(shippingRates, sets) {
+  const { box, set: defaultSet, dimDivisor } = shippingRates.package;
+  let weightOz = box.weightOz;
+  let lengthIn = box.lengthIn;
+  let widthIn = box.widthIn;
+  let heightIn = box.heightIn;
+
+  sets.forEach(({ quantity, shape }) => {
+    const size = { ...defaultSet, ...((shape && shape.package) || {}) };
+    weightOz += size.weightOz * quantity;
+    heightIn += size.heightIn * quantity;
+    lengthIn = Math.max(lengthIn, size.lengthIn);
+    widthIn = Math.max(widthIn, size.widthIn);
+  });
+
+  const actualWeightLb = Math.round((weightOz / 16) * 1000) / 1000;
+  const dimensionalWeightLb = Math.round(((lengthIn * widthIn * heightIn) / dimDivisor) * 1000) / 1000;
+  return {
+    actualWeightLb,
+    dimensionalWeightLb,
+    billableWeightLb: Math.max(1, Math.ceil(Math.max(actualWeightLb, dimensionalWeightLb))),
+  };
+}
+
+/**
+ * Price carrier shipping for an order. Returns null for methods the rate
+ * table does not cover (pickup, local delivery), which keep their flat fee.
+ *
+ * @param {Object} input
+ * @param {string} input.method - delivery method id
+ * @param {string} input.speed - speed id
+ * @param {number} input.baseFee - the speed's fee from the delivery method
+ * @param {Object[]} input.sets - { quantity, shape } for every set
+ * @param {Object} [input.address] - { postalCode }
+ * @param {number} input.goodsSubtotal - sets total, used for free shipping
+ * @param {Object} [input.shippingRates] - rate table
+ * @returns {Object|null} { fee, zone, miles, billableWeightLb,
+ *   actualWeightLb, dimensionalWeightLb, freeShipping, source }
+ */
+function quoteShipping({
+  method,
+  speed,
+  baseFee,
+  sets,
+  address = null,
+  goodsSubtotal,
+  shippingRates = DEFAULT_SHIPPING_RATES,
+}) {
+  if (!(shippingRates.methods || []).includes(method)) {
+    return null;
+  }
+
+  const zone = resolveShippingZone(shippingRates, address && address.postalCode);
+  const weight = measurePackage(shippingRates, sets);
+  const surcharge = Number((shippingRates.zoneSurcharges || {})[zone.zone]) || 0;
+  const perPound = Number((shippingRates.perAdditionalPound || {})[zone.zone]) || 0;
+  const multiplier = Number((shippingRates.speedMultipliers || {})[speed]) || 1;
+
+  const freeShipping = shippingRates.freeShipping || {};
+  const isFree =
+    typeof freeShipping.threshold === 'number' &&
+    goodsSubtotal >= freeShipping.threshold &&
+    (freeShipping.speeds || []).includes(speed);
+
+  const fee = isFree
+    ? 0
+    : roundCurrency(
+        (Number(baseFee) || 0) +
+          (surcharge + (weight.billableWeightLb - 1) * perPound) * multiplier,
+      );
+
+  return {
+    fee,
+    zone: zone.zone,
+    miles: zone.miles,
+    ...weight,
+    freeShipping: isFree,
+    freeShippingThreshold: typeof freeShipping.threshold === 'number' ? freeShipping.threshold : null,
+    source: zone.source,
+  };
+}
+
+module.exports = {
+  DEFAULT_SHIPPING_RATES,
+  resolveShippingZone,
+  measurePackage,
+  quoteShipping,
+};
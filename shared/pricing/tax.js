@@ -0,0 +1,183 @@
+/**
+ * Sales tax for order pricing. Rates come from a table keyed by state with
+ * optional ZIP prefix overrides (shared/catalog/taxRates.json); each state
+ * also says whether shipping is taxable and whether discounts lower the
+ * taxable amount. Pickup orders are taxed where the studio is (the table's
+ * origin); everything else at the delivery address.
+ *
+ * A tax snapshot records the rate and rules an order was priced with, so
+ * repricing it later gives the same tax even after the table changes.
+ */
+
+const DEFAULT_TAX_RATES = require('../catalog/taxRates.json');
+const { roundCurrency } = require('./currency');
+
+function normalizeState(state) {
+  return typeof state === 'string' && /^[a-z]{2}$/i.test(state.trim())
+    ? state.trim().toUpperCase()
+    : null;
+}
+
+function normalizePostalCode(postalCode) {
+  const digits = typeof postalCode === 'string' ? postalCode.replace(/\D/g, '') : '';
+  return digits.length >= 5 ? digits.slice(0, 5) : null;
+}
+
+// Longest matching ZIP prefix wins, so a city rate can override a county one.
+function matchZipPrefix(zipPrefixes = {}, postalCode) {
+  if (!postalCode) {
+    return null;
+  }
+  return (
+    Object.keys(zipPrefixes)
+      .filter((prefix) => postalCode.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0] || null
+  );
+}
+
+function inferState(taxRates, postalCode) {
+  const match = Object.entries(taxRates.states || {}).find(([, entry]) =>
+    matchZipPrefix(entry.zipPrefixes, postalCode),
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Where an order is taxed: the delivery address for shipped and delivered
+ * orders, the studio for pickups (and for quotes that have no address yet).
+ *
+ * @returns {{ state: string|null, postalCode: string|null, source: 'address'|'origin' }}
+ */
+function resolveTaxDestination(taxRates, { method, address } = {}) {
+  const origin = taxRates.origin || {};
+  const postalCode = method !== 'pickup' && address ? normalizePostalCode(address.postalCode) : null;
+  const state = method !== 'pickup' && address ? normalizeState(address.state) : null;
+
+  if (state || postalCode) {
+    return { state: state || inferState(taxRates, postalCode), postalCode, source: 'address' };
+  }
+  return {
+    state: normalizeState(origin.state),
+    postalCode: normalizePostalCode(origin.postalCode),
+    source: 'origin',
+  };
+}
+
+/**
+ * Rate and taxability rules for a destination. States missing from the table
+ * use the table defaults (no tax).
+ */
+function lookupTaxRate(taxRates, destination) {
+  const defaults = taxRates.defaults || {};
+  const entry = (destination.state && (taxRates.states || {})[destination.state]) || null;
+  const zipPrefix = entry ? matchZipPrefix(entry.zipPrefixes, destination.postalCode) : null;
+  const rate = zipPrefix ? entry.zipPrefixes[zipPrefix] : entry ? entry.rate : defaults.rate;
+
+  return {
+    tableVersion: taxRates.version || null,
+    state: destination.state,
+    postalCode: destination.postalCode,
+    zipPrefix,
+    source: destination.source,
+    rate: Number(rate) || 0,
+    shippingTaxable: Boolean(
+      entry && entry.shippingTaxable !== undefined ? entry.shippingTaxable : defaults.shippingTaxable,
+    ),
+    discountsReduceTaxable:
+      entry && entry.discountsReduceTaxable !== undefined
+        ? entry.discountsReduceTaxable !== false
+        : defaults.discountsReduceTaxable !== false,
+  };
+}
+
+/**
+ * The rate and rules to tax with: the order's existing snapshot while the
+ * destination is unchanged, otherwise a fresh lookup in the table.
+ */
+function resolveTaxRate(taxRates, fulfillment, taxSnapshot = null) {
+  const destination = resolveTaxDestination(taxRates, fulfillment);
+  if (
+    taxSnapshot &&
+    typeof taxSnapshot.rate === 'number' &&
+    taxSnapshot.state === destination.state &&
+    taxSnapshot.postalCode === destination.postalCode
+  ) {
+    const { taxableAmount, amount, ...rules } = taxSnapshot;
+    return rules;
+  }
+  return lookupTaxRate(taxRates, destination);
+}
+
+/**
+ * What part of the order a discount comes off: shipping for free-shipping
+ * promos, the nail sets for item promos, and the whole order otherwise.
+ */
+function discountTarget(promo) {
+  if (promo.type === 'free_shipping') {
+    return 'shipping';
+  }
+  if (
+    promo.type === 'fixed_price_item' ||
+    promo.applies_to === 'product' ||
+    promo.applies_to === 'category'
+  ) {
+    return 'goods';
+  }
+  return 'order';
+}
+
+/**
+ * Take a discount off the running { goods, shipping } amounts. Order-wide
+ * discounts are split in proportion to what is left of each.
+ */
+function allocateDiscount(remaining, discount, target) {
+  let goodsShare = discount;
+  if (target === 'shipping') {
+    goodsShare = 0;
+  } else if (target === 'order') {
+    const base = remaining.goods + remaining.shipping;
+    goodsShare = base > 0 ? roundCurrency((discount * remaining.goods) / base) : 0;
+  }
+  goodsShare = Math.min(goodsShare, remaining.goods);
+  const shippingShare = Math.min(roundCurrency(discount - goodsShare), remaining.shipping);
+
+  return {
+    goods: roundCurrency(remaining.goods - goodsShare),
+    shipping: roundCurrency(remaining.shipping - shippingShare),
+  };
+}
+
+/**
+ * Tax an order.
+ *
+ * @param {Object} taxRate - from resolveTaxRate()
+ * @param {Object} amounts - { goods, shipping } before discounts and
+ *   { discountedGoods, discountedShipping } after them
+ * @returns {{ amount: number, snapshot: Object }}
+ */
+function calculateTax(taxRate, { goods, shipping, discountedGoods, discountedShipping }) {
+  const taxableGoods = taxRate.discountsReduceTaxable ? discountedGoods : goods;
+  const taxableShipping = taxRate.discountsReduceTaxable ? discountedShipping : shipping;
+  const taxableAmount = roundCurrency(
+    taxableGoods + (taxRate.shippingTaxable ? taxableShipping : 0),
+  );
+  const amount = roundCurrency(taxableAmount * taxRate.rate);
+
+  return { amount, snapshot: { ...taxRate, taxableAmount, amount } };
+}
+
+function describeTax(taxRate) {
+  const percent = Number((taxRate.rate * 100).toFixed(3));
+  return taxRate.state ? `Sales tax (${taxRate.state} ${percent}%)` : `Sales tax (${percent}%)`;
+}
+
+module.exports = {
+  DEFAULT_TAX_RATES,
+  resolveTaxDestination,
+  lookupTaxRate,
+  resolveTaxRate,
+  discountTarget,
+  allocateDiscount,
+  calculateTax,
+  describeTax,
+};
@@ -0,0 +1,210 @@
+/**
+ * Production jobs shared by the app and the backend.
+ *
+ * An order gets one production job per nail set when it is paid. Each job
+ * moves through the studio's stages and keeps a record of every move:
+ *   { id, orderId, nailSetId, ..., stage, stageUpdatedAt,
+ *     stageHistory: [{ stage, at, staff: { id, name } }] }
+ * Jobs stored before stages existed have none and count as queued.
+ *
+ * Once every job is packed the order is ready for its fulfillment method;
+ * reopening a packed job puts a ready order back in progress.
+ */
+
+const { ORDER_STATUS, READY_STATUS_BY_METHOD, normalizeOrderStatus } = require('./orderStatus');
+
+const PRODUCTION_STAGE = {
+  QUEUED: 'queued',
+  PREPPING: 'prepping',
+  PAINTING: 'painting',
+  CURING: 'curing',
+  QA: 'qa',
+  PACKED: 'packed',
+};
+
+// In the order a set goes through them.
+const PRODUCTION_STAGES = Object.values(PRODUCTION_STAGE);
+
+const PRODUCTION_STAGE_LABELS = {
+  [PRODUCTION_STAGE.QUEUED]: 'Queued',
+  [PRODUCTION_STAGE.PREPPING]: 'Prepping',
+  [PRODUCTION_STAGE.PAINTING]: 'Painting',
+  [PRODUCTION_STAGE.CURING]: 'Curing',
+  [PRODUCTION_STAGE.QA]: 'Quality check',
+  [PRODUCTION_STAGE.PACKED]: 'Packed',
+};
+
+const READY_STATUSES = Object.values(READY_STATUS_BY_METHOD);
+
+// Statuses in which the studio is working on the order, so its jobs may move.
+const PRODUCTION_STATUSES = [ORDER_STATUS.APPROVED_IN_PROGRESS, ...READY_STATUSES];
+
+class ProductionStageError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'ProductionStageError';
+    this.status = status;
+  }
+}
+
+/**
+ * One queued job per nail set, snapshotting what the studio needs to make it.
+ * @param {Object} order - with id and nailSets
+ * @returns {Object[]}
+ */
+function createProductionJobs(order) {
+  if (!order || !Array.isArray(order.nailSets)) {
+    return [];
+  }
+  return order.nailSets.map((set) => ({
+    id: `${order.id}_${set.id}`,
+    orderId: order.id,
+    nailSetId: set.id,
+    quantity: set.quantity,
+    shapeId: set.shapeId,
+    name: set.name,
+    description: set.description,
+    designUploads: set.designUploads,
+    setNotes: set.setNotes,
+    sizes: set.sizes,
+    stage: PRODUCTION_STAGE.QUEUED,
+    stageUpdatedAt: null,
+    stageHistory: [],
+  }));
+}
+
+/**
+ * The job's current stage; jobs without a known one are queued.
+ * @param {Object} job
+ * @returns {string}
+ */
+function productionJobStage(job) {
+  return PRODUCTION_STAGES.includes(job && job.stage) ? job.stage : PRODUCTION_STAGE.QUEUED;
+}
+
+/**
+ * Whether every job is packed. Orders without jobs have not been through
+ * production yet, so they never count as packed; give them jobs from their
+ * nail sets (createProductionJobs) first.
+ * @param {Object[]} [jobs]
+ * @returns {boolean}
+ */
+function allJobsPacked(jobs) {
+  return (
+    Array.isArray(jobs) &&
+    jobs.length > 0 &&
+    jobs.every((job) => productionJobStage(job) === PRODUCTION_STAGE.PACKED)
+  );
+}
+
+/**
+ * How far along the order's jobs are, for progress displays.
+ * @param {Object[]} [jobs]
+ * @returns {{ total: number, packed: number, steps: number, completedSteps: number }}
+ *   completedSteps counts stages passed across all jobs, out of `steps`
+ */
+function productionProgress(jobs) {
+  const list = jobs || [];
+  const lastStep = PRODUCTION_STAGES.length - 1;
+  return {
+    total: list.length,
+    packed: list.filter((job) => productionJobStage(job) === PRODUCTION_STAGE.PACKED).length,
+    steps: list.length * lastStep,
+    completedSteps: list.reduce(
+      (sum, job) => sum + PRODUCTION_STAGES.indexOf(productionJobStage(job)),
+      0,
+    ),
+  };
+}
+
+/**
+ * The status an order should have given its jobs: Ready for <method> once
+ * every job is packed, Approved & In Progress while a ready order has an
+ * unpacked job, otherwise unchanged.
+ *
+ * @param {string} status - current status, any known spelling
+ * @param {Object[]} jobs
+ * @param {string} [fulfillmentMethod] - pickup, delivery or shipping
+ * @returns {string}
+ */
+function productionOrderStatus(status, jobs, fulfillmentMethod) {
+  const current = normalizeOrderStatus(status);
+  const packed = allJobsPacked(jobs);
+  const readyStatus = READY_STATUS_BY_METHOD[fulfillmentMethod];
+  if (packed && current === ORDER_STATUS.APPROVED_IN_PROGRESS && readyStatus) {
+    return readyStatus;
+  }
+  if (!packed && READY_STATUSES.includes(current)) {
+    return ORDER_STATUS.APPROVED_IN_PROGRESS;
+  }
+  return current;
+}
+
+/**
+ * Move one of an order's jobs to `stage`, recording when and by whom. Orders
+ * paid before jobs were stored get theirs from the nail sets first. Nothing
+ * is changed in place.
+ *
+ * @param {Object} order - with id, status, fulfillment, nailSets, productionJobs
+ * @param {string} jobId
+ * @param {string} stage - one of PRODUCTION_STAGES
+ * @param {Object} [options]
+ * @param {{ id: string|null, name: string|null }} [options.staff] - who did the work
+ * @param {string} [options.at] - ISO timestamp, now by default
+ * @returns {{ jobs: Object[], job: Object, from: string, to: string,
+ *   changed: boolean, status: string }} the order's jobs afterwards and the
+ *   status it should move to
+ * @throws {ProductionStageError} for unknown stages and jobs, and orders
+ *   that are not in production
+ */
+function planProductionStageChange(order, jobId, stage, { staff = null, at = new Date().toISOString() } = {}) {
+  if (!PRODUCTION_STAGES.includes(stage)) {
+    throw new ProductionStageError(`Unknown production stage: ${stage}`, 400);
+  }
+  const status = normalizeOrderStatus(order.status);
+  if (!PRODUCTION_STATUSES.includes(status)) {
+    throw new ProductionStageError(`Production has not started on ${status ? `a ${status}` : 'this'} order`);
+  }
+  const stored = Array.isArray(order.productionJobs) ? order.productionJobs : [];
+  const current = stored.length ? stored : createProductionJobs(order);
+  const existing = current.find((job) => job.id === jobId);
+  if (!existing) {
+    throw new ProductionStageError('Production job not found', 404);
+  }
+
+  const from = productionJobStage(existing);
+  const changed = from !== stage;
+  const job = changed
+    ? {
+        ...existing,
+        stage,
+        stageUpdatedAt: at,
+        stageHistory: [
+          ...(existing.stageHistory || []),
+          { stage, at, staff: staff ? { id: staff.id || null, name: staff.name || null } : null },
+        ],
+      }
+    : existing;
+  const jobs = current.map((item) => (item.id === jobId ? job : item));
+  return {
+    jobs,
+    job,
+    from,
+    to: stage,
+    changed,
+    status: productionOrderStatus(status, jobs, order.fulfillment && order.fulfillment.method),
+  };
+}
+
+module.exports = {
+  PRODUCTION_STAGE,
+  PRODUCTION_STAGES,
+  PRODUCTION_STAGE_LABELS,
+  ProductionStageError,
+  createProductionJobs,
+  productionJobStage,
+  allJobsPacked,
+  productionProgress,
+  productionOrderStatus,
+  planProductionStageChange,
+};
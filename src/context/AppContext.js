@@ -6,7 +6,7 @@ import React, {
   useMemo,
   useState,
 } from 'react';
-import { fetchOrders, updateOrder } from '../services/api';
+import { endBackendSession, fetchOrders, updateOrder, updateOrders } from '../services/api';
 import { upsertProfile } from '../services/supabaseService';
 import { runSupabaseHealthCheck } from '../utils/supabaseHealthCheck';
 import {
@@ -610,6 +610,7 @@ export function AppStateProvider({ children }) {
       console.error('[AppContext] ⚠️  Error signing out from Supabase:', error);
       // Continue with logout even if signOut fails
     }
+    await endBackendSession();
     
     // Clear local state after Supabase session is cleared
     setState({
@@ -744,6 +745,40 @@ export function AppStateProvider({ children }) {
     }
   }, []);
 
+  // Bulk version of updateOrderAdmin. Resolves with the per-order results;
+  // orders that changed are replaced in state, failures are left to the caller.
+  const updateOrdersAdmin = useCallback(async (updates) => {
+    setState((prev) => ({
+      ...prev,
+      ordersUpdating: true,
+      statusMessage: null,
+    }));
+
+    try {
+      const summary = await updateOrders(updates);
+      const updatedById = new Map(
+        summary.results.filter((result) => result.ok).map((result) => [result.orderId, result.order]),
+      );
+
+      setState((prev) => ({
+        ...prev,
+        orders: Array.isArray(prev.orders)
+          ? prev.orders.map((order) => updatedById.get(order.id) || order)
+          : prev.orders,
+        activeOrder: updatedById.get(prev.activeOrder?.id) || prev.activeOrder,
+        lastCompletedOrder:
+          updatedById.get(prev.lastCompletedOrder?.id) || prev.lastCompletedOrder,
+      }));
+
+      return summary;
+    } finally {
+      setState((prev) => ({
+        ...prev,
+        ordersUpdating: false,
+      }));
+    }
+  }, []);
+
   const handleExitImpersonation = useCallback(async () => {
     if (!state.impersonating || !state.originalAdminUser) {
       return;
@@ -801,6 +836,7 @@ export function AppStateProvider({ children }) {
       handleOrderCancelled,
       handleOrderComplete,
       updateOrderAdmin,
+      updateOrdersAdmin,
       handleExitImpersonation,
     }),
     [
@@ -824,6 +860,7 @@ export function AppStateProvider({ children }) {
       handleOrderCancelled,
       handleOrderComplete,
       updateOrderAdmin,
+      updateOrdersAdmin,
       handleExitImpersonation,
     ],
   );
@@ -57,6 +57,7 @@ import ManageDeliveryMethodsScreen from './ManageDeliveryMethodsScreen';
 import ManageFeedbackScreen from './ManageFeedbackScreen';
 import ManageNailSizingModeScreen from './ManageNailSizingModeScreen';
 import ManageCarouselScreen from './ManageCarouselScreen';
+import ExportOrdersScreen from './ExportOrdersScreen';
 import { Image } from 'react-native';
 
 function AdminPanelScreen({ navigation }) {
@@ -514,8 +515,8 @@ function AdminPanelScreen({ navigation }) {
       const filePath = `tips/${tipId}/${fileName}`;
 
       // Create FormData for React Native
-      const formData = new FormData();
-      formData.append('file', {
+      const uploadBody = new FormData();
+      uploadBody.append('file', {
         uri: asset.uri,
         type: asset.type || 'image/jpeg',
         name: fileName,
@@ -529,7 +530,7 @@ function AdminPanelScreen({ navigation }) {
         headers: {
           Authorization: `Bearer ${session.access_token}`,
         },
-        body: formData,
+        body: uploadBody,
       });
 
       if (!uploadResponse.ok) {
@@ -928,6 +929,15 @@ function AdminPanelScreen({ navigation }) {
         setActiveView('manageUsers');
       },
     },
+    {
+      key: 'exportOrders',
+      title: 'Export Orders',
+      description: 'Download orders as CSV or Excel for bookkeeping',
+      icon: 'download',
+      onPress: () => {
+        setActiveView('exportOrders');
+      },
+    },
     {
       key: 'workload',
       title: 'Manage Workload',
@@ -1022,14 +1032,14 @@ function AdminPanelScreen({ navigation }) {
     return audienceMap[audience] || audience;
   };
 
-  const getStatusColor = (status, accentColor, warningColor, secondaryFontColor) => {
+  const getStatusColor = (status, accentColor, pendingColor, secondaryFontColor) => {
     switch (status) {
       case 'published':
         return withOpacity(accentColor, 0.1);
       case 'scheduled':
-        return withOpacity(warningColor, 0.1);
+        return withOpacity(pendingColor, 0.1);
       case 'paused':
-        return withOpacity(warningColor, 0.1);
+        return withOpacity(pendingColor, 0.1);
       case 'archived':
         return withOpacity(secondaryFontColor, 0.1);
       default:
@@ -1037,13 +1047,13 @@ function AdminPanelScreen({ navigation }) {
     }
   };
 
-  const getStatusTextColor = (status, accentColor, warningColor) => {
+  const getStatusTextColor = (status, accentColor, pendingColor) => {
     switch (status) {
       case 'published':
         return accentColor;
       case 'scheduled':
       case 'paused':
-        return warningColor;
+        return pendingColor;
       default:
         return secondaryFont;
     }
@@ -1209,6 +1219,19 @@ function AdminPanelScreen({ navigation }) {
     );
   }
 
+  if (activeView === 'exportOrders') {
+    return (
+      <ExportOrdersScreen
+        navigation={{
+          ...navigation,
+          goBack: () => {
+            setActiveView('main');
+          },
+        }}
+      />
+    );
+  }
+
   if (activeView === 'carousel') {
     return (
       <ManageCarouselScreen
@@ -5,7 +5,7 @@ import FormField from '../components/FormField';
 import PrimaryButton from '../components/PrimaryButton';
 import ScreenContainer from '../components/ScreenContainer';
 import BrandHeader from '../components/navigation/BrandHeader';
-import { submitConsent } from '../services/api';
+import { resendConsentRequest, submitConsent } from '../services/api';
 import { useTheme } from '../theme';
 import { withOpacity } from '../utils/color';
 
@@ -41,7 +41,7 @@ function ConsentScreen({
       return null;
     }
     const contact = consentLog.contact || user?.parentEmail || user?.parentPhone;
-    return `Parental consent pending. We sent a token to ${contact || 'the parent or guardian'}. Once they provide the token, enter it here to continue.`;
+    return `Parental consent pending. We sent an approval link to ${contact || 'the parent or guardian'}. Once they approve, you can continue — or enter the token from the message here.`;
   }, [consentLog, user]);
 
   useEffect(() => {
@@ -101,9 +101,14 @@ function ConsentScreen({
     }
   };
 
-  const handleResendToken = () => {
-    const contact = consentLog?.contact || user?.parentEmail || user?.parentPhone;
-    showToast(`Token resent to ${contact || 'parent/guardian contact'}.`);
+  const handleResendToken = async () => {
+    try {
+      const response = await resendConsentRequest();
+      const contact = response?.consentLog?.contact || consentLog?.contact || user?.parentEmail || user?.parentPhone;
+      showToast(`Approval link resent to ${contact || 'parent/guardian contact'}.`);
+    } catch (err) {
+      showToast(err instanceof Error ? err.message : 'Unable to resend the approval link.');
+    }
   };
 
   const handleContactSupport = () => {
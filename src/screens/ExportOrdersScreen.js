@@ -0,0 +1,300 @@
+/**
+ * Export Orders Screen
+ * Admin-only screen for exporting orders to CSV or Excel for bookkeeping
+ * and sharing the file from the device
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { Alert, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import AppText from '../components/AppText';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from '../icons/Icon';
+import PrimaryButton from '../components/PrimaryButton';
+import { useTheme } from '../theme';
+import { withOpacity } from '../utils/color';
+import { logEvent } from '../utils/analytics';
+import { shareFile } from '../utils/shareFile';
+import { exportOrders } from '../services/api';
+import { ORDER_STATUS } from '../../shared/orderStatus';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const RANGE_PRESETS = [
+  { key: 'thisMonth', label: 'This month' },
+  { key: 'lastMonth', label: 'Last month' },
+  { key: 'thisYear', label: 'This year' },
+  { key: 'all', label: 'All time' },
+  { key: 'custom', label: 'Custom' },
+];
+
+const FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel (.xlsx)' },
+];
+
+function formatDay(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// { from, to } as YYYY-MM-DD for a preset; both null for all time.
+function rangeForPreset(key, now = new Date()) {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  if (key === 'thisMonth') {
+    return { from: formatDay(new Date(year, month, 1)), to: formatDay(new Date(year, month + 1, 0)) };
+  }
+  if (key === 'lastMonth') {
+    return { from: formatDay(new Date(year, month - 1, 1)), to: formatDay(new Date(year, month, 0)) };
+  }
+  if (key === 'thisYear') {
+    return { from: `${year}-01-01`, to: `${year}-12-31` };
+  }
+  return { from: null, to: null };
+}
+
+function ExportOrdersScreen({ navigation }) {
+  const { theme } = useTheme();
+  const colors = useMemo(() => theme?.colors || {}, [theme]);
+
+  const [rangeKey, setRangeKey] = useState('thisMonth');
+  const [customRange, setCustomRange] = useState(() => rangeForPreset('thisMonth'));
+  const [statuses, setStatuses] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const primaryFont = colors.primaryFont || '#220707';
+  const secondaryFont = colors.secondaryFont || '#5C5F5D';
+  const accent = colors.accent || '#6F171F';
+  const surface = colors.surface || '#FFFFFF';
+  const borderColor = colors.border || '#D9C8A9';
+
+  const range = rangeKey === 'custom' ? customRange : rangeForPreset(rangeKey);
+
+  const toggleStatus = useCallback((status) => {
+    setStatuses((prev) =>
+      prev.includes(status) ? prev.filter((item) => item !== status) : [...prev, status],
+    );
+  }, []);
+
+  const handleExport = useCallback(async () => {
+    const from = range.from || null;
+    const to = range.to || null;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      Alert.alert('Invalid dates', 'Enter dates as YYYY-MM-DD.');
+      return;
+    }
+    if (from && to && from > to) {
+      Alert.alert('Invalid dates', 'The start date must be before the end date.');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      const file = await exportOrders({ from, to, statuses, format });
+      logEvent('admin_export_orders', { format, orderCount: file.orderCount, statuses });
+      if (!file.orderCount) {
+        Alert.alert('No orders', 'No orders match these filters.');
+        return;
+      }
+      await shareFile(file, { title: 'Export orders' });
+    } catch (error) {
+      console.error('[ExportOrders] Error exporting orders:', error);
+      Alert.alert('Error', error.message || 'Failed to export orders. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  }, [format, range.from, range.to, statuses]);
+
+  const renderChip = ({ key, label, selected, onPress }) => (
+    <TouchableOpacity
+      key={key}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+      style={[
+        styles.chip,
+        {
+          borderColor: selected ? accent : withOpacity(borderColor, 0.6),
+          backgroundColor: selected ? withOpacity(accent, 0.12) : surface,
+        },
+      ]}
+    >
+      <AppText style={[styles.chipLabel, { color: selected ? accent : secondaryFont }]}>{label}</AppText>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.primaryBackground || '#F4EBE3' }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Icon name="chevronLeft" color={primaryFont} size={20} />
+        </TouchableOpacity>
+        <AppText style={[styles.headerTitle, { color: primaryFont }]}>Export Orders</AppText>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.content}>
+        <View style={styles.section}>
+          <AppText style={[styles.sectionDescription, { color: secondaryFont }]}>
+            One row per nail set with the customer, set prices, delivery fee, discounts, tax, total
+            and payment dates. Order totals appear once per order, on its first row.
+          </AppText>
+
+          <View style={styles.field}>
+            <AppText style={[styles.fieldLabel, { color: primaryFont }]}>Orders created</AppText>
+            <View style={styles.chipRow}>
+              {RANGE_PRESETS.map((preset) =>
+                renderChip({
+                  key: preset.key,
+                  label: preset.label,
+                  selected: rangeKey === preset.key,
+                  onPress: () => setRangeKey(preset.key),
+                }),
+              )}
+            </View>
+            {rangeKey === 'custom' ? (
+              <View style={styles.dateRow}>
+                {['from', 'to'].map((bound) => (
+                  <TextInput
+                    key={bound}
+                    value={customRange[bound] || ''}
+                    onChangeText={(value) => setCustomRange((prev) => ({ ...prev, [bound]: value.trim() }))}
+                    placeholder={bound === 'from' ? 'From (YYYY-MM-DD)' : 'To (YYYY-MM-DD)'}
+                    placeholderTextColor={withOpacity(secondaryFont, 0.5)}
+                    autoCapitalize="none"
+                    keyboardType="numbers-and-punctuation"
+                    style={[
+                      styles.dateInput,
+                      { borderColor: withOpacity(borderColor, 0.6), color: primaryFont, backgroundColor: surface },
+                    ]}
+                  />
+                ))}
+              </View>
+            ) : (
+              <AppText style={[styles.rangeSummary, { color: secondaryFont }]}>
+                {range.from ? `${range.from} to ${range.to}` : 'Every order'}
+              </AppText>
+            )}
+          </View>
+
+          <View style={styles.field}>
+            <AppText style={[styles.fieldLabel, { color: primaryFont }]}>Statuses</AppText>
+            <View style={styles.chipRow}>
+              {renderChip({
+                key: 'all',
+                label: 'All statuses',
+                selected: statuses.length === 0,
+                onPress: () => setStatuses([]),
+              })}
+              {Object.values(ORDER_STATUS).map((status) =>
+                renderChip({
+                  key: status,
+                  label: status,
+                  selected: statuses.includes(status),
+                  onPress: () => toggleStatus(status),
+                }),
+              )}
+            </View>
+          </View>
+
+          <View style={styles.field}>
+            <AppText style={[styles.fieldLabel, { color: primaryFont }]}>Format</AppText>
+            <View style={styles.chipRow}>
+              {FORMATS.map((option) =>
+                renderChip({
+                  key: option.key,
+                  label: option.label,
+                  selected: format === option.key,
+                  onPress: () => setFormat(option.key),
+                }),
+              )}
+            </View>
+          </View>
+
+          <PrimaryButton label="Export and share" onPress={handleExport} loading={exporting} />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: withOpacity(colors.border || '#D9C8A9', 0.3),
+  },
+  backButton: {
+    padding: 8,
+    marginLeft: -8,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    flex: 1,
+    textAlign: 'center',
+    marginRight: -36, // Compensate for back button width
+  },
+  headerSpacer: {
+    width: 36,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    padding: 20,
+    gap: 20,
+  },
+  sectionDescription: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  field: {
+    gap: 10,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 999,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  chipLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  dateInput: {
+    flex: 1,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+  },
+  rangeSummary: {
+    fontSize: 13,
+  },
+});
+
+export default ExportOrdersScreen;
@@ -20,6 +20,9 @@ import {
   getNextWeekStartDateTime,
 } from '../services/workloadService';
 import PrimaryButton from '../components/PrimaryButton';
+import { downloadWeeklyProductionDocuments } from '../services/api';
+import { shareFile } from '../utils/shareFile';
+import { logEvent } from '../utils/analytics';
 
 function ManageWorkloadScreen({ navigation }) {
   const { theme } = useTheme();
@@ -32,6 +35,7 @@ function ManageWorkloadScreen({ navigation }) {
   const [capacityInput, setCapacityInput] = useState('');
   const [savingCapacity, setSavingCapacity] = useState(false);
   const [resettingWeek, setResettingWeek] = useState(false);
+  const [printing, setPrinting] = useState(null); // 'all' | 'sheets' | 'slips' while fetching
 
   const styles = useMemo(() => createStyles(colors), [colors]);
 
@@ -145,6 +149,24 @@ function ManageWorkloadScreen({ navigation }) {
     );
   };
 
+  // Production sheets and/or packing slips for everything due this week
+  // (overdue orders included) as one PDF to print from the share sheet.
+  const handlePrintWeek = async (documents) => {
+    try {
+      setPrinting(documents);
+      const file = await downloadWeeklyProductionDocuments({
+        include: documents === 'all' ? [] : [documents],
+      });
+      logEvent('admin_print_weekly_production', { documents });
+      await shareFile(file, { title: "This week's production" });
+    } catch (error) {
+      console.error('[ManageWorkload] Error printing weekly production:', error);
+      Alert.alert('Error', error.message || 'Failed to prepare the documents. Please try again.');
+    } finally {
+      setPrinting(null);
+    }
+  };
+
   const primaryFont = colors.primaryFont || '#220707';
   const secondaryFont = colors.secondaryFont || '#5C5F5D';
   const surface = colors.surface || '#FFFFFF';
@@ -299,6 +321,42 @@ function ManageWorkloadScreen({ navigation }) {
               </AppText>
             </View>
           </View>
+
+          <View style={styles.section}>
+            <AppText style={[styles.sectionTitle, { color: primaryFont }]}>This Week's Production</AppText>
+            <AppText style={[styles.helpText, styles.printHelpText, { color: secondaryFont }]}>
+              One PDF with a production sheet for every set and a packing slip for every order due
+              this week, plus anything overdue.
+            </AppText>
+            <PrimaryButton
+              label={printing === 'all' ? 'Preparing...' : 'Print Everything'}
+              onPress={() => handlePrintWeek('all')}
+              disabled={Boolean(printing)}
+            />
+            <View style={[styles.testingButtonsRow, styles.printButtonsRow]}>
+              {[
+                { key: 'sheets', label: 'Production Sheets' },
+                { key: 'slips', label: 'Packing Slips' },
+              ].map(({ key, label }) => (
+                <TouchableOpacity
+                  key={key}
+                  onPress={() => handlePrintWeek(key)}
+                  disabled={Boolean(printing)}
+                  style={[
+                    styles.testingButton,
+                    {
+                      backgroundColor: withOpacity(accent, 0.1),
+                      borderColor: withOpacity(accent, 0.3),
+                    },
+                  ]}
+                >
+                  <AppText style={[styles.testingButtonText, { color: accent }]}>
+                    {printing === key ? 'Preparing...' : label}
+                  </AppText>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
         </ScrollView>
       )}
     </SafeAreaView>
@@ -419,6 +477,12 @@ function createStyles(colors) {
       fontSize: 16,
       fontWeight: '600',
     },
+    printHelpText: {
+      marginBottom: 12,
+    },
+    printButtonsRow: {
+      marginTop: 12,
+    },
     testingButtonsRow: {
       flexDirection: 'row',
       gap: 12,
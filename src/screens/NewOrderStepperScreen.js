@@ -1110,6 +1110,8 @@ function NewOrderStepperScreen({ route }) {
         fulfillment: {
           method: orderDraft.deliveryDetails.method,
           speed: orderDraft.deliveryDetails.speed,
+          // Shipping zone and sales tax depend on where the order goes
+          address: orderDraft.deliveryDetails.address,
         },
         promoCode: promoCodeForPricing,
       });
@@ -1163,7 +1165,6 @@ function NewOrderStepperScreen({ route }) {
 
   const handleNext = () => {
     setError(null);
-    const currentStepKey = STEP_DEFINITIONS[currentStep].key;
     if (SET_STEPS.includes(currentStepKey)) {
       setStepErrors((prev) => ({ ...prev, [currentStepKey]: false }));
     }
@@ -1544,26 +1545,14 @@ function NewOrderStepperScreen({ route }) {
         }
       }
       
-      // Check capacity availability before submitting
-      const { checkCapacityAvailability, incrementWeeklyOrders, formatNextAvailability } = await import('../services/workloadService');
+      // Check capacity availability before submitting. The server takes the
+      // slot when the order is submitted and rejects it if the week filled up
+      // in the meantime.
+      const { checkCapacityAvailability } = await import('../services/workloadService');
       const capacityInfo = await checkCapacityAvailability();
       
-      let orderStatus = 'Submitted';
-      let shouldIncrementCapacity = true;
-      
       // If capacity is full, set status to "Awaiting Submission"
-      if (capacityInfo.isFull) {
-        orderStatus = 'Awaiting Submission';
-        shouldIncrementCapacity = false; // Don't increment capacity for awaiting submission orders
-      } else if (capacityInfo.available) {
-        // Capacity available - increment count when order is submitted
-        try {
-          await incrementWeeklyOrders();
-        } catch (capacityError) {
-          console.warn('[NewOrderStepper] Failed to increment capacity, but allowing submission:', capacityError);
-          // Continue with submission even if capacity increment fails
-        }
-      }
+      const orderStatus = capacityInfo.isFull ? 'Awaiting Submission' : 'Submitted';
       
       // When submitting an order, status is set based on capacity
       const payload = buildOrderPayload(orderStatus);
@@ -1639,6 +1628,12 @@ function NewOrderStepperScreen({ route }) {
         navigation.replace('OrderConfirmation', { order: response.order });
       }
     } catch (err) {
+      if (err?.code === 'CAPACITY_FULL') {
+        // The week filled up after the capacity check; the draft is kept so it
+        // can be submitted once the next week opens.
+        Alert.alert('This week is full', err.message);
+        return;
+      }
       const message = err?.details?.error || err.message || 'Please try again.';
       Alert.alert('Unable to submit order', message);
     } finally {
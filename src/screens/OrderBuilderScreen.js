@@ -637,7 +637,11 @@ function OrderBuilderScreen({
     try {
       const response = await createOrUpdateOrder(buildOrderPayload('pending_payment'));
       setOrderId(response.order.id);
-      const intent = await createPaymentIntent(response.order.id);
+      // Same order and total -> same key, so a retry after a dropped
+      // connection gets the original PaymentIntent back.
+      const intent = await createPaymentIntent(response.order.id, {
+        idempotencyKey: `payment-intent:${response.order.id}:${response.order.pricing?.total ?? ''}`,
+      });
       setClientSecret(intent.clientSecret);
       setStep('payment');
     } catch (error) {
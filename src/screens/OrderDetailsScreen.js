@@ -18,7 +18,23 @@ import { useAppState } from '../context/AppContext';
 import { formatCurrency } from '../utils/pricing';
 import { withOpacity } from '../utils/color';
 import VenmoPaymentInfo from '../components/VenmoPaymentInfo';
-import { updateOrder } from '../services/orderService';
+import { shareFile } from '../utils/shareFile';
+import { fetchOrderEvents, updateOrder, updateProductionJobStage } from '../services/orderService';
+import {
+  downloadInvoice,
+  downloadPackingSlip,
+  downloadProductionSheets,
+  emailInvoice,
+} from '../services/api';
+import { ORDER_EVENT_ACTOR_ROLE, describeOrderEvent } from '../../shared/orderEvents';
+import { ORDER_STATUS, READY_STATUS_BY_METHOD, normalizeOrderStatus } from '../../shared/orderStatus';
+import {
+  PRODUCTION_STAGES,
+  PRODUCTION_STAGE_LABELS,
+  createProductionJobs,
+  productionJobStage,
+  productionProgress,
+} from '../../shared/productionJobs';
 
 const LOGO_SOURCE = require('../../assets/images/NailsByAbriLogo.png');
 const SUPPORT_EMAIL = 'mailto:NailsByAbriannaC@gmail.com';
@@ -284,6 +300,50 @@ function createStyles(colors) {
       fontSize: 12,
       color: colors.secondaryFont || '#767154',
     },
+    productionList: {
+      gap: 16,
+    },
+    productionJob: {
+      gap: 8,
+    },
+    productionJobHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 12,
+    },
+    productionStageLabel: {
+      fontSize: 13,
+      fontWeight: '700',
+      color: colors.accent || '#6F171F',
+    },
+    productionTrack: {
+      flexDirection: 'row',
+      gap: 4,
+    },
+    productionSegment: {
+      flex: 1,
+      height: 6,
+      borderRadius: 3,
+      backgroundColor: withOpacity(colors.accent || '#6F171F', 0.12),
+    },
+    productionSegmentDone: {
+      backgroundColor: colors.accent || '#6F171F',
+    },
+    stageChip: {
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      borderRadius: 999,
+      borderWidth: StyleSheet.hairlineWidth,
+      borderColor: colors.divider || '#E6DCD0',
+    },
+    stageChipActive: {
+      borderColor: colors.accent || '#6F171F',
+      backgroundColor: colors.accent || '#6F171F',
+    },
+    stageChipTextActive: {
+      color: colors.accentContrast || '#FFFFFF',
+    },
     addressGroup: {
       gap: 4,
     },
@@ -451,6 +511,53 @@ function createStyles(colors) {
       fontWeight: '800',
       color: colors.primaryFont || '#354037',
     },
+    refundSection: {
+      marginTop: 16,
+      gap: 8,
+    },
+    refundSectionTitle: {
+      fontSize: 13,
+      fontWeight: '700',
+      color: colors.primaryFont || '#354037',
+    },
+    timeline: {
+      marginTop: 12,
+    },
+    timelineEntry: {
+      flexDirection: 'row',
+      gap: 12,
+    },
+    timelineRail: {
+      width: 10,
+      alignItems: 'center',
+    },
+    timelineDot: {
+      width: 10,
+      height: 10,
+      borderRadius: 5,
+      marginTop: 4,
+      backgroundColor: colors.accent || '#6F171F',
+    },
+    timelineLine: {
+      flex: 1,
+      width: 2,
+      marginVertical: 2,
+      backgroundColor: withOpacity(colors.accent || '#6F171F', 0.2),
+    },
+    timelineContent: {
+      flex: 1,
+      gap: 2,
+      paddingBottom: 14,
+    },
+    timelineTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.primaryFont || '#354037',
+    },
+    timelineDetail: {
+      fontSize: 13,
+      color: colors.secondaryFont || '#767154',
+    },
     summarySection: {
       gap: 12,
     },
@@ -909,6 +1016,17 @@ function ZoomableImageModal({ imageUri, onClose, colors, styles: modalStyles })
   );
 }
 
+// PDFs the backend renders for an order; production sheets and packing
+// slips are admin-only.
+// Statuses in which the customer can follow each set through production.
+const PRODUCTION_STATUSES = [ORDER_STATUS.APPROVED_IN_PROGRESS, ...Object.values(READY_STATUS_BY_METHOD)];
+
+const ORDER_DOCUMENTS = {
+  invoice: { name: 'invoice', download: downloadInvoice },
+  sheets: { name: 'production sheets', download: downloadProductionSheets },
+  slip: { name: 'packing slip', download: downloadPackingSlip },
+};
+
 function OrderDetailsScreen({ navigation, route }) {
   const initialOrder = route.params?.order || null;
   const orderId = route.params?.orderId || initialOrder?.id || null;
@@ -930,6 +1048,9 @@ function OrderDetailsScreen({ navigation, route }) {
   const [otherPaymentMethodText, setOtherPaymentMethodText] = useState('');
   const [showVenmoDetails, setShowVenmoDetails] = useState(false); // For unpaid: expandable Venmo details
   const [showPaymentDetails, setShowPaymentDetails] = useState(false); // For paid: show Venmo info
+  const [orderEvents, setOrderEvents] = useState([]);
+  const [documentAction, setDocumentAction] = useState(null); // key of the document being fetched or emailed
+  const [updatingJobId, setUpdatingJobId] = useState(null);
 
   // Fetch full order details if:
   // 1. Coming from Home screen (list query excludes images)
@@ -982,6 +1103,27 @@ function OrderDetailsScreen({ navigation, route }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [orderId, fromHome, fromOrders]);
 
+  // Reload the event log whenever the order changes (e.g. after marking it paid)
+  const eventsOrderId = orderId || order?.id;
+  useEffect(() => {
+    if (!eventsOrderId) {
+      return undefined;
+    }
+    let cancelled = false;
+    fetchOrderEvents(eventsOrderId)
+      .then((events) => {
+        if (!cancelled) {
+          setOrderEvents(events);
+        }
+      })
+      .catch((error) => {
+        console.warn('[OrderDetailsScreen] Failed to load order history:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [eventsOrderId, order?.updatedAt]);
+
   // Use orderId from route params or order object
   const resolvedOrderId = orderId || order?.id || '—';
   const displayOrderId = resolvedOrderId && resolvedOrderId !== '—' ? resolvedOrderId.slice(0, 8).toUpperCase() : '—';
@@ -1047,6 +1189,90 @@ function OrderDetailsScreen({ navigation, route }) {
     Alert.alert('Contact Support', 'Please email NailsByAbriannaC@gmail.com for assistance.');
   }, []);
 
+  // Drafts have nothing to invoice yet; paid orders get a receipt instead.
+  const canInvoice = Boolean(order?.id) && normalizeOrderStatus(status) !== ORDER_STATUS.DRAFT;
+  const invoiceLabel = order?.paidAt ? 'Receipt' : 'Invoice';
+  const canPrintProduction =
+    isAdmin && canInvoice && normalizeOrderStatus(status) !== ORDER_STATUS.AWAITING_SUBMISSION;
+
+  const handleDownloadDocument = useCallback(async (key) => {
+    const document = ORDER_DOCUMENTS[key];
+    if (!order?.id || documentAction || !document) {
+      return;
+    }
+    try {
+      setDocumentAction(key);
+      const file = await document.download(order.id);
+      await shareFile(file);
+    } catch (err) {
+      console.error(`[OrderDetailsScreen] Failed to download ${document.name}:`, err);
+      Alert.alert('Error', err.message || `Failed to download the ${document.name}. Please try again.`);
+    } finally {
+      setDocumentAction(null);
+    }
+  }, [documentAction, order?.id]);
+
+  const handleEmailInvoice = useCallback(async () => {
+    if (!order?.id || documentAction) {
+      return;
+    }
+    try {
+      setDocumentAction('email');
+      const result = await emailInvoice(order.id);
+      Alert.alert('Email sent', `The ${result.kind} was emailed to ${result.to}.`);
+    } catch (err) {
+      console.error('[OrderDetailsScreen] Failed to email invoice:', err);
+      Alert.alert('Error', err.message || 'Failed to email the invoice. Please try again.');
+    } finally {
+      setDocumentAction(null);
+    }
+  }, [documentAction, order?.id]);
+
+  // Orders paid before jobs were stored show theirs as queued until the
+  // studio moves one.
+  const showProduction = PRODUCTION_STATUSES.includes(normalizeOrderStatus(status)) && items.length > 0;
+  const productionJobs =
+    Array.isArray(order?.productionJobs) && order.productionJobs.length
+      ? order.productionJobs
+      : createProductionJobs({ id: order?.id, nailSets: items });
+
+  const handleChangeStage = useCallback(async (jobId, stage) => {
+    if (!order?.id || updatingJobId) {
+      return;
+    }
+    try {
+      setUpdatingJobId(jobId);
+      const { order: updatedOrder } = await updateProductionJobStage(order.id, jobId, stage, {
+        staff: { id: state.currentUser?.id || null, name: state.currentUser?.name || null },
+      });
+      setOrder((prev) => ({ ...prev, ...updatedOrder }));
+    } catch (err) {
+      console.error('[OrderDetailsScreen] Failed to update production stage:', err);
+      Alert.alert('Error', err.message || 'Failed to update the production stage. Please try again.');
+    } finally {
+      setUpdatingJobId(null);
+    }
+  }, [order?.id, updatingJobId, state.currentUser?.id, state.currentUser?.name]);
+
+  const renderDocumentAction = ({ key, label, icon, onPress }) => (
+    <Pressable
+      key={key}
+      onPress={onPress}
+      disabled={Boolean(documentAction)}
+      style={({ pressed }) => [styles.secondaryAction, { opacity: pressed ? 0.8 : 1 }]}
+      accessibilityRole="button"
+    >
+      <View style={styles.secondaryActionIcon}>
+        {documentAction === key ? (
+          <ActivityIndicator size="small" color={colors.accent} />
+        ) : (
+          <Icon name={icon} color={colors.accent} size={18} />
+        )}
+      </View>
+      <AppText style={styles.secondaryActionLabel}>{label}</AppText>
+    </Pressable>
+  );
+
   const handleMarkAsPaid = useCallback(() => {
     if (!order?.id) {
       return;
@@ -1488,6 +1714,23 @@ function OrderDetailsScreen({ navigation, route }) {
               );
             })()}
 
+            {showProduction ? (
+              <View style={styles.card}>
+                <View style={styles.cardHeaderRow}>
+                  <AppText style={styles.cardTitle}>Production Progress</AppText>
+                </View>
+                <ProductionProgress
+                  jobs={productionJobs}
+                  items={items}
+                  isAdmin={isAdmin}
+                  updatingJobId={updatingJobId}
+                  onChangeStage={handleChangeStage}
+                  styles={styles}
+                  colors={colors}
+                />
+              </View>
+            ) : null}
+
             <View style={styles.card}>
               <View style={styles.cardHeaderRow}>
                 <AppText style={styles.cardTitle}>Items Ordered</AppText>
@@ -1697,8 +1940,10 @@ function OrderDetailsScreen({ navigation, route }) {
                 <AppText style={styles.cardTitle}>Price Breakdown</AppText>
               </View>
               {(() => {
-                // Get line items from pricing object
-                const lineItems = order?.pricing?.lineItems || [];
+                // Get line items from pricing object (refunds are listed below the total)
+                const lineItems = (order?.pricing?.lineItems || []).filter(
+                  (item) => item?.type !== 'refund',
+                );
                 const hasLineItems = Array.isArray(lineItems) && lineItems.length > 0;
                 
                 // Get discount amount (could be in order.discount or pricing object)
@@ -1719,7 +1964,7 @@ function OrderDetailsScreen({ navigation, route }) {
                   .reduce((sum, item) => sum + (item.amount || 0), 0);
                 
                 // Check if discount is already in lineItems (as a negative amount)
-                const discountInLineItems = lineItems.find(item => item.id === 'admin_discount' || (item.amount < 0 && (item.label?.toLowerCase().includes('discount') || item.id === 'promo')));
+                const discountInLineItems = lineItems.find(item => item.id === 'admin_discount' || (item.amount < 0 && (item.label?.toLowerCase().includes('discount') || item.type === 'promo' || item.id === 'promo')));
                 
                 return (
                   <View>
@@ -1754,7 +1999,56 @@ function OrderDetailsScreen({ navigation, route }) {
                     : formatCurrency(0)}
                 </AppText>
               </View>
+              {(() => {
+                const refundItems = (order?.pricing?.lineItems || []).filter(
+                  (item) => item?.type === 'refund',
+                );
+                if (!refundItems.length) {
+                  return null;
+                }
+                const netTotal =
+                  typeof order?.pricing?.netTotal === 'number'
+                    ? order.pricing.netTotal
+                    : (order?.pricing?.total || 0) +
+                      refundItems.reduce((sum, item) => sum + (item.amount || 0), 0);
+                return (
+                  <View style={styles.refundSection}>
+                    <AppText style={styles.refundSectionTitle}>Refunds</AppText>
+                    {refundItems.map((item, index) => (
+                      <View key={item.id || `refund-${index}`}>
+                        <SummaryRow
+                          styles={styles}
+                          label={item.label || 'Refund'}
+                          value={formatCurrency(item.amount || 0)}
+                        />
+                        {item.createdAt ? (
+                          <AppText style={styles.secondaryText}>
+                            {formatDateTime(new Date(item.createdAt))}
+                          </AppText>
+                        ) : null}
+                      </View>
+                    ))}
+                    <View style={styles.totalRow}>
+                      <AppText style={styles.totalLabel}>Net Paid</AppText>
+                      <AppText style={styles.totalValue}>{formatCurrency(netTotal)}</AppText>
+                    </View>
+                  </View>
+                );
+              })()}
             </View>
+
+            {orderEvents.length > 0 ? (
+              <View style={styles.card}>
+                <View style={styles.cardHeaderRow}>
+                  <AppText style={styles.cardTitle}>Order History</AppText>
+                </View>
+                <OrderTimeline
+                  events={orderEvents}
+                  currentUserId={state.currentUser?.id}
+                  styles={styles}
+                />
+              </View>
+            ) : null}
           </View>
 
           <View style={styles.actionsCard}>
@@ -1772,6 +2066,38 @@ function OrderDetailsScreen({ navigation, route }) {
               </View>
               <AppText style={styles.secondaryActionLabel}>Contact Support</AppText>
             </Pressable>
+            {canInvoice
+              ? [
+                  renderDocumentAction({
+                    key: 'invoice',
+                    label: `Download ${invoiceLabel}`,
+                    icon: 'download',
+                    onPress: () => handleDownloadDocument('invoice'),
+                  }),
+                  renderDocumentAction({
+                    key: 'email',
+                    label: `Email ${invoiceLabel}`,
+                    icon: 'fileText',
+                    onPress: handleEmailInvoice,
+                  }),
+                ]
+              : null}
+            {canPrintProduction
+              ? [
+                  renderDocumentAction({
+                    key: 'sheets',
+                    label: 'Production Sheets',
+                    icon: 'fileText',
+                    onPress: () => handleDownloadDocument('sheets'),
+                  }),
+                  renderDocumentAction({
+                    key: 'slip',
+                    label: 'Packing Slip',
+                    icon: 'truck',
+                    onPress: () => handleDownloadDocument('slip'),
+                  }),
+                ]
+              : null}
           </View>
         </ScrollView>
 
@@ -1944,6 +2270,113 @@ function OrderDetailsScreen({ navigation, route }) {
   );
 }
 
+function describeEventActor(actor, currentUserId) {
+  if (!actor || actor.role === ORDER_EVENT_ACTOR_ROLE.SYSTEM) {
+    return 'System';
+  }
+  if (actor.id && actor.id === currentUserId) {
+    return 'You';
+  }
+  if (actor.role === ORDER_EVENT_ACTOR_ROLE.ADMIN) {
+    return actor.name ? `${actor.name} (Nails by Abri)` : 'Nails by Abri';
+  }
+  return actor.name || 'Customer';
+}
+
+// Newest first; each entry shows what changed, who changed it and when.
+function OrderTimeline({ events, currentUserId, styles }) {
+  const entries = [...events].reverse();
+  return (
+    <View style={styles.timeline}>
+      {entries.map((event, index) => {
+        const { title, detail } = describeOrderEvent(event);
+        const isLast = index === entries.length - 1;
+        return (
+          <View key={event.id || `event-${index}`} style={styles.timelineEntry}>
+            <View style={styles.timelineRail}>
+              <View style={styles.timelineDot} />
+              {!isLast ? <View style={styles.timelineLine} /> : null}
+            </View>
+            <View style={styles.timelineContent}>
+              <AppText style={styles.timelineTitle}>{title}</AppText>
+              {detail ? <AppText style={styles.timelineDetail}>{detail}</AppText> : null}
+              <AppText style={styles.secondaryText}>
+                {`${describeEventActor(event.actor, currentUserId)} · ${formatDateTime(new Date(event.createdAt))}`}
+              </AppText>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+// One row per nail set with its stage; admins tap a stage to move the set there.
+function ProductionProgress({ jobs, items, isAdmin, updatingJobId, onChangeStage, styles, colors }) {
+  const { packed, total } = productionProgress(jobs);
+  return (
+    <View style={styles.productionList}>
+      <AppText style={styles.secondaryText}>
+        {`${packed} of ${total} ${total === 1 ? 'set' : 'sets'} packed`}
+      </AppText>
+      {jobs.map((job, index) => {
+        const setIndex = items.findIndex((item) => item.id === job.nailSetId);
+        const title =
+          items[setIndex]?.name || job.name || `Nail Set #${(setIndex === -1 ? index : setIndex) + 1}`;
+        const stage = productionJobStage(job);
+        const step = PRODUCTION_STAGES.indexOf(stage);
+        const history = Array.isArray(job.stageHistory) ? job.stageHistory : [];
+        const staffName = history.length ? history[history.length - 1].staff?.name : null;
+        return (
+          <View key={job.id || `job-${index}`} style={styles.productionJob}>
+            <View style={styles.productionJobHeader}>
+              <AppText style={styles.itemSubHeading}>{title}</AppText>
+              {updatingJobId === job.id ? (
+                <ActivityIndicator size="small" color={colors.accent} />
+              ) : (
+                <AppText style={styles.productionStageLabel}>{PRODUCTION_STAGE_LABELS[stage]}</AppText>
+              )}
+            </View>
+            <View style={styles.productionTrack}>
+              {PRODUCTION_STAGES.map((item, itemIndex) => (
+                <View
+                  key={item}
+                  style={[styles.productionSegment, itemIndex <= step && styles.productionSegmentDone]}
+                />
+              ))}
+            </View>
+            {job.stageUpdatedAt ? (
+              <AppText style={styles.secondaryText}>
+                {`Updated ${formatDateTime(new Date(job.stageUpdatedAt))}${
+                  isAdmin && staffName ? ` by ${staffName}` : ''
+                }`}
+              </AppText>
+            ) : null}
+            {isAdmin ? (
+              <View style={styles.sizeChipRow}>
+                {PRODUCTION_STAGES.map((item) => (
+                  <TouchableOpacity
+                    key={item}
+                    onPress={() => onChangeStage(job.id, item)}
+                    disabled={Boolean(updatingJobId) || item === stage}
+                    style={[styles.stageChip, item === stage && styles.stageChipActive]}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected: item === stage }}
+                  >
+                    <AppText style={[styles.sizeChipText, item === stage && styles.stageChipTextActive]}>
+                      {PRODUCTION_STAGE_LABELS[item]}
+                    </AppText>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            ) : null}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
 function SummaryRow({ styles, label, value }) {
   return (
     <View style={styles.summaryRow}>
@@ -12,6 +12,7 @@ import Icon from '../icons/Icon';
 import { deleteOrder } from '../services/api';
 import { getNextWeekStart, getNextWeekStartDateTime, formatNextAvailabilityDateTime, checkCapacityAvailability } from '../services/workloadService';
 import { getShapeById } from '../utils/pricing';
+import { getAllowedTransitions } from '../../shared/orderStatus';
 import { hasPendingFeedback, getFeedbackByOrderId } from '../services/feedbackService';
 
 /**
@@ -109,7 +110,7 @@ function OrdersScreen({ route }) {
   const initialTabFromRoute = route?.params?.initialTab;
   const navigation = useNavigation();
   const { theme } = useTheme();
-  const { state, setState, loadOrdersForUser, updateOrderAdmin } = useAppState();
+  const { state, setState, loadOrdersForUser, updateOrderAdmin, updateOrdersAdmin } = useAppState();
   const currentUserId = state.currentUser?.id;
   const colors = theme?.colors || {};
   const {
@@ -123,11 +124,10 @@ function OrdersScreen({ route }) {
     border,
     warning,
     success,
-    error,
     shadow,
   } = colors;
   const warningColor = warning || '#FF9800';
-  const errorColor = error || '#B33A3A';
+  const errorColor = colors.error || '#B33A3A';
   const successColor = success || '#4CAF50';
   const accentColor = accent || '#6F171F';
   const secondaryBackgroundColor = secondaryBackground || '#BF9B7A';
@@ -376,6 +376,15 @@ function OrdersScreen({ route }) {
   const [statusDropdownVisible, setStatusDropdownVisible] = useState(false);
   const [userDropdownVisible, setUserDropdownVisible] = useState(false);
 
+  // Bulk updates: admins select several orders and apply one status, note or
+  // set of tracking numbers to all of them.
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedOrderIds, setSelectedOrderIds] = useState({});
+  const [bulkModalVisible, setBulkModalVisible] = useState(false);
+  const [bulkDraft, setBulkDraft] = useState({ status: null, note: '', trackingNumbers: {} });
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [bulkSubmitting, setBulkSubmitting] = useState(false);
+
   const userOptions = useMemo(() => {
     if (!isAdmin) {
       return [];
@@ -1002,6 +1011,100 @@ function OrdersScreen({ route }) {
     [getAdminDraft, updateOrderAdmin, setState],
   );
 
+  const selectedOrders = useMemo(
+    () => (state.orders || []).filter((order) => selectedOrderIds[order.id]),
+    [selectedOrderIds, state.orders],
+  );
+
+  // Statuses at least one selected order can move to; the rest fail per order.
+  const bulkStatusOptions = useMemo(
+    () =>
+      Object.values(ORDER_STATUS).filter((status) =>
+        selectedOrders.some((order) =>
+          getAllowedTransitions(order.status, order.fulfillment?.method).includes(status),
+        ),
+      ),
+    [selectedOrders],
+  );
+
+  const toggleSelectionMode = useCallback(() => {
+    setSelectionMode((prev) => !prev);
+    setSelectedOrderIds({});
+    setBulkFailures([]);
+  }, []);
+
+  const toggleOrderSelected = useCallback((orderId) => {
+    setSelectedOrderIds((prev) => {
+      const { [orderId]: selected, ...rest } = prev;
+      return selected ? rest : { ...prev, [orderId]: true };
+    });
+  }, []);
+
+  const openBulkModal = useCallback(() => {
+    setBulkDraft({ status: null, note: '', trackingNumbers: {} });
+    setBulkFailures([]);
+    setBulkModalVisible(true);
+  }, []);
+
+  const handleBulkApply = useCallback(async () => {
+    const updates = selectedOrders
+      .map((order) => {
+        const update = { orderId: order.id };
+        if (bulkDraft.status) {
+          update.status = bulkDraft.status;
+        }
+        if (bulkDraft.note.trim()) {
+          update.adminNote = bulkDraft.note;
+        }
+        const trackingNumber = bulkDraft.trackingNumbers[order.id]?.trim();
+        if (trackingNumber) {
+          update.trackingNumber = trackingNumber;
+        }
+        return update;
+      })
+      .filter((update) => Object.keys(update).length > 1);
+
+    if (!updates.length) {
+      Alert.alert('Nothing to apply', 'Choose a status, add a note or enter a tracking number.');
+      return;
+    }
+
+    setBulkSubmitting(true);
+    try {
+      const summary = await updateOrdersAdmin(updates);
+      logEvent('admin_bulk_order_update', {
+        orderCount: updates.length,
+        updated: summary.updated,
+        failed: summary.failed,
+        status: bulkDraft.status,
+      });
+      setState((prev) => ({
+        ...prev,
+        statusMessage: null, // Clear statusMessage to prevent banner popup
+      }));
+
+      const failures = summary.results.filter((result) => !result.ok);
+      if (!failures.length) {
+        setBulkModalVisible(false);
+        setSelectionMode(false);
+        setSelectedOrderIds({});
+        setToastMessage(`Updated ${summary.updated} ${summary.updated === 1 ? 'order' : 'orders'}.`);
+        return;
+      }
+
+      // Keep only the orders that failed selected so they can be fixed and retried.
+      setSelectedOrderIds(
+        failures.reduce((acc, failure) => ({ ...acc, [failure.orderId]: true }), {}),
+      );
+      setBulkFailures(failures);
+      setToastMessage(`Updated ${summary.updated} of ${updates.length} orders.`);
+    } catch (err) {
+      setToastMessage(err?.message || 'Unable to update orders.');
+    } finally {
+      setBulkSubmitting(false);
+    }
+  }, [bulkDraft, selectedOrders, setState, updateOrdersAdmin]);
+
   const getFollowUpMessage = useCallback((order) => {
     const nailSets = order.nailSets || [];
     
@@ -1077,6 +1180,9 @@ function OrdersScreen({ route }) {
     const statusLower = status.toLowerCase();
     
     const adminImages = Array.isArray(adminDraft.images) ? adminDraft.images : [];
+    const allowedNextStatuses = getAllowedTransitions(order.status, order.fulfillment?.method);
+    const isSelectedForBulk = Boolean(selectedOrderIds[order.id]);
+    const selectCheckboxFill = isSelectedForBulk ? accentColor : 'transparent';
     
     // Map status to display label and styling
     // Default to "Submitted" for unknown statuses
@@ -1138,6 +1244,28 @@ function OrdersScreen({ route }) {
         ]}
       >
         <View style={styles.cardHeader}>
+          {selectionMode ? (
+            <TouchableOpacity
+              onPress={() => toggleOrderSelected(order.id)}
+              style={styles.selectCheckboxButton}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: isSelectedForBulk }}
+              accessibilityLabel={`Select order ${getOrderNumber(order)}`}
+            >
+              <View
+                style={[
+                  styles.checkbox,
+                  {
+                    borderColor: isSelectedForBulk ? accentColor : withOpacity(borderColor, 0.6),
+                    backgroundColor: selectCheckboxFill,
+                  },
+                ]}
+              >
+                {isSelectedForBulk && <Icon name="check" color={surfaceColor} size={14} />}
+              </View>
+            </TouchableOpacity>
+          ) : null}
           <View style={styles.cardHeaderLeft}>
             <AppText
               style={[
@@ -1505,33 +1633,34 @@ function OrdersScreen({ route }) {
                       const draftStatus = (adminDraft.status || '').toLowerCase().replace(/\s+/g, '_').replace(/&/g, '');
                       const filterKey = filter.key.toLowerCase().replace(/\s+/g, '_').replace(/&/g, '');
                       const isSelected = draftStatus === filterKey;
+                      // Convert filter key back to proper status format
+                      // Map filter keys to actual status values
+                      let statusValue = filter.label;
+                      if (filter.key === 'approved_&_in_progress') {
+                        statusValue = ORDER_STATUS.APPROVED_IN_PROGRESS;
+                      } else if (filter.key === 'ready_for_pickup') {
+                        statusValue = ORDER_STATUS.READY_FOR_PICKUP;
+                      } else if (filter.key === 'ready_for_shipping') {
+                        statusValue = ORDER_STATUS.READY_FOR_SHIPPING;
+                      } else if (filter.key === 'ready_for_delivery') {
+                        statusValue = ORDER_STATUS.READY_FOR_DELIVERY;
+                      } else if (filter.key === 'draft') {
+                        statusValue = ORDER_STATUS.DRAFT;
+                      } else if (filter.key === 'submitted') {
+                        statusValue = ORDER_STATUS.SUBMITTED;
+                      } else if (filter.key === 'completed') {
+                        statusValue = ORDER_STATUS.COMPLETED;
+                      } else if (filter.key === 'cancelled') {
+                        statusValue = ORDER_STATUS.CANCELLED;
+                      }
+                      // Only statuses the order can legally move to are selectable.
+                      const isAllowed = isSelected || allowedNextStatuses.includes(statusValue);
                       
                       return (
                         <TouchableOpacity
                           key={filter.key}
-                          onPress={() => {
-                            // Convert filter key back to proper status format
-                            // Map filter keys to actual status values
-                            let statusValue = filter.label;
-                            if (filter.key === 'approved_&_in_progress') {
-                              statusValue = ORDER_STATUS.APPROVED_IN_PROGRESS;
-                            } else if (filter.key === 'ready_for_pickup') {
-                              statusValue = ORDER_STATUS.READY_FOR_PICKUP;
-                            } else if (filter.key === 'ready_for_shipping') {
-                              statusValue = ORDER_STATUS.READY_FOR_SHIPPING;
-                            } else if (filter.key === 'ready_for_delivery') {
-                              statusValue = ORDER_STATUS.READY_FOR_DELIVERY;
-                            } else if (filter.key === 'draft') {
-                              statusValue = ORDER_STATUS.DRAFT;
-                            } else if (filter.key === 'submitted') {
-                              statusValue = ORDER_STATUS.SUBMITTED;
-                            } else if (filter.key === 'completed') {
-                              statusValue = ORDER_STATUS.COMPLETED;
-                            } else if (filter.key === 'cancelled') {
-                              statusValue = ORDER_STATUS.CANCELLED;
-                            }
-                            handleAdminStatusSelect(order, statusValue);
-                          }}
+                          disabled={!isAllowed}
+                          onPress={() => handleAdminStatusSelect(order, statusValue)}
                           style={[
                             styles.adminStatusChip,
                             {
@@ -1542,6 +1671,7 @@ function OrdersScreen({ route }) {
                                 ? withOpacity(accentColor, 0.12)
                                 : surfaceColor,
                             },
+                            !isAllowed && styles.adminStatusChipDisabled,
                           ]}
                         >
                           <AppText
@@ -1703,6 +1833,51 @@ function OrdersScreen({ route }) {
               thumbColor={showAdminControls ? accentColor : surfaceColor}
             />
           </View>
+
+          <View style={styles.adminToggleRow}>
+            <AppText style={[styles.adminToggleLabel, { color: primaryFontColor }]}>
+              {selectionMode
+                ? `${selectedOrders.length} selected`
+                : 'Update several orders'}
+            </AppText>
+            <View style={styles.bulkToolbarActions}>
+              {selectionMode ? (
+                <TouchableOpacity
+                  onPress={() =>
+                    setSelectedOrderIds(
+                      filteredOrders.reduce((acc, order) => ({ ...acc, [order.id]: true }), {}),
+                    )
+                  }
+                  style={[styles.adminFilterChip, { borderColor: withOpacity(borderColor, 0.6) }]}
+                >
+                  <AppText style={[styles.adminFilterChipLabel, { color: secondaryFontColor }]}>
+                    Select all
+                  </AppText>
+                </TouchableOpacity>
+              ) : null}
+              {selectionMode && selectedOrders.length ? (
+                <TouchableOpacity
+                  onPress={openBulkModal}
+                  style={[
+                    styles.adminFilterChip,
+                    { borderColor: accentColor, backgroundColor: withOpacity(accentColor, 0.12) },
+                  ]}
+                >
+                  <AppText style={[styles.adminFilterChipLabel, { color: accentColor }]}>
+                    Update {selectedOrders.length}
+                  </AppText>
+                </TouchableOpacity>
+              ) : null}
+              <TouchableOpacity
+                onPress={toggleSelectionMode}
+                style={[styles.adminFilterChip, { borderColor: withOpacity(borderColor, 0.6) }]}
+              >
+                <AppText style={[styles.adminFilterChipLabel, { color: secondaryFontColor }]}>
+                  {selectionMode ? 'Done' : 'Select'}
+                </AppText>
+              </TouchableOpacity>
+            </View>
+          </View>
           
           {/* Status and User filters on the same line */}
           <View style={styles.adminFiltersRow}>
@@ -2103,6 +2278,155 @@ function OrdersScreen({ route }) {
       </View>
     </ScrollView>
     
+      {/* Bulk Update Modal */}
+      <Modal
+        visible={bulkModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setBulkModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              {
+                backgroundColor: surfaceColor,
+                borderColor: withOpacity(borderColor, 0.6),
+              },
+            ]}
+          >
+            <View style={styles.modalHeader}>
+              <AppText style={[styles.modalTitle, { color: primaryFontColor }]}>
+                Update {selectedOrders.length} {selectedOrders.length === 1 ? 'order' : 'orders'}
+              </AppText>
+              <TouchableOpacity onPress={() => setBulkModalVisible(false)}>
+                <Icon name="close" color={secondaryFontColor} size={20} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView contentContainerStyle={styles.bulkModalBody}>
+              {bulkFailures.length ? (
+                <View
+                  style={[
+                    styles.bulkFailures,
+                    { backgroundColor: withOpacity(errorColor, 0.08), borderColor: withOpacity(errorColor, 0.3) },
+                  ]}
+                >
+                  <AppText style={[styles.adminLabel, { color: errorColor }]}>
+                    These orders were not updated
+                  </AppText>
+                  {bulkFailures.map((failure) => (
+                    <AppText key={failure.orderId} style={[styles.bulkFailureText, { color: primaryFontColor }]}>
+                      #{failure.orderId.slice(0, 8).toUpperCase()}: {failure.error}
+                    </AppText>
+                  ))}
+                </View>
+              ) : null}
+
+              <View style={styles.adminStatusRow}>
+                <AppText style={[styles.adminLabel, { color: primaryFontColor }]}>Status</AppText>
+                <View style={styles.adminStatusChips}>
+                  {[null, ...bulkStatusOptions].map((status) => {
+                    const isSelected = bulkDraft.status === status;
+                    return (
+                      <TouchableOpacity
+                        key={status || 'unchanged'}
+                        onPress={() => setBulkDraft((prev) => ({ ...prev, status }))}
+                        style={[
+                          styles.adminStatusChip,
+                          {
+                            borderColor: isSelected ? accentColor : withOpacity(borderColor, 0.6),
+                            backgroundColor: isSelected ? withOpacity(accentColor, 0.12) : surfaceColor,
+                          },
+                        ]}
+                      >
+                        <AppText
+                          style={[
+                            styles.adminStatusChipLabel,
+                            { color: isSelected ? accentColor : secondaryFontColor },
+                          ]}
+                        >
+                          {status || 'No change'}
+                        </AppText>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+
+              <View style={styles.adminField}>
+                <AppText style={[styles.adminLabel, { color: primaryFontColor }]}>
+                  Admin note (added to each order)
+                </AppText>
+                <TextInput
+                  value={bulkDraft.note}
+                  onChangeText={(note) => setBulkDraft((prev) => ({ ...prev, note }))}
+                  placeholder="Add internal comments"
+                  placeholderTextColor={withOpacity(secondaryFontColor, 0.5)}
+                  style={[
+                    styles.adminInput,
+                    {
+                      borderColor: withOpacity(borderColor, 0.6),
+                      color: primaryFontColor,
+                    },
+                  ]}
+                  multiline
+                />
+              </View>
+
+              <View style={styles.adminField}>
+                <AppText style={[styles.adminLabel, { color: primaryFontColor }]}>Tracking numbers</AppText>
+                {selectedOrders.map((order) => (
+                  <View key={order.id} style={styles.bulkTrackingRow}>
+                    <AppText style={[styles.bulkTrackingLabel, { color: secondaryFontColor }]}>
+                      #{getOrderNumber(order)}
+                    </AppText>
+                    <TextInput
+                      value={bulkDraft.trackingNumbers[order.id] ?? ''}
+                      onChangeText={(value) =>
+                        setBulkDraft((prev) => ({
+                          ...prev,
+                          trackingNumbers: { ...prev.trackingNumbers, [order.id]: value },
+                        }))
+                      }
+                      placeholder={order.trackingNumber || 'Leave blank to keep'}
+                      placeholderTextColor={withOpacity(secondaryFontColor, 0.5)}
+                      autoCapitalize="characters"
+                      style={[
+                        styles.adminInput,
+                        styles.bulkTrackingInput,
+                        {
+                          borderColor: withOpacity(borderColor, 0.6),
+                          color: primaryFontColor,
+                        },
+                      ]}
+                    />
+                  </View>
+                ))}
+              </View>
+            </ScrollView>
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                onPress={() => setBulkModalVisible(false)}
+                style={[styles.modalButton, { borderColor: withOpacity(borderColor, 0.6) }]}
+              >
+                <AppText style={[styles.modalButtonText, { color: secondaryFontColor }]}>Cancel</AppText>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={handleBulkApply}
+                disabled={bulkSubmitting}
+                style={[styles.modalButton, { backgroundColor: accentColor }]}
+              >
+                {bulkSubmitting ? (
+                  <ActivityIndicator color={surfaceColor} />
+                ) : (
+                  <AppText style={[styles.modalButtonText, { color: surfaceColor }]}>Apply</AppText>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Admin Image Preview Modal */}
       {previewAdminImage ? (
         <Modal
@@ -2332,6 +2656,9 @@ const styles = StyleSheet.create({
     alignItems: 'flex-start',
     gap: 12,
   },
+  selectCheckboxButton: {
+    paddingTop: 2,
+  },
   cardHeaderLeft: {
     flex: 1,
     gap: 4,
@@ -2521,6 +2848,37 @@ const styles = StyleSheet.create({
     flex: 1,
     marginRight: 8,
   },
+  bulkToolbarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  bulkModalBody: {
+    padding: 16,
+    gap: 16,
+  },
+  bulkFailures: {
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    padding: 12,
+    gap: 4,
+  },
+  bulkFailureText: {
+    fontSize: 13,
+  },
+  bulkTrackingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  bulkTrackingLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    width: 84,
+  },
+  bulkTrackingInput: {
+    flex: 1,
+  },
   adminFilterChip: {
     borderWidth: StyleSheet.hairlineWidth,
     borderRadius: 999,
@@ -2760,6 +3118,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: 12,
     paddingVertical: 6,
   },
+  adminStatusChipDisabled: {
+    opacity: 0.4,
+  },
   adminStatusChipLabel: {
     fontSize: 12,
     fontWeight: '600',
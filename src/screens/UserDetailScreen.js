@@ -18,6 +18,7 @@ import {
   updateUser,
   resetUserPassword,
   updateUserRole,
+  unlockUserAccount,
   getUserNailSizeProfiles,
   updateUserNailSizeProfiles,
   getUserActivityLog,
@@ -194,6 +195,32 @@ function UserDetailScreen({ navigation, route }) {
     );
   };
 
+  const handleUnlockAccount = () => {
+    Alert.alert(
+      'Unlock Account',
+      `Clear the failed login count and let ${user?.name || user?.email} sign in again right away?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unlock',
+          onPress: async () => {
+            try {
+              setSaving(true);
+              await unlockUserAccount(userId);
+              await loadUser();
+              setConfirmation('Account unlocked');
+            } catch (error) {
+              console.error('[UserDetail] Error unlocking account:', error);
+              Alert.alert('Error', error.message || 'Failed to unlock account. Please try again.');
+            } finally {
+              setSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleChangeRole = () => {
     const currentRole = user?.role || 'user';
     const newRole = currentRole === 'admin' ? 'user' : 'admin';
@@ -516,6 +543,7 @@ function UserDetailScreen({ navigation, route }) {
   const surface = colors.surface || '#FFFFFF';
   const borderColor = colors.border || '#D9C8A9';
   const accent = colors.accent || '#6F171F';
+  const isLocked = Boolean(user.locked_until && new Date(user.locked_until) > new Date());
 
   return (
     <SafeAreaView style={[styles.container, { backgroundColor: colors.primaryBackground || '#F4EBE3' }]}>
@@ -717,6 +745,38 @@ function UserDetailScreen({ navigation, route }) {
           </AppText>
         </View>
 
+        {/* Login Lockout Section */}
+        <View style={[styles.section, { backgroundColor: surface, borderColor: withOpacity(borderColor, 0.3) }]}>
+          <View style={styles.sectionHeader}>
+            <AppText style={[styles.sectionTitle, { color: primaryFont }]}>Login Lockout</AppText>
+          </View>
+          <View style={styles.infoRow}>
+            <AppText style={[styles.infoLabel, { color: secondaryFont }]}>Status:</AppText>
+            <AppText style={[styles.infoValue, { color: isLocked ? colors.error || '#B33A3A' : primaryFont }]}>
+              {isLocked ? `Locked until ${formatDate(user.locked_until)}` : 'Not locked'}
+            </AppText>
+          </View>
+          <View style={styles.infoRow}>
+            <AppText style={[styles.infoLabel, { color: secondaryFont }]}>Failed Attempts:</AppText>
+            <AppText style={[styles.infoValue, { color: primaryFont }]}>{user.failed_login_count || 0}</AppText>
+          </View>
+          {user.last_failed_login && (
+            <View style={styles.infoRow}>
+              <AppText style={[styles.infoLabel, { color: secondaryFont }]}>Last Failed Login:</AppText>
+              <AppText style={[styles.infoValue, { color: primaryFont }]}>{formatDate(user.last_failed_login)}</AppText>
+            </View>
+          )}
+          <PrimaryButton
+            label="Unlock Account"
+            onPress={handleUnlockAccount}
+            disabled={saving || (!isLocked && !user.failed_login_count)}
+            style={styles.actionButton}
+          />
+          <AppText style={[styles.helpText, { color: secondaryFont }]}>
+            Accounts lock for 15 minutes after 5 failed logins in a row and unlock when the password is reset
+          </AppText>
+        </View>
+
         {/* Change Role Section */}
         <View style={[styles.section, { backgroundColor: surface, borderColor: withOpacity(borderColor, 0.3) }]}>
           <View style={styles.sectionHeader}>
@@ -1,4 +1,5 @@
 import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import shapeCatalog from '../../shared/catalog/shapes.json';
 import * as authService from './authService';
 import { getConsentLogs } from './consentLogService';
@@ -16,6 +17,31 @@ const API_BASE_URL =
     default: DEFAULT_BASE_URL,
   }) || DEFAULT_BASE_URL;
 
+// Session token issued by the Express backend (/auth/login, /auth/signup).
+// Backend order routes reject requests without it. Kept in AsyncStorage so it
+// survives restarts along with the Supabase session; undefined until read.
+const BACKEND_SESSION_KEY = 'backendSessionToken';
+let backendSessionToken;
+
+async function setBackendSessionToken(token) {
+  backendSessionToken = token || null;
+  if (backendSessionToken) {
+    await AsyncStorage.setItem(BACKEND_SESSION_KEY, backendSessionToken);
+  } else {
+    await AsyncStorage.removeItem(BACKEND_SESSION_KEY);
+  }
+}
+
+async function backendHeaders(headers = {}) {
+  if (backendSessionToken === undefined) {
+    backendSessionToken = (await AsyncStorage.getItem(BACKEND_SESSION_KEY)) || null;
+  }
+  if (!backendSessionToken) {
+    return headers;
+  }
+  return { ...headers, Authorization: `Bearer ${backendSessionToken}` };
+}
+
 async function handleResponse(response) {
   const contentType = response.headers.get('content-type');
   const isJson = contentType && contentType.includes('application/json');
@@ -25,6 +51,8 @@ async function handleResponse(response) {
     const errorPayload =
       payload && typeof payload === 'object' ? payload : { error: 'Request failed' };
     const error = new Error(errorPayload.error || 'Request failed');
+    error.code = errorPayload.code || null;
+    error.status = response.status;
     error.details = errorPayload;
     throw error;
   }
@@ -32,23 +60,56 @@ async function handleResponse(response) {
   return payload;
 }
 
+// Accounts live in Supabase, but payments, uploads and PDFs go through the
+// Express backend, which keeps its own. Sign in there with the same
+// credentials, creating the backend account on signup. The app stays signed
+// in to Supabase if this fails; backend calls then answer 401.
+async function startBackendSession({ email, password, name, ageGroup }) {
+  const post = (path, body) =>
+    fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  try {
+    let response = await post('/auth/login', { email, password });
+    if (response.status === 401 && name && ageGroup) {
+      response = await post('/auth/signup', { name, email, password, age_group: ageGroup });
+    }
+    const { token } = await handleResponse(response);
+    await setBackendSessionToken(token);
+  } catch (error) {
+    await setBackendSessionToken(null);
+    console.warn('[api] Backend sign-in failed:', error.message);
+  }
+}
+
 // Migrated to Supabase Auth
 export async function signup(payload) {
-  return authService.signup({
+  const result = await authService.signup({
     email: payload.email,
     password: payload.password,
     name: payload.name,
     ageGroup: payload.ageGroup,
     consentAccepted: payload.consentAccepted || false,
   });
+  await startBackendSession(payload);
+  return result;
 }
 
 // Migrated to Supabase Auth
 export async function login(payload) {
-  return authService.login({
+  const result = await authService.login({
     email: payload.email,
     password: payload.password,
   });
+  await startBackendSession(payload);
+  return result;
+}
+
+// Forget the backend session; call on logout alongside the Supabase sign-out.
+export async function endBackendSession() {
+  await setBackendSessionToken(null);
 }
 
 // Migrated to Supabase Auth
@@ -59,6 +120,17 @@ export async function submitConsent(payload) {
   });
 }
 
+// Guardian consent requests are sent by the backend (email or SMS with a
+// link to its approval page). Sends a new link; the previous one stops working.
+export async function resendConsentRequest({ parentEmail, parentPhone } = {}) {
+  const response = await fetch(`${API_BASE_URL}/auth/consent/resend`, {
+    method: 'POST',
+    headers: await backendHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ parent_email: parentEmail, parent_phone: parentPhone }),
+  });
+  return handleResponse(response);
+}
+
 // Migrated to Supabase Auth
 export async function changePassword(payload) {
   return authService.changePassword({
@@ -92,6 +164,21 @@ export async function fetchShapes() {
   }
 }
 
+// The catalog the backend prices and charges orders with, so the app's
+// quote matches the charge: the shapes and the visible delivery methods, in
+// the shape shared/pricing takes.
+export async function fetchPricingShapes() {
+  const response = await fetch(`${API_BASE_URL}/catalog/shapes`);
+  const { shapes } = await handleResponse(response);
+  return shapes;
+}
+
+export async function fetchPricingDeliveryMethods() {
+  const response = await fetch(`${API_BASE_URL}/delivery-methods`);
+  const { deliveryMethods } = await handleResponse(response);
+  return deliveryMethods;
+}
+
 // Migrated to Supabase
 import * as orderService from './orderService';
 
@@ -99,15 +186,81 @@ export async function createOrUpdateOrder(orderPayload) {
   return orderService.createOrUpdateOrder(orderPayload);
 }
 
-export async function createPaymentIntent(orderId) {
+// Pass options.idempotencyKey so a retried request returns the first
+// response instead of creating another PaymentIntent.
+export async function createPaymentIntent(orderId, options = {}) {
   // Payment intents still need backend for Stripe secret key
   // Keep using backend endpoint for now, or set up Supabase Edge Function
   const response = await fetch(`${API_BASE_URL}/orders/${orderId}/payment-intent`, {
     method: 'POST',
+    headers: await backendHeaders(
+      options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : {},
+    ),
   });
   return handleResponse(response);
 }
 
+// Fetch a PDF the backend renders and return { fileName, mimeType, base64 }
+// for the share sheet.
+async function downloadPdf(path, fallbackName) {
+  const response = await fetch(`${API_BASE_URL}${path}`, { headers: await backendHeaders() });
+  if (!response.ok) {
+    await handleResponse(response);
+  }
+  const disposition = response.headers.get('content-disposition') || '';
+  const [, fileName = fallbackName] = disposition.match(/filename="([^"]+)"/) || [];
+  const blob = await response.blob();
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Could not read the file'));
+    reader.readAsDataURL(blob);
+  });
+  return {
+    fileName,
+    mimeType: blob.type || 'application/pdf',
+    base64: String(dataUrl).split(',')[1] || '',
+  };
+}
+
+// The order's PDF invoice (a receipt once it is paid).
+export async function downloadInvoice(orderId) {
+  return downloadPdf(`/orders/${orderId}/invoice`, 'invoice.pdf');
+}
+
+// Email the invoice or receipt to the order's customer with the PDF attached.
+export async function emailInvoice(orderId) {
+  const response = await fetch(`${API_BASE_URL}/orders/${orderId}/invoice/email`, {
+    method: 'POST',
+    headers: await backendHeaders(),
+  });
+  return handleResponse(response);
+}
+
+// Admin: printable production sheets (one page per set) for an order.
+export async function downloadProductionSheets(orderId) {
+  return downloadPdf(`/orders/${orderId}/production-sheets`, 'production-sheets.pdf');
+}
+
+// Admin: the order's packing slip.
+export async function downloadPackingSlip(orderId) {
+  return downloadPdf(`/orders/${orderId}/packing-slip`, 'packing-slip.pdf');
+}
+
+// Admin: production sheets and packing slips for every open order due in the
+// week containing `week` (YYYY-MM-DD, this week by default), in one PDF.
+export async function downloadWeeklyProductionDocuments({ week, include } = {}) {
+  const params = new URLSearchParams();
+  if (week) {
+    params.set('week', week);
+  }
+  if (include && include.length) {
+    params.set('include', include.join(','));
+  }
+  const query = params.toString();
+  return downloadPdf(`/production/documents${query ? `?${query}` : ''}`, 'production.pdf');
+}
+
 export async function completeOrder(orderId, payload = {}) {
   return orderService.completeOrder(orderId, payload);
 }
@@ -116,6 +269,10 @@ export async function fetchOrder(orderId) {
   return orderService.fetchOrder(orderId);
 }
 
+export async function fetchOrderEvents(orderId) {
+  return orderService.fetchOrderEvents(orderId);
+}
+
 export async function fetchOrders(params = {}) {
   return orderService.fetchOrders(params);
 }
@@ -124,6 +281,14 @@ export async function updateOrder(orderId, payload) {
   return orderService.updateOrder(orderId, payload);
 }
 
+export async function updateOrders(updates) {
+  return orderService.updateOrders(updates);
+}
+
+export async function exportOrders(options) {
+  return orderService.exportOrders(options);
+}
+
 // Migrated to Supabase
 export async function deleteOrder(orderId) {
   return orderService.deleteOrder(orderId);
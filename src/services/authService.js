@@ -214,6 +214,21 @@ export async function login({ email, password }) {
       console.log('[auth] Logging in user:', email);
     }
 
+    // Repeated attempts for an email or from one device are slowed down
+    // (0005_login_lockout.sql); the check counts this attempt.
+    const { data: attempt, error: throttleError } = await supabase.rpc('begin_login_attempt', {
+      login_email: email,
+    });
+    if (throttleError) {
+      console.warn('[auth] ⚠️  Login throttle check failed (non-critical):', throttleError.message);
+    } else if (attempt?.allowed === false) {
+      const seconds = attempt.retry_after || 1;
+      const error = new Error(`Too many login attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`);
+      error.code = 'too_many_attempts';
+      error.retryAfter = seconds;
+      throw error;
+    }
+
     // Sign in with Supabase Auth
     const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
       email,
@@ -221,6 +236,14 @@ export async function login({ email, password }) {
     });
 
     if (authError) {
+      // Rejected by the password verification hook after too many failures
+      if (authError.message?.includes('locked')) {
+        const error = new Error(authError.message);
+        error.code = 'account_locked';
+        error.originalError = authError;
+        throw error;
+      }
+
       // Handle specific error cases
       if (authError.message?.includes('Invalid login credentials') || authError.message?.includes('Invalid')) {
         throw new Error('Invalid credentials');
@@ -247,6 +270,11 @@ export async function login({ email, password }) {
     const userId = authData.user.id;
     const userMetadata = authData.user.user_metadata || {};
 
+    const { error: clearThrottleError } = await supabase.rpc('clear_login_throttle');
+    if (clearThrottleError) {
+      console.warn('[auth] ⚠️  Failed to clear login throttle (non-critical):', clearThrottleError.message);
+    }
+
     // Get profile from Supabase
     let profile = null;
     try {
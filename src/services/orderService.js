@@ -7,6 +7,21 @@ import { calculatePriceBreakdown, calculatePriceBreakdownSync } from '../utils/p
 import { extractStoragePathFromUrl } from './imageStorageService';
 import { createSystemNotification } from './notificationService';
 import { validatePromoCode } from './promoCodeService';
+import { capacityErrorFrom } from './workloadService';
+import { normalizeOrderStatus, planStatusTransition } from '../../shared/orderStatus';
+import { ORDER_EVENT_TYPE } from '../../shared/orderEvents';
+import { allJobsPacked, planProductionStageChange } from '../../shared/productionJobs';
+import { buildOrderExport, filterOrdersForExport } from '../../shared/orderExport';
+import { strFromU8, strToU8 } from 'fflate';
+
+// orders columns for the timestamps set by status transitions.
+const STATUS_TIMESTAMP_COLUMNS = {
+  submittedAt: 'submitted_at',
+  approvedAt: 'approved_at',
+  readyAt: 'ready_at',
+  completedAt: 'completed_at',
+  cancelledAt: 'cancelled_at',
+};
 
 /**
  * Normalize nail sets for storage
@@ -346,7 +361,7 @@ async function transformOrderFromDB(order, orderSets = []) {
   
   // Check if pricing has promo discount line item if promo_code exists
   const hasPromoCode = order.promo_code && typeof order.promo_code === 'string' && order.promo_code.trim();
-  const hasPromoInLineItems = hasLineItems && pricing.lineItems.some(item => item.id === 'promo');
+  const hasPromoInLineItems = hasLineItems && pricing.lineItems.some(item => item.type === 'promo' || item.id === 'promo');
   
   // If we have a promo code but no promo line item in pricing, we should recalculate
   const needsRecalculation = !hasValidPricing || !hasLineItems || (hasPromoCode && !hasPromoInLineItems);
@@ -432,6 +447,11 @@ async function transformOrderFromDB(order, orderSets = []) {
     adminImages: Array.isArray(order.admin_images) ? order.admin_images : [],
     estimatedFulfillmentDate: order.estimated_fulfillment_date,
     paidAt: order.paid_at,
+    submittedAt: order.submitted_at || null,
+    approvedAt: order.approved_at || null,
+    readyAt: order.ready_at || null,
+    completedAt: order.completed_at || null,
+    cancelledAt: order.cancelled_at || null,
     paymentMethod: order.payment_method,
     productionJobs: Array.isArray(order.production_jobs) ? order.production_jobs : [],
     createdAt: order.created_at,
@@ -681,7 +701,7 @@ export async function createOrUpdateOrder(orderData) {
     }
     
     if (__DEV__ && promoCodeForPricing) {
-      const hasPromoLineItem = pricing.lineItems?.some(item => item.id === 'promo');
+      const hasPromoLineItem = pricing.lineItems?.some(item => item.type === 'promo' || item.id === 'promo');
       console.log('[createOrUpdateOrder] Pricing calculated with promo code:', {
         promoCode: typeof promoCodeForPricing === 'string' ? promoCodeForPricing : promoCodeForPricing?.promo?.code,
         hasPromoLineItem,
@@ -729,7 +749,7 @@ export async function createOrUpdateOrder(orderData) {
       }
 
       if (updateError) {
-        throw updateError;
+        throw capacityErrorFrom(updateError) || updateError;
       }
 
       order = updatedOrder;
@@ -774,7 +794,7 @@ export async function createOrUpdateOrder(orderData) {
         .single();
 
       if (createError) {
-        throw createError;
+        throw capacityErrorFrom(createError) || createError;
       }
 
       order = newOrder;
@@ -800,14 +820,14 @@ export async function createOrUpdateOrder(orderData) {
     }
 
     // Fetch complete order with sets
-    const completeOrder = await transformOrderFromDB(order, orderSets);
+    const fullOrder = await transformOrderFromDB(order, orderSets);
 
     if (__DEV__) {
       const totalTime = Date.now() - startTime;
       console.log(`[orders] ✅ Order ${isUpdate ? 'updated' : 'created'} successfully: ${order.id} in ${totalTime}ms`);
     }
 
-    return { order: completeOrder };
+    return { order: fullOrder };
   } catch (error) {
     const errorMessage = error?.message || 'Unknown error';
     const isAbortError = errorMessage.includes('AbortError') || errorMessage.includes('Aborted') || error?.name === 'AbortError';
@@ -926,6 +946,68 @@ export async function fetchOrder(orderId) {
   }
 }
 
+/**
+ * Fetch an order's event log (status, price, discount, tracking, admin note
+ * and payment changes), oldest first. Rows are written by a database trigger
+ * on orders; RLS hides admin-only events from customers.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} Events shaped as described in shared/orderEvents.js,
+ *   with actor.name filled in where the actor has a profile
+ */
+export async function fetchOrderEvents(orderId) {
+  try {
+    const { data: rows, error } = await supabase
+      .from('order_events')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const actorIds = [...new Set((rows || []).map((row) => row.actor_id).filter(Boolean))];
+    let actorNames = {};
+    if (actorIds.length > 0) {
+      const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, full_name, email')
+        .in('id', actorIds);
+
+      if (profilesError) {
+        console.warn('[orders] Failed to fetch event actor profiles:', profilesError);
+      } else {
+        actorNames = Object.fromEntries(
+          (profiles || []).map((profile) => [profile.id, profile.full_name || profile.email || null]),
+        );
+      }
+    }
+
+    const normalizeValue = (row, value) =>
+      row.type === ORDER_EVENT_TYPE.STATUS_CHANGED || row.type === ORDER_EVENT_TYPE.CREATED
+        ? normalizeOrderStatus(value) || null
+        : value;
+
+    return (rows || []).map((row) => ({
+      id: row.id,
+      orderId: row.order_id,
+      type: row.type,
+      actor: {
+        id: row.actor_id,
+        role: row.actor_role,
+        name: actorNames[row.actor_id] || null,
+      },
+      from: normalizeValue(row, row.from_value),
+      to: normalizeValue(row, row.to_value),
+      metadata: row.metadata || null,
+      createdAt: row.created_at,
+    }));
+  } catch (error) {
+    console.error('[orders] ❌ Failed to fetch order events:', error);
+    throw error;
+  }
+}
+
 /**
  * Fetch orders for a user (or all orders if admin)
  * @param {Object} [params] - Query parameters
@@ -982,6 +1064,8 @@ export async function fetchOrders(params = {}) {
         created_at,
         updated_at,
         paid_at,
+        completed_at,
+        payment_method,
         pricing,
         fulfillment,
         promo_code,
@@ -1052,6 +1136,8 @@ export async function fetchOrders(params = {}) {
         created_at,
         updated_at,
         paid_at,
+        completed_at,
+        payment_method,
         pricing,
         fulfillment,
         promo_code,
@@ -1318,7 +1404,7 @@ export async function updateOrder(orderId, updates) {
     // First fetch existing order to check previous status (needed for admin completion logic)
     const { data: existingOrder, error: checkError } = await supabase
       .from('orders')
-      .select('id, status, tracking_number, paid_at, payment_method, discount, user_id')
+      .select('id, status, tracking_number, paid_at, payment_method, discount, user_id, fulfillment, admin_notes, production_jobs')
       .eq('id', orderId)
       .single();
 
@@ -1326,106 +1412,37 @@ export async function updateOrder(orderId, updates) {
       throw new Error(`Order not found: ${orderId}`);
     }
 
-    // Allowed status values - includes both old and new status formats
-    // New status structure:
-    // - Draft
-    // - Submitted
-    // - Approved & In Progress
-    // - Ready for Pickup, Ready for Shipping, Ready for Delivery
-    // - Completed, Cancelled
-    const allowedStatuses = new Set([
-      // Old formats (for backward compatibility)
-      'draft',
-      'submitted',
-      'pending',
-      'in_progress',
-      'completed',
-      'delivered',
-      'cancelled',
-      'pending_payment',
-      'paid',
-      // New status formats
-      'Draft',
-      'Awaiting Submission',
-      'Submitted',
-      'Approved & In Progress',
-      'Ready for Pickup',
-      'Ready for Shipping',
-      'Ready for Delivery',
-      'Completed',
-      'Cancelled',
-    ]);
-
     const updatePayload = {};
 
-    // Allow status update if it's in the allowed set
-    // Also allow any status that matches the new status constants (case-insensitive check)
+    const productionJobs = Array.isArray(updates.productionJobs)
+      ? updates.productionJobs
+      : existingOrder.production_jobs;
+
+    // Status changes go through the shared state machine, which rejects
+    // illegal jumps (e.g. Completed -> Draft) and says what else to do.
+    let statusTransition = null;
     if (updates.status) {
-      const statusLower = String(updates.status).toLowerCase().trim();
-      
+      statusTransition = planStatusTransition(existingOrder.status, updates.status, {
+        fulfillmentMethod: existingOrder.fulfillment?.method,
+        orderNumber: (orderId || '').slice(0, 8).toUpperCase(),
+        productionPacked: allJobsPacked(productionJobs),
+      });
+
       if (__DEV__) {
         console.log('[updateOrder] Status update requested:', {
           originalStatus: updates.status,
-          statusLower,
-          existingOrderStatus: existingOrder?.status,
+          existingOrderStatus: existingOrder.status,
+          transition: statusTransition,
         });
       }
-      
-      const isAllowed = allowedStatuses.has(updates.status) ||
-        statusLower === 'draft' ||
-        statusLower === 'awaiting submission' ||
-        statusLower === 'awaiting_submission' ||
-        statusLower === 'awaitingsubmission' ||
-        statusLower === 'submitted' ||
-        statusLower === 'approved & in progress' ||
-        statusLower === 'approved_in_progress' ||
-        statusLower === 'ready for pickup' ||
-        statusLower === 'ready_for_pickup' ||
-        statusLower === 'ready for shipping' ||
-        statusLower === 'ready_for_shipping' ||
-        statusLower === 'ready for delivery' ||
-        statusLower === 'ready_for_delivery' ||
-        statusLower === 'completed' ||
-        statusLower === 'cancelled' ||
-        statusLower === 'canceled';
-      
-      if (__DEV__ && !isAllowed) {
-        console.warn('[updateOrder] Status not in allowed list:', updates.status);
+
+      // Also rewrites legacy spellings ('in_progress') to the current ones.
+      if (statusTransition.to !== existingOrder.status) {
+        updatePayload.status = statusTransition.to;
       }
-      
-      if (isAllowed) {
-        // Normalize to the proper status format
-        if (statusLower === 'draft') {
-          updatePayload.status = 'Draft';
-        } else if (statusLower === 'awaiting submission' || statusLower === 'awaiting_submission' || statusLower === 'awaitingsubmission') {
-          updatePayload.status = 'Awaiting Submission';
-        } else if (statusLower === 'approved & in progress' || statusLower === 'approved_in_progress' || statusLower === 'in_progress') {
-          updatePayload.status = 'Approved & In Progress';
-        } else if (statusLower === 'ready for pickup' || statusLower === 'ready_for_pickup') {
-          updatePayload.status = 'Ready for Pickup';
-        } else if (statusLower === 'ready for shipping' || statusLower === 'ready_for_shipping') {
-          updatePayload.status = 'Ready for Shipping';
-        } else if (statusLower === 'ready for delivery' || statusLower === 'ready_for_delivery') {
-          updatePayload.status = 'Ready for Delivery';
-        } else if (statusLower === 'submitted') {
-          updatePayload.status = 'Submitted';
-        } else if (statusLower === 'completed' || statusLower === 'delivered') {
-          // Always set to "Completed" status (no separate pending feedback status)
-          updatePayload.status = 'Completed';
-        } else if (statusLower === 'cancelled' || statusLower === 'canceled') {
-          updatePayload.status = 'Cancelled';
-        } else {
-          // Use the provided status as-is if it's already in the correct format
-          // But first check if it matches any of our known status formats
-          if (__DEV__) {
-            console.log('[updateOrder] Status not matched in normalization, using as-is:', {
-              originalStatus: updates.status,
-              statusLower,
-              updatePayloadStatus: updatePayload.status,
-            });
-          }
-          updatePayload.status = updates.status;
-        }
+      const timestampColumn = STATUS_TIMESTAMP_COLUMNS[statusTransition.timestamp];
+      if (statusTransition.changed && timestampColumn) {
+        updatePayload[timestampColumn] = new Date().toISOString();
       }
     }
 
@@ -1433,6 +1450,20 @@ export async function updateOrder(orderId, updates) {
       updatePayload.admin_notes = updates.adminNotes.trim();
     }
 
+    // A single note added below the existing ones (bulk updates use this).
+    if (typeof updates.adminNote === 'string' && updates.adminNote.trim()) {
+      updatePayload.admin_notes = [
+        updatePayload.admin_notes ?? existingOrder.admin_notes,
+        updates.adminNote.trim(),
+      ]
+        .filter(Boolean)
+        .join('\n');
+    }
+
+    if (Array.isArray(updates.productionJobs)) {
+      updatePayload.production_jobs = updates.productionJobs;
+    }
+
     if (Array.isArray(updates.adminImages)) {
       updatePayload.admin_images = updates.adminImages.filter(
         (item) => typeof item === 'string' && item.length > 0,
@@ -1508,11 +1539,13 @@ export async function updateOrder(orderId, updates) {
 
       // Recalculate pricing with the new discount (use 0 if discount was removed)
       const discountAmount = typeof updates.discount === 'number' ? updates.discount : 0;
-      const newPricing = calculatePriceBreakdown({
+      const newPricing = await calculatePriceBreakdown({
         nailSets,
         fulfillment,
         promoCode,
         adminDiscount: discountAmount,
+        // Keep the tax rate the order was placed with
+        taxSnapshot: currentOrder.pricing?.taxSnapshot || null,
       });
 
       // Update pricing in the payload
@@ -1576,7 +1609,7 @@ export async function updateOrder(orderId, updates) {
       if (updateError.code === 'PGRST116') {
         throw new Error(`Order not found or you don't have permission to update it: ${orderId}`);
       }
-      throw updateError;
+      throw capacityErrorFrom(updateError) || updateError;
     }
 
     if (!updatedOrder) {
@@ -1635,7 +1668,7 @@ export async function updateOrder(orderId, updates) {
       }
     }
     
-    const completeOrder = transformed;
+    const fullOrder = transformed;
 
     // Create system notifications for relevant events
     if (updatedOrder.user_id && previousOrder) {
@@ -1655,79 +1688,21 @@ export async function updateOrder(orderId, updates) {
           });
         }
 
-        // 2. Status → Approved
-        if (updates.status && (
-          updates.status.toLowerCase() === 'approved & in progress' ||
-          updates.status.toLowerCase() === 'approved_in_progress'
-        ) && previousOrder.status?.toLowerCase() !== 'approved & in progress') {
+        // 2. Status changes (approved, ready, completed)
+        if (statusTransition?.changed && statusTransition.notification) {
+          const { notification } = statusTransition;
           await createSystemNotification({
-            title: 'Order Approved',
-            message: `Order #${orderNumber} has been approved — we're getting started!`,
-            systemEventType: 'status_approved',
+            title: notification.title,
+            message: notification.message,
+            systemEventType: notification.systemEventType,
             relatedOrderId: orderId,
             relatedUserId: updatedOrder.user_id,
+            metadata: notification.systemEventType === 'order_completed_feedback_request'
+              ? { deepLink: `feedback:${orderId}`, orderNumber }
+              : { status: statusTransition.to },
           });
         }
 
-        // Note: "In Progress" is the same as "Approved & In Progress", handled above
-
-        // 4. Status → Ready (Pickup/Shipping/Delivery)
-        if (updates.status && (
-          updates.status.toLowerCase() === 'ready for pickup' ||
-          updates.status.toLowerCase() === 'ready_for_pickup' ||
-          updates.status.toLowerCase() === 'ready for shipping' ||
-          updates.status.toLowerCase() === 'ready_for_shipping' ||
-          updates.status.toLowerCase() === 'ready for delivery' ||
-          updates.status.toLowerCase() === 'ready_for_delivery'
-        )) {
-          const readyMessage = updates.status.toLowerCase().includes('pickup') 
-            ? `Order #${orderNumber} is ready for pickup.`
-            : updates.status.toLowerCase().includes('shipping')
-            ? `Order #${orderNumber} is ready for shipping.`
-            : `Order #${orderNumber} is ready for delivery.`;
-          
-          await createSystemNotification({
-            title: 'Order Ready',
-            message: readyMessage,
-            systemEventType: 'status_ready',
-            relatedOrderId: orderId,
-            relatedUserId: updatedOrder.user_id,
-            metadata: { readyType: updates.status },
-          });
-        }
-
-        // 5. Order completed - request feedback (when admin marks as completed)
-        const finalStatus = updatePayload.status || updates.status || '';
-        const finalStatusLower = String(finalStatus).toLowerCase();
-        if (finalStatus && (
-          finalStatusLower === 'completed' || finalStatusLower === 'delivered'
-        ) && previousOrder.status?.toLowerCase() !== 'completed') {
-          // Check if user is admin (to only send notification when admin marks complete)
-          const { data: { session } } = await supabase.auth.getSession();
-          if (session) {
-            const { data: profile } = await supabase
-              .from('profiles')
-              .select('is_admin')
-              .eq('id', session.user.id)
-              .single();
-            
-            // Only send notification if admin is marking order as completed
-            if (profile?.is_admin === true) {
-              await createSystemNotification({
-                title: 'Order Complete! 💅',
-                message: `Your order #${orderNumber} is complete! We'd love to hear your feedback.`,
-                systemEventType: 'order_completed_feedback_request',
-                relatedOrderId: orderId,
-                relatedUserId: updatedOrder.user_id,
-                metadata: { 
-                  deepLink: `feedback:${orderId}`,
-                  orderNumber,
-                },
-              });
-            }
-          }
-        }
-
         // 6. Discount applied
         if (updates.discount !== undefined && updates.discount > 0 && 
             (!previousOrder.discount || previousOrder.discount === 0)) {
@@ -1761,20 +1736,134 @@ export async function updateOrder(orderId, updates) {
     if (__DEV__) {
       console.log('[orders] ✅ Order updated successfully');
       console.log('[orders] Updated order admin fields:', {
-        adminNotes: completeOrder.adminNotes,
-        adminImages: completeOrder.adminImages?.length || 0,
-        trackingNumber: completeOrder.trackingNumber,
-        status: completeOrder.status,
+        adminNotes: fullOrder.adminNotes,
+        adminImages: fullOrder.adminImages?.length || 0,
+        trackingNumber: fullOrder.trackingNumber,
+        status: fullOrder.status,
       });
     }
 
-    return { order: completeOrder };
+    return { order: fullOrder };
   } catch (error) {
     console.error('[orders] ❌ Failed to update order:', error);
     throw error;
   }
 }
 
+/**
+ * Move one nail set's production job to another stage (admin), recording
+ * when and by whom. The order follows through updateOrder(): it becomes
+ * Ready for Pickup/Shipping/Delivery once every set is packed and goes back
+ * to Approved & In Progress if a packed set is reopened. Orders paid before
+ * jobs were stored get theirs from the nail sets first.
+ * @param {string} orderId - Order ID
+ * @param {string} jobId - Production job ID
+ * @param {string} stage - One of PRODUCTION_STAGES (shared/productionJobs.js)
+ * @param {Object} [options]
+ * @param {Object} [options.staff] - { id, name } of whoever did the work
+ * @returns {Promise<Object>} Updated order
+ */
+export async function updateProductionJobStage(orderId, jobId, stage, { staff = null } = {}) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, status, fulfillment, production_jobs')
+    .eq('id', orderId)
+    .single();
+
+  if (error || !order) {
+    throw new Error(`Order not found: ${orderId}`);
+  }
+
+  const { data: sets, error: setsError } = await supabase
+    .from('order_sets')
+    .select('id, name, shape_id, quantity, description')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (setsError) {
+    throw setsError;
+  }
+
+  const change = planProductionStageChange(
+    {
+      id: order.id,
+      status: order.status,
+      fulfillment: order.fulfillment,
+      productionJobs: order.production_jobs,
+      // Same snapshot completeOrder() takes, without the design images.
+      nailSets: (sets || []).map((set) => ({
+        id: set.id,
+        name: set.name,
+        shapeId: set.shape_id,
+        quantity: set.quantity,
+        description: set.description,
+      })),
+    },
+    jobId,
+    stage,
+    { staff },
+  );
+
+  return updateOrder(orderId, { productionJobs: change.jobs, status: change.status });
+}
+
+/**
+ * Apply admin changes to several orders, one after another. Each update is
+ * { orderId, status?, trackingNumber?, adminNote? } and goes through
+ * updateOrder(), so it is checked against the status rules and sends the same
+ * customer notifications. An order that fails does not stop the rest.
+ * @param {Array<Object>} updates
+ * @returns {Promise<Object>} { results, updated, failed }; each result is
+ *   { orderId, ok: true, order } or { orderId, ok: false, error, code }
+ */
+export async function updateOrders(updates) {
+  const results = [];
+  // Sequential on purpose: each submission or cancellation changes the
+  // weekly capacity the next one is checked against.
+  for (const { orderId, ...changes } of updates) {
+    try {
+      const { order } = await updateOrder(orderId, changes);
+      results.push({ orderId, ok: true, order });
+    } catch (error) {
+      results.push({
+        orderId,
+        ok: false,
+        error: error?.message || 'Unable to update order',
+        code: error?.code || null,
+      });
+    }
+  }
+
+  const failed = results.filter((result) => !result.ok).length;
+  return { results, updated: results.length - failed, failed };
+}
+
+/**
+ * Export orders for bookkeeping (admin): one row per nail set with the
+ * customer, set prices, delivery fee, discounts, total and payment details.
+ * See shared/orderExport.js for the columns.
+ * @param {Object} [options]
+ * @param {string} [options.from] - created on or after, YYYY-MM-DD
+ * @param {string} [options.to] - created on or before, YYYY-MM-DD (inclusive)
+ * @param {string[]} [options.statuses] - only these statuses; empty for all
+ * @param {string} [options.format] - 'csv' (default) or 'xlsx'
+ * @returns {Promise<Object>} { fileName, mimeType, base64, orderCount }
+ */
+export async function exportOrders({ from, to, statuses = [], format = 'csv' } = {}) {
+  const { orders } = await fetchOrders({ allOrders: true });
+  const selected = filterOrdersForExport(orders, { from, to, statuses });
+  const file = buildOrderExport(selected, { format, from, to });
+  const bytes = typeof file.data === 'string' ? strToU8(file.data) : file.data;
+  return {
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+    // react-native-share takes files as base64; btoa() wants one character
+    // per byte, which fflate's latin1 decoding gives.
+    base64: global.btoa(strFromU8(bytes, true)),
+    orderCount: selected.length,
+  };
+}
+
 /**
  * Complete an order (mark as paid)
  * @param {string} orderId - Order ID
@@ -1864,13 +1953,13 @@ export async function completeOrder(orderId, payload = {}) {
       throw updateError;
     }
 
-    const completeOrder = await transformOrderFromDB(updatedOrder, orderSets || []);
+    const fullOrder = await transformOrderFromDB(updatedOrder, orderSets || []);
 
     if (__DEV__) {
       console.log('[orders] ✅ Order completed successfully');
     }
 
-    return { order: completeOrder };
+    return { order: fullOrder };
   } catch (error) {
     console.error('[orders] ❌ Failed to complete order:', error);
     throw error;
@@ -84,10 +84,6 @@ export async function validatePromoCode(code, orderData = {}, userId = null) {
         minOrderAmount: promo.min_order_amount,
       });
     }
-    // Get subtotal before shipping for percentage/fixed amount calculations
-    const subtotalBeforeShipping = priceBreakdown.lineItems
-      ?.filter((item) => item.id !== 'delivery')
-      .reduce((sum, item) => sum + (item.amount || 0), 0) || 0;
 
     // Check minimum order amount
     if (promo.min_order_amount && subtotal < Number(promo.min_order_amount)) {
@@ -121,35 +117,43 @@ export async function validatePromoCode(code, orderData = {}, userId = null) {
       }
     }
 
-    // Calculate discount amount
-    // Pass both subtotals: full (with shipping) for validation, before shipping for percentage calculations
-    const discountResult = calculateDiscount(promo, subtotal, subtotalBeforeShipping, orderData);
-    
+    // Price the order with this promo through the shared pricing module so
+    // the quoted discount is exactly what the order will be charged.
+    const promoRecord = {
+      id: promo.id,
+      code: promo.code,
+      description: promo.description,
+      type: promo.type,
+      value: promo.value,
+      applies_to: promo.applies_to,
+      combinable: promo.combinable,
+      metadata: promo.metadata || {},
+    };
+    const discounted = await calculatePriceBreakdown({
+      nailSets: orderData.nailSets || [],
+      fulfillment: orderData.fulfillment || {},
+      promoCode: { valid: true, promo: promoRecord },
+      adminDiscount: 0,
+    });
+    const applied = discounted.promotions?.[0] || { discount: 0, description: '' };
+
     if (__DEV__) {
       console.log('[validatePromoCode] Discount calculation:', {
         promoType: promo.type,
         subtotal,
-        subtotalBeforeShipping,
-        calculatedDiscount: discountResult.discount,
-        discountDescription: discountResult.description,
-        newTotal: Math.max(0, subtotal - discountResult.discount),
+        calculatedDiscount: applied.discount,
+        discountDescription: applied.description,
+        newTotal: discounted.total,
       });
     }
 
     return {
       valid: true,
-      promo: {
-        id: promo.id,
-        code: promo.code,
-        description: promo.description,
-        type: promo.type,
-        value: promo.value,
-        combinable: promo.combinable,
-      },
-      discount: discountResult.discount,
-      discountDescription: discountResult.description,
+      promo: promoRecord,
+      discount: applied.discount,
+      discountDescription: applied.description,
       subtotal,
-      newTotal: Math.max(0, subtotal - discountResult.discount), // Ensure total doesn't go negative
+      newTotal: discounted.total,
     };
   } catch (error) {
     console.error('[promoCodeService] Error validating promo code:', error);
@@ -160,72 +164,6 @@ export async function validatePromoCode(code, orderData = {}, userId = null) {
   }
 }
 
-/**
- * Calculate discount amount based on promo type
- * @param {Object} promo - Promo code object
- * @param {number} subtotalWithShipping - Order subtotal (including shipping) - for free_order validation
- * @param {number} subtotalBeforeShipping - Order subtotal (before shipping) - for percentage/fixed calculations
- * @param {Object} orderData - Order data
- * @returns {Object} Discount details
- */
-function calculateDiscount(promo, subtotalWithShipping, subtotalBeforeShipping, orderData = {}) {
-  let discount = 0;
-  let description = '';
-
-  switch (promo.type) {
-    case 'percentage':
-      // Apply percentage to subtotal (items + shipping) - this is more common for "X% off order"
-      // If you want percentage to apply only to items, use subtotalBeforeShipping instead
-      const percent = Number(promo.value) || 0;
-      discount = Math.round(subtotalWithShipping * (percent / 100) * 100) / 100;
-      description = `${percent}% off`;
-      break;
-
-    case 'fixed_amount':
-      // Apply fixed amount to subtotal before shipping (but cap at total with shipping)
-      discount = Math.min(Number(promo.value) || 0, subtotalWithShipping);
-      description = `$${Number(promo.value).toFixed(2)} off`;
-      break;
-
-    case 'free_shipping':
-      // Calculate shipping cost from orderData.fulfillment using actual pricing
-      const priceBreakdown = calculatePriceBreakdown({
-        nailSets: orderData.nailSets || [],
-        fulfillment: orderData.fulfillment || {},
-        promoCode: null,
-        adminDiscount: 0,
-      });
-      // Find shipping line item (delivery includes shipping cost)
-      const shippingItem = priceBreakdown.lineItems?.find((item) => item.id === 'delivery');
-      const shippingCost = shippingItem?.amount || 0;
-      // For free shipping, discount equals the shipping cost
-      discount = shippingCost;
-      description = 'Free shipping';
-      break;
-
-    case 'free_order':
-      // Free order - discount the entire amount (including shipping)
-      discount = subtotalWithShipping;
-      description = 'Free order';
-      break;
-
-    case 'fixed_price_item':
-      // For now, treat as fixed amount discount
-      // Can be extended later for product-specific pricing
-      discount = Math.min(Number(promo.value) || 0, subtotal);
-      description = `$${Number(promo.value).toFixed(2)} off`;
-      break;
-
-    default:
-      discount = 0;
-      description = '';
-  }
-
-  return { discount, description };
-}
-
-// Removed calculateOrderSubtotal and calculateShippingCost - now using calculatePriceBreakdown directly
-
 /**
  * Apply promo code to order (increment usage, create usage record)
  * This should be called when order is finalized
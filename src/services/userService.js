@@ -22,7 +22,7 @@ export async function fetchUsers({ page = 1, pageSize = 20, search = '', role =
     
     let query = supabase
       .from('profiles')
-      .select('id, full_name, email, phone, role, active, created_at, last_login, failed_login_count, last_password_reset, age_group, auth_methods, last_auth_method', { count: 'exact' });
+      .select('id, full_name, email, phone, role, active, created_at, last_login, failed_login_count, locked_until, last_password_reset, age_group, auth_methods, last_auth_method', { count: 'exact' });
 
     // Apply search filter
     if (search && search.trim()) {
@@ -244,6 +244,28 @@ export async function resetUserPassword(userId, adminId) {
   }
 }
 
+/**
+ * Clear a user's login lockout and failed login count
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated profile
+ */
+export async function unlockUserAccount(userId) {
+  try {
+    const { data, error } = await supabase.rpc('unlock_user_account', {
+      target_user_id: userId,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('[userService] Error unlocking account:', error);
+    throw error;
+  }
+}
+
 /**
  * Update user role
  * @param {string} userId - User ID
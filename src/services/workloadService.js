@@ -306,45 +306,26 @@ export async function checkCapacityAvailability() {
 }
 
 /**
- * Increment order count for current week
- * Called when an order is submitted
- * @returns {Promise<Object>} Updated capacity info
+ * Turn the database's "week is full" error into the message shown to the
+ * customer. Orders take their capacity slot in a trigger on the orders table
+ * when they are submitted, so a full week rejects the insert/update itself
+ * with message 'capacity_full' and the next open week in `details`.
+ * @param {Object} error - Supabase/PostgREST error
+ * @returns {Error|null} Error with code 'CAPACITY_FULL' and nextOpening, or null
  */
-export async function incrementWeeklyOrders() {
-  try {
-    const weekStart = getWeekStart();
-    const weekStartStr = formatDate(weekStart);
-
-    // Call Supabase function to increment
-    const { data, error } = await supabase.rpc('increment_weekly_orders', {
-      target_week_start: weekStartStr,
-    });
-
-    if (error) {
-      // Fallback to direct update
-      console.warn('[workloadService] RPC failed, using direct update:', error);
-      
-      // Get or create capacity
-      const capacity = await getOrCreateWeeklyCapacity(weekStart);
-      
-      // Increment count
-      const { data: updated, error: updateError } = await supabase
-        .from('workload_capacity')
-        .update({ orders_count: (capacity.orders_count || 0) + 1 })
-        .eq('week_start', weekStartStr)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
-      return updated;
-    }
-
-    // Reload to get full capacity info
-    return await getOrCreateWeeklyCapacity(weekStart);
-  } catch (error) {
-    console.error('[workloadService] Error incrementing weekly orders:', error);
-    throw error;
+export function capacityErrorFrom(error) {
+  if (!error || error.message !== 'capacity_full') {
+    return null;
   }
+
+  const nextOpening = /^\d{4}-\d{2}-\d{2}$/.test(error.details || '') ? error.details : null;
+  const message = nextOpening
+    ? `Capacity full, next opening on ${formatNextAvailabilityDateTime(new Date(`${nextOpening}T12:00:00`))}`
+    : 'Capacity full, no openings in the next year';
+  const capacityError = new Error(message);
+  capacityError.code = 'CAPACITY_FULL';
+  capacityError.nextOpening = nextOpening;
+  return capacityError;
 }
 
 /**
@@ -0,0 +1,23 @@
+import Share from 'react-native-share';
+
+/**
+ * Open the share sheet for a file held in memory so it can be saved,
+ * printed or sent on.
+ *
+ * @param {Object} file - { fileName, mimeType, base64 }
+ * @param {Object} [options] - { title } for the share sheet
+ */
+export async function shareFile({ fileName, mimeType, base64 }, { title } = {}) {
+  return Share.open({
+    title: title || fileName,
+    url: `data:${mimeType};base64,${base64}`,
+    type: mimeType,
+    // Android names the shared file from this; the extension comes from the type.
+    filename: fileName.replace(/\.[^.]+$/, ''),
+    failOnCancel: false,
+  });
+}
+
+export default {
+  shareFile,
+};
@@ -0,0 +1,7 @@
+-- Timestamps set by order status transitions (shared/orderStatus.js).
+-- submitted_at and completed_at already exist.
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS approved_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS ready_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS cancelled_at timestamp with time zone;
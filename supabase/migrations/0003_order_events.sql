@@ -0,0 +1,144 @@
+-- Append-only order audit trail (shared/orderEvents.js).
+-- Events are written by a trigger on public.orders, so every client and
+-- service path is covered. The actor is whoever is signed in when the row
+-- changes; changes made without a session (service role, webhooks) are
+-- logged as 'system'.
+
+CREATE TABLE IF NOT EXISTS public.order_events (
+    id uuid DEFAULT gen_random_uuid() NOT NULL PRIMARY KEY,
+    order_id uuid NOT NULL REFERENCES public.orders (id) ON DELETE CASCADE,
+    type text NOT NULL,
+    actor_id uuid,
+    actor_role text NOT NULL,
+    from_value jsonb,
+    to_value jsonb,
+    metadata jsonb,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS order_events_order_id_idx ON public.order_events (order_id, created_at);
+
+CREATE OR REPLACE FUNCTION public.reject_order_event_changes() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  RAISE EXCEPTION 'order_events is append-only';
+END;
+$$;
+
+CREATE TRIGGER order_events_no_update BEFORE UPDATE ON public.order_events
+  FOR EACH ROW EXECUTE FUNCTION public.reject_order_event_changes();
+
+CREATE OR REPLACE FUNCTION public.append_order_event(
+  event_order_id uuid,
+  event_type text,
+  event_from jsonb DEFAULT NULL,
+  event_to jsonb DEFAULT NULL,
+  event_metadata jsonb DEFAULT NULL
+) RETURNS void
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+BEGIN
+  INSERT INTO public.order_events (order_id, type, actor_id, actor_role, from_value, to_value, metadata)
+  VALUES (
+    event_order_id,
+    event_type,
+    auth.uid(),
+    CASE
+      WHEN auth.uid() IS NULL THEN 'system'
+      WHEN public.is_admin_user() THEN 'admin'
+      ELSE 'customer'
+    END,
+    event_from,
+    event_to,
+    event_metadata
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.append_order_event(uuid, text, jsonb, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.log_order_changes() RETURNS trigger
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.append_order_event(
+      NEW.id, 'order_created', NULL, to_jsonb(NEW.status),
+      jsonb_build_object('total', NEW.pricing -> 'total')
+    );
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    PERFORM public.append_order_event(NEW.id, 'status_changed', to_jsonb(OLD.status), to_jsonb(NEW.status));
+  END IF;
+
+  IF (NEW.pricing -> 'total') IS DISTINCT FROM (OLD.pricing -> 'total') THEN
+    PERFORM public.append_order_event(NEW.id, 'price_changed', OLD.pricing -> 'total', NEW.pricing -> 'total');
+  END IF;
+
+  IF COALESCE(NEW.discount_override, NEW.discount) IS DISTINCT FROM COALESCE(OLD.discount_override, OLD.discount) THEN
+    PERFORM public.append_order_event(
+      NEW.id, 'discount_changed',
+      to_jsonb(COALESCE(OLD.discount_override, OLD.discount)),
+      to_jsonb(COALESCE(NEW.discount_override, NEW.discount))
+    );
+  END IF;
+
+  IF NULLIF(NEW.tracking_number, '') IS DISTINCT FROM NULLIF(OLD.tracking_number, '') THEN
+    PERFORM public.append_order_event(
+      NEW.id, 'tracking_number_changed',
+      to_jsonb(NULLIF(OLD.tracking_number, '')), to_jsonb(NULLIF(NEW.tracking_number, ''))
+    );
+  END IF;
+
+  IF NULLIF(NEW.admin_notes, '') IS DISTINCT FROM NULLIF(OLD.admin_notes, '') THEN
+    PERFORM public.append_order_event(
+      NEW.id, 'admin_notes_changed',
+      to_jsonb(NULLIF(OLD.admin_notes, '')), to_jsonb(NULLIF(NEW.admin_notes, ''))
+    );
+  END IF;
+
+  IF NEW.payment_intent_id IS NOT NULL AND NEW.payment_intent_id IS DISTINCT FROM OLD.payment_intent_id THEN
+    PERFORM public.append_order_event(
+      NEW.id, 'payment', NULL, NULL,
+      jsonb_build_object('label', 'Payment started', 'paymentIntentId', NEW.payment_intent_id)
+    );
+  END IF;
+
+  IF NEW.paid_at IS NOT NULL AND OLD.paid_at IS NULL THEN
+    PERFORM public.append_order_event(
+      NEW.id, 'payment', NULL, NULL,
+      jsonb_build_object(
+        'label', 'Payment received',
+        'amount', NEW.pricing -> 'total',
+        'paymentMethod', NEW.payment_method,
+        'paymentIntentId', NEW.payment_intent_id
+      )
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER orders_log_changes AFTER INSERT OR UPDATE ON public.orders
+  FOR EACH ROW EXECUTE FUNCTION public.log_order_changes();
+
+ALTER TABLE public.order_events ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients: rows only arrive through the trigger above.
+CREATE POLICY "Admins can read all order events" ON public.order_events FOR SELECT TO authenticated
+  USING (public.is_admin_user());
+
+CREATE POLICY "Users can read events for their orders" ON public.order_events FOR SELECT TO authenticated
+  USING (
+    type <> 'admin_notes_changed'
+    AND EXISTS (
+      SELECT 1 FROM public.orders
+      WHERE orders.id = order_events.order_id AND orders.user_id = auth.uid()
+    )
+  );
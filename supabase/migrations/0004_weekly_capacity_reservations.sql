@@ -0,0 +1,125 @@
+-- Weekly workload capacity is enforced by the database. A trigger on
+-- public.orders takes a slot when an order enters a capacity-holding status
+-- (shared/orderStatus.js CAPACITY_HOLDING_STATUSES) and gives it back when
+-- the order is cancelled. The week's row is locked while it is checked, so
+-- concurrent submissions cannot share the last slot, and stale or modified
+-- apps cannot submit past the limit.
+--
+-- A full week aborts the insert/update with message 'capacity_full' and the
+-- next open week (YYYY-MM-DD) in DETAIL; the app turns that into
+-- "Capacity full, next opening on <date>".
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS capacity_week_start date;
+
+COMMENT ON COLUMN public.orders.capacity_week_start IS 'Week whose workload capacity this order counts against; set by reserve_order_capacity()';
+
+CREATE OR REPLACE FUNCTION public.order_holds_capacity(order_status text) RETURNS boolean
+    LANGUAGE sql IMMUTABLE
+    AS $$
+  SELECT lower(trim(coalesce(order_status, ''))) IN (
+    'submitted', 'pending', 'paid',
+    'approved & in progress', 'approved_in_progress', 'in_progress', 'in progress',
+    'ready for pickup', 'ready_for_pickup',
+    'ready for shipping', 'ready_for_shipping',
+    'ready for delivery', 'ready_for_delivery',
+    'completed', 'delivered'
+  );
+$$;
+
+-- First week after from_week that still has room, looking a year ahead.
+-- Weeks without a row yet take the latest capacity setting.
+CREATE OR REPLACE FUNCTION public.next_capacity_opening(from_week date) RETURNS date
+    LANGUAGE plpgsql STABLE SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  candidate date;
+  slot public.workload_capacity;
+  latest_capacity integer;
+BEGIN
+  SELECT weekly_capacity INTO latest_capacity
+  FROM public.workload_capacity
+  ORDER BY week_start DESC
+  LIMIT 1;
+
+  FOR i IN 1..52 LOOP
+    candidate := from_week + (i * 7);
+    SELECT * INTO slot FROM public.workload_capacity WHERE week_start = candidate;
+    IF slot IS NULL THEN
+      IF COALESCE(latest_capacity, 50) > 0 THEN
+        RETURN candidate;
+      END IF;
+    ELSIF slot.orders_count < slot.weekly_capacity THEN
+      RETURN candidate;
+    END IF;
+  END LOOP;
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reserve_order_capacity() RETURNS trigger
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  held_before boolean := TG_OP = 'UPDATE' AND public.order_holds_capacity(OLD.status);
+  holds_now boolean := public.order_holds_capacity(NEW.status);
+  target_week date;
+  slot public.workload_capacity;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    -- Only this trigger moves the reservation.
+    NEW.capacity_week_start := OLD.capacity_week_start;
+  ELSE
+    NEW.capacity_week_start := NULL;
+  END IF;
+
+  IF holds_now AND NOT held_before THEN
+    target_week := public.get_week_start((now() AT TIME ZONE 'America/Los_Angeles')::date);
+    PERFORM public.get_or_create_weekly_capacity(target_week);
+
+    SELECT * INTO slot
+    FROM public.workload_capacity
+    WHERE week_start = target_week
+    FOR UPDATE;
+
+    IF slot.orders_count >= slot.weekly_capacity THEN
+      RAISE EXCEPTION 'capacity_full'
+        USING ERRCODE = 'P0001',
+              DETAIL = COALESCE(public.next_capacity_opening(target_week)::text, ''),
+              HINT = 'This week''s order capacity is full.';
+    END IF;
+
+    UPDATE public.workload_capacity
+    SET orders_count = orders_count + 1
+    WHERE id = slot.id;
+    NEW.capacity_week_start := target_week;
+  ELSIF TG_OP = 'UPDATE'
+    AND lower(trim(coalesce(NEW.status, ''))) IN ('cancelled', 'canceled')
+    AND OLD.capacity_week_start IS NOT NULL THEN
+    UPDATE public.workload_capacity
+    SET orders_count = GREATEST(orders_count - 1, 0)
+    WHERE week_start = OLD.capacity_week_start;
+    NEW.capacity_week_start := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Orders submitted before this migration were counted by the app in the week
+-- they were submitted; point them at that week so cancelling gives it back.
+UPDATE public.orders
+SET capacity_week_start = public.get_week_start(
+  (COALESCE(submitted_at, created_at) AT TIME ZONE 'America/Los_Angeles')::date
+)
+WHERE capacity_week_start IS NULL
+  AND public.order_holds_capacity(status);
+
+CREATE TRIGGER orders_reserve_capacity BEFORE INSERT OR UPDATE ON public.orders
+  FOR EACH ROW EXECUTE FUNCTION public.reserve_order_capacity();
+
+-- Counting is the trigger's job now. Older app versions still call this after
+-- submitting; refusing them keeps orders from being counted twice.
+REVOKE EXECUTE ON FUNCTION public.increment_weekly_orders(date) FROM PUBLIC, anon, authenticated;
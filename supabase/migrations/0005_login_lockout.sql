@@ -0,0 +1,209 @@
+-- Brute-force protection for password sign-ins, with the same policy as the
+-- backend (backend/loginThrottle.js):
+--
+-- * Accounts lock for 15 minutes after 5 failed logins in a row. Supabase
+--   Auth calls hook_password_verification_attempt() on every password check
+--   (enabled in config.toml), so the lock holds no matter which client signs
+--   in. It lifts on its own, when an admin unlocks the account, or when the
+--   password is changed.
+-- * Before signing in, the app calls begin_login_attempt(), which throttles
+--   repeated attempts per email and per client IP with a doubling delay.
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS locked_until timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS last_failed_login timestamp with time zone;
+
+COMMENT ON COLUMN public.profiles.locked_until IS 'Password sign-ins are refused until this time; set after repeated failed logins';
+
+CREATE TABLE IF NOT EXISTS public.login_throttles (
+    key text NOT NULL PRIMARY KEY,
+    kind text NOT NULL CHECK (kind IN ('email', 'ip')),
+    failures integer DEFAULT 0 NOT NULL,
+    last_failure_at timestamp with time zone NOT NULL
+);
+
+-- Only the functions below touch the counters.
+ALTER TABLE public.login_throttles ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.hook_password_verification_attempt(event jsonb) RETURNS jsonb
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  target_user uuid := (event ->> 'user_id')::uuid;
+  profile public.profiles;
+BEGIN
+  SELECT * INTO profile FROM public.profiles WHERE id = target_user FOR UPDATE;
+  IF profile IS NULL THEN
+    RETURN jsonb_build_object('decision', 'continue');
+  END IF;
+
+  IF profile.locked_until > now() THEN
+    RETURN jsonb_build_object(
+      'decision', 'reject',
+      'message', 'This account is locked after too many failed logins. Try again later or reset your password.',
+      'should_logout_user', false
+    );
+  END IF;
+
+  IF (event ->> 'valid')::boolean THEN
+    UPDATE public.profiles
+    SET failed_login_count = 0, locked_until = NULL, last_failed_login = NULL
+    WHERE id = target_user;
+    RETURN jsonb_build_object('decision', 'continue');
+  END IF;
+
+  -- A lockout that has run out starts the count again.
+  UPDATE public.profiles
+  SET failed_login_count = CASE WHEN locked_until IS NOT NULL THEN 1 ELSE failed_login_count + 1 END,
+      last_failed_login = now(),
+      locked_until = CASE
+        WHEN (CASE WHEN locked_until IS NOT NULL THEN 1 ELSE failed_login_count + 1 END) >= 5
+          THEN now() + interval '15 minutes'
+        ELSE NULL
+      END
+  WHERE id = target_user;
+
+  RETURN jsonb_build_object('decision', 'continue');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.hook_password_verification_attempt(jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.hook_password_verification_attempt(jsonb) TO supabase_auth_admin;
+
+-- The client's address as PostgREST forwards it.
+CREATE OR REPLACE FUNCTION public.request_client_ip() RETURNS text
+    LANGUAGE sql STABLE
+    AS $$
+  SELECT nullif(trim(split_part(
+    coalesce(current_setting('request.headers', true)::json ->> 'x-forwarded-for', ''),
+    ',', 1
+  )), '');
+$$;
+
+-- Counts the attempt before the password is checked and reports whether it
+-- may go ahead. After 3 free attempts per email (10 per IP) each further one
+-- waits 1s, 2s, 4s, ... up to 5 minutes (15 per IP); an hour without failures
+-- forgets the key. clear_login_throttle() takes the attempt back on success.
+CREATE OR REPLACE FUNCTION public.begin_login_attempt(login_email text) RETURNS jsonb
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  keys text[] := ARRAY['email:' || lower(trim(login_email))];
+  throttle public.login_throttles;
+  free_attempts integer;
+  max_delay integer;
+  retry_at timestamp with time zone;
+  ip text := public.request_client_ip();
+BEGIN
+  IF ip IS NOT NULL THEN
+    keys := keys || ('ip:' || ip);
+  END IF;
+
+  FOR i IN 1..array_length(keys, 1) LOOP
+    SELECT * INTO throttle FROM public.login_throttles WHERE key = keys[i] FOR UPDATE;
+    IF throttle IS NOT NULL AND throttle.last_failure_at > now() - interval '1 hour' THEN
+      free_attempts := CASE WHEN throttle.kind = 'ip' THEN 10 ELSE 3 END;
+      max_delay := CASE WHEN throttle.kind = 'ip' THEN 900 ELSE 300 END;
+      IF throttle.failures > free_attempts THEN
+        retry_at := throttle.last_failure_at
+          + make_interval(secs => least(power(2, throttle.failures - free_attempts - 1), max_delay));
+        IF retry_at > now() THEN
+          RETURN jsonb_build_object(
+            'allowed', false,
+            'code', 'too_many_attempts',
+            'retry_after', ceil(extract(epoch FROM retry_at - now()))::integer
+          );
+        END IF;
+      END IF;
+    END IF;
+  END LOOP;
+
+  FOR i IN 1..array_length(keys, 1) LOOP
+    INSERT INTO public.login_throttles (key, kind, failures, last_failure_at)
+    VALUES (keys[i], split_part(keys[i], ':', 1), 1, now())
+    ON CONFLICT (key) DO UPDATE
+    SET failures = CASE
+          WHEN login_throttles.last_failure_at > now() - interval '1 hour' THEN login_throttles.failures + 1
+          ELSE 1
+        END,
+        last_failure_at = now();
+  END LOOP;
+
+  RETURN jsonb_build_object('allowed', true);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.begin_login_attempt(text) TO anon, authenticated;
+
+-- Called once signed in: forgets the user's own email throttle and takes the
+-- attempt back from the IP's count.
+CREATE OR REPLACE FUNCTION public.clear_login_throttle() RETURNS void
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  ip text := public.request_client_ip();
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN;
+  END IF;
+  DELETE FROM public.login_throttles
+  WHERE key = 'email:' || lower((SELECT email FROM auth.users WHERE id = auth.uid()));
+  IF ip IS NOT NULL THEN
+    UPDATE public.login_throttles
+    SET failures = greatest(failures - 1, 0)
+    WHERE key = 'ip:' || ip;
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.clear_login_throttle() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.clear_login_throttle() TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.unlock_user_account(target_user_id uuid) RETURNS public.profiles
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  unlocked public.profiles;
+BEGIN
+  IF NOT public.is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can unlock accounts' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.profiles
+  SET failed_login_count = 0, locked_until = NULL, last_failed_login = NULL
+  WHERE id = target_user_id
+  RETURNING * INTO unlocked;
+
+  DELETE FROM public.login_throttles
+  WHERE key = 'email:' || lower((SELECT email FROM auth.users WHERE id = target_user_id));
+
+  RETURN unlocked;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.unlock_user_account(uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.unlock_user_account(uuid) TO authenticated;
+
+-- A new password (reset link or change in the app) lifts the lock.
+CREATE OR REPLACE FUNCTION public.unlock_on_password_change() RETURNS trigger
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+BEGIN
+  IF NEW.encrypted_password IS DISTINCT FROM OLD.encrypted_password THEN
+    UPDATE public.profiles
+    SET failed_login_count = 0, locked_until = NULL, last_failed_login = NULL,
+        last_password_reset = now()
+    WHERE id = NEW.id;
+    DELETE FROM public.login_throttles WHERE key = 'email:' || lower(NEW.email);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_auth_user_password_changed AFTER UPDATE OF encrypted_password ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION public.unlock_on_password_change();
@@ -0,0 +1,44 @@
+-- Production job stages (shared/productionJobs.js).
+-- Each element of orders.production_jobs carries its own stage, stage
+-- timestamp and history, so no columns change. This logs every stage move to
+-- the order's audit trail the same way log_order_changes() logs field
+-- changes; jobs without a stage count as queued.
+
+CREATE OR REPLACE FUNCTION public.log_production_stage_changes() RETURNS trigger
+    LANGUAGE plpgsql SECURITY DEFINER
+    SET search_path TO 'public'
+    AS $$
+DECLARE
+  job jsonb;
+  old_stage text;
+  new_stage text;
+BEGIN
+  IF NEW.production_jobs IS NULL OR NEW.production_jobs IS NOT DISTINCT FROM OLD.production_jobs THEN
+    RETURN NEW;
+  END IF;
+
+  FOREACH job IN ARRAY NEW.production_jobs LOOP
+    new_stage := COALESCE(job ->> 'stage', 'queued');
+    SELECT COALESCE(old_job ->> 'stage', 'queued') INTO old_stage
+      FROM unnest(COALESCE(OLD.production_jobs, ARRAY[]::jsonb[])) AS old_job
+      WHERE old_job ->> 'id' = job ->> 'id';
+    IF new_stage IS DISTINCT FROM COALESCE(old_stage, 'queued') THEN
+      PERFORM public.append_order_event(
+        NEW.id, 'production_stage_changed',
+        to_jsonb(COALESCE(old_stage, 'queued')), to_jsonb(new_stage),
+        jsonb_build_object(
+          'jobId', job ->> 'id',
+          'nailSetId', job ->> 'nailSetId',
+          'setName', job ->> 'name',
+          'staffName', job -> 'stageHistory' -> -1 -> 'staff' ->> 'name'
+        )
+      );
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER orders_log_production_stages AFTER UPDATE ON public.orders
+  FOR EACH ROW EXECUTE FUNCTION public.log_production_stage_changes();